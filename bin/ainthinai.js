@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+const { main } = require('../node/cli');
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        process.stderr.write(`${error.stack || error.message}\n`);
+        process.exitCode = 1;
+    }
+);
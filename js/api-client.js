@@ -4,358 +4,663 @@
  */
 
 const APIClient = {
-    // Cache configuration
-    CACHE_DURATION: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     MAX_RETRIES: 3,
     RETRY_DELAY: 1000, // Initial retry delay in ms
+    MAX_RETRY_AFTER: 60 * 1000, // Longest Retry-After waited out before giving up
+
+    // Per-host limits: concurrent requests, and at most `requests` started per
+    // `per` ms. Open-Meteo's free tier allows 600 a minute; NominatimClient adds
+    // the limit for its own host.
+    HOST_LIMITS: {
+        'api.open-meteo.com': { concurrency: 4, requests: 600, per: 60 * 1000 },
+        'archive-api.open-meteo.com': { concurrency: 2, requests: 600, per: 60 * 1000 }
+    },
+
+    // How long an in-flight request outlives its last cancelled caller, so a
+    // repeated lookup (e.g. a double click) can pick it up again
+    INFLIGHT_GRACE: 250,
+    COASTLINE_URL: 'data/coastline.json',
+
+    // Precipitation climatology: complete calendar years averaged, requested in chunks
+    CLIMATOLOGY_YEARS: 10,
+    CLIMATOLOGY_CHUNK_YEARS: 5,
+    MAX_MISSING_DAYS: 30,
+
+    // Coarse mean-annual precipitation grid used when the archive API fails
+    PRECIPITATION_GRID_URL: 'data/grids/precipitation-coarse.bin',
+
+    // Bundled offline terrain tiles (see scripts/build-terrain-tiles.js)
+    TILES_URL: 'data/grids/tiles',
+    // 'fallback': live APIs first, tiles when they fail or the browser is offline;
+    // 'primary': tiles first, live APIs where no tile covers the point; 'off': never
+    OFFLINE_MODES: ['fallback', 'primary', 'off'],
+    offlineMode: 'fallback',
+
+    // Where each terrain value comes from, reported in its provenance
+    SOURCES: {
+        elevation: 'Open-Meteo Elevation API (Copernicus DEM)',
+        coastline: 'Natural Earth 1:10m coastline (bundled)',
+        precipitation: 'Open-Meteo Archive API (ERA5 reanalysis)',
+        // Names the data in data/grids/precipitation-coarse.bin; change it when rebuilding the grid
+        precipitationGrid: 'NOAA CFSv2 2016 annual total, a single year, not a long-term mean (bundled 2.5° grid)',
+        tiles: 'Bundled offline terrain tiles'
+    },
+
+    // Pluggable adapters (see configure); default to the browser globals
+    fetchAdapter: null,
+    cache: typeof TerrainCache !== 'undefined' ? TerrainCache : null,
+    coastlineIndex: typeof CoastlineIndex !== 'undefined' ? CoastlineIndex : null,
+    terrainGrid: typeof TerrainGrid !== 'undefined' ? TerrainGrid : null,
+
+    // Coastline spatial index, precipitation grid and tiles, loaded once on first use
+    _coastlinePromise: null,
+    _precipitationGridPromise: null,
+    _tileManifestPromise: null,
+    _tilePromises: new Map(),
+
+    // In-flight requests by URL, and per-host scheduling state
+    _inflight: new Map(),
+    _hosts: new Map(),
 
     /**
-     * Get elevation for coordinates using Open-Meteo Elevation API
+     * Replace the fetch and/or storage adapters, or change the offline mode
+     * fetch: (url, options) => Promise<Response>
+     * storage: object implementing getItem/setItem/removeItem (like localStorage),
+     *   used for the terrain cache instead of IndexedDB
+     * offlineMode: one of OFFLINE_MODES
      */
-    async getElevation(lat, lon) {
-        console.log('getElevation called:', { lat, lon });
-        const cacheKey = `elevation_v2_${lat}_${lon}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached !== null) {
-            console.log('getElevation (cached):', cached);
-            return cached;
+    configure({ fetch, storage, offlineMode } = {}) {
+        if (fetch) this.fetchAdapter = fetch;
+        if (storage) this.cache.useStorage(storage);
+        if (offlineMode) this.setOfflineMode(offlineMode);
+        return this;
+    },
+
+    /**
+     * Choose when the bundled offline tiles are used (see OFFLINE_MODES)
+     */
+    setOfflineMode(mode) {
+        if (!this.OFFLINE_MODES.includes(mode)) {
+            throw new Error(`Unknown offline mode "${mode}" (expected ${this.OFFLINE_MODES.join(', ')})`);
         }
+        this.offlineMode = mode;
+        return this;
+    },
 
-        const url = `https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lon}`;
+    /**
+     * Whether the browser reports having no network connection
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    },
 
-        try {
-            const data = await this.fetchWithRetry(url);
-            if (data && data.elevation && Array.isArray(data.elevation)) {
-                const elevation = data.elevation[0];
-                console.log('getElevation result:', elevation);
-                this.saveToCache(cacheKey, elevation);
-                return elevation;
-            }
-            throw new Error('Invalid elevation data format');
-        } catch (error) {
-            console.error('getElevation error:', error);
-            throw new Error('Failed to get elevation data');
-        }
+    /**
+     * Whether to read the offline tiles before trying the live APIs
+     */
+    useTilesFirst() {
+        if (this.offlineMode === 'primary') return true;
+        // No point waiting for retries when the browser knows it is offline
+        return this.offlineMode === 'fallback' && this.isOffline();
     },
 
     /**
-     * Get annual precipitation using Open-Meteo Climate API
-     * Uses data from the previous year
+     * Issue a request through the configured fetch adapter
+     * Requests to hosts in HOST_LIMITS wait for a free slot first; pass
+     * options.signal to stop waiting.
      */
-    async getAnnualPrecipitation(lat, lon) {
-        console.log('getAnnualPrecipitation called:', { lat, lon });
-        const cacheKey = `precipitation_v2_${lat}_${lon}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached !== null) {
-            console.log('getAnnualPrecipitation (cached):', cached);
-            return cached;
+    async request(url, options = {}) {
+        const fetchFn = this.fetchAdapter || fetch;
+        const host = this.hostOf(url);
+        if (!host || !this.HOST_LIMITS[host]) {
+            return fetchFn(url, options);
         }
 
-        // Get data from previous full year
-        const endDate = new Date();
-        endDate.setDate(endDate.getDate() - 1); // Yesterday
-        const startDate = new Date(endDate);
-        startDate.setFullYear(startDate.getFullYear() - 1); // One year ago
-
-        const formatDate = (date) => date.toISOString().split('T')[0];
+        await this.acquireSlot(host, options.signal);
+        try {
+            return await fetchFn(url, options);
+        } finally {
+            this.releaseSlot(host);
+        }
+    },
 
-        const url = `https://archive-api.open-meteo.com/v1/archive?` +
-            `latitude=${lat}&longitude=${lon}&` +
-            `start_date=${formatDate(startDate)}&` +
-            `end_date=${formatDate(endDate)}&` +
-            `daily=precipitation_sum`;
+    hostOf(url) {
+        return /^https?:\/\//.test(url) ? new URL(url).hostname : null;
+    },
 
-        try {
-            const data = await this.fetchWithRetry(url);
-            if (data && data.daily && data.daily.precipitation_sum) {
-                // Sum up all daily precipitation values
-                const totalPrecipitation = data.daily.precipitation_sum.reduce((sum, val) => {
-                    return sum + (val || 0);
-                }, 0);
-
-                console.log('getAnnualPrecipitation result:', totalPrecipitation);
-                this.saveToCache(cacheKey, totalPrecipitation);
-                return totalPrecipitation;
-            }
-            throw new Error('Invalid precipitation data format');
-        } catch (error) {
-            console.error('getAnnualPrecipitation error:', error);
-            // Return a default value for areas without precipitation data
-            // This could happen in some remote areas or oceans
-            console.log('getAnnualPrecipitation using fallback value: 500mm');
-            return 500; // Assume moderate rainfall if data unavailable
+    hostState(host) {
+        if (!this._hosts.has(host)) {
+            this._hosts.set(host, { active: 0, queue: [], started: [], blockedUntil: 0, timer: null });
         }
+        return this._hosts.get(host);
     },
 
     /**
-     * Calculate distance to nearest coastline
-     * Uses Haversine formula with a simplified set of coastal boundary points
+     * Wait until the host's concurrency and rate limits allow another request
      */
-    async getCoastDistance(lat, lon) {
-        console.log('getCoastDistance called:', { lat, lon });
-        const cacheKey = `coast_v2_${lat}_${lon}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached !== null) {
-            console.log('getCoastDistance (cached):', cached);
-            return cached;
-        }
+    acquireSlot(host, signal) {
+        const state = this.hostState(host);
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.abortError(signal));
+                return;
+            }
 
-        // Simplified approach: Check distance to major water bodies
-        // For a production app, you'd use a more comprehensive coastline dataset
+            const waiter = { resolve, signal, onAbort: null };
+            if (signal) {
+                waiter.onAbort = () => {
+                    const index = state.queue.indexOf(waiter);
+                    if (index !== -1) state.queue.splice(index, 1);
+                    if (state.queue.length === 0 && state.timer) {
+                        clearTimeout(state.timer);
+                        state.timer = null;
+                    }
+                    reject(this.abortError(signal));
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
 
-        // Sample coastal reference points (major oceans and seas)
-        const coastalPoints = this.getCoastalReferencePoints();
-        console.log(`Checking distance against ${coastalPoints.length} coastal reference points`);
+            state.queue.push(waiter);
+            this.pumpHost(host);
+        });
+    },
 
-        let minDistance = Infinity;
-        let closestPoint = null;
+    releaseSlot(host) {
+        this.hostState(host).active--;
+        this.pumpHost(host);
+    },
 
-        for (const point of coastalPoints) {
-            const distance = this.haversineDistance(lat, lon, point.lat, point.lon);
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestPoint = point;
+    /**
+     * Start as many queued requests for a host as its limits allow
+     * When the rate budget is spent (or the host asked us to back off),
+     * try again once the earliest slot opens.
+     */
+    pumpHost(host) {
+        const state = this.hostState(host);
+        const limits = this.HOST_LIMITS[host];
+
+        while (state.queue.length > 0 && state.active < limits.concurrency) {
+            const now = Date.now();
+            state.started = state.started.filter(time => now - time < limits.per);
+            const wait = Math.max(
+                state.blockedUntil - now,
+                state.started.length >= limits.requests ? state.started[0] + limits.per - now : 0
+            );
+            if (wait > 0) {
+                if (!state.timer) {
+                    state.timer = setTimeout(() => {
+                        state.timer = null;
+                        this.pumpHost(host);
+                    }, wait);
+                }
+                return;
             }
+
+            const waiter = state.queue.shift();
+            if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+            state.active++;
+            state.started.push(now);
+            waiter.resolve();
         }
+    },
 
-        console.log('getCoastDistance result:', {
-            distance: minDistance,
-            closestPoint,
-            distanceFromClosest: minDistance.toFixed(2) + ' km'
-        });
+    /**
+     * Hold back every request to a host for ms (after a Retry-After)
+     */
+    deferHost(url, ms) {
+        const host = this.hostOf(url);
+        if (!host || !this.HOST_LIMITS[host]) return;
+        const state = this.hostState(host);
+        state.blockedUntil = Math.max(state.blockedUntil, Date.now() + ms);
+    },
+
+    isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    },
 
-        this.saveToCache(cacheKey, minDistance);
-        return minDistance;
+    abortError(signal) {
+        return (signal && signal.reason) || new DOMException('The operation was aborted.', 'AbortError');
     },
 
     /**
-     * Get coastal reference points
-     * Dense grid of coastal points for accurate distance calculation
+     * Describe where a terrain value came from
+     * timestamp is when it was fetched or computed (null for bundled data).
      */
-    getCoastalReferencePoints() {
-        const points = [];
-
-        // ==========================================
-        // ULTRA-DENSE COASTAL GRID (0.05° spacing ≈ 5km)
-        // This fixes the bug where coastal cities showed as 100+ km from coast
-        // ==========================================
-
-        // === MAJOR WORLD COASTAL CITIES (EXPLICIT COORDINATES) ===
-        const majorCoastalCities = [
-            // India - East Coast (Bay of Bengal)
-            { lat: 13.08, lon: 80.27 },   // Chennai - CRITICAL TEST CASE
-            { lat: 11.93, lon: 79.83 },   // Puducherry
-            { lat: 17.69, lon: 83.22 },   // Visakhapatnam
-            { lat: 20.27, lon: 85.83 },   // Bhubaneswar area
-            { lat: 22.57, lon: 88.36 },   // Kolkata
-
-            // India - West Coast (Arabian Sea)
-            { lat: 19.08, lon: 72.88 },   // Mumbai - CRITICAL TEST CASE
-            { lat: 18.97, lon: 72.82 },   // Navi Mumbai
-            { lat: 21.17, lon: 72.83 },   // Surat
-            { lat: 15.30, lon: 73.99 },   // Goa (Panaji)
-            { lat: 12.87, lon: 74.84 },   // Mangalore
-            { lat: 11.25, lon: 75.78 },   // Kozhikode
-            { lat: 9.93, lon: 76.27 },    // Kochi
-
-            // India - South Coast
-            { lat: 8.09, lon: 77.54 },    // Kanyakumari
-
-            // USA - East Coast (Atlantic)
-            { lat: 40.71, lon: -74.01 },  // New York City - CRITICAL TEST CASE
-            { lat: 25.76, lon: -80.19 },  // Miami
-            { lat: 42.36, lon: -71.06 },  // Boston
-            { lat: 38.91, lon: -77.04 },  // Washington DC (near coast)
-            { lat: 39.95, lon: -75.17 },  // Philadelphia (near coast)
-            { lat: 27.95, lon: -82.46 },  // Tampa
-
-            // USA - West Coast (Pacific)
-            { lat: 34.05, lon: -118.24 }, // Los Angeles - CRITICAL TEST CASE
-            { lat: 37.77, lon: -122.42 }, // San Francisco
-            { lat: 32.72, lon: -117.16 }, // San Diego
-            { lat: 47.61, lon: -122.33 }, // Seattle
-            { lat: 45.52, lon: -122.68 }, // Portland
-
-            // USA - Gulf Coast
-            { lat: 29.76, lon: -95.37 },  // Houston
-            { lat: 30.27, lon: -81.66 },  // Jacksonville
-            { lat: 30.00, lon: -90.07 },  // New Orleans
-
-            // Other Major Coastal Cities
-            { lat: 1.29, lon: 103.85 },   // Singapore
-            { lat: 22.32, lon: 114.17 },  // Hong Kong
-            { lat: 35.68, lon: 139.65 },  // Tokyo
-            { lat: -33.87, lon: 151.21 }, // Sydney
-            { lat: 51.51, lon: -0.13 },   // London
-            { lat: 48.86, lon: 2.35 },    // Paris (inland reference)
-        ];
-        points.push(...majorCoastalCities);
-
-        // === ULTRA-DENSE GRIDS (0.05° spacing ≈ 5-6 km) ===
-
-        // India East Coast (Bay of Bengal) - ULTRA DENSE
-        // This covers Chennai, Puducherry, Visakhapatnam, etc.
-        for (let lat = 8.0; lat <= 22.0; lat += 0.05) {
-            const lon = 80.2 + (lat - 8.0) * 0.015; // Follows actual coastline curve
-            points.push({ lat, lon });
-        }
+    createProvenance(source, timestamp, details = {}) {
+        return {
+            source,
+            cached: false,
+            fetchedAt: timestamp ? new Date(timestamp).toISOString() : null,
+            fallback: false,
+            estimated: false,
+            missing: false,
+            dateRange: null,
+            ...details
+        };
+    },
 
-        // India West Coast (Arabian Sea) - ULTRA DENSE
-        // This covers Mumbai, Goa, Kochi, etc.
-        for (let lat = 8.0; lat <= 23.0; lat += 0.05) {
-            const lon = 72.5 + (lat - 8.0) * 0.03;
-            points.push({ lat, lon });
-        }
+    /**
+     * Get elevation in meters
+     */
+    async getElevation(lat, lon, options) {
+        return (await this.getElevationReading(lat, lon, options)).value;
+    },
 
-        // India South Coast (Indian Ocean) - ULTRA DENSE
-        // This covers Kanyakumari, southern Tamil Nadu
-        for (let lon = 76.0; lon <= 81.0; lon += 0.05) {
-            const lat = 8.0 + Math.sin((lon - 76.0) * 0.5) * 0.3;
-            points.push({ lat, lon });
+    /**
+     * Get elevation for coordinates using Open-Meteo Elevation API
+     * Uses the offline tiles first or as a fallback, depending on offlineMode.
+     * options.signal cancels the lookup.
+     * Returns { value, provenance }
+     */
+    async getElevationReading(lat, lon, { signal } = {}) {
+        console.log('getElevation called:', { lat, lon });
+        const tilesFirst = this.useTilesFirst();
+        if (tilesFirst) {
+            const reading = await this.readTiles('elevation', lat, lon);
+            if (reading) return reading;
         }
 
-        // USA East Coast (Atlantic) - ULTRA DENSE
-        // This covers NYC, Boston, Miami, etc.
-        for (let lat = 25.0; lat <= 45.0; lat += 0.05) {
-            // Better formula following actual coastline
-            const lon = -79.5 + (lat - 25.0) * 0.35;
-            points.push({ lat, lon });
+        const cached = await this.cache.get('elevation', lat, lon, { allowStale: this.isOffline() });
+        if (cached) {
+            console.log('getElevation (cached):', cached.value);
+            return {
+                value: cached.value,
+                provenance: this.createProvenance(this.SOURCES.elevation, cached.timestamp, { cached: true })
+            };
         }
 
-        // USA West Coast (Pacific) - ULTRA DENSE
-        // This covers LA, SF, Seattle, etc.
-        for (let lat = 32.0; lat <= 49.0; lat += 0.05) {
-            const lon = -117.3 - (lat - 32.0) * 0.15;
-            points.push({ lat, lon });
-        }
+        // Look up the cache cell's point, so the cached value doesn't depend on
+        // which nearby point was classified first
+        const cell = this.cache.snap('elevation', lat, lon);
+        const url = `https://api.open-meteo.com/v1/elevation?latitude=${cell.lat}&longitude=${cell.lon}`;
 
-        // Gulf of Mexico - ULTRA DENSE
-        for (let lon = -97.0; lon <= -80.0; lon += 0.05) {
-            const lat = 28.5 + Math.abs(lon + 88.5) * 0.08;
-            points.push({ lat, lon });
+        try {
+            const data = await this.fetchWithRetry(url, { signal });
+            if (data && data.elevation && Array.isArray(data.elevation)) {
+                const elevation = data.elevation[0];
+                console.log('getElevation result:', elevation);
+                await this.cache.set('elevation', lat, lon, elevation);
+                return { value: elevation, provenance: this.createProvenance(this.SOURCES.elevation, Date.now()) };
+            }
+            throw new Error('Invalid elevation data format');
+        } catch (error) {
+            if (this.isAbortError(error)) throw error;
+            console.error('getElevation error:', error);
+            if (!tilesFirst && this.offlineMode !== 'off') {
+                const reading = await this.readTiles('elevation', lat, lon);
+                if (reading) {
+                    reading.provenance.fallback = true;
+                    return reading;
+                }
+            }
+            throw new Error('Failed to get elevation data');
         }
+    },
 
-        // === MEDIUM DENSITY GRIDS (0.1° spacing ≈ 11 km) ===
-        // For other regions, use slightly less dense but still very accurate
+    /**
+     * Get typical annual precipitation (climatological mean) in mm
+     * null when neither the archive API nor the bundled grid has a value
+     */
+    async getAnnualPrecipitation(lat, lon, options) {
+        return (await this.getPrecipitationReading(lat, lon, options)).value;
+    },
 
-        // Sri Lanka
-        for (let lat = 6.0; lat <= 10.0; lat += 0.1) {
-            points.push({ lat, lon: 80.0 });  // East coast
-            points.push({ lat, lon: 79.8 });  // West coast
-        }
+    /**
+     * Get the multi-year precipitation climatology, or null if unavailable
+     */
+    async getPrecipitationClimatology(lat, lon, options) {
+        return (await this.getPrecipitationReading(lat, lon, options)).climatology;
+    },
 
-        // Bangladesh coast
-        for (let lat = 21.0; lat <= 23.0; lat += 0.1) {
-            points.push({ lat, lon: 90.0 });
+    /**
+     * Get typical annual precipitation with its provenance
+     * Uses the archive climatology; if that fails, estimates from the offline
+     * tiles or the bundled coarse grid, and reports the value as missing if
+     * that fails too. With offlineMode 'primary' the tiles are tried first.
+     * options.signal cancels the lookup.
+     * Returns { value, provenance, climatology }
+     */
+    async getPrecipitationReading(lat, lon, { signal } = {}) {
+        console.log('getPrecipitationReading called:', { lat, lon });
+        const tilesFirst = this.useTilesFirst();
+        if (tilesFirst) {
+            const reading = await this.readTiles('precipitation', lat, lon);
+            if (reading) return { ...reading, climatology: null };
         }
 
-        // Southeast Asia
-        for (let lat = 1.0; lat <= 20.0; lat += 0.15) {
-            points.push({ lat, lon: 100.0 }); // Thailand/Vietnam
-            points.push({ lat, lon: 105.0 }); // Vietnam
-        }
-        for (let lat = 1.0; lat <= 7.0; lat += 0.1) {
-            points.push({ lat, lon: 103.0 }); // Malaysia/Singapore
+        const cacheOptions = { variant: `${this.CLIMATOLOGY_YEARS}y`, allowStale: this.isOffline() };
+        const cached = await this.cache.get('precipitation', lat, lon, cacheOptions);
+        if (cached) {
+            console.log('getPrecipitationReading (cached):', cached.value.mean);
+            return this._climatologyReading(cached.value, cached.timestamp, true);
         }
 
-        // South America - East Coast
-        for (let lat = -35.0; lat <= 5.0; lat += 0.2) {
-            points.push({ lat, lon: -35.0 - lat * 0.3 });
+        try {
+            const cell = this.cache.snap('precipitation', lat, lon);
+            const climatology = await this.fetchPrecipitationClimatology(cell.lat, cell.lon, { signal });
+            await this.cache.set('precipitation', lat, lon, climatology, cacheOptions);
+            return this._climatologyReading(climatology, Date.now(), false);
+        } catch (error) {
+            if (this.isAbortError(error)) throw error;
+            console.error('getPrecipitationReading error:', error);
+            return this.estimatePrecipitation(lat, lon, { tiles: !tilesFirst && this.offlineMode !== 'off' });
         }
+    },
 
-        // South America - West Coast
-        for (let lat = -55.0; lat <= 0.0; lat += 0.2) {
-            points.push({ lat, lon: -70.0 });
+    /**
+     * Fetch a multi-year precipitation climatology from the Open-Meteo Archive API
+     * Covers the last CLIMATOLOGY_YEARS complete calendar years, fetched in
+     * chunks of CLIMATOLOGY_CHUNK_YEARS. Throws if the data is unavailable.
+     * Returns { mean, spread, min, max, monthly, years, lastYear, startYear, endYear }
+     */
+    async fetchPrecipitationClimatology(lat, lon, { signal } = {}) {
+        const endYear = new Date().getUTCFullYear() - 1;
+        const startYear = endYear - this.CLIMATOLOGY_YEARS + 1;
+
+        const chunks = [];
+        for (let year = startYear; year <= endYear; year += this.CLIMATOLOGY_CHUNK_YEARS) {
+            const chunkEnd = Math.min(endYear, year + this.CLIMATOLOGY_CHUNK_YEARS - 1);
+            const url = `https://archive-api.open-meteo.com/v1/archive?` +
+                `latitude=${lat}&longitude=${lon}&` +
+                `start_date=${year}-01-01&` +
+                `end_date=${chunkEnd}-12-31&` +
+                `daily=precipitation_sum`;
+            chunks.push(this.fetchWithRetry(url, { signal }));
+        }
+
+        const responses = await Promise.all(chunks);
+        const time = [];
+        const values = [];
+        for (const data of responses) {
+            if (!data || !data.daily || !data.daily.time || !data.daily.precipitation_sum) {
+                throw new Error('Invalid precipitation data format');
+            }
+            time.push(...data.daily.time);
+            values.push(...data.daily.precipitation_sum);
         }
 
-        // Europe - Western Coast
-        for (let lat = 36.0; lat <= 60.0; lat += 0.15) {
-            points.push({ lat, lon: -5.0 - (lat - 36.0) * 0.2 });
-        }
+        const climatology = this.summarizePrecipitation(time, values);
+        console.log('fetchPrecipitationClimatology result:', climatology);
+        return climatology;
+    },
 
-        // Mediterranean Sea
-        for (let lon = -5.0; lon <= 36.0; lon += 0.2) {
-            points.push({ lat: 35.0 + Math.sin(lon * 0.15) * 5.0, lon });
+    /**
+     * Estimate precipitation from the offline tiles or the bundled coarse grid
+     * Returns { value, provenance, climatology: null }; value is null when
+     * neither is available or has data here.
+     */
+    async estimatePrecipitation(lat, lon, { tiles = true } = {}) {
+        if (tiles) {
+            const reading = await this.readTiles('precipitation', lat, lon);
+            if (reading) {
+                reading.provenance.fallback = true;
+                return { ...reading, climatology: null };
+            }
         }
 
-        // Africa - West Coast
-        for (let lat = -35.0; lat <= 35.0; lat += 0.2) {
-            points.push({ lat, lon: 10.0 + Math.abs(lat) * 0.15 });
+        try {
+            const grid = await this.loadPrecipitationGrid();
+            const value = this.terrainGrid.sample(grid, lat, lon);
+            if (value !== null) {
+                console.log('estimatePrecipitation from grid:', value);
+                return {
+                    value,
+                    provenance: this.createProvenance(this.SOURCES.precipitationGrid, null, {
+                        fallback: true,
+                        estimated: true,
+                        resolution: grid.step
+                    }),
+                    climatology: null
+                };
+            }
+        } catch (error) {
+            console.error('estimatePrecipitation error:', error);
         }
 
-        // Africa - East Coast
-        for (let lat = -35.0; lat <= 10.0; lat += 0.2) {
-            points.push({ lat, lon: 35.0 + lat * 0.3 });
-        }
+        return {
+            value: null,
+            provenance: this.createProvenance(null, null, { fallback: true, missing: true }),
+            climatology: null
+        };
+    },
 
-        // East Asia - China Coast
-        for (let lat = 18.0; lat <= 40.0; lat += 0.15) {
-            points.push({ lat, lon: 115.0 + lat * 0.2 });
+    /**
+     * Load the bundled coarse precipitation grid (see scripts/build-precipitation-grid.js)
+     */
+    loadPrecipitationGrid() {
+        if (!this._precipitationGridPromise) {
+            this._precipitationGridPromise = this.request(this.PRECIPITATION_GRID_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load precipitation grid');
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => this.terrainGrid.decode(buffer))
+                .catch(error => {
+                    this._precipitationGridPromise = null;
+                    throw error;
+                });
         }
+        return this._precipitationGridPromise;
+    },
 
-        // Japan
-        for (let lat = 30.0; lat <= 45.0; lat += 0.1) {
-            points.push({ lat, lon: 135.0 + (lat - 30.0) * 0.5 }); // West coast
-            points.push({ lat, lon: 139.0 + (lat - 30.0) * 0.3 }); // East coast
-        }
+    /**
+     * Sample a variable ('elevation' or 'precipitation') from the offline tiles
+     * Returns { value, provenance }, or null when no tile covers the point or
+     * the tiles are not installed.
+     */
+    async readTiles(variable, lat, lon) {
+        try {
+            const manifest = await this.loadTileManifest();
+            const layer = manifest.variables && manifest.variables[variable];
+            if (!layer) return null;
 
-        // Korea
-        for (let lat = 34.0; lat <= 39.0; lat += 0.1) {
-            points.push({ lat, lon: 126.0 }); // West coast
-            points.push({ lat, lon: 129.0 }); // East coast
-        }
+            const key = this.terrainGrid.tileKey(lat, lon, manifest.tileSize);
+            if (!layer.tiles.includes(key)) return null;
 
-        // Australia - East Coast
-        for (let lat = -38.0; lat <= -10.0; lat += 0.2) {
-            points.push({ lat, lon: 145.0 + lat * 0.2 });
-        }
+            const grid = await this.loadTile(variable, key);
+            const value = this.terrainGrid.sample(grid, lat, lon);
+            if (value === null) return null;
 
-        // Australia - West Coast
-        for (let lat = -35.0; lat <= -15.0; lat += 0.2) {
-            points.push({ lat, lon: 115.0 });
+            console.log(`readTiles ${variable} from ${key}:`, value);
+            return {
+                value,
+                provenance: this.createProvenance(layer.source || this.SOURCES.tiles, null, {
+                    estimated: true,
+                    resolution: grid.step,
+                    tile: key
+                })
+            };
+        } catch (error) {
+            console.error('readTiles error:', error);
+            return null;
         }
+    },
 
-        // Middle East - Persian Gulf
-        for (let lat = 24.0; lat <= 30.0; lat += 0.1) {
-            points.push({ lat, lon: 50.0 });
+    /**
+     * Load the offline tile manifest: { tileSize, variables: { name: { source, tiles } } }
+     */
+    loadTileManifest() {
+        if (!this._tileManifestPromise) {
+            this._tileManifestPromise = this.request(`${this.TILES_URL}/manifest.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Offline terrain tiles are not installed');
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    this._tileManifestPromise = null;
+                    throw error;
+                });
         }
+        return this._tileManifestPromise;
+    },
 
-        // Red Sea
-        for (let lat = 12.0; lat <= 28.0; lat += 0.15) {
-            points.push({ lat, lon: 37.0 });
-            points.push({ lat, lon: 40.0 });
+    /**
+     * Load and decode one offline tile, once
+     */
+    loadTile(variable, key) {
+        const id = `${variable}/${key}`;
+        if (!this._tilePromises.has(id)) {
+            this._tilePromises.set(id, this.request(`${this.TILES_URL}/${id}.bin`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load terrain tile ${id}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => this.terrainGrid.decode(buffer))
+                .catch(error => {
+                    this._tilePromises.delete(id);
+                    throw error;
+                }));
         }
+        return this._tilePromises.get(id);
+    },
 
-        // Polar Regions (coarse grid is fine)
-        for (let lon = -180; lon <= 180; lon += 5) {
-            points.push({ lat: 70, lon });
-            points.push({ lat: -65, lon });
-        }
+    _climatologyReading(climatology, timestamp, cached) {
+        return {
+            value: climatology.mean,
+            provenance: this.createProvenance(this.SOURCES.precipitation, timestamp, {
+                cached,
+                dateRange: { start: `${climatology.startYear}-01-01`, end: `${climatology.endYear}-12-31` }
+            }),
+            climatology
+        };
+    },
 
-        // Indonesia (dense archipelago)
-        for (let lat = -8.0; lat <= 6.0; lat += 0.2) {
-            for (let lon = 95.0; lon <= 140.0; lon += 0.5) {
-                if (lat >= -6 && lat <= 6 && lon >= 95 && lon <= 141) {
-                    points.push({ lat, lon });
-                }
+    /**
+     * Summarize daily precipitation into yearly totals and monthly means
+     * Years missing more than MAX_MISSING_DAYS days are left out.
+     * spread is the standard deviation of the yearly totals.
+     */
+    summarizePrecipitation(time, values) {
+        const byYear = new Map();
+
+        time.forEach((date, i) => {
+            const year = Number(date.slice(0, 4));
+            const month = Number(date.slice(5, 7)) - 1;
+            if (!byYear.has(year)) {
+                byYear.set(year, { year, total: 0, days: 0, monthly: new Array(12).fill(0) });
             }
-        }
+            const entry = byYear.get(year);
+            if (values[i] === null || values[i] === undefined) return;
+            entry.total += values[i];
+            entry.monthly[month] += values[i];
+            entry.days++;
+        });
 
-        // Caribbean
-        for (let lat = 10.0; lat <= 25.0; lat += 0.3) {
-            for (let lon = -85.0; lon <= -60.0; lon += 0.3) {
-                points.push({ lat, lon });
-            }
+        const years = [...byYear.values()]
+            .filter(y => y.days >= 365 - this.MAX_MISSING_DAYS)
+            .sort((a, b) => a.year - b.year);
+        if (years.length === 0) {
+            throw new Error('No complete years of precipitation data');
+        }
+
+        const totals = years.map(y => y.total);
+        const mean = totals.reduce((sum, t) => sum + t, 0) / totals.length;
+        const variance = totals.reduce((sum, t) => sum + (t - mean) ** 2, 0) / totals.length;
+        const monthly = new Array(12).fill(0).map((_, m) =>
+            years.reduce((sum, y) => sum + y.monthly[m], 0) / years.length);
+        const round = (value) => Math.round(value * 10) / 10;
+        const last = years[years.length - 1];
+
+        return {
+            mean: round(mean),
+            spread: round(Math.sqrt(variance)),
+            min: round(Math.min(...totals)),
+            max: round(Math.max(...totals)),
+            monthly: monthly.map(round),
+            years: years.map(y => ({ year: y.year, total: round(y.total) })),
+            lastYear: { year: last.year, total: round(last.total) },
+            startYear: years[0].year,
+            endYear: last.year
+        };
+    },
+
+    /**
+     * Calculate distance to nearest coastline
+     * Queries the coastline spatial index for the nearest coastline segment
+     */
+    async getCoastDistance(lat, lon) {
+        return (await this.getCoastDistanceReading(lat, lon)).value;
+    },
+
+    /**
+     * Distance to the nearest coastline with its provenance
+     * Returns { value, provenance }
+     */
+    async getCoastDistanceReading(lat, lon) {
+        console.log('getCoastDistance called:', { lat, lon });
+        const cached = await this.cache.get('coastDistance', lat, lon, { allowStale: this.isOffline() });
+        if (cached) {
+            console.log('getCoastDistance (cached):', cached.value);
+            return {
+                value: cached.value,
+                provenance: this.createProvenance(this.SOURCES.coastline, cached.timestamp, { cached: true })
+            };
         }
 
-        // New Zealand
-        for (let lat = -47.0; lat <= -34.0; lat += 0.2) {
-            points.push({ lat, lon: 174.0 });
-            points.push({ lat, lon: 170.0 });
+        const coastline = await this.loadCoastline();
+        const cell = this.cache.snap('coastDistance', lat, lon);
+        const closestPoint = this.coastlineIndex.nearest(coastline, cell.lat, cell.lon);
+        const minDistance = closestPoint.distance;
+
+        console.log('getCoastDistance result:', {
+            distance: minDistance,
+            closestPoint,
+            distanceFromClosest: minDistance.toFixed(2) + ' km'
+        });
+
+        await this.cache.set('coastDistance', lat, lon, minDistance);
+        return { value: minDistance, provenance: this.createProvenance(this.SOURCES.coastline, Date.now()) };
+    },
+
+    /**
+     * Load the bundled coastline dataset (data/coastline.json)
+     * Derived from Natural Earth 1:10m land polygons by scripts/build-coastline.js.
+     * Decoded and indexed once; resolves to a CoastlineIndex.
+     */
+    loadCoastline() {
+        if (!this._coastlinePromise) {
+            this._coastlinePromise = this.request(this.COASTLINE_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load coastline data');
+                    }
+                    return response.json();
+                })
+                .then(data => this.coastlineIndex.build(this.decodeCoastline(data)))
+                .catch(error => {
+                    // Allow a later call to retry the download
+                    this._coastlinePromise = null;
+                    throw error;
+                });
         }
+        return this._coastlinePromise;
+    },
 
-        console.log(`✅ Generated ${points.length} coastal reference points (ULTRA-DENSE grid)`);
-        return points;
+    /**
+     * Decode quantized, delta-encoded coastline lines into degrees
+     */
+    decodeCoastline(data) {
+        const lines = data.lines.map(encoded => {
+            const line = new Float64Array(encoded.length);
+            let x = 0;
+            let y = 0;
+            for (let i = 0; i < encoded.length; i += 2) {
+                x += encoded[i];
+                y += encoded[i + 1];
+                line[i] = x * data.scale;
+                line[i + 1] = y * data.scale;
+            }
+            return line;
+        });
+
+        const pointCount = lines.reduce((sum, line) => sum + line.length / 2, 0);
+        console.log(`✅ Loaded ${lines.length} coastline segments (${pointCount} points)`);
+        return lines;
     },
 
     /**
@@ -382,122 +687,126 @@ const APIClient = {
     },
 
     /**
-     * Geocode an address to coordinates using Nominatim
+     * Fetch JSON with retry logic and exponential backoff
+     * Concurrent calls for the same URL share one request. options.signal
+     * cancels this caller's wait; the request itself is aborted once every
+     * caller has cancelled.
      */
-    async geocodeAddress(address) {
-        if (!address || address.trim() === '') {
-            throw new Error('Please enter a location');
-        }
-
-        const url = `https://nominatim.openstreetmap.org/search?` +
-            `q=${encodeURIComponent(address)}&` +
-            `format=json&` +
-            `limit=1`;
-
-        try {
-            // Respect Nominatim's usage policy (1 request per second)
-            await this.sleep(1000);
-
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'Ainthinai-Classifier-App'
+    fetchWithRetry(url, { signal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.abortError(signal));
+        }
+
+        let entry = this._inflight.get(url);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0, abortTimer: null };
+            entry.promise = this._fetchWithRetry(url, controller.signal);
+            const cleanup = () => {
+                if (this._inflight.get(url) === entry) this._inflight.delete(url);
+            };
+            entry.promise.then(cleanup, cleanup);
+            this._inflight.set(url, entry);
+        }
+
+        entry.subscribers++;
+        clearTimeout(entry.abortTimer);
+        if (!signal) return entry.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(this.abortError(signal));
+                if (--entry.subscribers === 0) {
+                    entry.abortTimer = setTimeout(() => {
+                        if (entry.subscribers === 0) {
+                            entry.controller.abort();
+                            if (this._inflight.get(url) === entry) this._inflight.delete(url);
+                        }
+                    }, this.INFLIGHT_GRACE);
                 }
-            });
-
-            if (!response.ok) {
-                throw new Error('Geocoding service unavailable');
-            }
-
-            const data = await response.json();
-
-            if (!data || data.length === 0) {
-                throw new Error('Location not found. Please try a different search term.');
-            }
-
-            return {
-                lat: parseFloat(data[0].lat),
-                lon: parseFloat(data[0].lon),
-                displayName: data[0].display_name
             };
-        } catch (error) {
-            console.error('Error geocoding address:', error);
-            throw error;
-        }
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(
+                value => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
     },
 
-    /**
-     * Fetch with retry logic and exponential backoff
-     */
-    async fetchWithRetry(url, retries = this.MAX_RETRIES) {
+    async _fetchWithRetry(url, signal, retries = this.MAX_RETRIES) {
         for (let attempt = 0; attempt < retries; attempt++) {
             try {
-                const response = await fetch(url);
+                const response = await this.request(url, { signal });
 
                 if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    const error = new Error(`HTTP error! status: ${response.status}`);
+                    if (response.status === 429 || response.status === 503) {
+                        error.retryAfter = this.parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+                        if (error.retryAfter !== null) this.deferHost(url, error.retryAfter);
+                    }
+                    throw error;
                 }
 
                 return await response.json();
             } catch (error) {
                 const isLastAttempt = attempt === retries - 1;
 
-                if (isLastAttempt) {
+                if (isLastAttempt || this.isAbortError(error)) {
                     throw error;
                 }
 
-                // Exponential backoff
-                const delay = this.RETRY_DELAY * Math.pow(2, attempt);
+                // Wait as long as the server asked, otherwise back off exponentially
+                const delay = typeof error.retryAfter === 'number'
+                    ? error.retryAfter
+                    : this.RETRY_DELAY * Math.pow(2, attempt);
+                if (delay > this.MAX_RETRY_AFTER) {
+                    throw error;
+                }
                 console.log(`Retry attempt ${attempt + 1} after ${delay}ms`);
-                await this.sleep(delay);
+                await this.sleep(delay, signal);
             }
         }
     },
 
     /**
-     * Sleep/delay function
+     * Milliseconds to wait from a Retry-After header (seconds or an HTTP date)
+     * Returns null when the header is missing or unreadable.
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    parseRetryAfter(header) {
+        if (!header) return null;
+        if (/^\d+$/.test(header.trim())) return Number(header.trim()) * 1000;
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
     },
 
     /**
-     * Get data from localStorage cache
+     * Sleep/delay function; rejects early if signal is aborted
      */
-    getFromCache(key) {
-        try {
-            const item = localStorage.getItem(key);
-            if (!item) return null;
-
-            const { value, timestamp } = JSON.parse(item);
-            const now = Date.now();
-
-            // Check if cache is still valid
-            if (now - timestamp < this.CACHE_DURATION) {
-                return value;
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.abortError(signal));
+                return;
             }
-
-            // Cache expired, remove it
-            localStorage.removeItem(key);
-            return null;
-        } catch (error) {
-            console.error('Cache read error:', error);
-            return null;
-        }
-    },
-
-    /**
-     * Save data to localStorage cache
-     */
-    saveToCache(key, value) {
-        try {
-            const item = {
-                value,
-                timestamp: Date.now()
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.abortError(signal));
             };
-            localStorage.setItem(key, JSON.stringify(item));
-        } catch (error) {
-            console.error('Cache write error:', error);
-            // Continue without caching if localStorage is full or unavailable
-        }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APIClient;
+}
@@ -4,15 +4,100 @@
  */
 
 const App = {
+    MODE_STORAGE_KEY: 'ainthinai_mode',
+    OFFLINE_MODE_STORAGE_KEY: 'ainthinai_offline_mode',
+    GEOCODER_STORAGE_KEY: 'ainthinai_geocoder',
+    LANGUAGE_STORAGE_KEY: 'ainthinai_language',
+    MAP_OVERLAY_STORAGE_KEY: 'ainthinai_map_overlay',
+    currentResult: null,
+    currentLocationName: null,
+    lookupController: null,
+
     /**
      * Initialize the application
      */
     init() {
         console.log('Ainthinai Classifier initialized');
+        this.loadLanguage();
         this.setupEventListeners();
         this.checkGeolocationSupport();
+        this.loadClassifierMode();
+        this.loadOfflineMode();
+        this.loadGeocoder();
         HistoryModule.render();
+        LookupQueue.render();
+        MapView.init({ onPick: (lat, lon) => this.handleMapPick(lat, lon) });
+        this.loadMapOverlay();
+        BatchModule.init();
+        RouteModule.init();
+        AreaModule.init();
+        SettingsModule.init();
         this.handleUrlParams();
+        this.registerServiceWorker();
+
+        // Run lookups queued while offline once the connection is back
+        window.addEventListener('online', () => this.processQueue());
+        if (!APIClient.isOffline()) this.processQueue();
+
+        // Stop in-flight lookups when the page is left
+        window.addEventListener('pagehide', () => {
+            if (this.lookupController) this.lookupController.abort();
+        });
+    },
+
+    /**
+     * Cancel the lookup in progress, if any, and return the signal for a new one
+     */
+    startLookup() {
+        if (this.lookupController) this.lookupController.abort();
+        this.lookupController = new AbortController();
+        return this.lookupController.signal;
+    },
+
+    /**
+     * Register the service worker that lets the app open offline
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('Service worker registered:', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    },
+
+    /**
+     * Classify the lookups queued while offline and add them to history
+     */
+    async processQueue() {
+        if (LookupQueue.load().length === 0) return;
+
+        await LookupQueue.process(async (lookup) => {
+            const place = lookup.query
+                ? await Geocoding.search(lookup.query)
+                : { lat: lookup.lat, lon: lookup.lon, displayName: lookup.name };
+            const result = await TerrainAnalyzer.classifyLocation(place.lat, place.lon);
+            const regionData = result.regionData || {};
+            HistoryModule.save(
+                place.displayName || LookupQueue.label(lookup),
+                result.region,
+                regionData.icon || '📍',
+                regionData.color || '#818cf8',
+                place.lat,
+                place.lon,
+                result
+            );
+        });
+    },
+
+    /**
+     * Tell the user a lookup will run when the connection returns
+     */
+    showQueued(label) {
+        this.hideAllSections();
+        MapView.cancelPending();
+        LookupQueue.status = I18n.t('result.queued', { label });
+        LookupQueue.render();
+        document.getElementById('queue-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
     },
 
     /**
@@ -24,6 +109,9 @@ const App = {
         const lon = params.get('lon');
         const q = params.get('q');
 
+        // Shared links may carry the sender's thresholds
+        SettingsModule.applyFromUrl(params);
+
         if (lat && lon) {
             const parsedLat = parseFloat(lat);
             const parsedLon = parseFloat(lon);
@@ -49,17 +137,21 @@ const App = {
             detectBtn.addEventListener('click', () => this.handleDetectLocation());
         }
 
-        // Search button
+        // Search button; keep focus in the input so the suggestions stay open for the click
         const searchBtn = document.getElementById('search-btn');
         if (searchBtn) {
+            searchBtn.addEventListener('mousedown', (e) => e.preventDefault());
             searchBtn.addEventListener('click', () => this.handleSearch());
         }
 
-        // Location input - allow Enter key to search
+        // Location input - suggest places while typing, allow Enter key to search
         const locationInput = document.getElementById('location-input');
         if (locationInput) {
-            locationInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.handleSearch();
+            SearchSuggestions.init(locationInput, document.getElementById('location-suggestions'),
+                (place) => this.handlePlacePick(place));
+            locationInput.addEventListener('keydown', (e) => {
+                // Enter on a highlighted suggestion picks it instead
+                if (e.key === 'Enter' && !e.defaultPrevented) this.handleSearch();
             });
         }
 
@@ -79,6 +171,220 @@ const App = {
         document.getElementById('share-twitter-btn')?.addEventListener('click', () => ShareModule.shareOnTwitter());
         document.getElementById('share-copy-btn')?.addEventListener('click', () => ShareModule.copyLink());
         document.getElementById('share-image-btn')?.addEventListener('click', () => ShareModule.downloadAsImage());
+        document.getElementById('share-geojson-btn')?.addEventListener('click', () => ShareModule.exportResult('geojson'));
+        document.getElementById('share-kml-btn')?.addEventListener('click', () => ShareModule.exportResult('kml'));
+
+        // Fuzzy membership toggle
+        document.getElementById('fuzzy-mode-toggle')?.addEventListener('change', (e) => {
+            this.setClassifierMode(e.target.checked ? 'fuzzy' : 'crisp');
+        });
+
+        // Terrain data source: live APIs and/or the bundled offline tiles
+        document.getElementById('terrain-source-select')?.addEventListener('change', (e) => {
+            this.setOfflineMode(e.target.value);
+        });
+
+        // Place search providers, e.g. "photon,gazetteer"
+        document.getElementById('geocoder-select')?.addEventListener('change', (e) => {
+            this.setGeocoder(e.target.value);
+        });
+
+        // Switch between English and Tamil
+        document.getElementById('language-toggle')?.addEventListener('click', () => {
+            this.setLanguage(I18n.language === 'ta' ? 'en' : 'ta');
+        });
+
+        // Color the map by region with the precomputed overlay
+        document.getElementById('map-overlay-toggle')?.addEventListener('change', (e) => {
+            this.setMapOverlay(e.target.checked);
+        });
+
+        // Remove the points classified on the map this session
+        document.getElementById('map-clear-btn')?.addEventListener('click', () => MapView.clearPoints());
+    },
+
+    /**
+     * Restore the interface language chosen in a previous visit, or follow
+     * the browser's language on the first one
+     */
+    loadLanguage() {
+        let language = null;
+        try {
+            language = localStorage.getItem(this.LANGUAGE_STORAGE_KEY);
+        } catch (e) {
+            // Storage unavailable; follow the browser
+        }
+        if (!I18n.LANGUAGES[language]) {
+            language = /^ta\b/i.test(navigator.language || '') ? 'ta' : I18n.DEFAULT_LANGUAGE;
+        }
+        this.applyLanguage(language);
+    },
+
+    /**
+     * Switch the interface language and redraw what is on screen
+     */
+    setLanguage(language) {
+        this.applyLanguage(language);
+        try {
+            localStorage.setItem(this.LANGUAGE_STORAGE_KEY, language);
+        } catch (e) {
+            console.warn('Could not save language:', e);
+        }
+
+        HistoryModule.render();
+        LookupQueue.render();
+        SettingsModule.render();
+        BatchModule.refresh();
+        const resultsSection = document.getElementById('results-section');
+        if (this.currentResult && resultsSection && !resultsSection.classList.contains('hidden')) {
+            this.renderResult(this.currentResult, this.currentLocationName);
+        }
+        MapView.refresh();
+        RouteModule.refresh();
+        AreaModule.refresh();
+    },
+
+    applyLanguage(language) {
+        I18n.setLanguage(language);
+        // The toggle names the other language, in that language
+        const toggle = document.getElementById('language-toggle');
+        if (toggle) toggle.lang = language === 'ta' ? 'en' : 'ta';
+    },
+
+    /**
+     * Region name as the interface language writes it: "குறிஞ்சி" or "Kurinji"
+     */
+    regionName(region, regionData) {
+        return I18n.language === 'ta' && regionData?.tamil ? regionData.tamil : region;
+    },
+
+    /**
+     * Restore the overlay choice from a previous visit; the toggle is
+     * disabled when the overlay tiles are not installed
+     */
+    async loadMapOverlay() {
+        const toggle = document.getElementById('map-overlay-toggle');
+        if (!toggle || !MapView.map) return;
+
+        try {
+            await MapView.loadOverlayManifest();
+        } catch (error) {
+            toggle.disabled = true;
+            const label = toggle.closest('label');
+            label.setAttribute('data-i18n-title', 'map.overlayMissing');
+            label.title = I18n.t('map.overlayMissing');
+            return;
+        }
+
+        let visible = false;
+        try {
+            visible = localStorage.getItem(this.MAP_OVERLAY_STORAGE_KEY) === 'on';
+        } catch (e) {
+            // Storage unavailable; start without the overlay
+        }
+        toggle.checked = visible;
+        if (visible) MapView.setOverlay(true);
+    },
+
+    /**
+     * Show or hide the thinai overlay and remember the choice
+     */
+    async setMapOverlay(visible) {
+        try {
+            localStorage.setItem(this.MAP_OVERLAY_STORAGE_KEY, visible ? 'on' : 'off');
+        } catch (e) {
+            console.warn('Could not save map overlay choice:', e);
+        }
+        await MapView.setOverlay(visible);
+    },
+
+    /**
+     * Restore the terrain data source chosen in a previous visit
+     */
+    loadOfflineMode() {
+        try {
+            const saved = localStorage.getItem(this.OFFLINE_MODE_STORAGE_KEY);
+            if (saved && APIClient.OFFLINE_MODES.includes(saved)) {
+                APIClient.setOfflineMode(saved);
+            }
+        } catch (e) {
+            // Storage unavailable; keep the default mode
+        }
+        const select = document.getElementById('terrain-source-select');
+        if (select) select.value = APIClient.offlineMode;
+    },
+
+    /**
+     * Switch when the bundled offline tiles are used for terrain lookups
+     */
+    setOfflineMode(mode) {
+        APIClient.setOfflineMode(mode);
+        try {
+            localStorage.setItem(this.OFFLINE_MODE_STORAGE_KEY, mode);
+        } catch (e) {
+            console.warn('Could not save offline mode:', e);
+        }
+    },
+
+    /**
+     * Restore the place search providers chosen in a previous visit
+     */
+    loadGeocoder() {
+        try {
+            const saved = localStorage.getItem(this.GEOCODER_STORAGE_KEY);
+            if (saved) Geocoding.configure({ providers: saved });
+        } catch (e) {
+            // Storage unavailable or an outdated choice; keep the default providers
+        }
+        const select = document.getElementById('geocoder-select');
+        if (select) select.value = Geocoding.providerOrder.join(',');
+    },
+
+    /**
+     * Switch the providers used for place search, in failover order
+     */
+    setGeocoder(providers) {
+        Geocoding.configure({ providers });
+        try {
+            localStorage.setItem(this.GEOCODER_STORAGE_KEY, providers);
+        } catch (e) {
+            console.warn('Could not save geocoder choice:', e);
+        }
+    },
+
+    /**
+     * Restore the classifier mode chosen in a previous visit
+     */
+    loadClassifierMode() {
+        try {
+            if (localStorage.getItem(this.MODE_STORAGE_KEY) === 'fuzzy') {
+                TerrainAnalyzer.mode = 'fuzzy';
+            }
+        } catch (e) {
+            // Storage unavailable; keep the default mode
+        }
+        const toggle = document.getElementById('fuzzy-mode-toggle');
+        if (toggle) toggle.checked = TerrainAnalyzer.mode === 'fuzzy';
+    },
+
+    /**
+     * Switch between crisp and fuzzy classification and refresh the chart
+     */
+    setClassifierMode(mode) {
+        TerrainAnalyzer.mode = mode;
+        try {
+            localStorage.setItem(this.MODE_STORAGE_KEY, mode);
+        } catch (e) {
+            console.warn('Could not save classifier mode:', e);
+        }
+
+        // Memberships only depend on the terrain data, so no refetch is needed
+        const result = this.currentResult;
+        if (result && mode === 'fuzzy' && !result.memberships) {
+            result.memberships = TerrainAnalyzer.getFuzzyMemberships(result.terrainData);
+            result.fuzzyRegion = TerrainAnalyzer.getStrongestMembership(result.memberships);
+        }
+        this.renderMemberships(result);
     },
 
     /**
@@ -89,8 +395,9 @@ const App = {
             const detectBtn = document.getElementById('detect-location-btn');
             if (detectBtn) {
                 detectBtn.disabled = true;
-                detectBtn.innerHTML = '<span>⚠️</span><span>Location Not Supported</span>';
-                detectBtn.title = 'Your browser does not support geolocation';
+                detectBtn.innerHTML = `<span>⚠️</span><span data-i18n="input.detectUnsupported">${I18n.t('input.detectUnsupported')}</span>`;
+                detectBtn.setAttribute('data-i18n-title', 'input.detectUnsupportedTitle');
+                detectBtn.title = I18n.t('input.detectUnsupportedTitle');
             }
         }
     },
@@ -99,89 +406,201 @@ const App = {
      * Handle detect location button click
      */
     async handleDetectLocation() {
+        const signal = this.startLookup();
         try {
-            this.showLoading('Requesting location permission...');
+            this.showLoading(I18n.t('loading.permission'));
             const position = await GeoLocation.requestLocation((message) => {
                 this.updateLoadingMessage(message);
             });
-            await this.classifyAndDisplay(position.lat, position.lon);
+            if (signal.aborted) return;
+            await this.classifyAndDisplay(position.lat, position.lon, null, { signal });
         } catch (error) {
+            if (APIClient.isAbortError(error)) return;
             console.error('Geolocation error:', error);
-            this.showError('Location Access Failed', error.userMessage || error.message);
+            this.showError(I18n.t('error.locationFailed'), error.userMessage || error.message);
         }
     },
 
+    /**
+     * Classify a place picked from the search suggestions
+     */
+    async handlePlacePick(place) {
+        const signal = this.startLookup();
+        this.showLoading(I18n.t('loading.found'));
+        await this.classifyAndDisplay(place.lat, place.lon, place.displayName, { signal });
+    },
+
+    /**
+     * Classify a point clicked on the map (or where the marker was dropped),
+     * keeping the map in view
+     */
+    async handleMapPick(lat, lon) {
+        const signal = this.startLookup();
+        await this.classifyAndDisplay(lat, lon, null, { signal, scroll: false });
+    },
+
     /**
      * Handle manual location search
+     * An ambiguous place name is only classified once one of its candidates
+     * is picked from the suggestions.
      */
     async handleSearch() {
         const input = document.getElementById('location-input');
         const locationText = input ? input.value : '';
 
         if (!locationText || locationText.trim() === '') {
-            this.showError('Input Required', 'Please enter a location to search.');
+            this.showError(I18n.t('error.inputRequired'), I18n.t('geocoding.enterLocation'));
             return;
         }
 
+        SearchSuggestions.cancel();
+        if (SearchSuggestions.interceptSearch()) return;
+        const signal = this.startLookup();
         try {
-            this.showLoading('Searching for location...');
-            const result = await Geocoding.search(locationText, (message) => {
-                this.updateLoadingMessage(message);
+            this.showLoading(I18n.t('loading.searching'));
+            const candidates = await Geocoding.getSuggestions(locationText, { signal }).catch(error => {
+                if (APIClient.isAbortError(error)) throw error;
+                // Leave it to the search below to report
+                return [];
             });
-            await this.classifyAndDisplay(result.lat, result.lon, result.displayName);
+            if (candidates.length > 1) {
+                this.hideAllSections();
+                SearchSuggestions.show(candidates, { prompt: true });
+                return;
+            }
+
+            const result = candidates[0] || await Geocoding.search(locationText, (message) => {
+                this.updateLoadingMessage(message);
+            }, { signal });
+            await this.classifyAndDisplay(result.lat, result.lon, result.displayName, { signal });
         } catch (error) {
+            if (APIClient.isAbortError(error)) return;
             console.error('Search error:', error);
-            this.showError('Location Search Failed', error.userMessage || error.message);
+            if (APIClient.isOffline()) {
+                LookupQueue.add({ query: locationText.trim() });
+                this.showQueued(locationText.trim());
+                return;
+            }
+            this.showError(I18n.t('error.searchFailed'), error.userMessage || error.message);
         }
     },
 
     /**
      * Classify location and display results
+     * Starts a new lookup (cancelling the previous one) unless given a signal
      */
-    async classifyAndDisplay(lat, lon, displayName = null) {
+    async classifyAndDisplay(lat, lon, displayName = null, { signal = this.startLookup(), scroll = true } = {}) {
+        // Offline, a saved result for the same place is the best answer available
+        const saved = APIClient.isOffline() ? HistoryModule.find(lat, lon) : null;
+        if (saved && saved.result) {
+            await this.showSavedResult(saved, { scroll });
+            return;
+        }
+
         try {
-            this.updateLoadingMessage('Analyzing terrain characteristics...');
-            const result = await TerrainAnalyzer.classifyLocation(lat, lon);
+            this.updateLoadingMessage(I18n.t('loading.analyzing'));
+            const result = await TerrainAnalyzer.classifyLocation(lat, lon, { signal });
 
+            // Offline, only the bundled gazetteer is asked
             if (!displayName) {
-                this.updateLoadingMessage('Getting location details...');
-                displayName = await GeoLocation.getLocationName(lat, lon);
+                this.updateLoadingMessage(I18n.t('loading.details'));
+                displayName = await GeoLocation.getLocationName(lat, lon, { signal });
             }
 
-            this.showResults(result, displayName);
+            // A newer lookup has replaced this one
+            if (signal.aborted) return;
+            this.showResults(result, displayName, { scroll });
         } catch (error) {
+            if (APIClient.isAbortError(error)) return;
             console.error('Classification error:', error);
-            this.showError('Classification Failed', error.message || 'Unable to analyze this location. Please try another one.');
+            if (APIClient.isOffline()) {
+                LookupQueue.add({ lat, lon, name: displayName });
+                this.showQueued(displayName || GeoLocation.formatCoordinates(lat, lon));
+                return;
+            }
+            this.showError(I18n.t('error.classificationFailed'), error.message || I18n.t('error.classificationMessage'));
         }
     },
 
+    /**
+     * Show a result saved in history, as it was when classified
+     */
+    async showSavedResult(entry, { scroll = true } = {}) {
+        const regionData = await TerrainAnalyzer.loadRegionData();
+        this.showResults({
+            ...entry.result,
+            regionData: regionData[entry.result.region],
+            runnerUpData: regionData[entry.result.runnerUp],
+            restored: true
+        }, entry.locationName, { scroll });
+    },
+
     /**
      * Display classification results
+     * scroll: false leaves the page where it is (picks made on the map)
      */
-    showResults(result, locationName) {
-        const { region, regionData, terrainData, coordinates } = result;
+    showResults(result, locationName, { scroll = true } = {}) {
+        const { region, regionData, coordinates } = result;
 
         this.hideAllSections();
+        this.renderResult(result, locationName);
+
+        // Share module context
+        ShareModule.setContext(region, locationName, coordinates.lat, coordinates.lon, result);
+
+        // Save to history
+        HistoryModule.save(
+            locationName || `${coordinates.lat.toFixed(2)}, ${coordinates.lon.toFixed(2)}`,
+            region,
+            regionData.icon || '📍',
+            regionData.color || '#818cf8',
+            coordinates.lat,
+            coordinates.lon,
+            result
+        );
+
+        // Show results section
+        const resultsSection = document.getElementById('results-section');
+        if (resultsSection) {
+            resultsSection.classList.remove('hidden');
+            if (scroll) resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        // The map is extra; a failure there must not lose the result
+        try {
+            MapView.render(result, locationName);
+        } catch (error) {
+            console.warn('Map update failed:', error);
+        }
+    },
+
+    /**
+     * Fill the result card in the interface language (also used to redraw
+     * it when the language changes)
+     */
+    renderResult(result, locationName) {
+        const { region, regionData, terrainData, coordinates } = result;
 
         // Apply region theme to body
         document.body.setAttribute('data-region', region);
 
-        // Region header
+        // Region header: the name in the interface language, the other beneath it
         const regionIcon = document.getElementById('region-icon');
         const regionNameEl = document.getElementById('region-name');
         const regionTamil = document.getElementById('region-tamil');
         const regionEnglish = document.getElementById('region-english');
         const regionDesc = document.getElementById('region-description');
         const emotionBadge = document.getElementById('emotion-badge');
+        const tamil = I18n.language === 'ta';
 
         if (regionIcon) regionIcon.textContent = regionData.icon || '';
         if (regionNameEl) {
-            regionNameEl.textContent = region;
+            regionNameEl.textContent = this.regionName(region, regionData);
             regionNameEl.style.color = regionData.color || '';
         }
-        if (regionTamil) regionTamil.textContent = regionData.tamil || '';
-        if (regionEnglish) regionEnglish.textContent = regionData.english || '';
-        if (regionDesc) regionDesc.textContent = regionData.description || '';
+        if (regionTamil) regionTamil.textContent = (tamil ? region : regionData.tamil) || '';
+        if (regionEnglish) regionEnglish.textContent = (tamil ? regionData.landscapeTamil : regionData.english) || '';
+        if (regionDesc) regionDesc.textContent = I18n.field(regionData, 'description') || '';
 
         // Emotion badge
         if (emotionBadge && regionData.emotionEnglish) {
@@ -193,8 +612,9 @@ const App = {
 
         // Characteristics
         const charList = document.getElementById('characteristics-list');
-        if (charList && regionData.characteristics) {
-            charList.innerHTML = regionData.characteristics
+        const characteristics = I18n.field(regionData, 'characteristics');
+        if (charList && characteristics) {
+            charList.innerHTML = characteristics
                 .map(char => `<li>${char}</li>`)
                 .join('');
         }
@@ -204,6 +624,21 @@ const App = {
         this.animateValue('param-elevation', formatted.elevation);
         this.animateValue('param-coast', formatted.coastDistance);
         this.animateValue('param-precipitation', formatted.precipitation);
+        this.renderClimatology(result.climatology);
+        this.renderProvenance(result.provenance);
+        this.renderConfidence(result);
+        this.renderTrace(result);
+        this.currentResult = result;
+        this.currentLocationName = locationName;
+        this.renderMemberships(result);
+
+        const offlineNotice = document.getElementById('offline-notice');
+        if (offlineNotice) {
+            offlineNotice.textContent = result.restored
+                ? I18n.t('result.savedOffline', { date: I18n.formatDate(result.classifiedAt) })
+                : '';
+            offlineNotice.classList.toggle('hidden', !result.restored);
+        }
 
         // Result card border color
         const resultCard = document.getElementById('result-card');
@@ -231,35 +666,197 @@ const App = {
         const locationCoords = document.getElementById('location-coords');
         if (locationCoords) {
             const coordsText = GeoLocation.formatCoordinates(coordinates.lat, coordinates.lon);
-            locationCoords.textContent = `${locationName || 'Your location'} (${coordsText})`;
+            locationCoords.textContent = `${locationName || I18n.t('result.yourLocation')} (${coordsText})`;
         }
+    },
 
-        // Share module context
-        ShareModule.setContext(region, locationName, coordinates.lat, coordinates.lon);
+    /**
+     * Show last year's rainfall, the year-to-year spread and monthly means
+     * beside the typical (multi-year mean) precipitation
+     */
+    renderClimatology(climatology) {
+        const detail = document.getElementById('param-precipitation-detail');
+        const chart = document.getElementById('monthly-rain');
 
-        // Save to history
-        HistoryModule.save(
-            locationName || `${coordinates.lat.toFixed(2)}, ${coordinates.lon.toFixed(2)}`,
-            region,
-            regionData.icon || '📍',
-            regionData.color || '#818cf8',
-            coordinates.lat,
-            coordinates.lon
-        );
+        if (!climatology) {
+            if (detail) detail.textContent = '';
+            if (chart) chart.innerHTML = '';
+            return;
+        }
 
-        // Show results section
-        const resultsSection = document.getElementById('results-section');
-        if (resultsSection) {
-            resultsSection.classList.remove('hidden');
-            resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (detail) {
+            detail.textContent = I18n.t('result.climatology', {
+                start: I18n.formatNumber(climatology.startYear),
+                end: I18n.formatNumber(climatology.endYear),
+                spread: I18n.t('units.mm', { value: I18n.formatNumber(climatology.spread) }),
+                year: I18n.formatNumber(climatology.lastYear.year),
+                total: TerrainAnalyzer.formatPrecipitation(climatology.lastYear.total)
+            });
         }
 
-        // Render map after results are visible
-        setTimeout(() => {
-            if (typeof MapView !== 'undefined') {
-                MapView.render(coordinates.lat, coordinates.lon, region, regionData.color || '#818cf8');
-            }
-        }, 400);
+        if (chart && climatology.monthly) {
+            const months = I18n.monthNames();
+            const wettest = Math.max(...climatology.monthly, 1);
+            chart.innerHTML = climatology.monthly.map((mm, i) =>
+                `<span class="monthly-rain-bar" style="height:${Math.max(4, Math.round(mm / wettest * 100))}%" title="${months[i]}: ${I18n.t('units.mm', { value: I18n.formatNumber(mm) })}"></span>`
+            ).join('');
+        }
+    },
+
+    /**
+     * Show where each terrain value came from and flag estimated or missing inputs
+     */
+    renderProvenance(provenance = {}) {
+        const fields = [
+            { key: 'elevation', id: 'param-elevation', name: I18n.t('provenance.elevation') },
+            { key: 'coastDistance', id: 'param-coast', name: I18n.t('provenance.coastDistance') },
+            { key: 'precipitation', id: 'param-precipitation', name: I18n.t('provenance.precipitation') }
+        ];
+        const estimated = [];
+        const missing = [];
+
+        for (const field of fields) {
+            const p = provenance[field.key];
+            const parameter = document.getElementById(field.id)?.closest('.parameter');
+            parameter?.classList.toggle('param-estimated', !!p?.estimated);
+            parameter?.classList.toggle('param-missing', !!p?.missing);
+
+            const source = document.getElementById(`${field.id}-source`);
+            if (source) source.textContent = p ? this.describeProvenance(p) : '';
+
+            if (p?.missing) missing.push(field.name);
+            else if (p?.estimated) estimated.push(field.name);
+        }
+
+        const warning = document.getElementById('data-warning');
+        if (!warning) return;
+
+        const messages = [];
+        if (missing.length) {
+            messages.push(I18n.t('provenance.missingWarning', { fields: missing.join(I18n.t('provenance.and')) }));
+        }
+        if (estimated.length) {
+            messages.push(I18n.t('provenance.estimatedWarning', { fields: estimated.join(I18n.t('provenance.and')) }));
+        }
+        warning.textContent = messages.join(' ');
+        warning.classList.toggle('hidden', messages.length === 0);
+    },
+
+    /**
+     * One-line description of a terrain value's provenance
+     */
+    describeProvenance(p) {
+        if (p.missing) return I18n.t('provenance.missing');
+
+        const parts = [p.estimated ? I18n.t('provenance.estimated', { source: p.source }) : p.source];
+        if (p.dateRange) parts.push(`${p.dateRange.start.slice(0, 4)}–${p.dateRange.end.slice(0, 4)}`);
+        if (p.fetchedAt) parts.push(I18n.t(p.cached ? 'provenance.cached' : 'provenance.fetched', { date: p.fetchedAt.slice(0, 10) }));
+        return parts.join(' · ');
+    },
+
+    /**
+     * Show how clear-cut the classification is and the runner-up region
+     */
+    renderConfidence(result) {
+        const panel = document.getElementById('confidence-panel');
+        if (!panel) return;
+
+        if (typeof result.confidence !== 'number') {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const percent = Math.round(result.confidence * 100);
+        const label = I18n.t(result.confidence >= 0.7 ? 'confidence.clear'
+            : result.confidence >= 0.35 ? 'confidence.moderate' : 'confidence.borderline');
+
+        const valueEl = document.getElementById('confidence-value');
+        if (valueEl) valueEl.textContent = `${label} · ${I18n.formatNumber(percent)}%`;
+
+        const bar = document.getElementById('confidence-bar');
+        if (bar) {
+            bar.style.width = `${Math.max(percent, 3)}%`;
+            bar.style.background = result.regionData?.color || '';
+        }
+
+        const notes = [];
+        if (result.runnerUp) {
+            const icon = result.runnerUpData?.icon;
+            const name = this.regionName(result.runnerUp, result.runnerUpData);
+            notes.push(I18n.t('confidence.runnerUp', { region: `${icon ? icon + ' ' : ''}${name}` }));
+        }
+        if (result.usedBestFit) {
+            notes.push(I18n.t('confidence.bestFit'));
+        }
+        const note = document.getElementById('confidence-note');
+        if (note) note.textContent = notes.join(' · ');
+
+        panel.classList.remove('hidden');
+    },
+
+    /**
+     * List the rules tried, in order, and which one decided the region
+     */
+    async renderTrace(result) {
+        const details = document.getElementById('rule-trace');
+        const list = document.getElementById('rule-trace-list');
+        if (!details || !list) return;
+
+        if (!result.trace) {
+            details.classList.add('hidden');
+            return;
+        }
+
+        const regions = await TerrainAnalyzer.loadRegionData();
+        const lines = RuleEngine.formatTrace(result.trace, {
+            regionName: region => this.regionName(region, regions[region])
+        });
+        if (result.usedBestFit) {
+            lines.push(I18n.t('trace.bestFit', { region: this.regionName(result.region, result.regionData) }));
+        }
+        list.innerHTML = lines.map(line => `<li>${line.replace(/</g, '&lt;')}</li>`).join('');
+
+        const setName = document.getElementById('rule-trace-set');
+        if (setName) setName.textContent = result.ruleSet ? `· ${result.ruleSet}` : '';
+
+        details.classList.remove('hidden');
+    },
+
+    /**
+     * Render the five-way fuzzy membership bar chart (fuzzy mode only)
+     */
+    async renderMemberships(result) {
+        const chart = document.getElementById('membership-chart');
+        if (!chart) return;
+
+        if (TerrainAnalyzer.mode !== 'fuzzy' || !result?.memberships) {
+            chart.classList.add('hidden');
+            return;
+        }
+
+        const regions = await TerrainAnalyzer.loadRegionData();
+        const order = ['Kurinji', 'Mullai', 'Marudham', 'Neithal', 'Paalai'];
+
+        chart.innerHTML = order.map(region => {
+            const data = regions[region] || {};
+            const percent = Math.round((result.memberships[region] || 0) * 100);
+            const isCrisp = region === result.region;
+            return `
+                <div class="membership-row${isCrisp ? ' membership-crisp' : ''}" title="${(I18n.language === 'ta' ? data.landscapeTamil : data.english) || this.regionName(region, data)}">
+                    <span class="membership-name">${data.icon || ''} ${this.regionName(region, data)}</span>
+                    <div class="membership-track">
+                        <div class="membership-bar" style="width:${percent}%;background:${data.color || ''}"></div>
+                    </div>
+                    <span class="membership-value">${I18n.formatNumber(percent)}%</span>
+                </div>`;
+        }).join('') + (result.fuzzyRegion && result.fuzzyRegion !== result.region
+            ? `<p class="membership-note">${I18n.t('membership.note', {
+                fuzzy: this.regionName(result.fuzzyRegion, regions[result.fuzzyRegion]),
+                crisp: this.regionName(result.region, regions[result.region])
+            })}</p>`
+            : '');
+
+        chart.classList.remove('hidden');
     },
 
     /**
@@ -302,6 +899,7 @@ const App = {
      */
     showError(title, message) {
         this.hideAllSections();
+        MapView.cancelPending();
         document.body.removeAttribute('data-region');
 
         const errorSection = document.getElementById('error-section');
@@ -327,7 +925,6 @@ const App = {
     resetToInput() {
         this.hideAllSections();
         document.body.removeAttribute('data-region');
-        MapView.destroy?.();
 
         const inputSection = document.getElementById('input-section');
         if (inputSection) {
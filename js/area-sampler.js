@@ -0,0 +1,246 @@
+/**
+ * Area Sampler Module
+ * Classifies an area (drawn on the map or read from a GeoJSON or KML file)
+ * on a grid of cells and works out the share of it in each thinai
+ */
+
+const AreaSampler = {
+    DEFAULT_STEP_KM: 5,
+    // Each cell costs an elevation and a rainfall lookup
+    MAX_CELLS: 150,
+    KM_PER_DEGREE: 111.32,
+
+    terrainAnalyzer: typeof TerrainAnalyzer !== 'undefined' ? TerrainAnalyzer : null,
+
+    /**
+     * Read the polygons of a GeoJSON or KML file
+     * Returns { name, polygons }, each polygon a list of rings (outer boundary
+     * first, then holes) of [lat, lon] points; throws if there are none.
+     */
+    parse(text) {
+        const trimmed = String(text).trim();
+        return trimmed.startsWith('{') ? this.parseGeoJson(trimmed) : this.parseKml(trimmed);
+    },
+
+    parseGeoJson(text) {
+        let json;
+        try {
+            json = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error(`Invalid GeoJSON: ${error.message}`);
+        }
+
+        const polygons = [];
+        let name = null;
+        const toRing = ring => ring.map(([lon, lat]) => [Number(lat), Number(lon)]);
+        const visit = (geometry) => {
+            if (!geometry) return;
+            if (geometry.type === 'Polygon') {
+                polygons.push(geometry.coordinates.map(toRing));
+            } else if (geometry.type === 'MultiPolygon') {
+                geometry.coordinates.forEach(polygon => polygons.push(polygon.map(toRing)));
+            } else if (geometry.type === 'GeometryCollection') {
+                (geometry.geometries || []).forEach(visit);
+            }
+        };
+        const features = json.type === 'FeatureCollection' ? json.features || []
+            : json.type === 'Feature' ? [json]
+            : [{ geometry: json }];
+        for (const feature of features) {
+            const before = polygons.length;
+            visit(feature.geometry);
+            if (!name && polygons.length > before) name = this._featureName(feature.properties);
+        }
+
+        return { name, polygons: this._checkPolygons(polygons, 'GeoJSON') };
+    },
+
+    parseKml(text) {
+        const polygons = [];
+        let name = null;
+        const readRing = (xml) => {
+            const coordinates = /<coordinates>([\s\S]*?)<\/coordinates>/.exec(xml);
+            if (!coordinates) return null;
+            return coordinates[1].trim().split(/\s+/).map(tuple => {
+                const [lon, lat] = tuple.split(',').map(Number);
+                return [lat, lon];
+            });
+        };
+
+        for (const [, placemark] of String(text).matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g)) {
+            const before = polygons.length;
+            for (const [, polygon] of placemark.matchAll(/<Polygon\b[^>]*>([\s\S]*?)<\/Polygon>/g)) {
+                const outer = /<outerBoundaryIs>([\s\S]*?)<\/outerBoundaryIs>/.exec(polygon);
+                const inner = [...polygon.matchAll(/<innerBoundaryIs>([\s\S]*?)<\/innerBoundaryIs>/g)];
+                const rings = [outer && readRing(outer[1]), ...inner.map(([, xml]) => readRing(xml))];
+                if (rings[0]) polygons.push(rings.filter(Boolean));
+            }
+            const placemarkName = /<name>([\s\S]*?)<\/name>/.exec(placemark);
+            if (!name && polygons.length > before && placemarkName) {
+                name = placemarkName[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim() || null;
+            }
+        }
+
+        return { name, polygons: this._checkPolygons(polygons, 'KML') };
+    },
+
+    /**
+     * Whether a point lies inside any of the polygons (and outside their holes)
+     */
+    contains(polygons, lat, lon) {
+        return polygons.some(rings => {
+            let inside = false;
+            for (const ring of rings) {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [latI, lonI] = ring[i];
+                    const [latJ, lonJ] = ring[j];
+                    if ((latI > lat) !== (latJ > lat) &&
+                        lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+                        inside = !inside;
+                    }
+                }
+            }
+            return inside;
+        });
+    },
+
+    /**
+     * { south, west, north, east } of the polygons' outer boundaries
+     */
+    bounds(polygons) {
+        const points = polygons.flatMap(rings => rings[0]);
+        const lats = points.map(([lat]) => lat);
+        const lons = points.map(([, lon]) => lon);
+        return {
+            south: Math.min(...lats), west: Math.min(...lons),
+            north: Math.max(...lats), east: Math.max(...lons)
+        };
+    },
+
+    /**
+     * Approximate area in km² (rings projected about their mean latitude)
+     */
+    area(polygons) {
+        const ringArea = (ring) => {
+            const scale = Math.cos(ring.reduce((sum, [lat]) => sum + lat, 0) / ring.length * Math.PI / 180);
+            let twice = 0;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                twice += (ring[j][1] * scale) * ring[i][0] - (ring[i][1] * scale) * ring[j][0];
+            }
+            return Math.abs(twice) / 2 * this.KM_PER_DEGREE ** 2;
+        };
+        return polygons.reduce((total, [outer, ...holes]) =>
+            total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+    },
+
+    /**
+     * Centres of the grid cells, stepKm apart, that fall inside the polygons
+     * The step is widened when the area would need more than MAX_CELLS; an
+     * area smaller than one cell is sampled once, at the middle of its boundary.
+     * Returns { area, step, latStep, lonStep, cells: [{ lat, lon }] }
+     */
+    sampleGrid(polygons, stepKm = this.DEFAULT_STEP_KM) {
+        if (!Array.isArray(polygons) || polygons.length === 0) {
+            throw new Error('An area needs at least one polygon');
+        }
+        if (!(stepKm > 0)) {
+            throw new Error(`Invalid grid spacing: ${stepKm}`);
+        }
+
+        const area = this.area(polygons);
+        const { south, west, north, east } = this.bounds(polygons);
+        const lonScale = Math.max(0.01, Math.cos((south + north) / 2 * Math.PI / 180));
+
+        let step = Math.max(stepKm, Math.sqrt(area / this.MAX_CELLS));
+        for (;;) {
+            const latStep = step / this.KM_PER_DEGREE;
+            const lonStep = latStep / lonScale;
+            const cells = [];
+            // Centre the grid on the bounding box
+            const rows = Math.max(1, Math.ceil((north - south) / latStep));
+            const columns = Math.max(1, Math.ceil((east - west) / lonStep));
+            const firstLat = (south + north) / 2 - (rows - 1) / 2 * latStep;
+            const firstLon = (west + east) / 2 - (columns - 1) / 2 * lonStep;
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const lat = firstLat + row * latStep;
+                    const lon = firstLon + column * lonStep;
+                    if (this.contains(polygons, lat, lon)) cells.push({ lat, lon });
+                }
+            }
+
+            if (cells.length <= this.MAX_CELLS) {
+                if (cells.length === 0) {
+                    const outer = polygons[0][0];
+                    cells.push({
+                        lat: outer.reduce((sum, [lat]) => sum + lat, 0) / outer.length,
+                        lon: outer.reduce((sum, [, lon]) => sum + lon, 0) / outer.length
+                    });
+                }
+                return { area, step, latStep, lonStep, cells };
+            }
+            // The area estimate can be off for ragged shapes; widen and retry
+            step *= Math.sqrt(cells.length / this.MAX_CELLS) * 1.02;
+        }
+    },
+
+    /**
+     * Classify every grid cell with TerrainAnalyzer.classifyPoints
+     * options.onProgress and options.signal are passed on to it.
+     * Returns { area, step, latStep, lonStep, cells, totals } (see summarize)
+     */
+    async classify(polygons, { stepKm = this.DEFAULT_STEP_KM, signal, onProgress } = {}) {
+        const grid = this.sampleGrid(polygons, stepKm);
+        const classified = await this.terrainAnalyzer.classifyPoints(grid.cells, { signal, onProgress });
+        return { ...grid, cells: classified, totals: this.summarize(classified) };
+    },
+
+    /**
+     * Share of the area in each region, largest first
+     * Cells are weighted by the cosine of their latitude, since a grid step
+     * in degrees covers less ground away from the equator. Cells without a
+     * region count as region null.
+     * Returns [{ region, cells, share }]
+     */
+    summarize(cells) {
+        const byRegion = new Map();
+        let totalWeight = 0;
+        for (const cell of cells) {
+            const region = cell.region || null;
+            const weight = Math.cos(cell.lat * Math.PI / 180);
+            const entry = byRegion.get(region) || { region, cells: 0, weight: 0 };
+            entry.cells++;
+            entry.weight += weight;
+            byRegion.set(region, entry);
+            totalWeight += weight;
+        }
+
+        return [...byRegion.values()]
+            .map(({ region, cells, weight }) => ({ region, cells, share: totalWeight > 0 ? weight / totalWeight : 0 }))
+            .sort((a, b) => b.share - a.share);
+    },
+
+    _featureName(properties) {
+        if (!properties) return null;
+        const key = ['name', 'NAME', 'district', 'DISTRICT', 'NAME_2', 'NAME_1', 'title'].find(k => properties[k]);
+        return key ? String(properties[key]) : null;
+    },
+
+    /**
+     * Drop rings too short to enclose anything and polygons without an outer ring
+     */
+    _checkPolygons(polygons, format) {
+        const valid = polygons
+            .map(rings => rings.map(ring => ring.filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon))))
+            .filter(rings => rings[0].length >= 3)
+            .map(rings => rings.filter(ring => ring.length >= 3));
+        if (valid.length === 0) {
+            throw new Error(`No polygon found in the ${format} file`);
+        }
+        return valid;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AreaSampler;
+}
@@ -0,0 +1,274 @@
+/**
+ * Area Module
+ * Draws an area on the map (or loads a GeoJSON or KML polygon), classifies
+ * it on a grid with AreaSampler and shows the share of each thinai
+ */
+
+const AreaModule = {
+    polygons: [],
+    name: null,
+    grid: null,
+    cells: [],
+    result: null,
+    regionData: null,
+    running: false,
+    controller: null,
+
+    // Mini-map size in SVG units; it scales to the panel width
+    MINIMAP: { width: 320, height: 240, padding: 8 },
+    NO_DATA_COLOR: '#64748b',
+
+    /**
+     * Bind the area controls under the map
+     */
+    init() {
+        SamplingPanel.bind('area', this, { fileInput: 'area-file-input', onFile: text => this.loadFile(text) });
+
+        const stepInput = document.getElementById('area-step-input');
+        if (stepInput) {
+            if (!stepInput.value) stepInput.value = AreaSampler.DEFAULT_STEP_KM;
+            // The hint counts the cells the chosen spacing gives
+            stepInput.addEventListener('input', () => {
+                if (!this.running && !MapView.drawing) this.setArea(this.polygons, this.name);
+            });
+        }
+
+        TerrainAnalyzer.loadRegionData().then(regionData => {
+            this.regionData = regionData;
+        });
+    },
+
+    /**
+     * Start drawing an area on the map, or finish the one being drawn
+     */
+    toggleDrawing() {
+        if (MapView.drawing?.shape === 'polygon') {
+            MapView.finishDrawing();
+            return;
+        }
+
+        this.setArea([]);
+        MapView.startDrawing({
+            shape: 'polygon',
+            onChange: points => this._setStatus(I18n.t('area.drawing', { count: I18n.formatNumber(points.length) })),
+            onFinish: points => {
+                this._setDrawing(false);
+                this.setArea(points.length >= 3 ? [[points]] : []);
+                if (points.length > 0 && points.length < 3) this._setStatus(I18n.t('area.tooSmall'));
+            }
+        });
+        this._setDrawing(true);
+        this._setStatus(I18n.t('area.drawing', { count: I18n.formatNumber(0) }));
+    },
+
+    /**
+     * Use the polygons of a GeoJSON or KML file
+     */
+    loadFile(text) {
+        if (MapView.drawing) MapView.finishDrawing();
+        try {
+            const { name, polygons } = AreaSampler.parse(text);
+            this.setArea(polygons, name);
+            MapView.showArea(polygons);
+        } catch (error) {
+            console.warn('Area file error:', error);
+            this._setStatus(I18n.t('area.fileError'));
+        }
+    },
+
+    /**
+     * Replace the area and describe it
+     */
+    setArea(polygons, name = null) {
+        this.polygons = polygons;
+        this.name = name;
+        const runBtn = document.getElementById('area-run-btn');
+        if (runBtn) runBtn.disabled = polygons.length === 0 || this.running;
+        document.getElementById('area-clear-btn')?.classList.toggle('hidden', polygons.length === 0);
+
+        if (polygons.length === 0) {
+            this._setStatus('');
+            return;
+        }
+        const { area, cells } = AreaSampler.sampleGrid(polygons, this._stepKm());
+        this._setStatus(I18n.t(name ? 'area.readyNamed' : 'area.ready', {
+            name,
+            area: TerrainAnalyzer.formatArea(area),
+            cells: I18n.formatNumber(cells.length)
+        }));
+    },
+
+    /**
+     * Classify the area's grid cells and fill in the mini-map as they come in
+     */
+    async run() {
+        if (this.running || this.polygons.length === 0) return;
+
+        const stepKm = this._stepKm();
+        this.running = true;
+        this.result = null;
+        this.cells = [];
+        this.grid = AreaSampler.sampleGrid(this.polygons, stepKm);
+        this.controller = new AbortController();
+        this._setRunning(true);
+        SamplingPanel.show('area', ['composition']);
+        this.render();
+
+        try {
+            this.result = await AreaSampler.classify(this.polygons, {
+                stepKm,
+                signal: this.controller.signal,
+                onProgress: (done, total, cells) => {
+                    this.cells = cells;
+                    this._setProgress(done, total, I18n.t('area.progress', {
+                        done: I18n.formatNumber(done),
+                        total: I18n.formatNumber(total)
+                    }));
+                    this.render();
+                }
+            });
+            this.cells = this.result.cells;
+        } catch (error) {
+            if (!APIClient.isAbortError(error)) throw error;
+            this._setStatus(I18n.t('area.stopped', {
+                done: I18n.formatNumber(this.cells.length),
+                total: I18n.formatNumber(this.grid.cells.length)
+            }), 'status');
+        } finally {
+            this.running = false;
+            this.controller = null;
+            this._setRunning(false);
+        }
+
+        MapView.showArea(this.polygons, { ...this.grid, cells: this.cells });
+        if (this.result) this.render();
+    },
+
+    /**
+     * Stop any run and remove the area from the map and the page
+     */
+    clear() {
+        if (this.controller) this.controller.abort();
+        MapView.clearArea();
+        this._setDrawing(false);
+        this.setArea([]);
+        this.grid = null;
+        this.cells = [];
+        this.result = null;
+        SamplingPanel.hide('area');
+    },
+
+    /**
+     * Redraw the area text after the language changes
+     */
+    refresh() {
+        if (!MapView.drawing && !this.running) this.setArea(this.polygons, this.name);
+        if (!this.running) this.render();
+        if (this.cells.length && !this.running) MapView.showArea(this.polygons, { ...this.grid, cells: this.cells });
+    },
+
+    /**
+     * Draw the mini-map, composition and status for the cells so far
+     */
+    render() {
+        if (!this.grid) return;
+        const title = document.getElementById('area-title');
+        if (title) title.textContent = this.name ? I18n.t('area.titleNamed', { name: this.name }) : I18n.t('area.title');
+
+        const minimap = document.getElementById('area-minimap');
+        if (minimap) minimap.innerHTML = this.minimapSvg(this.grid, this.cells);
+
+        const composition = document.getElementById('area-composition');
+        if (composition) {
+            composition.innerHTML = this.cells.length ? this.compositionHtml(AreaSampler.summarize(this.cells)) : '';
+        }
+
+        if (this.result) {
+            const failed = this.result.cells.filter(cell => cell.error).length;
+            const params = {
+                area: TerrainAnalyzer.formatArea(this.result.area),
+                cells: I18n.formatNumber(this.result.cells.length),
+                step: TerrainAnalyzer.formatDistance(this.result.step),
+                failed: I18n.formatNumber(failed)
+            };
+            this._setProgress(1, 1, I18n.t(failed ? 'area.doneFailed' : 'area.done', params));
+        }
+    },
+
+    /**
+     * SVG mini-map of the grid: classified cells in their region's color,
+     * cells still to come as outlines, and the area's boundary on top
+     */
+    minimapSvg(grid, cells) {
+        const { width, height, padding } = this.MINIMAP;
+        const { south, west, north, east } = AreaSampler.bounds(this.polygons);
+        const lonScale = Math.cos((south + north) / 2 * Math.PI / 180);
+        // Fit the bounds plus half a cell all round, keeping the shape
+        const spanX = (east - west + grid.lonStep) * lonScale;
+        const spanY = north - south + grid.latStep;
+        const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+        const offsetX = (width - spanX * scale) / 2;
+        const offsetY = (height - spanY * scale) / 2;
+        const x = lon => offsetX + (lon - west + grid.lonStep / 2) * lonScale * scale;
+        const y = lat => offsetY + (north - lat + grid.latStep / 2) * scale;
+        const cellWidth = grid.lonStep * lonScale * scale;
+        const cellHeight = grid.latStep * scale;
+
+        const rects = grid.cells.map(({ lat, lon }, i) => {
+            const cell = cells[i];
+            const position = `x="${(x(lon) - cellWidth / 2).toFixed(1)}" y="${(y(lat) - cellHeight / 2).toFixed(1)}"
+                width="${cellWidth.toFixed(1)}" height="${cellHeight.toFixed(1)}"`;
+            if (!cell) return `<rect ${position} fill="none" stroke="rgba(255,255,255,0.12)"/>`;
+            const color = cell.region ? cell.color : this.NO_DATA_COLOR;
+            return `<rect ${position} fill="${color}" fill-opacity="0.85"><title>${this._regionLabel(cell.region)}</title></rect>`;
+        }).join('');
+
+        const outline = this.polygons.flatMap(rings => rings)
+            .map(ring => `M${ring.map(([lat, lon]) => `${x(lon).toFixed(1)},${y(lat).toFixed(1)}`).join('L')}Z`)
+            .join('');
+
+        return `
+            <svg class="area-minimap-svg" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="${I18n.t('area.minimapLabel', { cells: I18n.formatNumber(grid.cells.length) })}">
+                ${rects}
+                <path d="${outline}" fill="none" stroke="#e2e8f0" stroke-width="1.5" fill-rule="evenodd"/>
+            </svg>`;
+    },
+
+    /**
+     * Share of the area in each thinai, largest first
+     */
+    compositionHtml(totals) {
+        const rows = totals.map(({ region, cells, share }) => ({
+            label: this._regionLabel(region),
+            color: region ? this.cells.find(c => c.region === region)?.color : this.NO_DATA_COLOR,
+            share,
+            value: `${I18n.formatNumber(share * 100)}% · ${I18n.t('area.cells', { count: I18n.formatNumber(cells) })}`
+        }));
+        return SamplingPanel.compositionHtml(I18n.t('area.composition'), rows);
+    },
+
+    _regionLabel(region) {
+        return SamplingPanel.regionLabel(region, this.regionData, this.cells, I18n.t('area.noData'));
+    },
+
+    _stepKm() {
+        return Number(document.getElementById('area-step-input')?.value) || AreaSampler.DEFAULT_STEP_KM;
+    },
+
+    _setDrawing(drawing) {
+        SamplingPanel.setDrawing('area', drawing);
+    },
+
+    _setRunning(running) {
+        SamplingPanel.setRunning('area', running, this.polygons.length > 0);
+    },
+
+    _setProgress(done, total, message) {
+        SamplingPanel.setProgress('area', done, total, message);
+    },
+
+    _setStatus(message, line = 'hint') {
+        SamplingPanel.setStatus('area', message, line);
+    }
+};
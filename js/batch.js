@@ -0,0 +1,332 @@
+/**
+ * Batch Module
+ * Classifies a CSV list of places or coordinates and renders a sortable table
+ */
+
+const BatchModule = {
+    rows: [],
+    sortKey: null,
+    sortAsc: true,
+    running: false,
+    cancelled: false,
+    controller: null,
+    // Message key and parameters of the status line, redrawn when the language changes
+    status: null,
+
+    /**
+     * Pause between rows to stay polite to Open-Meteo.
+     * Place names additionally go through NominatimClient's 1 req/s limit.
+     */
+    ROW_DELAY: 200,
+
+    // label is the message key of the column heading
+    COLUMNS: [
+        { key: 'input', label: 'batch.input' },
+        { key: 'region', label: 'batch.region' },
+        { key: 'elevation', label: 'batch.elevation', numeric: true },
+        { key: 'coastDistance', label: 'batch.coast', numeric: true },
+        { key: 'precipitation', label: 'batch.rain', numeric: true }
+    ],
+
+    /**
+     * Bind the batch controls in the input section
+     */
+    init() {
+        const fileInput = document.getElementById('batch-file-input');
+        const runBtn = document.getElementById('batch-run-btn');
+
+        fileInput?.addEventListener('change', () => {
+            if (runBtn) runBtn.disabled = !fileInput.files.length || this.running;
+        });
+
+        runBtn?.addEventListener('click', async () => {
+            const file = fileInput?.files[0];
+            if (!file) return;
+            this.run(await file.text());
+        });
+
+        document.getElementById('batch-cancel-btn')?.addEventListener('click', () => {
+            this.cancelled = true;
+            // Abandon the row in progress too
+            if (this.controller) this.controller.abort();
+        });
+        document.getElementById('batch-download-btn')?.addEventListener('click', () => this.download());
+        document.getElementById('batch-geojson-btn')?.addEventListener('click', () => this.exportAs('geojson'));
+        document.getElementById('batch-kml-btn')?.addEventListener('click', () => this.exportAs('kml'));
+    },
+
+    /**
+     * Classify every location in the CSV text, one row at a time
+     */
+    async run(csvText) {
+        if (this.running) return;
+
+        const points = CsvUtils.readPoints(csvText).filter(p => p.input || p.lat !== undefined);
+        if (points.length === 0) {
+            this._setStatus('batch.empty');
+            this._show();
+            return;
+        }
+
+        this.rows = [];
+        this.sortKey = null;
+        this.running = true;
+        this.cancelled = false;
+        this.controller = new AbortController();
+        this._setRunning(true);
+        this._show();
+
+        for (let i = 0; i < points.length; i++) {
+            if (this.cancelled) break;
+
+            this._setProgress(i, points.length, 'batch.progress', { input: points[i].input });
+            try {
+                this.rows.push(await this.classifyPoint(points[i], { signal: this.controller.signal }));
+            } catch (error) {
+                // Only cancellation escapes classifyPoint
+                break;
+            }
+            this.render();
+
+            if (i < points.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.ROW_DELAY));
+            }
+        }
+
+        const failed = this.rows.filter(r => r.error).length;
+        const outcome = this.cancelled
+            ? (failed ? 'batch.stoppedFailed' : 'batch.stopped')
+            : (failed ? 'batch.doneFailed' : 'batch.done');
+        this._setProgress(this.rows.length, points.length, outcome, {
+            classified: this.rows.length - failed,
+            failed
+        });
+
+        this.running = false;
+        this.controller = null;
+        this._setRunning(false);
+    },
+
+    /**
+     * Geocode (if needed) and classify a single point
+     * Failures are recorded on the row; only cancellation through
+     * options.signal rejects.
+     */
+    async classifyPoint(point, { signal } = {}) {
+        const row = { input: point.input, name: point.name || point.input };
+
+        try {
+            let { lat, lon } = point;
+            if (lat === undefined || lon === undefined) {
+                const found = await Geocoding.search(point.input, null, { signal });
+                lat = found.lat;
+                lon = found.lon;
+                row.name = found.displayName;
+            }
+            row.lat = lat;
+            row.lon = lon;
+
+            const result = await TerrainAnalyzer.classifyLocation(lat, lon, { signal });
+            return Object.assign(row, {
+                region: result.region,
+                regionData: result.regionData,
+                icon: result.regionData?.icon || '📍',
+                color: result.regionData?.color || '#818cf8',
+                elevation: result.terrainData.elevation,
+                coastDistance: result.terrainData.coastDistance,
+                precipitation: result.terrainData.precipitation,
+                precipitationEstimated: !!result.provenance?.precipitation?.estimated,
+                ruleSet: result.ruleSet,
+                thresholds: result.thresholds,
+                classifiedAt: result.classifiedAt
+            });
+        } catch (error) {
+            if (APIClient.isAbortError(error)) throw error;
+            row.error = error.userMessage || error.message;
+            return row;
+        }
+    },
+
+    /**
+     * Sort by a column; clicking the same column again reverses the order
+     */
+    sort(key) {
+        this.sortAsc = this.sortKey === key ? !this.sortAsc : true;
+        this.sortKey = key;
+        this.render();
+    },
+
+    /**
+     * Redraw the table and status after the language changes
+     */
+    refresh() {
+        this.render();
+        this._renderStatus();
+    },
+
+    /**
+     * Render the results table
+     */
+    render() {
+        const table = document.getElementById('batch-table');
+        if (!table) return;
+
+        const rows = this._sortedRows();
+
+        const head = this.COLUMNS.map(col => {
+            const arrow = this.sortKey === col.key ? (this.sortAsc ? ' ▲' : ' ▼') : '';
+            return `<th data-key="${col.key}" class="${col.numeric ? 'numeric' : ''}" tabindex="0">${I18n.t(col.label)}${arrow}</th>`;
+        }).join('');
+
+        const body = rows.map(row => {
+            if (row.error) {
+                return `
+                    <tr class="batch-row-error">
+                        <td title="${this._escape(row.input)}">${this._escape(row.input)}</td>
+                        <td colspan="${this.COLUMNS.length - 1}">⚠️ ${this._escape(row.error)}</td>
+                    </tr>`;
+            }
+            return `
+                <tr class="batch-row" data-index="${this.rows.indexOf(row)}" title="${this._escape(row.name)}">
+                    <td>${this._escape(row.input)}</td>
+                    <td style="color:${row.color}">${row.icon} ${MapView.regionName(row.region, row.regionData)}</td>
+                    <td class="numeric">${I18n.formatNumber(row.elevation)}</td>
+                    <td class="numeric">${I18n.formatNumber(row.coastDistance, 1)}</td>
+                    <td class="numeric">${this._formatPrecipitation(row)}</td>
+                </tr>`;
+        }).join('');
+
+        table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+
+        table.querySelectorAll('th').forEach(th => {
+            th.addEventListener('click', () => this.sort(th.dataset.key));
+            th.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.sort(th.dataset.key);
+                }
+            });
+        });
+
+        // Clicking a row opens the full result card for it
+        table.querySelectorAll('.batch-row').forEach(tr => {
+            tr.addEventListener('click', () => {
+                const row = this.rows[Number(tr.dataset.index)];
+                if (row && typeof App !== 'undefined') {
+                    App.showLoading(I18n.t('loading.result'));
+                    App.classifyAndDisplay(row.lat, row.lon, row.name);
+                }
+            });
+        });
+
+        for (const id of ['batch-download-btn', 'batch-geojson-btn', 'batch-kml-btn']) {
+            const button = document.getElementById(id);
+            if (button) button.disabled = this.rows.length === 0;
+        }
+    },
+
+    /**
+     * Download the results as CSV
+     */
+    download() {
+        if (this.rows.length === 0) return;
+
+        const header = ['input', 'name', 'lat', 'lon', 'region', 'elevation_m', 'coast_distance_km', 'precipitation_mm', 'precipitation_estimated', 'error'];
+        const round = (value, digits) => value === undefined || value === null ? '' : Number(value.toFixed(digits));
+        const lines = this._sortedRows().map(row => [
+            row.input,
+            row.name,
+            row.lat,
+            row.lon,
+            row.region || '',
+            round(row.elevation, 0),
+            round(row.coastDistance, 1),
+            round(row.precipitation, 0),
+            row.precipitationEstimated ? 'yes' : '',
+            row.error || ''
+        ]);
+
+        GeoExport.download(CsvUtils.stringify([header, ...lines]), 'ainthinai-batch.csv', 'text/csv');
+    },
+
+    /**
+     * Download the classified rows as 'geojson' or 'kml'
+     * Rows whose place name could not be found have no point and are left out.
+     */
+    async exportAs(format) {
+        if (this.rows.length === 0) return;
+        const regionData = await TerrainAnalyzer.loadRegionData();
+        GeoExport.save(this._sortedRows(), format, 'ainthinai-batch', { name: 'Ainthinai batch classification', regionData });
+    },
+
+    _formatPrecipitation(row) {
+        if (row.precipitation === null) return `<span title="${I18n.t('batch.noRain')}">—</span>`;
+        const mm = I18n.formatNumber(row.precipitation);
+        return row.precipitationEstimated ? `<span title="${I18n.t('batch.estimatedRain')}">≈${mm}</span>` : mm;
+    },
+
+    _sortedRows() {
+        if (!this.sortKey) return this.rows.slice();
+
+        const col = this.COLUMNS.find(c => c.key === this.sortKey);
+        const dir = this.sortAsc ? 1 : -1;
+
+        return this.rows.slice().sort((a, b) => {
+            const av = a[this.sortKey];
+            const bv = b[this.sortKey];
+            // Failed rows always sink to the bottom
+            if (av === undefined) return bv === undefined ? 0 : 1;
+            if (bv === undefined) return -1;
+            return (col.numeric ? av - bv : String(av).localeCompare(String(bv))) * dir;
+        });
+    },
+
+    _show() {
+        const section = document.getElementById('batch-section');
+        if (section) {
+            section.classList.remove('hidden');
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        this.render();
+    },
+
+    _setRunning(running) {
+        const runBtn = document.getElementById('batch-run-btn');
+        const cancelBtn = document.getElementById('batch-cancel-btn');
+        if (runBtn) runBtn.disabled = running;
+        cancelBtn?.classList.toggle('hidden', !running);
+    },
+
+    _setProgress(done, total, key, params) {
+        const bar = document.getElementById('batch-progress-bar');
+        if (bar) bar.style.width = `${Math.round(done / total * 100)}%`;
+        this._setStatus(key, { ...params, done, total });
+    },
+
+    /**
+     * Show a message in the status line; numbers among params are written
+     * in the interface language
+     */
+    _setStatus(key, params = {}) {
+        this.status = { key, params };
+        this._renderStatus();
+    },
+
+    _renderStatus() {
+        const status = document.getElementById('batch-status');
+        if (!status || !this.status) return;
+        const params = {};
+        for (const [name, value] of Object.entries(this.status.params)) {
+            params[name] = typeof value === 'number' ? I18n.formatNumber(value) : value;
+        }
+        status.textContent = I18n.t(this.status.key, params);
+    },
+
+    _escape(str) {
+        return String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchModule;
+}
@@ -0,0 +1,127 @@
+/**
+ * Cache Inspector Module
+ * Lists the terrain cache entries on cache-inspector.html and clears them
+ */
+
+const CacheInspector = {
+    typeFilter: '',
+
+    /**
+     * Wire up the controls and show the cache contents
+     */
+    init() {
+        const filter = document.getElementById('cache-type-filter');
+        if (filter) {
+            filter.innerHTML += Object.keys(TerrainCache.TYPES)
+                .map(type => `<option value="${type}">${type}</option>`).join('');
+            filter.addEventListener('change', (e) => {
+                this.typeFilter = e.target.value;
+                this.render();
+            });
+        }
+
+        document.getElementById('cache-refresh-btn')?.addEventListener('click', () => this.render());
+        document.getElementById('cache-prune-btn')?.addEventListener('click', async () => {
+            await TerrainCache.prune();
+            this.render();
+        });
+        document.getElementById('cache-clear-btn')?.addEventListener('click', async () => {
+            const what = this.typeFilter ? `all ${this.typeFilter} entries` : 'the whole terrain cache';
+            if (!confirm(`Clear ${what}?`)) return;
+            await TerrainCache.clear(this.typeFilter || null);
+            this.render();
+        });
+
+        document.getElementById('cache-table-body')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-key]');
+            if (!button) return;
+            await TerrainCache.remove([button.dataset.key]);
+            this.render();
+        });
+
+        this.render();
+    },
+
+    /**
+     * Render the summary, per-type totals and the entry table
+     */
+    async render() {
+        const [stats, entries] = await Promise.all([TerrainCache.stats(), TerrainCache.entries()]);
+        const now = Date.now();
+
+        const summary = document.getElementById('cache-summary');
+        if (summary) {
+            summary.textContent = `${stats.count} entries · ${this.formatBytes(stats.bytes)} of ${this.formatBytes(stats.maxBytes)}`;
+        }
+
+        const bar = document.getElementById('cache-budget-bar');
+        if (bar) bar.style.width = `${Math.min(100, stats.bytes / stats.maxBytes * 100)}%`;
+
+        const types = document.getElementById('cache-types');
+        if (types) {
+            types.innerHTML = Object.entries(stats.byType).map(([type, t]) => {
+                const settings = TerrainCache.TYPES[type];
+                const detail = settings
+                    ? `${this.formatDuration(settings.ttl)} TTL · ${settings.gridStep}° grid`
+                    : 'unknown type';
+                return `<span class="cache-type"><strong>${type}</strong> ${t.count}` +
+                    `${t.expired ? ` (${t.expired} expired)` : ''} · ${this.formatBytes(t.bytes)} · ${detail}</span>`;
+            }).join('');
+        }
+
+        const body = document.getElementById('cache-table-body');
+        if (!body) return;
+
+        const shown = entries.filter(e => !this.typeFilter || e.type === this.typeFilter);
+        if (shown.length === 0) {
+            body.innerHTML = '<tr><td colspan="8">No cached entries</td></tr>';
+            return;
+        }
+
+        body.innerHTML = shown.map(entry => {
+            const expired = TerrainCache.isExpired(entry, now);
+            return `
+                <tr class="batch-row${expired ? ' cache-expired' : ''}">
+                    <td>${entry.type}${entry.variant ? ` <span class="param-detail">${entry.variant}</span>` : ''}</td>
+                    <td>${entry.lat}, ${entry.lon}</td>
+                    <td class="numeric">${this.formatValue(entry)}</td>
+                    <td class="numeric">${this.formatBytes(entry.bytes)}</td>
+                    <td>${new Date(entry.storedAt).toLocaleString()}</td>
+                    <td>${new Date(entry.accessedAt).toLocaleString()}</td>
+                    <td>${expired ? '⌛ Expired' : '✅ Fresh'}</td>
+                    <td><button type="button" class="history-clear" data-key="${entry.key}" title="Delete entry">🗑️</button></td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Short description of a cached value
+     */
+    formatValue(entry) {
+        const { type, value } = entry;
+        if (type === 'elevation') return `${Math.round(value)} m`;
+        if (type === 'coastDistance') return `${value.toFixed(1)} km`;
+        if (type === 'precipitation' && value && typeof value.mean === 'number') {
+            return `${Math.round(value.mean)} mm/yr`;
+        }
+        return JSON.stringify(value).slice(0, 40);
+    },
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    formatDuration(ms) {
+        const days = Math.round(ms / (24 * 60 * 60 * 1000));
+        return days >= 1 ? `${days}-day` : `${Math.round(ms / 60000)}-minute`;
+    }
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CacheInspector.init());
+} else {
+    CacheInspector.init();
+}
@@ -0,0 +1,201 @@
+/**
+ * Coastline Index Module
+ * Bucket-grid spatial index for nearest-coastline-segment queries
+ */
+
+const CoastlineIndex = {
+    CELL_SIZE: 1, // degrees
+    EARTH_RADIUS: 6371, // km
+
+    /**
+     * Build an index over decoded coastline lines
+     * Each line is a flat [lon0, lat0, lon1, lat1, ...] array.
+     * Every segment is stored once and referenced from each grid cell its
+     * bounding box touches.
+     */
+    build(lines) {
+        const segmentCount = lines.reduce((sum, line) => sum + Math.max(0, line.length / 2 - 1), 0);
+        const lat1 = new Float64Array(segmentCount);
+        const lon1 = new Float64Array(segmentCount);
+        const lat2 = new Float64Array(segmentCount);
+        const lon2 = new Float64Array(segmentCount);
+
+        const rows = Math.ceil(180 / this.CELL_SIZE);
+        const cols = Math.ceil(360 / this.CELL_SIZE);
+        const cells = new Array(rows * cols);
+
+        let s = 0;
+        for (const line of lines) {
+            for (let i = 2; i < line.length; i += 2, s++) {
+                lon1[s] = line[i - 2];
+                lat1[s] = line[i - 1];
+                // Keep the segment continuous across the antimeridian
+                lon2[s] = lon1[s] + this._wrap(line[i] - lon1[s]);
+                lat2[s] = line[i + 1];
+
+                const rowMin = this._row(Math.min(lat1[s], lat2[s]), rows);
+                const rowMax = this._row(Math.max(lat1[s], lat2[s]), rows);
+                const colMin = Math.floor((Math.min(lon1[s], lon2[s]) + 180) / this.CELL_SIZE);
+                const colMax = Math.floor((Math.max(lon1[s], lon2[s]) + 180) / this.CELL_SIZE);
+
+                for (let row = rowMin; row <= rowMax; row++) {
+                    for (let col = colMin; col <= colMax; col++) {
+                        const key = row * cols + ((col % cols) + cols) % cols;
+                        (cells[key] || (cells[key] = [])).push(s);
+                    }
+                }
+            }
+        }
+
+        console.log(`✅ Indexed ${segmentCount} coastline segments into ${rows}×${cols} cells`);
+
+        return {
+            rows,
+            cols,
+            cells,
+            lat1, lon1, lat2, lon2,
+            visited: new Uint32Array(segmentCount),
+            queryId: 0
+        };
+    },
+
+    /**
+     * Find the nearest coastline point to (lat, lon)
+     * Searches rings of cells outward from the query cell and stops once the
+     * best distance found is no larger than the distance to any unsearched cell.
+     * Returns { lat, lon, distance } with distance in kilometers
+     */
+    nearest(index, lat, lon) {
+        const { rows, cols, cells } = index;
+        const queryId = ++index.queryId;
+        const row0 = this._row(lat, rows);
+        const col0 = Math.floor((this._wrap(lon) + 180) / this.CELL_SIZE);
+
+        let best = { lat: NaN, lon: NaN, distance: Infinity };
+
+        for (let ring = 0; ; ring++) {
+            const rowMin = row0 - ring;
+            const rowMax = row0 + ring;
+            const coversAllCols = 2 * ring + 1 >= cols;
+
+            for (let row = Math.max(0, rowMin); row <= Math.min(rows - 1, rowMax); row++) {
+                const onEdgeRow = row === rowMin || row === rowMax;
+                const step = onEdgeRow || coversAllCols ? 1 : 2 * ring;
+                const colEnd = coversAllCols ? cols - 1 : col0 + ring;
+                const colStart = coversAllCols ? 0 : col0 - ring;
+
+                // Only the outer ring of cells is new; inner cells were searched already
+                for (let col = colStart; col <= colEnd; col += step || 1) {
+                    const bucket = cells[row * cols + ((col % cols) + cols) % cols];
+                    if (!bucket) continue;
+
+                    for (const s of bucket) {
+                        if (index.visited[s] === queryId) continue;
+                        index.visited[s] = queryId;
+
+                        const candidate = this.nearestPointOnSegment(
+                            lat, lon,
+                            index.lat1[s], index.lon1[s],
+                            index.lat2[s], index.lon2[s]
+                        );
+                        if (candidate.distance < best.distance) {
+                            best = candidate;
+                        }
+                    }
+                }
+            }
+
+            const bound = this._unsearchedBound(lat, lon, row0, col0, ring, rows, cols);
+            if (best.distance <= bound || bound === Infinity) {
+                return best;
+            }
+        }
+    },
+
+    /**
+     * Find the nearest point on the segment (lat1, lon1)-(lat2, lon2) to (lat, lon)
+     * Projects the segment onto a local equirectangular plane centred on the query
+     * point, then measures the Haversine distance to the closest point found there.
+     * Returns { lat, lon, distance } with distance in kilometers
+     */
+    nearestPointOnSegment(lat, lon, lat1, lon1, lat2, lon2) {
+        const cosLat = Math.cos(this._toRadians(lat));
+
+        const ax = this._wrap(lon1 - lon) * cosLat;
+        const ay = lat1 - lat;
+        const dx = this._wrap(lon2 - lon1) * cosLat;
+        const dy = lat2 - lat1;
+
+        const lengthSq = dx * dx + dy * dy;
+        let t = lengthSq > 0 ? -(ax * dx + ay * dy) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+
+        const nearestLat = lat1 + t * dy;
+        const nearestLon = this._wrap(lon1 + t * this._wrap(lon2 - lon1));
+
+        return {
+            lat: nearestLat,
+            lon: nearestLon,
+            distance: this._haversine(lat, lon, nearestLat, nearestLon)
+        };
+    },
+
+    /**
+     * Lower bound (km) on the distance from (lat, lon) to any cell outside the
+     * searched block of (2·ring + 1)² cells. Returns Infinity once the block
+     * covers the whole globe.
+     */
+    _unsearchedBound(lat, lon, row0, col0, ring, rows, cols) {
+        const kmPerDegree = this.EARTH_RADIUS * Math.PI / 180;
+        let bound = Infinity;
+
+        const rowMin = row0 - ring;
+        const rowMax = row0 + ring + 1;
+        if (rowMin > 0) {
+            bound = Math.min(bound, (lat - (rowMin * this.CELL_SIZE - 90)) * kmPerDegree);
+        }
+        if (rowMax < rows) {
+            bound = Math.min(bound, ((rowMax * this.CELL_SIZE - 90) - lat) * kmPerDegree);
+        }
+
+        if (2 * ring + 1 < cols) {
+            // Cross-track distance to the nearest bounding meridian
+            const westEdge = (col0 - ring) * this.CELL_SIZE - 180;
+            const eastEdge = (col0 + ring + 1) * this.CELL_SIZE - 180;
+            const dLon = Math.min(this._wrap(lon) - westEdge, eastEdge - this._wrap(lon));
+            const crossTrack = dLon >= 90
+                ? Math.PI / 2 * this.EARTH_RADIUS
+                : this.EARTH_RADIUS * Math.asin(
+                    Math.sin(this._toRadians(dLon)) * Math.cos(this._toRadians(lat))
+                );
+            bound = Math.min(bound, crossTrack);
+        }
+
+        return bound;
+    },
+
+    _row(lat, rows) {
+        return Math.min(rows - 1, Math.max(0, Math.floor((lat + 90) / this.CELL_SIZE)));
+    },
+
+    _wrap(deg) {
+        return ((deg + 540) % 360) - 180;
+    },
+
+    _toRadians(degrees) {
+        return degrees * (Math.PI / 180);
+    },
+
+    _haversine(lat1, lon1, lat2, lon2) {
+        const dLat = this._toRadians(lat2 - lat1);
+        const dLon = this._toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(this._toRadians(lat1)) * Math.cos(this._toRadians(lat2)) *
+                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return this.EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoastlineIndex;
+}
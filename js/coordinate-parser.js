@@ -0,0 +1,392 @@
+/**
+ * Coordinate Parser Module
+ * Reads coordinates typed or pasted into the search box
+ *
+ * Accepted formats:
+ *   decimal     13.0827, 80.2707 · 13.0827 80.2707 · -33.86; 151.21
+ *   hemisphere  13.08N 80.27E · N 13.08, E 80.27 · 80.27E 13.08N
+ *   dms         13°04'57"N 80°16'14"E · 13 04 57 N 80 16 14 E · 13°04.95'N 80°16.23'E
+ *   geo         geo:13.08,80.27 · geo:0,0?q=13.08,80.27(Chennai)
+ *   google      Google Maps URLs with @lat,lon, !3d…!4d…, q=, ll= or query=
+ *   osm         OpenStreetMap URLs with mlat/mlon or #map=zoom/lat/lon
+ *   pluscode    7J4VXHXC+22 · XHXC+22 Chennai (short codes need a nearby place)
+ *
+ * parse() returns null for anything that is not meant as coordinates, so it
+ * can go to the geocoder, and throws a CoordinateError explaining what is
+ * wrong with malformed coordinates.
+ */
+
+const CoordinateParser = {
+    /**
+     * Interface language for error messages (injectable for headless use)
+     */
+    i18n: typeof I18n !== 'undefined' ? I18n : null,
+
+    // Open Location Code alphabet, and the size in degrees of each digit pair
+    PLUS_CODE_ALPHABET: '23456789CFGHJMPQRVWX',
+    PLUS_CODE_PAIR_SIZES: [20, 1, 0.05, 0.0025, 0.000125],
+
+    /**
+     * Parse input into { lat, lon, format, swapped }
+     * Short plus codes come back as { format: 'pluscode', code, reference }
+     * for resolving with recoverPlusCode() once the reference place is found.
+     * Returns null when the input is not coordinates.
+     */
+    parse(input) {
+        const text = String(input || '').trim();
+        if (!text) return null;
+
+        if (/^geo:/i.test(text)) return this.parseGeoUri(text);
+        if (/^(https?:\/\/)?([\w-]+\.)*(google\.[a-z.]+\/maps|maps\.google\.[a-z.]+|goo\.gl\/maps|maps\.app\.goo\.gl)/i.test(text)) {
+            return this.parseGoogleUrl(text);
+        }
+        if (/^(https?:\/\/)?(www\.)?openstreetmap\.org\//i.test(text)) return this.parseOsmUrl(text);
+
+        const plusCode = text.match(/^([0-9A-Z]{2,8}\+[0-9A-Z]*)(?:[\s,]+(.+))?$/i);
+        if (plusCode && this.isPlusCodeLike(plusCode[1])) {
+            return this.parsePlusCode(plusCode[1].toUpperCase(), plusCode[2]);
+        }
+
+        return this.parseNumeric(text);
+    },
+
+    /**
+     * Whether parse() would treat the input as coordinates (valid or not)
+     */
+    looksLikeCoordinates(input) {
+        try {
+            return this.parse(input) !== null;
+        } catch (error) {
+            if (error.name === 'CoordinateError') return true;
+            throw error;
+        }
+    },
+
+    /**
+     * Decimal, hemisphere and degrees-minutes-seconds pairs
+     */
+    parseNumeric(input) {
+        const text = input
+            .replace(/[′’‘`´]/g, "'")
+            .replace(/[″“”]|''/g, '"')
+            .replace(/[º˚]/g, '°')
+            .toUpperCase();
+
+        // Only digits, separators, unit marks and hemisphere letters; anything
+        // else (a place name, a postcode with letters) is for the geocoder
+        if (!/^[\d\s.,;°'"NSEW+-]+$/.test(text)) return null;
+        const numbers = text.match(/\d+(\.\d+)?/g) || [];
+        if (numbers.length < 2) return null;
+
+        const letters = text.match(/[NSEW]/g) || [];
+        if (letters.length > 0) return this.parseHemispheres(text, letters);
+
+        // No hemisphere letters: "lat, lon" in that order
+        let parts = text.split(/\s*[,;]\s*/).filter(Boolean);
+        if (parts.length === 1) {
+            parts = text.includes('°')
+                ? text.split(/\s+(?=[+-]?\d+(?:\.\d+)?\s*°)/)
+                : text.split(/\s+/);
+        }
+        if (parts.length !== 2) {
+            if (/[,;]/.test(text)) {
+                throw this.error('decimal', 'countMismatch', { count: parts.length });
+            }
+            if (numbers.length > 2 && !/[°'"]/.test(text)) {
+                throw this.error('dms', 'dmsMarks');
+            }
+            return null;
+        }
+
+        const format = /[°'"]/.test(text) && parts.some(part => (part.match(/\d+(\.\d+)?/g) || []).length > 1)
+            ? 'dms'
+            : 'decimal';
+        let lat = this.parseComponent(parts[0], format);
+        let lon = this.parseComponent(parts[1], format);
+
+        // A first value beyond ±90 can only be a longitude
+        let swapped = false;
+        if (Math.abs(lat) > 90 && Math.abs(lon) <= 90) {
+            [lat, lon] = [lon, lat];
+            swapped = true;
+        }
+        return this.checkRange(lat, lon, format, swapped);
+    },
+
+    /**
+     * Pairs marked with N/S/E/W, before or after each value, in either order
+     */
+    parseHemispheres(text, letters) {
+        if (letters.length !== 2) {
+            throw this.error('hemisphere', 'hemisphereLetters');
+        }
+
+        const trimmed = text.trim();
+        const leading = /^[NSEW]/.test(trimmed);
+        if (!leading && !/[NSEW]$/.test(trimmed)) {
+            throw this.error('hemisphere', 'hemisphereOrder');
+        }
+        const parts = (leading ? trimmed.match(/[NSEW][^NSEW]*/g) : trimmed.match(/[^NSEW]*[NSEW]/g))
+            .map(part => part.replace(/^[\s,;]+|[\s,;]+$/g, ''));
+
+        const format = /[°'"]/.test(text) || parts.some(part => (part.match(/\d+(\.\d+)?/g) || []).length > 1)
+            ? 'dms'
+            : 'hemisphere';
+
+        const values = {};
+        for (const part of parts) {
+            const letter = part.match(/[NSEW]/)[0];
+            const axis = letter === 'N' || letter === 'S' ? 'lat' : 'lon';
+            if (values[axis] !== undefined) {
+                throw this.error(format, axis === 'lat' ? 'bothLatitude' : 'bothLongitude');
+            }
+            if (/-/.test(part)) {
+                throw this.error(format, 'signAndLetter', { letter, part });
+            }
+            const value = this.parseComponent(part.replace(/[NSEW]/, ''), format);
+            values[axis] = letter === 'S' || letter === 'W' ? -value : value;
+        }
+
+        return this.checkRange(values.lat, values.lon, format, false);
+    },
+
+    /**
+     * One value: decimal degrees, or degrees with minutes and seconds
+     */
+    parseComponent(part, format) {
+        const sign = /^\s*-/.test(part) ? -1 : 1;
+        const numbers = (part.match(/\d+(\.\d+)?/g) || []).map(Number);
+        if (numbers.length === 0 || numbers.length > 3) {
+            throw this.error(format, 'unreadablePart', { part: part.trim() });
+        }
+
+        const [degrees, minutes = 0, seconds = 0] = numbers;
+        const fractional = (part.match(/\d+(\.\d+)?/g) || []).slice(0, -1).some(n => n.includes('.'));
+        if (fractional) {
+            throw this.error(format, 'decimalsLast', { part: part.trim() });
+        }
+        if (minutes >= 60) throw this.error(format, 'minutesRange', { part: part.trim() });
+        if (seconds >= 60) throw this.error(format, 'secondsRange', { part: part.trim() });
+
+        return sign * (degrees + minutes / 60 + seconds / 3600);
+    },
+
+    /**
+     * RFC 5870 geo: URIs, including Android's geo:0,0?q=lat,lon(label)
+     */
+    parseGeoUri(text) {
+        const match = text.match(/^geo:\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)(?:,[+-]?\d+(?:\.\d+)?)?([^?]*)(?:\?(.*))?$/i);
+        if (!match) {
+            throw this.error('geo', 'geoFormat');
+        }
+
+        const crs = match[3].match(/;\s*crs=([^;]+)/i);
+        if (crs && crs[1].toLowerCase() !== 'wgs84') {
+            throw this.error('geo', 'geoCrs', { crs: crs[1] });
+        }
+
+        let lat = Number(match[1]);
+        let lon = Number(match[2]);
+        const query = new URLSearchParams(match[4] || '').get('q');
+        if (lat === 0 && lon === 0 && query) {
+            const point = this.parseNumeric(query.replace(/\(.*\)\s*$/, '').trim());
+            if (!point) {
+                throw this.error('geo', 'geoQuery', { query });
+            }
+            ({ lat, lon } = point);
+        }
+        return this.checkRange(lat, lon, 'geo', false);
+    },
+
+    /**
+     * Google Maps URLs: the place pin (!3d…!4d…), the map centre (@lat,lon)
+     * or a coordinate query (q=, ll=, query=, center=)
+     */
+    parseGoogleUrl(text) {
+        if (/goo\.gl\//i.test(text)) {
+            throw this.error('google', 'googleShort');
+        }
+
+        const decoded = decodeURIComponent(text);
+        const pins = [...decoded.matchAll(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/g)];
+        if (pins.length) {
+            const pin = pins[pins.length - 1];
+            return this.checkRange(Number(pin[1]), Number(pin[2]), 'google', false);
+        }
+
+        const centre = decoded.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+        if (centre) return this.checkRange(Number(centre[1]), Number(centre[2]), 'google', false);
+
+        let params;
+        try {
+            params = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).searchParams;
+        } catch (error) {
+            params = new URLSearchParams();
+        }
+        for (const name of ['q', 'query', 'll', 'center', 'destination', 'daddr']) {
+            const value = params.get(name);
+            if (!value) continue;
+            const point = this.parseNumeric(value);
+            if (point) return { ...point, format: 'google' };
+            throw this.error('google', 'googleQuery', { query: value });
+        }
+
+        throw this.error('google', 'googleNone');
+    },
+
+    /**
+     * OpenStreetMap URLs: the marker (mlat/mlon) or the map view (#map=z/lat/lon)
+     */
+    parseOsmUrl(text) {
+        const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+        const mlat = url.searchParams.get('mlat');
+        const mlon = url.searchParams.get('mlon');
+        if (mlat !== null && mlon !== null) {
+            return this.checkRange(Number(mlat), Number(mlon), 'osm', false);
+        }
+
+        const view = url.hash.match(/map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/);
+        if (view) return this.checkRange(Number(view[1]), Number(view[2]), 'osm', false);
+
+        throw this.error('osm', 'osmNone');
+    },
+
+    /**
+     * Whether a token uses the plus code alphabet and separator
+     * Short codes may be all digits before the + (e.g. "3734+2V").
+     */
+    isPlusCodeLike(code) {
+        const [before, after] = code.toUpperCase().split('+');
+        const chars = new RegExp(`^[${this.PLUS_CODE_ALPHABET}0]*$`);
+        return chars.test(before) && chars.test(after);
+    },
+
+    /**
+     * Full plus codes decode to the centre of their area; short ones need
+     * a reference place (e.g. "XHXC+22 Chennai")
+     */
+    parsePlusCode(code, reference) {
+        const separator = code.indexOf('+');
+        const after = code.slice(separator + 1);
+
+        if (separator > 8 || separator % 2 !== 0) {
+            throw this.error('pluscode', 'plusCodeSeparator', { code });
+        }
+        if (after.length === 1) {
+            throw this.error('pluscode', 'plusCodeShortTail', { code });
+        }
+        if (/0/.test(code)) {
+            if (after.length > 0 || !/^[^0]+0+$/.test(code.slice(0, separator)) || separator !== 8) {
+                throw this.error('pluscode', 'plusCodePadding', { code });
+            }
+        }
+
+        if (separator < 8) {
+            if (!reference) {
+                throw this.error('pluscode', 'plusCodeReference', { code });
+            }
+            return { format: 'pluscode', code, reference: reference.trim() };
+        }
+
+        const area = this.decodePlusCode(code);
+        return this.checkRange(area.lat, area.lon, 'pluscode', false);
+    },
+
+    /**
+     * Centre and size of the area of a full plus code
+     */
+    decodePlusCode(code) {
+        const digits = code.replace('+', '').replace(/0+$/, '');
+        const values = [...digits].map(char => this.PLUS_CODE_ALPHABET.indexOf(char));
+        if (values[0] > 8 || values[1] > 17) {
+            throw this.error('pluscode', 'plusCodeRange', { code });
+        }
+
+        let lat = -90;
+        let lon = -180;
+        let latSize = 0;
+        let lonSize = 0;
+        for (let i = 0; i < Math.min(values.length, 10); i += 2) {
+            latSize = lonSize = this.PLUS_CODE_PAIR_SIZES[i / 2];
+            lat += values[i] * latSize;
+            lon += (values[i + 1] || 0) * lonSize;
+        }
+        // Beyond 10 digits each character splits the area into 5 rows × 4 columns
+        for (const value of values.slice(10)) {
+            latSize /= 5;
+            lonSize /= 4;
+            lat += Math.floor(value / 4) * latSize;
+            lon += (value % 4) * lonSize;
+        }
+
+        return {
+            lat: Math.min(90, lat + latSize / 2),
+            lon: lon + lonSize / 2,
+            latSize,
+            lonSize
+        };
+    },
+
+    /**
+     * Resolve a short plus code to the matching area nearest the reference point
+     */
+    recoverPlusCode(code, refLat, refLon) {
+        const padding = 8 - code.indexOf('+');
+        const size = this.PLUS_CODE_PAIR_SIZES[padding / 2 - 1];
+        const area = this.decodePlusCode(this.encodePlusCodePrefix(refLat, refLon, padding) + code);
+
+        let { lat, lon } = area;
+        if (refLat + size / 2 < lat && lat - size >= -90) lat -= size;
+        else if (refLat - size / 2 > lat && lat + size <= 90) lat += size;
+        if (refLon + size / 2 < lon) lon -= size;
+        else if (refLon - size / 2 > lon) lon += size;
+        lon = ((lon + 540) % 360) - 180;
+
+        return this.checkRange(lat, lon, 'pluscode', false);
+    },
+
+    /**
+     * The first `length` digits of the plus code of a point
+     */
+    encodePlusCodePrefix(lat, lon, length) {
+        let latRest = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+        let lonRest = ((lon + 540) % 360);
+        let prefix = '';
+        for (let i = 0; i < length / 2; i++) {
+            const size = this.PLUS_CODE_PAIR_SIZES[i];
+            const latDigit = Math.floor(latRest / size);
+            const lonDigit = Math.floor(lonRest / size);
+            latRest -= latDigit * size;
+            lonRest -= lonDigit * size;
+            prefix += this.PLUS_CODE_ALPHABET[latDigit] + this.PLUS_CODE_ALPHABET[lonDigit];
+        }
+        return prefix;
+    },
+
+    checkRange(lat, lon, format, swapped) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            throw this.error(format, 'unreadable');
+        }
+        if (lat < -90 || lat > 90) {
+            throw this.error(format, 'latitudeRange', { value: lat });
+        }
+        if (lon < -180 || lon > 180) {
+            throw this.error(format, 'longitudeRange', { value: lon });
+        }
+        return { lat, lon, format, swapped };
+    },
+
+    /**
+     * A CoordinateError with the coordinates.<key> message in the interface language
+     */
+    error(format, key, params) {
+        const error = new Error(this.i18n.t(`coordinates.${key}`, params));
+        error.name = 'CoordinateError';
+        error.format = format;
+        return error;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoordinateParser;
+}
@@ -0,0 +1,117 @@
+/**
+ * CSV Module
+ * Parses and writes CSV, and reads lists of locations from CSV text
+ */
+
+const CsvUtils = {
+    LAT_COLUMNS: ['lat', 'latitude'],
+    LON_COLUMNS: ['lon', 'lng', 'long', 'longitude'],
+    NAME_COLUMNS: ['name', 'place', 'location', 'query', 'address'],
+
+    /**
+     * Parse CSV text into an array of rows (arrays of strings)
+     * Supports quoted fields with embedded commas, quotes and newlines
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    },
+
+    /**
+     * Escape a single value for CSV output
+     */
+    toField(value) {
+        const str = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    },
+
+    /**
+     * Serialize an array of rows (arrays of values) as CSV text
+     */
+    stringify(rows) {
+        return rows.map(row => row.map(value => this.toField(value)).join(',')).join('\n') + '\n';
+    },
+
+    /**
+     * Read a list of locations from CSV text
+     * A header row with lat/lon (or latitude/longitude/lng) columns gives coordinates;
+     * a name/place/location/query/address column gives place names to geocode.
+     * Without a header, two numeric columns are lat,lon and anything else is a name.
+     * Returns [{ input, lat?, lon?, name? }]
+     */
+    readPoints(text) {
+        const rows = this.parse(text);
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const findColumn = (names) => header.findIndex(h => names.includes(h));
+        const latCol = findColumn(this.LAT_COLUMNS);
+        const lonCol = findColumn(this.LON_COLUMNS);
+        const nameCol = findColumn(this.NAME_COLUMNS);
+        const hasHeader = (latCol >= 0 && lonCol >= 0) || nameCol >= 0;
+
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        return dataRows.map(row => {
+            if (hasHeader) {
+                const name = nameCol >= 0 ? (row[nameCol] || '').trim() : '';
+                const lat = latCol >= 0 ? row[latCol] || '' : '';
+                const lon = lonCol >= 0 ? row[lonCol] || '' : '';
+                if (this._isNumeric(lat) && this._isNumeric(lon)) {
+                    return { input: name || `${lat.trim()},${lon.trim()}`, lat: Number(lat), lon: Number(lon), name };
+                }
+                return { input: name };
+            }
+
+            if (row.length >= 2 && this._isNumeric(row[0]) && this._isNumeric(row[1])) {
+                return { input: `${row[0].trim()},${row[1].trim()}`, lat: Number(row[0]), lon: Number(row[1]) };
+            }
+            return { input: row.join(',').trim() };
+        });
+    },
+
+    _isNumeric(value) {
+        return value.trim() !== '' && !isNaN(Number(value));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvUtils;
+}
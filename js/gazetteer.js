@@ -0,0 +1,178 @@
+/**
+ * Gazetteer Module
+ * Offline geocoding provider backed by data/gazetteer.json, a bundled list of
+ * the world's larger places plus Tamil Nadu's towns and post office villages
+ * (no taluks; see the README for what the bundled copy holds)
+ *
+ * Implements the geocoding provider interface used by Geocoding. Regenerate
+ * the data with scripts/build-gazetteer.js.
+ *
+ * File format:
+ *   { version, source, countries: { IN: "India" }, regions: { "IN.25": "Tamil Nadu" },
+ *     places: [[name, lat, lon, countryCode, regionCode, type, population], ...] }
+ */
+
+const Gazetteer = {
+    name: 'gazetteer',
+    online: false,
+
+    URL: 'data/gazetteer.json',
+
+    // Reverse lookups only name places at most this far away
+    MAX_REVERSE_KM: 25,
+
+    /**
+     * Data loader (injectable for headless use)
+     */
+    apiClient: typeof APIClient !== 'undefined' ? APIClient : null,
+
+    // Parsed places, loaded once on first use
+    _promise: null,
+
+    /**
+     * Read the gazetteer from another URL
+     */
+    configure({ url } = {}) {
+        if (url && url !== this.URL) {
+            this.URL = url;
+            this._promise = null;
+        }
+        return this;
+    },
+
+    /**
+     * Load and index the gazetteer
+     * Resolves to [{ name, key, lat, lon, country, region, type, population }]
+     */
+    load() {
+        if (!this._promise) {
+            this._promise = (async () => {
+                let data;
+                try {
+                    const response = await this.apiClient.request(this.URL);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    data = await response.json();
+                } catch (error) {
+                    throw this.error(`Offline gazetteer could not be loaded from ${this.URL}: ${error.message}`);
+                }
+                const countries = data.countries || {};
+                const regions = data.regions || {};
+
+                const places = data.places.map(([name, lat, lon, country, region, type, population]) => ({
+                    name,
+                    key: this.normalize(name),
+                    lat,
+                    lon,
+                    country: countries[country] || country || null,
+                    countryCode: country,
+                    region: regions[`${country}.${region}`] || null,
+                    type: type || null,
+                    population: population || 0
+                }));
+                console.log(`📖 Gazetteer loaded: ${places.length} places`);
+                return places;
+            })().catch(error => {
+                // Allow a retry on the next lookup
+                this._promise = null;
+                throw error;
+            });
+        }
+        return this._promise;
+    },
+
+    /**
+     * Error for a missing or unreadable gazetteer, which Geocoding reports
+     * apart from online outages
+     */
+    error(message) {
+        const error = new Error(message);
+        error.name = 'GazetteerError';
+        return error;
+    },
+
+    /**
+     * Find places by name, best match first
+     * "Salem" matches names equal to or starting with the text; anything
+     * after a comma narrows by region or country ("Salem, Tamil Nadu",
+     * "Salem, US"). Ties go to the larger place.
+     */
+    async search(query, { limit = 1 } = {}) {
+        if (!query || query.trim() === '') {
+            throw new Error('Please enter a location');
+        }
+
+        const [name, ...context] = query.split(',').map(part => this.normalize(part));
+        const filters = context.filter(Boolean);
+        const places = await this.load();
+
+        const matches = [];
+        for (const place of places) {
+            const score = place.key === name ? 2 : (name && place.key.startsWith(name) ? 1 : 0);
+            if (score === 0) continue;
+            if (!filters.every(filter => this.matchesContext(place, filter))) continue;
+            matches.push({ place, score });
+        }
+
+        if (matches.length === 0) {
+            throw new Error('Location not found. Please try a different search term.');
+        }
+
+        matches.sort((a, b) => b.score - a.score || b.place.population - a.place.population);
+        return matches.slice(0, limit).map(({ place }) => this.toResult(place));
+    },
+
+    /**
+     * Name of the nearest place within MAX_REVERSE_KM, or null
+     */
+    async reverse(lat, lon) {
+        const places = await this.load();
+        const cosLat = Math.cos(lat * Math.PI / 180);
+
+        let nearest = null;
+        let nearestKm = Infinity;
+        for (const place of places) {
+            // Equirectangular distance is plenty at these ranges
+            const dLat = place.lat - lat;
+            const dLon = ((place.lon - lon + 540) % 360 - 180) * cosLat;
+            const km = Math.sqrt(dLat * dLat + dLon * dLon) * 111.32;
+            if (km < nearestKm) {
+                nearest = place;
+                nearestKm = km;
+            }
+        }
+
+        return nearest && nearestKm <= this.MAX_REVERSE_KM ? this.toResult(nearest).displayName : null;
+    },
+
+    matchesContext(place, filter) {
+        return [place.region, place.country, place.countryCode]
+            .some(value => value && this.normalize(value).startsWith(filter));
+    },
+
+    toResult(place) {
+        return {
+            lat: place.lat,
+            lon: place.lon,
+            displayName: [place.name, place.region, place.country].filter(Boolean).join(', '),
+            country: place.country,
+            type: place.type,
+            boundingBox: null
+        };
+    },
+
+    /**
+     * Lower-case, strip accents and punctuation: "São Paulo" → "sao paulo"
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Gazetteer;
+}
@@ -0,0 +1,189 @@
+/**
+ * Geo Export Module
+ * Writes classified points as a GeoJSON FeatureCollection or a KML document,
+ * for QGIS, Google Earth and other GIS tools
+ */
+
+const GeoExport = {
+    GEOJSON_TYPE: 'application/geo+json',
+    KML_TYPE: 'application/vnd.google-earth.kml+xml',
+    // Pushpin tinted per region in Google Earth
+    KML_ICON: 'https://maps.google.com/mapfiles/kml/paddle/wht-blank.png',
+
+    // Threshold keys as flat, unit-suffixed property names (GIS tools read flat attributes best)
+    THRESHOLD_PROPERTIES: {
+        COASTAL_DISTANCE: 'threshold_coastal_distance_km',
+        HIGH_ELEVATION: 'threshold_high_elevation_m',
+        MID_ELEVATION_MIN: 'threshold_mid_elevation_min_m',
+        LOW_ELEVATION: 'threshold_low_elevation_m',
+        LOW_PRECIPITATION: 'threshold_low_precipitation_mm'
+    },
+
+    /**
+     * Point record for a classification result (TerrainAnalyzer.classifyLocation)
+     */
+    fromResult(result, name = null) {
+        const { lat, lon } = result.coordinates;
+        return {
+            name: name || `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+            lat,
+            lon,
+            region: result.region,
+            color: result.regionData?.color,
+            ...result.terrainData,
+            ruleSet: result.ruleSet,
+            thresholds: result.thresholds,
+            classifiedAt: result.classifiedAt
+        };
+    },
+
+    /**
+     * Point record for a HistoryModule entry; entries saved before results
+     * were kept only have the region
+     */
+    fromHistory(entry) {
+        const record = entry.result
+            ? this.fromResult(entry.result, entry.locationName)
+            : { name: entry.locationName, lat: entry.lat, lon: entry.lon, region: entry.region };
+        return { ...record, color: entry.color, classifiedAt: record.classifiedAt || entry.ts };
+    },
+
+    /**
+     * GeoJSON FeatureCollection of Point features
+     * Records without coordinates (e.g. place names that could not be found)
+     * are left out. options.regionData (data/regions.json) supplies the Tamil names.
+     */
+    toGeoJson(records, { regionData = null } = {}) {
+        return {
+            type: 'FeatureCollection',
+            features: this._located(records).map(record => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [this._round(record.lon, 6), this._round(record.lat, 6)] },
+                properties: this.properties(record, regionData)
+            }))
+        };
+    },
+
+    /**
+     * KML document with one Placemark per record, styled in its region's color
+     */
+    toKml(records, { name = 'Ainthinai classification', regionData = null } = {}) {
+        const located = this._located(records);
+        const escape = value => this.escapeXml(value);
+
+        const colors = {};
+        for (const record of located) {
+            const color = regionData?.[record.region]?.color || record.color;
+            if (record.region && color && !colors[record.region]) colors[record.region] = color;
+        }
+        const styles = Object.entries(colors).map(([region, color]) => `
+    <Style id="${this._styleId(region)}">
+      <IconStyle><color>${this.kmlColor(color)}</color><Icon><href>${this.KML_ICON}</href></Icon></IconStyle>
+    </Style>`).join('');
+
+        const placemarks = located.map(record => {
+            const properties = this.properties(record, regionData);
+            const data = Object.entries(properties)
+                .filter(([, value]) => value !== null)
+                .map(([key, value]) => `<Data name="${key}"><value>${escape(value)}</value></Data>`)
+                .join('');
+            const description = [record.region, properties.region_tamil].filter(Boolean).join(' — ');
+            return `
+    <Placemark>
+      <name>${escape(record.name)}</name>${description ? `
+      <description>${escape(description)}</description>` : ''}${properties.classified_at ? `
+      <TimeStamp><when>${properties.classified_at}</when></TimeStamp>` : ''}${colors[record.region] ? `
+      <styleUrl>#${this._styleId(record.region)}</styleUrl>` : ''}
+      <ExtendedData>${data}</ExtendedData>
+      <Point><coordinates>${this._round(record.lon, 6)},${this._round(record.lat, 6)}</coordinates></Point>
+    </Placemark>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escape(name)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+    },
+
+    /**
+     * Flat feature properties; unknown values are null
+     */
+    properties(record, regionData = null) {
+        const known = value => value !== undefined && value !== null && Number.isFinite(Number(value));
+        const properties = {
+            name: record.name ?? null,
+            region: record.region || null,
+            region_tamil: regionData?.[record.region]?.tamil || null,
+            elevation_m: known(record.elevation) ? this._round(record.elevation, 0) : null,
+            coast_distance_km: known(record.coastDistance) ? this._round(record.coastDistance, 1) : null,
+            precipitation_mm: known(record.precipitation) ? this._round(record.precipitation, 0) : null,
+            rule_set: record.ruleSet || null
+        };
+        for (const [key, property] of Object.entries(this.THRESHOLD_PROPERTIES)) {
+            properties[property] = known(record.thresholds?.[key]) ? Number(record.thresholds[key]) : null;
+        }
+        properties.classified_at = record.classifiedAt ? new Date(record.classifiedAt).toISOString() : null;
+        if (record.error) properties.error = record.error;
+        return properties;
+    },
+
+    /**
+     * CSS hex color (#rrggbb) as a KML color (aabbggrr)
+     */
+    kmlColor(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex));
+        if (!match) return 'ffffffff';
+        const [, red, green, blue] = match;
+        return `ff${blue}${green}${red}`.toLowerCase();
+    },
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Save text as a file in the browser
+     */
+    download(text, filename, type) {
+        const blob = new Blob([text], { type });
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    /**
+     * Write records as 'geojson' or 'kml' and save them as <basename>.geojson / .kml
+     */
+    save(records, format, basename, options = {}) {
+        if (format === 'kml') {
+            this.download(this.toKml(records, options), `${basename}.kml`, this.KML_TYPE);
+        } else {
+            this.download(JSON.stringify(this.toGeoJson(records, options), null, 2), `${basename}.geojson`, this.GEOJSON_TYPE);
+        }
+    },
+
+    _located(records) {
+        return records.filter(record => Number.isFinite(record.lat) && Number.isFinite(record.lon));
+    },
+
+    _styleId(region) {
+        return `thinai-${String(region).replace(/[^\w-]/g, '')}`;
+    },
+
+    _round(value, digits) {
+        return Number(Number(value).toFixed(digits));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoExport;
+}
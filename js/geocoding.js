@@ -5,68 +5,152 @@
 
 const Geocoding = {
     /**
-     * Last request timestamp for rate limiting
+     * Geocoding providers by name (injectable for headless use)
+     * A provider has a name, `online` (whether it needs the network),
+     * search(query, { limit, signal }) resolving to
+     * [{ lat, lon, displayName, country, type, boundingBox }] or throwing,
+     * and optionally reverse(lat, lon, { signal }) resolving to a name or null.
+     * Rate limiting is the provider's job.
      */
-    lastRequestTime: 0,
+    providers: {
+        nominatim: typeof NominatimClient !== 'undefined' ? NominatimClient : null,
+        photon: typeof PhotonClient !== 'undefined' ? PhotonClient : null,
+        gazetteer: typeof Gazetteer !== 'undefined' ? Gazetteer : null
+    },
 
     /**
-     * Minimum delay between requests (in milliseconds)
-     * Nominatim requires max 1 request per second
+     * Providers tried in turn until one answers; online providers are
+     * skipped while the browser is offline
      */
-    MIN_REQUEST_DELAY: 1000,
+    providerOrder: ['nominatim', 'gazetteer'],
 
     /**
-     * Geocode an address or location name to coordinates
-     * Returns {lat, lon, displayName}
+     * Coordinate text reader (injectable for headless use)
      */
-    async geocode(address) {
-        // Validate input
-        if (!address || address.trim() === '') {
-            throw new Error('Please enter a location');
+    coordinateParser: typeof CoordinateParser !== 'undefined' ? CoordinateParser : null,
+
+    /**
+     * Interface language for messages (injectable for headless use)
+     */
+    i18n: typeof I18n !== 'undefined' ? I18n : null,
+
+    /**
+     * Autocomplete: shortest query worth looking up, candidates offered,
+     * and how many queries' candidates are remembered
+     */
+    MIN_SUGGESTION_LENGTH: 3,
+    MAX_SUGGESTIONS: 5,
+    SUGGESTION_CACHE_SIZE: 50,
+    _suggestionCache: new Map(),
+
+    /**
+     * Choose the providers and configure each one, e.g.
+     * { providers: ['photon', 'gazetteer'], photon: { baseUrl: 'https://photon.example.org' } }
+     */
+    configure({ providers, ...options } = {}) {
+        if (providers) {
+            const names = typeof providers === 'string' ? providers.split(',').map(name => name.trim()) : providers;
+            const unknown = names.filter(name => !this.providers[name]);
+            if (names.length === 0 || unknown.length) {
+                throw new Error(`Unknown geocoding provider "${unknown[0] || ''}" ` +
+                    `(expected ${Object.keys(this.providers).join(', ')})`);
+            }
+            this.providerOrder = names;
         }
+        for (const [name, settings] of Object.entries(options)) {
+            if (this.providers[name] && settings) this.providers[name].configure(settings);
+        }
+        return this;
+    },
 
-        // Ensure we don't exceed rate limits
-        await this.enforceRateLimit();
+    /**
+     * Whether the browser reports having no network connection
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    },
 
-        try {
-            const result = await APIClient.geocodeAddress(address.trim());
-            return result;
-        } catch (error) {
-            throw this.handleGeocodingError(error);
+    /**
+     * The providers to try now, in order
+     */
+    activeProviders() {
+        const offline = this.isOffline();
+        return this.providerOrder
+            .map(name => this.providers[name])
+            .filter(provider => provider && !(offline && provider.online));
+    },
+
+    /**
+     * Search each provider in turn until one finds the place
+     * A provider that fails or finds nothing hands over to the next; if all
+     * do, the first provider's error is thrown.
+     */
+    async searchPlaces(query, { limit = 1, signal } = {}) {
+        let firstError = null;
+        for (const provider of this.activeProviders()) {
+            try {
+                return await provider.search(query, { limit, signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Geocoding provider ${provider.name} failed:`, error.message);
+                firstError = firstError || error;
+            }
         }
+        throw firstError || new Error('Geocoding service unavailable: no provider can be used offline');
     },
 
     /**
-     * Enforce rate limiting for API requests
+     * Name of the place at (lat, lon) from the first provider that knows it,
+     * or null
      */
-    async enforceRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
+    async reverse(lat, lon, { signal } = {}) {
+        for (const provider of this.activeProviders()) {
+            if (!provider.reverse) continue;
+            try {
+                const name = await provider.reverse(lat, lon, { signal });
+                if (name) return name;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Reverse geocoding with ${provider.name} failed:`, error.message);
+            }
+        }
+        return null;
+    },
 
-        if (timeSinceLastRequest < this.MIN_REQUEST_DELAY) {
-            const waitTime = this.MIN_REQUEST_DELAY - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+    /**
+     * Geocode an address or location name to coordinates
+     * Returns {lat, lon, displayName}; options.signal cancels the lookup
+     */
+    async geocode(address, { signal } = {}) {
+        // Validate input
+        if (!address || address.trim() === '') {
+            throw new Error('Please enter a location');
         }
 
-        this.lastRequestTime = Date.now();
+        try {
+            const [result] = await this.searchPlaces(address, { signal });
+            return result;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error geocoding address:', error);
+            throw this.handleGeocodingError(error);
+        }
     },
 
     /**
      * Handle geocoding errors and return user-friendly messages
      */
     handleGeocodingError(error) {
-        let userMessage = 'Unable to find that location';
-
-        if (error.message.includes('not found')) {
-            userMessage = 'Location not found. Please try:\n' +
-                '• A major city name (e.g., "Tokyo", "Paris")\n' +
-                '• A landmark (e.g., "Eiffel Tower")\n' +
-                '• A full address\n' +
-                '• Coordinates (e.g., "13.08, 80.27")';
+        let userMessage = this.i18n.t('geocoding.failed');
+
+        if (error.name === 'GazetteerError') {
+            userMessage = this.i18n.t('geocoding.gazetteerMissing');
+        } else if (error.message.includes('not found')) {
+            userMessage = this.i18n.t('geocoding.notFound');
         } else if (error.message.includes('unavailable')) {
-            userMessage = 'Geocoding service is temporarily unavailable. Please try again in a moment.';
+            userMessage = this.i18n.t('geocoding.unavailable');
         } else if (error.message.includes('enter a location')) {
-            userMessage = 'Please enter a location to search.';
+            userMessage = this.i18n.t('geocoding.enterLocation');
         }
 
         return {
@@ -77,79 +161,69 @@ const Geocoding = {
     },
 
     /**
-     * Validate if a string looks like coordinates
-     * Supports formats like: "13.08, 80.27" or "13.08 80.27"
+     * Whether input is meant as coordinates rather than a place name
+     * (see CoordinateParser for the formats)
      */
     looksLikeCoordinates(input) {
-        // Remove extra whitespace
-        const clean = input.trim();
-
-        // Pattern: two numbers separated by comma or space
-        // Latitude: -90 to 90, Longitude: -180 to 180
-        const coordPattern = /^(-?\d+\.?\d*)[,\s]+(-?\d+\.?\d*)$/;
-        return coordPattern.test(clean);
+        return this.coordinateParser.looksLikeCoordinates(input);
     },
 
     /**
-     * Parse coordinate string to lat/lon
+     * Parse coordinate text to { lat, lon, format, swapped }
+     * Throws a CoordinateError naming what is wrong with it
      */
     parseCoordinates(input) {
-        const clean = input.trim();
-        const coordPattern = /^(-?\d+\.?\d*)[,\s]+(-?\d+\.?\d*)$/;
-        const match = clean.match(coordPattern);
-
-        if (!match) {
-            throw new Error('Invalid coordinate format');
-        }
-
-        const lat = parseFloat(match[1]);
-        const lon = parseFloat(match[2]);
-
-        // Validate ranges
-        if (lat < -90 || lat > 90) {
-            throw new Error('Latitude must be between -90 and 90');
+        const coords = this.coordinateParser.parse(input);
+        if (!coords) {
+            throw new Error(this.i18n.t('coordinates.invalid'));
         }
-
-        if (lon < -180 || lon > 180) {
-            throw new Error('Longitude must be between -180 and 180');
-        }
-
-        return { lat, lon };
+        return coords;
     },
 
     /**
      * Search for a location - handles both place names and coordinates
      */
-    async search(input, onLoading) {
+    async search(input, onLoading, { signal } = {}) {
         try {
             if (onLoading) {
-                onLoading('Searching for location...');
+                onLoading(this.i18n.t('loading.searching'));
             }
 
-            // Check if input looks like coordinates
-            if (this.looksLikeCoordinates(input)) {
-                const coords = this.parseCoordinates(input);
+            // Coordinates in any supported format skip the geocoder
+            let coords = this.coordinateParser.parse(input);
+            if (coords && coords.reference) {
+                // Short plus code: find the nearby place, then the code near it
+                if (onLoading) {
+                    onLoading(this.i18n.t('loading.lookingUpPlace', { place: coords.reference }));
+                }
+                const place = await this.geocode(coords.reference, { signal });
+                coords = { ...this.coordinateParser.recoverPlusCode(coords.code, place.lat, place.lon), code: coords.code };
+            }
 
+            if (coords) {
                 if (onLoading) {
-                    onLoading('Coordinates found! Analyzing terrain...');
+                    onLoading(this.i18n.t(coords.swapped ? 'loading.swapped' : 'loading.coordinates'));
                 }
 
+                const lat = Number(coords.lat.toFixed(6));
+                const lon = Number(coords.lon.toFixed(6));
                 return {
-                    lat: coords.lat,
-                    lon: coords.lon,
-                    displayName: `${coords.lat}, ${coords.lon}`
+                    lat,
+                    lon,
+                    displayName: coords.code ? `${coords.code} (${lat}, ${lon})` : `${lat}, ${lon}`,
+                    swapped: coords.swapped
                 };
             }
 
             // Otherwise, geocode the address
             if (onLoading) {
-                onLoading('Looking up location...');
+                onLoading(this.i18n.t('loading.lookingUp'));
             }
 
-            const result = await this.geocode(input);
+            const result = await this.geocode(input, { signal });
 
             if (onLoading) {
-                onLoading('Location found! Analyzing terrain...');
+                onLoading(this.i18n.t('loading.found'));
             }
 
             return result;
@@ -159,13 +233,35 @@ const Geocoding = {
     },
 
     /**
-     * Get search suggestions (optional feature for autocomplete)
-     * This could be implemented in the future
+     * Get candidate places for a partly typed query (for autocomplete)
+     * Returns [] for short queries, coordinates and unknown places. Candidates
+     * are remembered per query, so retyping or backspacing costs no request.
      */
-    async getSuggestions(query) {
-        // Placeholder for autocomplete functionality
-        // Could use Nominatim's search with more results
-        return [];
+    async getSuggestions(query, { signal } = {}) {
+        const key = (query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+        if (key.length < this.MIN_SUGGESTION_LENGTH || this.looksLikeCoordinates(key)) {
+            return [];
+        }
+
+        // Different providers give different candidates
+        const cacheKey = `${this.activeProviders().map(provider => provider.name).join(',')}:${key}`;
+        if (this._suggestionCache.has(cacheKey)) {
+            return this._suggestionCache.get(cacheKey);
+        }
+
+        let suggestions;
+        try {
+            suggestions = await this.searchPlaces(key, { limit: this.MAX_SUGGESTIONS, signal });
+        } catch (error) {
+            if (!error.message.includes('not found')) throw error;
+            suggestions = [];
+        }
+
+        this._suggestionCache.set(cacheKey, suggestions);
+        if (this._suggestionCache.size > this.SUGGESTION_CACHE_SIZE) {
+            this._suggestionCache.delete(this._suggestionCache.keys().next().value);
+        }
+        return suggestions;
     },
 
     /**
@@ -178,3 +274,7 @@ const Geocoding = {
             .replace(/[^\w\s,.-]/g, ''); // Remove special characters except comma, period, hyphen
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geocoding;
+}
@@ -24,7 +24,7 @@ const GeoLocation = {
         return new Promise((resolve, reject) => {
             // Check if geolocation is supported
             if (!this.isSupported()) {
-                reject(new Error('Geolocation is not supported by your browser'));
+                reject(new Error(I18n.t('geolocation.unsupported')));
                 return;
             }
 
@@ -65,22 +65,22 @@ const GeoLocation = {
         switch (error.code) {
             case error.PERMISSION_DENIED:
                 message = 'Location permission denied';
-                userMessage = 'You denied location access. Please use the manual input option below or enable location permissions in your browser settings.';
+                userMessage = I18n.t('geolocation.denied');
                 break;
 
             case error.POSITION_UNAVAILABLE:
                 message = 'Location information unavailable';
-                userMessage = 'Your location could not be determined. Please check your device settings or use the manual input option.';
+                userMessage = I18n.t('geolocation.unavailable');
                 break;
 
             case error.TIMEOUT:
                 message = 'Location request timed out';
-                userMessage = 'Location request took too long. Please try again or use the manual input option.';
+                userMessage = I18n.t('geolocation.timeout');
                 break;
 
             default:
                 message = 'Unknown geolocation error';
-                userMessage = 'An error occurred while getting your location. Please try the manual input option.';
+                userMessage = I18n.t('geolocation.failed');
                 break;
         }
 
@@ -100,13 +100,13 @@ const GeoLocation = {
     async requestLocation(onLoading) {
         try {
             if (onLoading) {
-                onLoading('Requesting location permission...');
+                onLoading(I18n.t('loading.permission'));
             }
 
             const position = await this.getCurrentPosition();
 
             if (onLoading) {
-                onLoading('Location acquired! Analyzing terrain...');
+                onLoading(I18n.t('loading.acquired'));
             }
 
             return position;
@@ -132,31 +132,12 @@ const GeoLocation = {
      * Get approximate location name using reverse geocoding
      * This is optional and can be used to show location name
      */
-    async getLocationName(lat, lon) {
+    async getLocationName(lat, lon, { signal } = {}) {
         try {
-            const url = `https://nominatim.openstreetmap.org/reverse?` +
-                `lat=${lat}&lon=${lon}&` +
-                `format=json&` +
-                `zoom=10`;
-
-            // Respect Nominatim's usage policy
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'Ainthinai-Classifier-App'
-                }
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return data.display_name || 'Unknown location';
-            }
-
-            return 'Unknown location';
+            return await Geocoding.reverse(lat, lon, { signal }) || I18n.t('geolocation.unknownPlace');
         } catch (error) {
             console.error('Error getting location name:', error);
-            return 'Unknown location';
+            return I18n.t('geolocation.unknownPlace');
         }
     }
 };
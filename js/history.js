@@ -1,6 +1,9 @@
 /**
  * History Module
  * Stores and renders the last 5 classified locations as clickable chips
+ *
+ * Entries keep a snapshot of the classification so they can be shown again
+ * without a connection.
  */
 
 const HistoryModule = {
@@ -9,15 +12,19 @@ const HistoryModule = {
 
     /**
      * Save a result to history (deduplicates by coords)
+     * result is the full classification, kept for offline viewing
      */
-    save(locationName, region, icon, color, lat, lon) {
+    save(locationName, region, icon, color, lat, lon, result = null) {
         const history = this.load();
         // Remove duplicate if same location exists
         const filtered = history.filter(h =>
             Math.abs(h.lat - lat) > 0.01 || Math.abs(h.lon - lon) > 0.01
         );
         // Prepend new entry
-        filtered.unshift({ locationName, region, icon, color, lat, lon, ts: Date.now() });
+        filtered.unshift({
+            locationName, region, icon, color, lat, lon, ts: Date.now(),
+            result: result ? this._snapshot(result) : undefined
+        });
         // Keep only last MAX_ITEMS
         const trimmed = filtered.slice(0, this.MAX_ITEMS);
         try {
@@ -40,6 +47,28 @@ const HistoryModule = {
         }
     },
 
+    /**
+     * Find the history entry for a location (within ~1 km), or null
+     */
+    find(lat, lon) {
+        return this.load().find(h =>
+            Math.abs(h.lat - lat) <= 0.01 && Math.abs(h.lon - lon) <= 0.01
+        ) || null;
+    },
+
+    /**
+     * Download the history as 'geojson' or 'kml'
+     */
+    async exportAs(format) {
+        const history = this.load();
+        if (history.length === 0) return;
+        const regionData = await TerrainAnalyzer.loadRegionData();
+        GeoExport.save(history.map(entry => GeoExport.fromHistory(entry)), format, 'ainthinai-history', {
+            name: 'Ainthinai history',
+            regionData
+        });
+    },
+
     /**
      * Clear all history
      */
@@ -76,14 +105,21 @@ const HistoryModule = {
 
         section.innerHTML = `
             <div class="history-header">
-                <span class="history-label">🕐 Recent</span>
-                <button class="history-clear" id="history-clear-btn">Clear</button>
+                <span class="history-label">${I18n.t('history.recent')}</span>
+                <span class="history-actions">
+                    <button class="history-clear history-export" data-format="geojson" title="${I18n.t('export.geojsonTitle')}">🌐 ${I18n.t('export.geojson')}</button>
+                    <button class="history-clear history-export" data-format="kml" title="${I18n.t('export.kmlTitle')}">🌍 ${I18n.t('export.kml')}</button>
+                    <button class="history-clear" id="history-clear-btn">${I18n.t('history.clear')}</button>
+                </span>
             </div>
             <div class="history-chips">${chipsHtml}</div>
         `;
 
         // Bind events
         document.getElementById('history-clear-btn')?.addEventListener('click', () => this.clear());
+        section.querySelectorAll('.history-export').forEach(button => {
+            button.addEventListener('click', () => this.exportAs(button.dataset.format));
+        });
 
         section.querySelectorAll('.history-chip').forEach(chip => {
             chip.addEventListener('click', () => {
@@ -98,6 +134,15 @@ const HistoryModule = {
         });
     },
 
+    /**
+     * Classification without the region metadata, which is reloaded from
+     * data/regions.json when shown; classifiedAt survives re-saving
+     */
+    _snapshot(result) {
+        const { regionData, runnerUpData, restored, ...rest } = result;
+        return { ...rest, classifiedAt: rest.classifiedAt || Date.now() };
+    },
+
     _escape(str) {
         return String(str).replace(/"/g, '&quot;').replace(/</g, '&lt;');
     },
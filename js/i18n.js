@@ -0,0 +1,806 @@
+/**
+ * I18n Module
+ * English and Tamil message catalogs, and figures in the interface language
+ *
+ * Static text in index.html is marked with data-i18n="key" (text content),
+ * data-i18n-html="key" (markup from the catalog) or data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label; translatePage() fills them in.
+ * Messages take {name} parameters. Keys missing from the Tamil catalog fall
+ * back to English.
+ */
+
+const I18n = {
+    DEFAULT_LANGUAGE: 'en',
+
+    /**
+     * Interface languages: own name and Intl locale (undefined = browser default)
+     */
+    LANGUAGES: {
+        en: { name: 'English', locale: undefined },
+        ta: { name: 'தமிழ்', locale: 'ta-IN' }
+    },
+
+    language: 'en',
+
+    // Tamil digits ௦–௯, used for figures in the Tamil interface
+    TAMIL_DIGITS: '௦௧௨௩௪௫௬௭௮௯',
+
+    messages: {
+        en: {
+            'page.title': 'Where Am I in Ainthinai? - Ancient Tamil Geography',
+            'language.switch': 'தமிழ்',
+            'language.switchTitle': 'தமிழில் காட்டு (Show in Tamil)',
+
+            'hero.title': 'Where Am I in Ainthinai?',
+            'hero.subtitle': 'Discover Your Location Through Ancient Tamil Geography',
+            'hero.intro': '<strong>Ainthinai (ஐந்திணை)</strong> is an ancient Tamil classification system from classical Sangam ' +
+                'literature that divides the world into five geographical regions, each with unique landscapes, ' +
+                'climates, and the emotions of the human heart.',
+            'hero.kurinji': '<strong>Kurinji</strong> (குறிஞ்சி) — Mountains',
+            'hero.mullai': '<strong>Mullai</strong> (முல்லை) — Forests',
+            'hero.marudham': '<strong>Marudham</strong> (மருதம்) — Plains',
+            'hero.neithal': '<strong>Neithal</strong> (நெய்தல்) — Coastal',
+            'hero.paalai': '<strong>Paalai</strong> (பாலை) — Arid',
+
+            'input.title': 'Find Your Ainthinai',
+            'input.or': 'OR',
+            'input.detectTitle': 'Allow Location',
+            'input.detectBadge': 'Most Precise',
+            'input.detectButton': 'Detect My Location',
+            'input.detectHint': 'We\'ll automatically detect your exact location using your device\'s GPS',
+            'input.detectUnsupported': 'Location Not Supported',
+            'input.detectUnsupportedTitle': 'Your browser does not support geolocation',
+            'input.searchTitle': 'Tell Us Where You Are',
+            'input.searchPlaceholder': 'Enter city, address, landmark or coordinates...',
+            'input.searchLabel': 'Location input',
+            'input.suggestionsLabel': 'Matching places',
+            'input.pickSuggestion': 'Several places match. Pick one to classify it.',
+            'input.searchButton': 'Search',
+            'input.searchHint': 'Type any location name worldwide and pick the right match from the list',
+            'input.batchTitle': 'Classify a List',
+            'input.batchFileLabel': 'CSV file of locations',
+            'input.batchButton': 'Classify',
+            'input.batchHint': 'One place name per row, or <code>name,lat,lon</code> columns',
+
+            'suggestion.extent': '~{size} km across',
+            'suggestion.extentSmall': '< {size} km across',
+            'placeType.administrative': 'Administrative area',
+            'placeType.country': 'Country',
+            'placeType.state': 'State',
+            'placeType.region': 'Region',
+            'placeType.province': 'Province',
+            'placeType.state_district': 'District',
+            'placeType.district': 'District',
+            'placeType.county': 'County',
+            'placeType.taluk': 'Taluk',
+            'placeType.municipality': 'Municipality',
+            'placeType.capital': 'Capital',
+            'placeType.city': 'City',
+            'placeType.town': 'Town',
+            'placeType.village': 'Village',
+            'placeType.hamlet': 'Hamlet',
+            'placeType.suburb': 'Suburb',
+            'placeType.city_district': 'City district',
+            'placeType.neighbourhood': 'Neighbourhood',
+            'placeType.locality': 'Locality',
+            'placeType.island': 'Island',
+            'placeType.peak': 'Peak',
+            'placeType.river': 'River',
+            'placeType.lake': 'Lake',
+            'placeType.road': 'Road',
+
+            'settings.title': '⚙️ Classification Thresholds',
+            'settings.preset': 'Preset',
+            'settings.apply': 'Apply',
+            'settings.presetName': 'Preset name',
+            'settings.save': '💾 Save Preset',
+            'settings.delete': '🗑️ Delete',
+            'settings.terrainSource': '📡 Terrain data',
+            'settings.terrainFallback': 'Live, bundled tiles when offline',
+            'settings.terrainPrimary': 'Bundled tiles first (works offline)',
+            'settings.terrainOff': 'Live only',
+            'settings.geocoder': '🔎 Place search',
+            'settings.geocoderNominatim': 'OpenStreetMap Nominatim, bundled gazetteer as fallback',
+            'settings.geocoderPhoton': 'Photon, bundled gazetteer as fallback',
+            'settings.geocoderGazetteer': 'Bundled gazetteer only (works offline)',
+            'settings.presetDefault': 'Global default',
+            'settings.presetScholarly': 'Tamil Nadu scholarly',
+            'settings.presetCustom': 'Custom',
+            'settings.presetShared': 'Shared link',
+            'settings.coastDistance': 'Coast distance (km)',
+            'settings.coastDistanceHint': 'Neithal lies within this distance of the sea',
+            'settings.highElevation': 'Kurinji elevation (m)',
+            'settings.highElevationHint': 'Mountains start at this height',
+            'settings.midElevation': 'Mullai elevation (m)',
+            'settings.midElevationHint': 'Forest uplands start at this height',
+            'settings.lowElevation': 'Plains elevation (m)',
+            'settings.lowElevationHint': 'Neithal and Marudham lie below this height',
+            'settings.lowPrecipitation': 'Paalai rainfall (mm/yr)',
+            'settings.lowPrecipitationHint': 'Arid land receives less than this',
+            'settings.applied': '✅ Thresholds applied',
+            'settings.saved': '✅ Saved preset "{name}"',
+            'settings.nameRequired': 'Enter a name for the preset',
+            'settings.builtIn': '"{name}" is a built-in preset',
+            'settings.notPositive': '{field} must be a positive number',
+            'settings.overlap': 'Plains and Mullai elevations must be below the Kurinji elevation',
+
+            'map.title': '🗺️ Explore the Map',
+            'map.hint': 'Click anywhere to classify that point, or drag the marker to move it.',
+            'map.clear': 'Clear points',
+            'map.clearTitle': 'Remove the points classified this session',
+            'map.overlay': 'Thinai overlay',
+            'map.overlayTitle': 'Color the whole map by the region each area gets with the default thresholds',
+            'map.overlayMissing': 'The thinai overlay has not been built for this site',
+            'map.overlayAttribution': 'Thinai overlay: {rules}, {step}° cells',
+            'map.overlayAttributionSources': 'Thinai overlay: {rules}, {step}° cells; elevation: {elevation}; rainfall: {precipitation}',
+            'map.legend': 'Thinai',
+            'map.classifying': '⏳ Classifying…',
+
+            'route.draw': '✏️ Draw route',
+            'route.finish': '✔️ Finish route',
+            'route.drawTitle': 'Click along a route on the map, double-click to finish',
+            'route.loadGpx': '📂 Load GPX',
+            'route.loadGpxTitle': 'Use the track of a GPX file',
+            'route.step': 'Sample every',
+            'route.stepUnit': 'km',
+            'route.run': '📈 Profile route',
+            'route.clear': 'Clear route',
+            'route.drawing': 'Click to add points ({count} so far), double-click to finish.',
+            'route.ready': 'Route of {length} through {count} points.',
+            'route.tooShort': 'A route needs at least two points.',
+            'route.gpxError': 'No track or route with at least two points was found in that GPX file.',
+            'route.title': 'Route Profile',
+            'route.progress': 'Classifying sample {done} of {total}…',
+            'route.done': '{length}, sampled every {step}.',
+            'route.doneFailed': '{length}, sampled every {step}; {failed} samples could not be classified.',
+            'route.stopped': 'Stopped after {done} of {total} samples.',
+            'route.stop': 'Stop',
+            'route.stopTitle': 'Stop after the current sample',
+            'route.chartLabel': 'Elevation and rainfall along a {length} route, shaded by thinai',
+            'route.elevation': 'Elevation (m)',
+            'route.rainfall': 'Typical rainfall (mm/year)',
+            'route.totals': 'Distance per thinai',
+            'route.noData': 'No data',
+            'route.sequence': 'Crosses {sequence}',
+
+            'area.draw': '⬠ Draw area',
+            'area.finish': '✔️ Finish area',
+            'area.drawTitle': 'Click the corners of an area on the map, double-click to finish',
+            'area.loadFile': '📂 Load GeoJSON / KML',
+            'area.loadFileTitle': 'Use the polygons of a GeoJSON or KML file',
+            'area.step': 'Grid every',
+            'area.stepUnit': 'km',
+            'area.run': '🧩 Classify area',
+            'area.clear': 'Clear area',
+            'area.drawing': 'Click to add corners ({count} so far), double-click to finish.',
+            'area.tooSmall': 'An area needs at least three corners.',
+            'area.fileError': 'No polygon was found in that file. Use a GeoJSON or KML file with a Polygon or MultiPolygon.',
+            'area.ready': 'Area of {area}: {cells} grid cells to classify.',
+            'area.readyNamed': '{name}, {area}: {cells} grid cells to classify.',
+            'area.title': 'Area Composition',
+            'area.titleNamed': 'Area Composition: {name}',
+            'area.progress': 'Classifying cell {done} of {total}…',
+            'area.done': '{area} in {cells} cells of {step}.',
+            'area.doneFailed': '{area} in {cells} cells of {step}; {failed} could not be classified.',
+            'area.stopped': 'Stopped after {done} of {total} cells.',
+            'area.stop': 'Stop',
+            'area.stopTitle': 'Stop after the current cell',
+            'area.minimapLabel': 'The {cells} grid cells of the area, colored by thinai',
+            'area.composition': 'Share of the area',
+            'area.cells': '{count} cells',
+            'area.noData': 'No data',
+
+            'batch.title': 'Batch Classification',
+            'batch.stop': 'Stop',
+            'batch.stopTitle': 'Stop after the current row',
+            'batch.download': 'Download CSV',
+            'batch.downloadTitle': 'Download results as CSV',
+            'batch.input': 'Input',
+            'batch.region': 'Region',
+            'batch.elevation': 'Elevation (m)',
+            'batch.coast': 'Coast (km)',
+            'batch.rain': 'Rain (mm/yr)',
+            'batch.empty': '⚠️ No locations found in that file',
+            'batch.progress': 'Classifying {input}… ({done}/{total})',
+            'batch.done': '✅ Done: {classified} classified ({done}/{total})',
+            'batch.doneFailed': '✅ Done: {classified} classified, {failed} failed ({done}/{total})',
+            'batch.stopped': '⏹ Stopped: {classified} classified ({done}/{total})',
+            'batch.stoppedFailed': '⏹ Stopped: {classified} classified, {failed} failed ({done}/{total})',
+            'batch.noRain': 'No rainfall data',
+            'batch.estimatedRain': 'Estimated from bundled coarse data',
+
+            'history.recent': '🕐 Recent',
+            'history.clear': 'Clear',
+            'queue.waiting': '⏳ Waiting for a connection',
+            'queue.queuedAt': 'Queued {date}',
+            'queue.finishedOne': '✅ {count} queued lookup finished — see Recent',
+            'queue.finished': '✅ {count} queued lookups finished — see Recent',
+            'queue.failed': ' · ⚠️ {count} could not be classified',
+            'export.geojson': 'GeoJSON',
+            'export.geojsonTitle': 'Download as GeoJSON for QGIS and other GIS tools',
+            'export.kml': 'KML',
+            'export.kmlTitle': 'Download as KML for Google Earth',
+
+            'loading.analyzing': 'Analyzing terrain characteristics...',
+            'loading.permission': 'Requesting location permission...',
+            'loading.acquired': 'Location acquired! Analyzing terrain...',
+            'loading.searching': 'Searching for location...',
+            'loading.lookingUp': 'Looking up location...',
+            'loading.lookingUpPlace': 'Looking up {place}...',
+            'loading.found': 'Location found! Analyzing terrain...',
+            'loading.coordinates': 'Coordinates found! Analyzing terrain...',
+            'loading.swapped': 'Coordinates look like longitude, latitude - swapped them. Analyzing terrain...',
+            'loading.details': 'Getting location details...',
+            'loading.result': 'Loading result...',
+
+            'result.terrain': 'Terrain Analysis',
+            'result.elevation': 'Elevation',
+            'result.coast': 'Distance to Coast',
+            'result.precipitation': 'Typical Precipitation',
+            'result.confidence': 'Confidence',
+            'result.trace': 'How this was decided',
+            'result.blend': 'Landscape Blend',
+            'result.fuzzyMode': 'Fuzzy mode',
+            'result.fuzzyModeTitle': 'Score a 0–1 membership in every thinai',
+            'result.characteristics': 'Characteristics',
+            'result.verse': 'Sangam Verse',
+            'result.share': 'Share Your Ainthinai',
+            'result.tweet': 'Tweet',
+            'result.tweetTitle': 'Share on X / Twitter',
+            'result.copyLink': 'Copy Link',
+            'result.copyLinkTitle': 'Copy shareable link',
+            'result.saveImage': 'Save Image',
+            'result.saveImageTitle': 'Download as image',
+            'result.tryAnother': '🔄 Try Another Location',
+            'result.yourLocation': 'Your location',
+            'result.savedOffline': '📦 You\'re offline — showing the result saved on {date}.',
+            'result.queued': '📴 You\'re offline — “{label}” will be classified when you reconnect.',
+            'result.climatology': '{start}–{end} mean ± {spread} · Last year ({year}): {total}',
+
+            'share.copied': '✅ Link copied to clipboard!',
+            'share.copiedFallback': '✅ Link copied!',
+            'share.imageUnavailable': '⚠️ Image download not available',
+            'share.generatingImage': '📷 Generating image...',
+            'share.imageSaved': '✅ Image saved!',
+            'share.imageFailed': '⚠️ Could not generate image',
+            'share.kmlSaved': '✅ KML saved!',
+            'share.geojsonSaved': '✅ GeoJSON saved!',
+            'share.tweet': 'I\'m in {region} 🏔️🌲🌾🌊🏜️ according to the ancient Tamil Ainthinai system!\n\n' +
+                'My location ({location}) is classified as {region} — {emotion}.\n\nDiscover yours →',
+
+            'provenance.elevation': 'Elevation',
+            'provenance.coastDistance': 'Coast distance',
+            'provenance.precipitation': 'Rainfall',
+            'provenance.and': ' and ',
+            'provenance.missingWarning': '❌ {fields} data is missing, so rules that need it could not be checked.',
+            'provenance.estimatedWarning': '⚠️ {fields} is estimated from bundled coarse data, not measured here.',
+            'provenance.missing': 'Missing — no source had data',
+            'provenance.estimated': 'Estimated · {source}',
+            'provenance.cached': 'cached {date}',
+            'provenance.fetched': 'fetched {date}',
+
+            'confidence.clear': 'Clear',
+            'confidence.moderate': 'Moderate',
+            'confidence.borderline': 'Borderline',
+            'confidence.runnerUp': 'Runner-up: {region}',
+            'confidence.bestFit': '⚠️ No rule matched exactly — this is a best-fit estimate',
+            'trace.bestFit': '↪️ No rule matched; closest fit is {region}',
+            'membership.note': 'Strongest membership is {fuzzy}; the crisp rules chose {crisp}',
+            'trace.missing': 'missing',
+            'trace.elevation': 'elevation',
+            'trace.coastDistance': 'coast distance',
+            'trace.precipitation': 'rainfall',
+
+            'explanation.coastal': 'Within {distance} of the coast',
+            'explanation.lowElevation': 'Low elevation ({elevation})',
+            'explanation.highElevation': 'High elevation ({elevation})',
+            'explanation.midElevation': 'Mid-altitude elevation ({elevation})',
+            'explanation.lowRainfall': 'Low annual rainfall ({precipitation})',
+            'explanation.mountainous': 'Mountainous terrain',
+            'explanation.arid': 'Arid conditions',
+            'explanation.vegetation': 'Adequate rainfall for vegetation',
+            'explanation.inland': 'Inland location',
+            'explanation.agriculture': 'Adequate rainfall for agriculture',
+            'explanation.plains': 'Fertile plains',
+
+            'units.m': '{value} m',
+            'units.km': '{value} km',
+            'units.km2': '{value} km²',
+            'units.mm': '{value} mm',
+            'units.mmPerYear': '{value} mm/year',
+            'units.belowSeaLevel': 'Below sea level',
+            'units.unavailable': 'Unavailable',
+
+            'error.title': 'Something went wrong',
+            'error.retry': 'Try Again',
+            'error.inputRequired': 'Input Required',
+            'error.locationFailed': 'Location Access Failed',
+            'error.searchFailed': 'Location Search Failed',
+            'error.classificationFailed': 'Classification Failed',
+            'error.classificationMessage': 'Unable to analyze this location. Please try another one.',
+
+            'geocoding.notFound': 'Location not found. Please try:\n' +
+                '• A major city name (e.g., "Tokyo", "Paris")\n' +
+                '• A landmark (e.g., "Eiffel Tower")\n' +
+                '• A full address\n' +
+                '• Coordinates (e.g., "13.08, 80.27")',
+            'geocoding.unavailable': 'Geocoding service is temporarily unavailable. Please try again in a moment.',
+            'geocoding.enterLocation': 'Please enter a location to search.',
+            'geocoding.failed': 'Unable to find that location',
+            'geocoding.gazetteerMissing': 'The offline place list (data/gazetteer.json) could not be loaded. Build it with scripts/build-gazetteer.js, or choose an online place search.',
+
+            'coordinates.countMismatch': 'Expected two values, latitude and longitude, but found {count}',
+            'coordinates.dmsMarks': 'Degrees, minutes and seconds need ° \' " marks or N/S/E/W letters, ' +
+                'e.g. 13°04\'57"N 80°16\'14"E',
+            'coordinates.hemisphereLetters': 'Mark each value with one of N/S and one of E/W, e.g. 13.08N 80.27E',
+            'coordinates.hemisphereOrder': 'Put N/S/E/W consistently before or after each value, e.g. 13.08N 80.27E',
+            'coordinates.bothLatitude': 'Both values are marked N/S; one must be a longitude marked E or W',
+            'coordinates.bothLongitude': 'Both values are marked E/W; one must be a latitude marked N or S',
+            'coordinates.signAndLetter': 'Use either a minus sign or {letter}, not both, in "{part}"',
+            'coordinates.unreadablePart': 'Could not read "{part}" as degrees, minutes and seconds',
+            'coordinates.decimalsLast': 'Only the last number may have decimals in "{part}"',
+            'coordinates.minutesRange': 'Minutes must be below 60 in "{part}"',
+            'coordinates.secondsRange': 'Seconds must be below 60 in "{part}"',
+            'coordinates.geoFormat': 'A geo: link needs latitude,longitude, e.g. geo:13.08,80.27',
+            'coordinates.geoCrs': 'Only WGS-84 geo: links are supported, not crs={crs}',
+            'coordinates.geoQuery': 'This geo: link searches for "{query}"; search for that name instead',
+            'coordinates.googleShort': 'Shortened Google Maps links cannot be read here; open the link and ' +
+                'copy the full address from the browser instead',
+            'coordinates.googleQuery': 'This Google Maps link searches for "{query}"; search for that name instead',
+            'coordinates.googleNone': 'This Google Maps link has no coordinates; move the map to the place ' +
+                'and copy the address again',
+            'coordinates.osmNone': 'This OpenStreetMap link has no coordinates; drop a marker or copy the map link again',
+            'coordinates.plusCodeSeparator': '"{code}" is not a plus code: the + goes after an even number of characters, at most 8',
+            'coordinates.plusCodeShortTail': 'Plus code "{code}" needs at least 2 characters after the +',
+            'coordinates.plusCodePadding': 'Plus code "{code}" has misplaced 0 padding',
+            'coordinates.plusCodeReference': 'Short plus code "{code}" needs a nearby town, e.g. "{code} Chennai"',
+            'coordinates.plusCodeRange': '"{code}" is outside the range of valid plus codes',
+            'coordinates.unreadable': 'Could not read the coordinates',
+            'coordinates.latitudeRange': 'Latitude {value} is out of range; it must be between -90 and 90',
+            'coordinates.longitudeRange': 'Longitude {value} is out of range; it must be between -180 and 180',
+            'coordinates.invalid': 'Invalid coordinate format',
+
+            'geolocation.unsupported': 'Geolocation is not supported by your browser',
+            'geolocation.denied': 'You denied location access. Please use the manual input option below or enable location permissions in your browser settings.',
+            'geolocation.unavailable': 'Your location could not be determined. Please check your device settings or use the manual input option.',
+            'geolocation.timeout': 'Location request took too long. Please try again or use the manual input option.',
+            'geolocation.failed': 'An error occurred while getting your location. Please try the manual input option.',
+            'geolocation.unknownPlace': 'Unknown location',
+
+            'footer.built': 'Built with ancient Tamil wisdom and modern web technology',
+            'footer.data': 'Classification based on elevation, distance to coast, and precipitation data · APIs by Open-Meteo & OpenStreetMap',
+            'footer.cache': '🗄️ Terrain cache inspector'
+        },
+
+        ta: {
+            'page.title': 'ஐந்திணையில் நான் எங்கே? - பண்டைத் தமிழ் நிலவியல்',
+            'language.switch': 'English',
+            'language.switchTitle': 'Show in English (ஆங்கிலத்தில் காட்டு)',
+
+            'hero.title': 'ஐந்திணையில் நான் எங்கே?',
+            'hero.subtitle': 'பண்டைத் தமிழ் நிலவியலின் வழியே உங்கள் இடத்தைக் கண்டறியுங்கள்',
+            'hero.intro': '<strong>ஐந்திணை</strong> என்பது சங்க இலக்கியம் வகுத்த பண்டைத் தமிழ் நிலப் பாகுபாடு. ' +
+                'அது உலகை ஐந்து நிலப் பகுதிகளாகப் பிரிக்கிறது; ஒவ்வொன்றுக்கும் தனித்த நிலக்காட்சியும் ' +
+                'காலநிலையும் மனித உள்ளத்தின் உணர்வும் உண்டு.',
+            'hero.kurinji': '<strong>குறிஞ்சி</strong> (Kurinji) — மலை',
+            'hero.mullai': '<strong>முல்லை</strong> (Mullai) — காடு',
+            'hero.marudham': '<strong>மருதம்</strong> (Marudham) — வயல்',
+            'hero.neithal': '<strong>நெய்தல்</strong> (Neithal) — கடல்',
+            'hero.paalai': '<strong>பாலை</strong> (Paalai) — வறண்ட நிலம்',
+
+            'input.title': 'உங்கள் திணையைக் கண்டறியுங்கள்',
+            'input.or': 'அல்லது',
+            'input.detectTitle': 'இருப்பிட அனுமதி',
+            'input.detectBadge': 'மிகத் துல்லியம்',
+            'input.detectButton': 'என் இருப்பிடத்தைக் கண்டறி',
+            'input.detectHint': 'உங்கள் சாதனத்தின் GPS மூலம் உங்கள் சரியான இருப்பிடத்தைத் தானாகக் கண்டறிவோம்',
+            'input.detectUnsupported': 'இருப்பிடம் ஆதரிக்கப்படவில்லை',
+            'input.detectUnsupportedTitle': 'உங்கள் உலாவி இருப்பிடக் கண்டறிதலை ஆதரிக்கவில்லை',
+            'input.searchTitle': 'நீங்கள் எங்கே இருக்கிறீர்கள் எனச் சொல்லுங்கள்',
+            'input.searchPlaceholder': 'ஊர், முகவரி, அடையாளம் அல்லது ஆள்கூறுகள்...',
+            'input.searchLabel': 'இருப்பிட உள்ளீடு',
+            'input.suggestionsLabel': 'பொருந்தும் இடங்கள்',
+            'input.pickSuggestion': 'பல இடங்கள் பொருந்துகின்றன. வகைப்படுத்த ஒன்றைத் தேர்ந்தெடுங்கள்.',
+            'input.searchButton': 'தேடு',
+            'input.searchHint': 'உலகின் எந்த இடப் பெயரையும் தட்டச்சு செய்து, பட்டியலில் சரியானதைத் தேர்ந்தெடுங்கள்',
+            'input.batchTitle': 'பட்டியலை வகைப்படுத்து',
+            'input.batchFileLabel': 'இடங்களின் CSV கோப்பு',
+            'input.batchButton': 'வகைப்படுத்து',
+            'input.batchHint': 'ஒரு வரிக்கு ஓர் இடப் பெயர், அல்லது <code>name,lat,lon</code> நெடுவரிசைகள்',
+
+            'suggestion.extent': '~{size} கி.மீ அகலம்',
+            'suggestion.extentSmall': '< {size} கி.மீ அகலம்',
+            'placeType.administrative': 'நிர்வாகப் பகுதி',
+            'placeType.country': 'நாடு',
+            'placeType.state': 'மாநிலம்',
+            'placeType.region': 'மண்டலம்',
+            'placeType.province': 'மாகாணம்',
+            'placeType.state_district': 'மாவட்டம்',
+            'placeType.district': 'மாவட்டம்',
+            'placeType.county': 'கோட்டம்',
+            'placeType.taluk': 'வட்டம்',
+            'placeType.municipality': 'நகராட்சி',
+            'placeType.capital': 'தலைநகரம்',
+            'placeType.city': 'மாநகரம்',
+            'placeType.town': 'நகரம்',
+            'placeType.village': 'கிராமம்',
+            'placeType.hamlet': 'குக்கிராமம்',
+            'placeType.suburb': 'புறநகர்',
+            'placeType.city_district': 'நகர்ப் பகுதி',
+            'placeType.neighbourhood': 'குடியிருப்புப் பகுதி',
+            'placeType.locality': 'பகுதி',
+            'placeType.island': 'தீவு',
+            'placeType.peak': 'சிகரம்',
+            'placeType.river': 'ஆறு',
+            'placeType.lake': 'ஏரி',
+            'placeType.road': 'சாலை',
+
+            'settings.title': '⚙️ வகைப்பாட்டு வரம்புகள்',
+            'settings.preset': 'முன்னமைவு',
+            'settings.apply': 'பயன்படுத்து',
+            'settings.presetName': 'முன்னமைவுப் பெயர்',
+            'settings.save': '💾 முன்னமைவைச் சேமி',
+            'settings.delete': '🗑️ நீக்கு',
+            'settings.terrainSource': '📡 நிலத் தரவு',
+            'settings.terrainFallback': 'நேரலை; இணைப்பு இல்லாதபோது உள்ளிணைந்த தரவு',
+            'settings.terrainPrimary': 'முதலில் உள்ளிணைந்த தரவு (இணைப்பின்றியும் இயங்கும்)',
+            'settings.terrainOff': 'நேரலை மட்டும்',
+            'settings.geocoder': '🔎 இடத் தேடல்',
+            'settings.geocoderNominatim': 'OpenStreetMap Nominatim, மாற்றாக உள்ளிணைந்த இட அகராதி',
+            'settings.geocoderPhoton': 'Photon, மாற்றாக உள்ளிணைந்த இட அகராதி',
+            'settings.geocoderGazetteer': 'உள்ளிணைந்த இட அகராதி மட்டும் (இணைப்பின்றியும் இயங்கும்)',
+            'settings.presetDefault': 'உலகளாவிய இயல்புநிலை',
+            'settings.presetScholarly': 'தமிழ்நாட்டு அறிஞர் வரம்புகள்',
+            'settings.presetCustom': 'தனிப்பயன்',
+            'settings.presetShared': 'பகிர்ந்த இணைப்பு',
+            'settings.coastDistance': 'கடற்கரைத் தொலைவு (கி.மீ)',
+            'settings.coastDistanceHint': 'கடலிலிருந்து இத்தொலைவுக்குள் நெய்தல் அமையும்',
+            'settings.highElevation': 'குறிஞ்சி உயரம் (மீ)',
+            'settings.highElevationHint': 'இந்த உயரத்திலிருந்து மலை தொடங்குகிறது',
+            'settings.midElevation': 'முல்லை உயரம் (மீ)',
+            'settings.midElevationHint': 'இந்த உயரத்திலிருந்து காடு சூழ்ந்த மேட்டுநிலம் தொடங்குகிறது',
+            'settings.lowElevation': 'சமவெளி உயரம் (மீ)',
+            'settings.lowElevationHint': 'நெய்தலும் மருதமும் இந்த உயரத்துக்குக் கீழ் அமையும்',
+            'settings.lowPrecipitation': 'பாலை மழையளவு (மி.மீ/ஆண்டு)',
+            'settings.lowPrecipitationHint': 'வறண்ட நிலம் இதைவிடக் குறைவான மழை பெறும்',
+            'settings.applied': '✅ வரம்புகள் பயன்படுத்தப்பட்டன',
+            'settings.saved': '✅ "{name}" முன்னமைவு சேமிக்கப்பட்டது',
+            'settings.nameRequired': 'முன்னமைவுக்கு ஒரு பெயரை உள்ளிடுங்கள்',
+            'settings.builtIn': '"{name}" உள்ளிணைந்த முன்னமைவு',
+            'settings.notPositive': '{field} நேர் எண்ணாக இருக்க வேண்டும்',
+            'settings.overlap': 'சமவெளி, முல்லை உயரங்கள் குறிஞ்சி உயரத்தைவிடக் குறைவாக இருக்க வேண்டும்',
+
+            'map.title': '🗺️ வரைபடத்தில் தேடுங்கள்',
+            'map.hint': 'எந்த இடத்தையும் சொடுக்கி அதன் திணையை அறியுங்கள், அல்லது குறியை இழுத்து நகர்த்துங்கள்.',
+            'map.clear': 'புள்ளிகளை அழி',
+            'map.clearTitle': 'இந்த அமர்வில் வகைப்படுத்திய புள்ளிகளை நீக்கு',
+            'map.overlay': 'திணை மேலடுக்கு',
+            'map.overlayTitle': 'இயல்புநிலை வரம்புகளின்படி ஒவ்வொரு பகுதியும் பெறும் திணையின் நிறத்தில் முழு வரைபடத்தையும் காட்டு',
+            'map.overlayMissing': 'இந்தத் தளத்துக்குத் திணை மேலடுக்கு உருவாக்கப்படவில்லை',
+            'map.overlayAttribution': 'திணை மேலடுக்கு: {rules}, {step}° கட்டங்கள்',
+            'map.overlayAttributionSources': 'திணை மேலடுக்கு: {rules}, {step}° கட்டங்கள்; உயரம்: {elevation}; மழை: {precipitation}',
+            'map.legend': 'திணை',
+            'map.classifying': '⏳ வகைப்படுத்துகிறது…',
+
+            'route.draw': '✏️ வழியை வரை',
+            'route.finish': '✔️ வழியை முடி',
+            'route.drawTitle': 'வரைபடத்தில் வழி நெடுகச் சொடுக்குங்கள், முடிக்க இருமுறை சொடுக்குங்கள்',
+            'route.loadGpx': '📂 GPX ஏற்று',
+            'route.loadGpxTitle': 'GPX கோப்பின் தடத்தைப் பயன்படுத்து',
+            'route.step': 'மாதிரி இடைவெளி',
+            'route.stepUnit': 'கி.மீ.',
+            'route.run': '📈 வழியை ஆராய்',
+            'route.clear': 'வழியை அழி',
+            'route.drawing': 'புள்ளிகளைச் சேர்க்கச் சொடுக்குங்கள் (இதுவரை {count}), முடிக்க இருமுறை சொடுக்குங்கள்.',
+            'route.ready': '{count} புள்ளிகள் வழியே {length} நீள வழி.',
+            'route.tooShort': 'ஒரு வழிக்குக் குறைந்தது இரண்டு புள்ளிகள் தேவை.',
+            'route.gpxError': 'அந்த GPX கோப்பில் இரண்டு புள்ளிகள் கொண்ட தடமோ வழியோ இல்லை.',
+            'route.title': 'வழி விவரம்',
+            'route.progress': '{total} மாதிரிகளில் {done} வகைப்படுத்தப்படுகிறது…',
+            'route.done': '{length}, ஒவ்வொரு {step} தொலைவிலும் மாதிரி.',
+            'route.doneFailed': '{length}, ஒவ்வொரு {step} தொலைவிலும் மாதிரி; {failed} மாதிரிகளை வகைப்படுத்த இயலவில்லை.',
+            'route.stopped': '{total} மாதிரிகளில் {done} முடிந்ததும் நிறுத்தப்பட்டது.',
+            'route.stop': 'நிறுத்து',
+            'route.stopTitle': 'இந்த மாதிரிக்குப் பின் நிறுத்து',
+            'route.chartLabel': '{length} நீள வழி நெடுக உயரமும் மழையும், திணை வாரியாக நிறமிட்டது',
+            'route.elevation': 'உயரம் (மீ)',
+            'route.rainfall': 'வழக்கமான மழை (மி.மீ./ஆண்டு)',
+            'route.totals': 'திணை வாரியான தொலைவு',
+            'route.noData': 'தரவு இல்லை',
+            'route.sequence': 'கடக்கும் திணைகள்: {sequence}',
+
+            'area.draw': '⬠ பகுதியை வரை',
+            'area.finish': '✔️ பகுதியை முடி',
+            'area.drawTitle': 'வரைபடத்தில் பகுதியின் மூலைகளைச் சொடுக்குங்கள், முடிக்க இருமுறை சொடுக்குங்கள்',
+            'area.loadFile': '📂 GeoJSON / KML ஏற்று',
+            'area.loadFileTitle': 'GeoJSON அல்லது KML கோப்பின் பலகோணங்களைப் பயன்படுத்து',
+            'area.step': 'கட்ட இடைவெளி',
+            'area.stepUnit': 'கி.மீ.',
+            'area.run': '🧩 பகுதியை வகைப்படுத்து',
+            'area.clear': 'பகுதியை அழி',
+            'area.drawing': 'மூலைகளைச் சேர்க்கச் சொடுக்குங்கள் (இதுவரை {count}), முடிக்க இருமுறை சொடுக்குங்கள்.',
+            'area.tooSmall': 'ஒரு பகுதிக்குக் குறைந்தது மூன்று மூலைகள் தேவை.',
+            'area.fileError': 'அந்தக் கோப்பில் பலகோணம் இல்லை. Polygon அல்லது MultiPolygon கொண்ட GeoJSON அல்லது KML கோப்பைப் பயன்படுத்துங்கள்.',
+            'area.ready': '{area} பரப்பு: வகைப்படுத்த {cells} கட்டங்கள்.',
+            'area.readyNamed': '{name}, {area}: வகைப்படுத்த {cells} கட்டங்கள்.',
+            'area.title': 'பகுதியின் திணை அமைப்பு',
+            'area.titleNamed': 'பகுதியின் திணை அமைப்பு: {name}',
+            'area.progress': '{total} கட்டங்களில் {done} வகைப்படுத்தப்படுகிறது…',
+            'area.done': '{area}, {step} அளவிலான {cells} கட்டங்களில்.',
+            'area.doneFailed': '{area}, {step} அளவிலான {cells} கட்டங்களில்; {failed} கட்டங்களை வகைப்படுத்த இயலவில்லை.',
+            'area.stopped': '{total} கட்டங்களில் {done} முடிந்ததும் நிறுத்தப்பட்டது.',
+            'area.stop': 'நிறுத்து',
+            'area.stopTitle': 'இந்தக் கட்டத்துக்குப் பின் நிறுத்து',
+            'area.minimapLabel': 'பகுதியின் {cells} கட்டங்கள், திணை வாரியாக நிறமிட்டவை',
+            'area.composition': 'பகுதியில் ஒவ்வொரு திணையின் பங்கு',
+            'area.cells': '{count} கட்டங்கள்',
+            'area.noData': 'தரவு இல்லை',
+
+            'batch.title': 'தொகுப்பு வகைப்பாடு',
+            'batch.stop': 'நிறுத்து',
+            'batch.stopTitle': 'இந்த வரிக்குப் பின் நிறுத்து',
+            'batch.download': 'CSV பதிவிறக்கு',
+            'batch.downloadTitle': 'முடிவுகளை CSV ஆகப் பதிவிறக்கு',
+            'batch.input': 'உள்ளீடு',
+            'batch.region': 'திணை',
+            'batch.elevation': 'உயரம் (மீ)',
+            'batch.coast': 'கடற்கரை (கி.மீ)',
+            'batch.rain': 'மழை (மி.மீ/ஆண்டு)',
+            'batch.empty': '⚠️ அந்தக் கோப்பில் இடங்கள் எதுவும் இல்லை',
+            'batch.progress': '{input} வகைப்படுத்தப்படுகிறது… ({done}/{total})',
+            'batch.done': '✅ முடிந்தது: {classified} வகைப்படுத்தப்பட்டன ({done}/{total})',
+            'batch.doneFailed': '✅ முடிந்தது: {classified} வகைப்படுத்தப்பட்டன, {failed} தோல்வி ({done}/{total})',
+            'batch.stopped': '⏹ நிறுத்தப்பட்டது: {classified} வகைப்படுத்தப்பட்டன ({done}/{total})',
+            'batch.stoppedFailed': '⏹ நிறுத்தப்பட்டது: {classified} வகைப்படுத்தப்பட்டன, {failed} தோல்வி ({done}/{total})',
+            'batch.noRain': 'மழைத் தரவு இல்லை',
+            'batch.estimatedRain': 'உள்ளிணைந்த தோராயத் தரவிலிருந்து மதிப்பிடப்பட்டது',
+
+            'history.recent': '🕐 அண்மையவை',
+            'history.clear': 'அழி',
+            'queue.waiting': '⏳ இணைப்புக்காகக் காத்திருக்கிறது',
+            'queue.queuedAt': '{date} அன்று வரிசையில் சேர்க்கப்பட்டது',
+            'queue.finishedOne': '✅ வரிசையிலிருந்த {count} தேடல் முடிந்தது — அண்மையவை பாருங்கள்',
+            'queue.finished': '✅ வரிசையிலிருந்த {count} தேடல்கள் முடிந்தன — அண்மையவை பாருங்கள்',
+            'queue.failed': ' · ⚠️ {count} வகைப்படுத்த இயலவில்லை',
+            'export.geojson': 'GeoJSON',
+            'export.geojsonTitle': 'QGIS போன்ற GIS கருவிகளுக்காக GeoJSON ஆகப் பதிவிறக்கு',
+            'export.kml': 'KML',
+            'export.kmlTitle': 'Google Earth-க்காக KML ஆகப் பதிவிறக்கு',
+
+            'loading.analyzing': 'நிலப் பண்புகளை ஆராய்கிறது...',
+            'loading.permission': 'இருப்பிட அனுமதி கேட்கப்படுகிறது...',
+            'loading.acquired': 'இருப்பிடம் கிடைத்தது! நிலத்தை ஆராய்கிறது...',
+            'loading.searching': 'இடத்தைத் தேடுகிறது...',
+            'loading.lookingUp': 'இடத்தைக் கண்டறிகிறது...',
+            'loading.lookingUpPlace': '{place} இடத்தைக் கண்டறிகிறது...',
+            'loading.found': 'இடம் கிடைத்தது! நிலத்தை ஆராய்கிறது...',
+            'loading.coordinates': 'ஆள்கூறுகள் கிடைத்தன! நிலத்தை ஆராய்கிறது...',
+            'loading.swapped': 'ஆள்கூறுகள் தீர்க்கரேகை, அட்சரேகை வரிசையில் இருந்ததால் மாற்றியமைத்தோம். நிலத்தை ஆராய்கிறது...',
+            'loading.details': 'இட விவரங்களைப் பெறுகிறது...',
+            'loading.result': 'முடிவை ஏற்றுகிறது...',
+
+            'result.terrain': 'நில ஆய்வு',
+            'result.elevation': 'உயரம்',
+            'result.coast': 'கடற்கரையிலிருந்து தொலைவு',
+            'result.precipitation': 'வழக்கமான மழையளவு',
+            'result.confidence': 'நம்பகத்தன்மை',
+            'result.trace': 'இது எப்படி முடிவானது',
+            'result.blend': 'நிலக் கலவை',
+            'result.fuzzyMode': 'கலப்பு முறை',
+            'result.fuzzyModeTitle': 'ஒவ்வொரு திணையிலும் 0–1 உறுப்பு மதிப்பு',
+            'result.characteristics': 'பண்புகள்',
+            'result.verse': 'சங்கப் பாடல்',
+            'result.share': 'உங்கள் திணையைப் பகிருங்கள்',
+            'result.tweet': 'பதிவிடு',
+            'result.tweetTitle': 'X / Twitter-இல் பகிர்',
+            'result.copyLink': 'இணைப்பை நகலெடு',
+            'result.copyLinkTitle': 'பகிர்வு இணைப்பை நகலெடு',
+            'result.saveImage': 'படத்தைச் சேமி',
+            'result.saveImageTitle': 'படமாகப் பதிவிறக்கு',
+            'result.tryAnother': '🔄 வேறோர் இடத்தை முயலுங்கள்',
+            'result.yourLocation': 'உங்கள் இருப்பிடம்',
+            'result.savedOffline': '📦 இணைப்பு இல்லை — {date} அன்று சேமித்த முடிவு காட்டப்படுகிறது.',
+            'result.queued': '📴 இணைப்பு இல்லை — இணைப்பு திரும்பியதும் “{label}” வகைப்படுத்தப்படும்.',
+            'result.climatology': '{start}–{end} சராசரி ± {spread} · கடந்த ஆண்டு ({year}): {total}',
+
+            'share.copied': '✅ இணைப்பு நகலெடுக்கப்பட்டது!',
+            'share.copiedFallback': '✅ இணைப்பு நகலெடுக்கப்பட்டது!',
+            'share.imageUnavailable': '⚠️ படப் பதிவிறக்கம் கிடைக்கவில்லை',
+            'share.generatingImage': '📷 படம் உருவாக்கப்படுகிறது...',
+            'share.imageSaved': '✅ படம் சேமிக்கப்பட்டது!',
+            'share.imageFailed': '⚠️ படத்தை உருவாக்க முடியவில்லை',
+            'share.kmlSaved': '✅ KML சேமிக்கப்பட்டது!',
+            'share.geojsonSaved': '✅ GeoJSON சேமிக்கப்பட்டது!',
+            'share.tweet': 'பண்டைத் தமிழ் ஐந்திணை முறைப்படி நான் {region} திணையில் இருக்கிறேன் 🏔️🌲🌾🌊🏜️!\n\n' +
+                'என் இருப்பிடம் ({location}) {region} என வகைப்படுத்தப்பட்டுள்ளது — {emotion}.\n\nஉங்களுடையதைக் கண்டறியுங்கள் →',
+
+            'provenance.elevation': 'உயரம்',
+            'provenance.coastDistance': 'கடற்கரைத் தொலைவு',
+            'provenance.precipitation': 'மழையளவு',
+            'provenance.and': ', ',
+            'provenance.missingWarning': '❌ {fields} தரவு இல்லை; அதைச் சார்ந்த விதிகளைச் சரிபார்க்க இயலவில்லை.',
+            'provenance.estimatedWarning': '⚠️ {fields} உள்ளிணைந்த தோராயத் தரவிலிருந்து மதிப்பிடப்பட்டது; இங்கு அளந்தது அல்ல.',
+            'provenance.missing': 'இல்லை — எந்த மூலத்திலும் தரவு இல்லை',
+            'provenance.estimated': 'மதிப்பீடு · {source}',
+            'provenance.cached': 'சேமிப்பிலிருந்து {date}',
+            'provenance.fetched': 'பெறப்பட்டது {date}',
+
+            'confidence.clear': 'தெளிவு',
+            'confidence.moderate': 'மிதமானது',
+            'confidence.borderline': 'விளிம்புநிலை',
+            'confidence.runnerUp': 'அடுத்த நிலை: {region}',
+            'confidence.bestFit': '⚠️ எந்த விதியும் சரியாகப் பொருந்தவில்லை — இது நெருங்கிய பொருத்த மதிப்பீடு',
+            'trace.bestFit': '↪️ எந்த விதியும் பொருந்தவில்லை; நெருங்கிய பொருத்தம் {region}',
+            'membership.note': 'மிக வலுவான உறுப்பு {fuzzy}; திட்டவட்ட விதிகள் {crisp} எனத் தேர்ந்தன',
+            'trace.missing': 'இல்லை',
+            'trace.elevation': 'உயரம்',
+            'trace.coastDistance': 'கடற்கரைத் தொலைவு',
+            'trace.precipitation': 'மழையளவு',
+
+            'explanation.coastal': 'கடற்கரையிலிருந்து {distance} தொலைவுக்குள்',
+            'explanation.lowElevation': 'தாழ்ந்த உயரம் ({elevation})',
+            'explanation.highElevation': 'மிகுந்த உயரம் ({elevation})',
+            'explanation.midElevation': 'நடுத்தர உயரம் ({elevation})',
+            'explanation.lowRainfall': 'குறைந்த ஆண்டு மழை ({precipitation})',
+            'explanation.mountainous': 'மலைப்பாங்கான நிலம்',
+            'explanation.arid': 'வறண்ட சூழல்',
+            'explanation.vegetation': 'தாவரங்களுக்குப் போதுமான மழை',
+            'explanation.inland': 'உள்நாட்டுப் பகுதி',
+            'explanation.agriculture': 'வேளாண்மைக்குப் போதுமான மழை',
+            'explanation.plains': 'வளமான சமவெளி',
+
+            'units.m': '{value} மீ',
+            'units.km': '{value} கி.மீ',
+            'units.km2': '{value} ச.கி.மீ',
+            'units.mm': '{value} மி.மீ',
+            'units.mmPerYear': 'ஆண்டுக்கு {value} மி.மீ',
+            'units.belowSeaLevel': 'கடல் மட்டத்துக்குக் கீழ்',
+            'units.unavailable': 'கிடைக்கவில்லை',
+
+            'error.title': 'ஏதோ தவறு நேர்ந்தது',
+            'error.retry': 'மீண்டும் முயலுங்கள்',
+            'error.inputRequired': 'உள்ளீடு தேவை',
+            'error.locationFailed': 'இருப்பிடத்தை அணுக முடியவில்லை',
+            'error.searchFailed': 'இடத் தேடல் தோல்வி',
+            'error.classificationFailed': 'வகைப்பாடு தோல்வி',
+            'error.classificationMessage': 'இந்த இடத்தை ஆராய முடியவில்லை. வேறோர் இடத்தை முயலுங்கள்.',
+
+            'geocoding.notFound': 'இடம் கிடைக்கவில்லை. இவற்றை முயலுங்கள்:\n' +
+                '• பெரிய நகரின் பெயர் (எ.கா. "Tokyo", "Paris")\n' +
+                '• ஓர் அடையாளச் சின்னம் (எ.கா. "Eiffel Tower")\n' +
+                '• முழு முகவரி\n' +
+                '• ஆள்கூறுகள் (எ.கா. "13.08, 80.27")',
+            'geocoding.unavailable': 'இடத் தேடல் சேவை தற்போது கிடைக்கவில்லை. சிறிது நேரத்தில் மீண்டும் முயலுங்கள்.',
+            'geocoding.enterLocation': 'தேட ஓர் இடத்தை உள்ளிடுங்கள்.',
+            'geocoding.failed': 'அந்த இடத்தைக் கண்டறிய முடியவில்லை',
+            'geocoding.gazetteerMissing': 'இணைப்பில்லா இடப் பட்டியலை (data/gazetteer.json) ஏற்ற முடியவில்லை. scripts/build-gazetteer.js மூலம் அதை உருவாக்குங்கள், அல்லது இணையத் தேடலைத் தேர்ந்தெடுங்கள்.',
+
+            'coordinates.countMismatch': 'அகலாங்கு, நெட்டாங்கு என இரண்டு மதிப்புகள் தேவை; {count} உள்ளன',
+            'coordinates.dmsMarks': 'பாகை, கலை, விகலைக்கு ° \' " குறிகள் அல்லது N/S/E/W எழுத்துகள் தேவை, எ.கா. 13°04\'57"N 80°16\'14"E',
+            'coordinates.hemisphereLetters': 'ஒவ்வொரு மதிப்பையும் N/S இல் ஒன்றாலும் E/W இல் ஒன்றாலும் குறியுங்கள், எ.கா. 13.08N 80.27E',
+            'coordinates.hemisphereOrder': 'N/S/E/W எழுத்தை எல்லா மதிப்புகளுக்கும் ஒரே மாதிரி முன்னோ பின்னோ இடுங்கள், எ.கா. 13.08N 80.27E',
+            'coordinates.bothLatitude': 'இரண்டு மதிப்புகளும் N/S எனக் குறிக்கப்பட்டுள்ளன; ஒன்று E அல்லது W எனக் குறித்த நெட்டாங்காக இருக்க வேண்டும்',
+            'coordinates.bothLongitude': 'இரண்டு மதிப்புகளும் E/W எனக் குறிக்கப்பட்டுள்ளன; ஒன்று N அல்லது S எனக் குறித்த அகலாங்காக இருக்க வேண்டும்',
+            'coordinates.signAndLetter': '"{part}" இல் கழித்தல் குறி அல்லது {letter} — ஏதேனும் ஒன்றை மட்டும் பயன்படுத்துங்கள்',
+            'coordinates.unreadablePart': '"{part}" ஐப் பாகை, கலை, விகலையாகப் படிக்க முடியவில்லை',
+            'coordinates.decimalsLast': '"{part}" இல் கடைசி எண்ணுக்கு மட்டுமே தசமங்கள் இருக்கலாம்',
+            'coordinates.minutesRange': '"{part}" இல் கலை 60க்குக் கீழ் இருக்க வேண்டும்',
+            'coordinates.secondsRange': '"{part}" இல் விகலை 60க்குக் கீழ் இருக்க வேண்டும்',
+            'coordinates.geoFormat': 'geo: இணைப்புக்கு அகலாங்கு,நெட்டாங்கு தேவை, எ.கா. geo:13.08,80.27',
+            'coordinates.geoCrs': 'WGS-84 geo: இணைப்புகள் மட்டுமே ஏற்கப்படும்; crs={crs} அல்ல',
+            'coordinates.geoQuery': 'இந்த geo: இணைப்பு "{query}" ஐத் தேடுகிறது; அந்தப் பெயரையே தேடுங்கள்',
+            'coordinates.googleShort': 'சுருக்கிய Google Maps இணைப்புகளை இங்கு படிக்க முடியாது; இணைப்பைத் திறந்து உலாவியிலிருந்து முழு முகவரியை நகலெடுங்கள்',
+            'coordinates.googleQuery': 'இந்த Google Maps இணைப்பு "{query}" ஐத் தேடுகிறது; அந்தப் பெயரையே தேடுங்கள்',
+            'coordinates.googleNone': 'இந்த Google Maps இணைப்பில் ஆள்கூறுகள் இல்லை; வரைபடத்தை அந்த இடத்துக்கு நகர்த்தி முகவரியை மீண்டும் நகலெடுங்கள்',
+            'coordinates.osmNone': 'இந்த OpenStreetMap இணைப்பில் ஆள்கூறுகள் இல்லை; ஒரு குறியை இட்டு அல்லது வரைபட இணைப்பை மீண்டும் நகலெடுங்கள்',
+            'coordinates.plusCodeSeparator': '"{code}" ஒரு பிளஸ் குறியீடு அல்ல: + குறி இரட்டை எண்ணிக்கையிலான எழுத்துகளுக்குப் பின் வர வேண்டும், அதிகபட்சம் 8',
+            'coordinates.plusCodeShortTail': 'பிளஸ் குறியீடு "{code}" இல் + குறிக்குப் பின் குறைந்தது 2 எழுத்துகள் தேவை',
+            'coordinates.plusCodePadding': 'பிளஸ் குறியீடு "{code}" இல் 0 நிரப்புகை தவறான இடத்தில் உள்ளது',
+            'coordinates.plusCodeReference': 'சுருக்கிய பிளஸ் குறியீடு "{code}" உடன் அருகிலுள்ள ஊர் தேவை, எ.கா. "{code} சென்னை"',
+            'coordinates.plusCodeRange': '"{code}" செல்லுபடியான பிளஸ் குறியீடு வரம்புக்கு வெளியே உள்ளது',
+            'coordinates.unreadable': 'ஆள்கூறுகளைப் படிக்க முடியவில்லை',
+            'coordinates.latitudeRange': 'அகலாங்கு {value} வரம்புக்கு வெளியே உள்ளது; -90 முதல் 90 வரை இருக்க வேண்டும்',
+            'coordinates.longitudeRange': 'நெட்டாங்கு {value} வரம்புக்கு வெளியே உள்ளது; -180 முதல் 180 வரை இருக்க வேண்டும்',
+            'coordinates.invalid': 'ஆள்கூறு வடிவம் தவறானது',
+
+            'geolocation.unsupported': 'உங்கள் உலாவி இருப்பிடக் கண்டறிதலை ஆதரிக்கவில்லை',
+            'geolocation.denied': 'இருப்பிட அணுகலை மறுத்துவிட்டீர்கள். கீழே உள்ள கைமுறை உள்ளீட்டைப் பயன்படுத்துங்கள், அல்லது உலாவி அமைப்புகளில் இருப்பிட அனுமதியை இயக்குங்கள்.',
+            'geolocation.unavailable': 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை. சாதன அமைப்புகளைச் சரிபாருங்கள், அல்லது கைமுறை உள்ளீட்டைப் பயன்படுத்துங்கள்.',
+            'geolocation.timeout': 'இருப்பிடக் கோரிக்கைக்கு அதிக நேரம் ஆனது. மீண்டும் முயலுங்கள், அல்லது கைமுறை உள்ளீட்டைப் பயன்படுத்துங்கள்.',
+            'geolocation.failed': 'இருப்பிடத்தைப் பெறும்போது பிழை ஏற்பட்டது. கைமுறை உள்ளீட்டை முயலுங்கள்.',
+            'geolocation.unknownPlace': 'அறியப்படாத இடம்',
+
+            'footer.built': 'பண்டைத் தமிழ் அறிவும் நவீன இணையத் தொழில்நுட்பமும் கொண்டு உருவாக்கப்பட்டது',
+            'footer.data': 'உயரம், கடற்கரைத் தொலைவு, மழையளவுத் தரவுகளின் அடிப்படையில் வகைப்பாடு · Open-Meteo, OpenStreetMap தரவு',
+            'footer.cache': '🗄️ நிலத் தரவுச் சேமிப்பு ஆய்வு'
+        }
+    },
+
+    /**
+     * Switch the interface language and translate the page
+     */
+    setLanguage(language) {
+        if (!this.LANGUAGES[language]) {
+            throw new Error(`Unknown language "${language}" (expected ${Object.keys(this.LANGUAGES).join(', ')})`);
+        }
+        this.language = language;
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = language;
+            this.translatePage(document);
+        }
+        return this;
+    },
+
+    /**
+     * Message in the current language, with {name} parameters filled in
+     */
+    t(key, params = {}) {
+        const message = this.messages[this.language]?.[key] ?? this.messages[this.DEFAULT_LANGUAGE][key];
+        if (message === undefined) {
+            console.warn(`Missing message "${key}"`);
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * A region data field in the current language: "description" reads
+     * "descriptionTamil" in Tamil when data/regions.json has it
+     */
+    field(data, name) {
+        if (!data) return undefined;
+        const localized = this.language === 'ta' ? data[`${name}Tamil`] : undefined;
+        return localized !== undefined ? localized : data[name];
+    },
+
+    /**
+     * A figure with a fixed number of decimals, in Tamil digits in Tamil
+     */
+    formatNumber(value, decimals = 0) {
+        const text = decimals > 0 ? Number(value).toFixed(decimals) : String(Math.round(value));
+        return this.language === 'ta' ? this.toTamilDigits(text) : text;
+    },
+
+    /**
+     * A date as the interface language writes it
+     */
+    formatDate(date) {
+        const text = new Date(date).toLocaleDateString(this.LANGUAGES[this.language].locale);
+        return this.language === 'ta' ? this.toTamilDigits(text) : text;
+    },
+
+    /**
+     * Short month names, January first
+     */
+    monthNames() {
+        const format = new Intl.DateTimeFormat(this.LANGUAGES[this.language].locale, { month: 'short', timeZone: 'UTC' });
+        return Array.from({ length: 12 }, (_, month) => format.format(Date.UTC(2000, month, 15)));
+    },
+
+    toTamilDigits(text) {
+        return String(text).replace(/[0-9]/g, digit => this.TAMIL_DIGITS[digit]);
+    },
+
+    /**
+     * Fill in the text and attributes of elements marked with data-i18n*
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        // Only catalog markup, never user input, goes through innerHTML
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = this.t(el.dataset.i18nHtml);
+        });
+        for (const attribute of ['placeholder', 'title', 'aria-label']) {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        }
+        if (root.title !== undefined) root.title = this.t('page.title');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -0,0 +1,143 @@
+/**
+ * Lookup Queue Module
+ * Keeps lookups made while offline and runs them when the connection returns
+ */
+
+const LookupQueue = {
+    MAX_ITEMS: 20,
+    STORAGE_KEY: 'ainthinai_lookup_queue_v1',
+    status: '',
+    _processing: false,
+
+    /**
+     * Queue a place-name search ({ query }) or a coordinate lookup ({ lat, lon, name })
+     * A lookup that is already queued is not added twice.
+     */
+    add(lookup) {
+        const queue = this.load();
+        const key = this._key(lookup);
+        if (!queue.some(item => this._key(item) === key)) {
+            queue.push({ ...lookup, queuedAt: Date.now() });
+            this._store(queue.slice(-this.MAX_ITEMS));
+        }
+        this.render();
+    },
+
+    /**
+     * Load the queue from localStorage
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Drop all queued lookups
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.status = '';
+        this.render();
+    },
+
+    /**
+     * Run the queued lookups one at a time with run(lookup)
+     * Finished and failed lookups leave the queue; if the connection drops
+     * again, the remaining ones stay for next time.
+     * Returns { completed, failed } counts.
+     */
+    async process(run) {
+        if (this._processing) return { completed: 0, failed: 0 };
+        this._processing = true;
+
+        let completed = 0;
+        let failed = 0;
+        try {
+            for (const lookup of this.load()) {
+                try {
+                    await run(lookup);
+                    completed++;
+                } catch (error) {
+                    if (typeof navigator !== 'undefined' && navigator.onLine === false) break;
+                    console.warn('Queued lookup failed:', this.label(lookup), error);
+                    failed++;
+                }
+                const key = this._key(lookup);
+                this._store(this.load().filter(item => this._key(item) !== key));
+            }
+        } finally {
+            this._processing = false;
+        }
+
+        if (completed || failed) {
+            this.status = I18n.t(completed === 1 ? 'queue.finishedOne' : 'queue.finished', { count: I18n.formatNumber(completed) }) +
+                (failed ? I18n.t('queue.failed', { count: I18n.formatNumber(failed) }) : '');
+        }
+        this.render();
+        return { completed, failed };
+    },
+
+    /**
+     * Short description of a queued lookup
+     */
+    label(lookup) {
+        if (lookup.query) return lookup.query;
+        return lookup.name || `${Number(lookup.lat).toFixed(4)}, ${Number(lookup.lon).toFixed(4)}`;
+    },
+
+    /**
+     * Render the queue and the last status message into #queue-section
+     */
+    render() {
+        const section = typeof document !== 'undefined' && document.getElementById('queue-section');
+        if (!section) return;
+
+        const queue = this.load();
+        if (queue.length === 0 && !this.status) {
+            section.innerHTML = '';
+            return;
+        }
+
+        const items = queue.map(item =>
+            `<span class="queue-item" title="${I18n.t('queue.queuedAt', { date: I18n.formatDate(item.queuedAt) })}">${this._escape(this.label(item))}</span>`
+        ).join('');
+
+        section.innerHTML = `
+            ${queue.length ? `
+            <div class="history-header">
+                <span class="history-label">${I18n.t('queue.waiting')}</span>
+                <button class="history-clear" id="queue-clear-btn">${I18n.t('history.clear')}</button>
+            </div>
+            <div class="queue-items">${items}</div>` : ''}
+            ${this.status ? `<p class="queue-status" aria-live="polite">${this._escape(this.status)}</p>` : ''}
+        `;
+
+        document.getElementById('queue-clear-btn')?.addEventListener('click', () => this.clear());
+    },
+
+    _store(queue) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(queue));
+        } catch (e) {
+            console.warn('Could not save lookup queue:', e);
+        }
+    },
+
+    _key(lookup) {
+        return lookup.query
+            ? `q:${lookup.query.trim().toLowerCase()}`
+            : `${Number(lookup.lat).toFixed(4)},${Number(lookup.lon).toFixed(4)}`;
+    },
+
+    _escape(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LookupQueue;
+}
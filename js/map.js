@@ -1,34 +1,53 @@
 /**
  * Map Module — Leaflet.js interactive map
- * Shows a colored marker and pulsing zone for the classified region
+ * Always on screen: clicking a point or dragging the marker classifies it,
+ * and every classified place stays on the map as a colored point
  */
 
 const MapView = {
+    // Tamil Nadu, where the five thinai were described
+    DEFAULT_CENTER: [10.8, 78.6],
+    DEFAULT_ZOOM: 7,
+
+    // Precomputed thinai overlay tiles (see scripts/build-thinai-tiles.js)
+    OVERLAY_URL: 'data/grids/thinai',
+    OVERLAY_OPACITY: 0.55,
+
     map: null,
     marker: null,
-    circle: null,
+    points: null,
+    legend: null,
+    overlay: null,
+    route: null,
+    area: null,
+    // { shape, points, line, onChange, onFinish } while a route or area is being drawn
+    drawing: null,
+    _overlayManifestPromise: null,
+    regionData: null,
+    onPick: null,
+    pending: false,
+    pointKeys: new Set(),
 
     /**
-     * Render the map centered on the given coordinates
-     * with a colored marker matching the region
+     * Create the map once; onPick(lat, lon) is called when the user clicks
+     * the map or drops the marker somewhere new
      */
-    render(lat, lon, region, color) {
+    init({ onPick } = {}) {
+        const section = document.getElementById('map-section');
         const container = document.getElementById('region-map');
-        if (!container) return;
+        if (!container || this.map) return;
 
-        // Tear down existing map if any
-        if (this.map) {
-            this.map.remove();
-            this.map = null;
+        // Leaflet comes from a CDN and may not have loaded (offline first visit)
+        if (typeof L === 'undefined') {
+            console.warn('Leaflet unavailable; map disabled');
+            section?.classList.add('hidden');
+            return;
         }
 
-        // Ensure the container is visible before init
-        container.style.display = 'block';
-
-        // Init Leaflet map
+        this.onPick = onPick || null;
         this.map = L.map('region-map', {
-            center: [lat, lon],
-            zoom: 10,
+            center: this.DEFAULT_CENTER,
+            zoom: this.DEFAULT_ZOOM,
             zoomControl: true,
             attributionControl: true,
             scrollWheelZoom: false
@@ -41,46 +60,376 @@ const MapView = {
             maxZoom: 19
         }).addTo(this.map);
 
-        // Pulsing circle (region zone indicator)
-        this.circle = L.circle([lat, lon], {
-            color: color,
-            fillColor: color,
-            fillOpacity: 0.08,
-            weight: 1.5,
-            opacity: 0.5,
-            radius: 15000  // 15km radius visual
-        }).addTo(this.map);
+        this.points = L.layerGroup().addTo(this.map);
+        this.route = L.layerGroup().addTo(this.map);
+        this.area = L.layerGroup().addTo(this.map);
+        this.map.on('click', (e) => {
+            if (this.drawing) {
+                this.addRoutePoint(e.latlng.lat, e.latlng.lng);
+            } else {
+                this.pick(e.latlng.lat, e.latlng.lng);
+            }
+        });
+        this.map.on('dblclick', () => {
+            if (this.drawing) this.finishDrawing();
+        });
+
+        TerrainAnalyzer.loadRegionData()
+            .then(regionData => {
+                this.regionData = regionData;
+                this.renderLegend();
+            })
+            .catch(error => console.warn('Map legend unavailable:', error));
+    },
+
+    /**
+     * Move the marker to a picked point and hand it to the classifier
+     */
+    pick(lat, lon) {
+        lon = this.wrapLongitude(lon);
+        this.placeMarker(lat, lon, null);
+        this.pending = true;
+        this.marker
+            .setPopupContent(() => `<span class="map-popup-pending">${I18n.t('map.classifying')}</span>`)
+            .openPopup();
+        if (this.onPick) this.onPick(lat, lon);
+    },
 
-        // Custom colored marker
-        const markerHtml = `
-            <div style="
-                width: 22px; height: 22px;
-                background: ${color};
-                border-radius: 50% 50% 50% 0;
-                transform: rotate(-45deg);
-                border: 3px solid rgba(255,255,255,0.9);
-                box-shadow: 0 3px 12px rgba(0,0,0,0.5);
-            "></div>`;
+    /**
+     * Show a classification result: marker, popup and a point in the session layer
+     */
+    render(result, locationName) {
+        if (!this.map) return;
+        const { lat, lon } = result.coordinates;
+        const color = result.regionData?.color || '#818cf8';
+
+        this.placeMarker(lat, lon, color);
+        this.addPoint(result, locationName);
+        this.pending = false;
+        this.marker
+            .setPopupContent(() => this.popupHtml(result, locationName))
+            .openPopup();
 
+        if (!this.map.getBounds().contains([lat, lon])) {
+            this.map.setView([lat, lon], Math.max(this.map.getZoom(), 10));
+        }
+    },
+
+    /**
+     * Put the draggable marker at lat/lon, colored for the region (grey while pending)
+     */
+    placeMarker(lat, lon, color) {
         const icon = L.divIcon({
-            html: markerHtml,
+            html: `<div class="map-marker${color ? '' : ' map-marker-pending'}"${color ? ` style="background: ${color}"` : ''}></div>`,
             iconSize: [22, 22],
             iconAnchor: [11, 22],
             popupAnchor: [0, -26],
             className: ''
         });
 
-        this.marker = L.marker([lat, lon], { icon })
-            .addTo(this.map)
-            .bindPopup(`<strong>${region}</strong><br>${lat.toFixed(4)}°, ${lon.toFixed(4)}°`, {
-                className: 'ainthinai-popup'
-            })
-            .openPopup();
+        if (this.marker) {
+            this.marker.setLatLng([lat, lon]).setIcon(icon);
+            return;
+        }
+
+        this.marker = L.marker([lat, lon], { icon, draggable: true, autoPan: true })
+            .bindPopup('', { className: 'ainthinai-popup' })
+            .addTo(this.map);
+        this.marker.on('dragend', () => {
+            const { lat, lng } = this.marker.getLatLng();
+            this.pick(lat, lng);
+        });
+    },
+
+    /**
+     * A picked point could not be classified: drop the "classifying" popup
+     */
+    cancelPending() {
+        if (!this.pending || !this.marker) return;
+        this.pending = false;
+        this.marker.closePopup();
+    },
+
+    /**
+     * Add a classified place to the session layer, once per place
+     */
+    addPoint(result, locationName) {
+        const { lat, lon } = result.coordinates;
+        const key = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+        if (this.pointKeys.has(key)) return;
+        this.pointKeys.add(key);
+
+        const color = result.regionData?.color || '#818cf8';
+        L.circleMarker([lat, lon], {
+            radius: 6,
+            color: 'rgba(255,255,255,0.85)',
+            weight: 1.5,
+            fillColor: color,
+            fillOpacity: 0.9
+        })
+            .bindPopup(() => this.popupHtml(result, locationName), { className: 'ainthinai-popup' })
+            .addTo(this.points);
+    },
+
+    /**
+     * Popup body: region, place and the terrain values it was decided on.
+     * Built when opened, so it follows the interface language.
+     */
+    popupHtml(result, locationName) {
+        const { region, regionData = {}, terrainData, coordinates } = result;
+        const formatted = TerrainAnalyzer.formatTerrainData(terrainData);
+        const name = this.regionName(region, regionData);
+        const place = locationName ? `<div class="map-popup-place">${this.escape(locationName)}</div>` : '';
+
+        return `
+            <div class="map-popup">
+                <strong style="color: ${regionData.color || 'inherit'}">${regionData.icon || '📍'} ${name}</strong>
+                ${place}
+                <dl>
+                    <dt>${I18n.t('result.elevation')}</dt><dd>${formatted.elevation}</dd>
+                    <dt>${I18n.t('result.coast')}</dt><dd>${formatted.coastDistance}</dd>
+                    <dt>${I18n.t('result.precipitation')}</dt><dd>${formatted.precipitation}</dd>
+                </dl>
+                <div class="map-popup-coords">${GeoLocation.formatCoordinates(coordinates.lat, coordinates.lon)}</div>
+            </div>`;
+    },
+
+    /**
+     * Legend with the five region colors from data/regions.json
+     */
+    renderLegend() {
+        if (!this.map || !this.regionData) return;
+        if (this.legend) this.legend.remove();
+
+        const rows = Object.entries(this.regionData).map(([region, data]) => `
+            <li><span class="map-legend-swatch" style="background: ${data.color}"></span>${data.icon || ''} ${this.regionName(region, data)}</li>`);
+
+        this.legend = L.control({ position: 'bottomright' });
+        this.legend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            div.innerHTML = `<strong>${I18n.t('map.legend')}</strong><ul>${rows.join('')}</ul>`;
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+        this.legend.addTo(this.map);
+    },
+
+    /**
+     * Load the overlay manifest: { maxZoom, bounds, rules, thresholds, sources, ... }
+     * Rejects when the overlay tiles have not been built for this site.
+     */
+    loadOverlayManifest() {
+        if (!this._overlayManifestPromise) {
+            this._overlayManifestPromise = APIClient.request(`${this.OVERLAY_URL}/manifest.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Thinai overlay tiles are not installed');
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    this._overlayManifestPromise = null;
+                    throw error;
+                });
+        }
+        return this._overlayManifestPromise;
+    },
+
+    /**
+     * Show or hide the layer coloring the whole map by region
+     * Resolves to false when the overlay tiles are not installed.
+     */
+    async setOverlay(visible) {
+        if (!this.map) return false;
+        if (!visible) {
+            this.overlay?.remove();
+            return true;
+        }
+
+        let manifest;
+        try {
+            manifest = await this.loadOverlayManifest();
+        } catch (error) {
+            console.warn('Thinai overlay unavailable:', error);
+            return false;
+        }
+
+        if (!this.overlay) {
+            // Sea tiles are not generated; Leaflet leaves the 404s blank
+            this.overlay = L.tileLayer(`${this.OVERLAY_URL}/{z}/{x}/{y}.png`, {
+                maxNativeZoom: manifest.maxZoom,
+                maxZoom: 19,
+                bounds: manifest.bounds,
+                opacity: this.OVERLAY_OPACITY,
+                attribution: I18n.t(manifest.sources ? 'map.overlayAttributionSources' : 'map.overlayAttribution', {
+                    rules: manifest.rules,
+                    step: I18n.formatNumber(manifest.step, 2),
+                    elevation: manifest.sources?.elevation,
+                    precipitation: manifest.sources?.precipitation
+                })
+            });
+        }
+        if (this.map) this.overlay.addTo(this.map);
+        return true;
+    },
+
+    /**
+     * Let clicks add route points (shape 'line') or area corners (shape
+     * 'polygon') instead of classifying
+     * onChange(points) is called as points are added; onFinish(points) when
+     * the drawing is finished by a double click or finishDrawing.
+     */
+    startDrawing({ shape = 'line', onChange, onFinish } = {}) {
+        if (!this.map) return;
+        if (this.drawing) this.finishDrawing();
+        const layer = shape === 'polygon' ? this.area : this.route;
+        const style = { color: '#e2e8f0', weight: 3, dashArray: '6 6', fillOpacity: 0.08 };
+        layer.clearLayers();
+        this.drawing = {
+            shape,
+            points: [],
+            line: (shape === 'polygon' ? L.polygon : L.polyline)([], style).addTo(layer),
+            onChange,
+            onFinish
+        };
+        this.map.doubleClickZoom.disable();
+        this.map.getContainer().classList.add('map-drawing');
+    },
+
+    addRoutePoint(lat, lon) {
+        const { points, line, onChange } = this.drawing;
+        const last = points[points.length - 1];
+        // The two clicks of a double click land on the same spot
+        if (last && this.map.latLngToContainerPoint(last).distanceTo(this.map.latLngToContainerPoint([lat, lon])) < 4) return;
+
+        points.push([lat, this.wrapLongitude(lon)]);
+        line.addLatLng([lat, lon]);
+        if (onChange) onChange(points.slice());
+    },
+
+    /**
+     * Stop drawing; returns the points drawn
+     */
+    finishDrawing() {
+        if (!this.drawing) return [];
+        const { points, onFinish } = this.drawing;
+        this._stopDrawing();
+        if (onFinish) onFinish(points.slice());
+        return points;
+    },
+
+    /**
+     * Draw a route that has not been classified yet and zoom to it
+     */
+    showRoute(points) {
+        if (!this.map) return;
+        this.route.clearLayers();
+        const line = L.polyline(points, { color: '#e2e8f0', weight: 3, dashArray: '6 6' }).addTo(this.route);
+        this.map.fitBounds(line.getBounds(), { padding: [24, 24] });
+    },
+
+    /**
+     * Color a classified route by region, each sample standing for the
+     * stretch halfway to its neighbours
+     */
+    showTransect(samples) {
+        if (!this.map) return;
+        this.route.clearLayers();
+        const midpoint = (a, b) => [(a.lat + b.lat) / 2, (a.lon + b.lon) / 2];
+
+        samples.forEach((sample, i) => {
+            const latlngs = [
+                i > 0 ? midpoint(samples[i - 1], sample) : [sample.lat, sample.lon],
+                [sample.lat, sample.lon],
+                i < samples.length - 1 ? midpoint(sample, samples[i + 1]) : [sample.lat, sample.lon]
+            ];
+            const color = sample.region ? sample.color : '#64748b';
+            L.polyline(latlngs, { color, weight: 6, opacity: 0.9, lineCap: 'butt' }).addTo(this.route);
+            L.circleMarker([sample.lat, sample.lon], { radius: 3, color: '#fff', weight: 1, fillColor: color, fillOpacity: 1 })
+                .bindTooltip(() => {
+                    const region = sample.region
+                        ? `${sample.icon} ${this.regionName(sample.region, this.regionData?.[sample.region])}`
+                        : I18n.t('route.noData');
+                    return `${TerrainAnalyzer.formatDistance(sample.distance)} · ${region}`;
+                })
+                .addTo(this.route);
+        });
+    },
+
+    /**
+     * Draw an area and, once classified, its grid cells in their region's color
+     * polygons: lists of [lat, lon] rings; grid: { latStep, lonStep, cells }
+     */
+    showArea(polygons, grid = null) {
+        if (!this.map) return;
+        this.area.clearLayers();
+        const outline = L.polygon(polygons, { color: '#e2e8f0', weight: 2, dashArray: '6 6', fill: !grid, fillOpacity: 0.08 })
+            .addTo(this.area);
+
+        for (const cell of grid?.cells || []) {
+            const color = cell.region ? cell.color : '#64748b';
+            L.rectangle([
+                [cell.lat - grid.latStep / 2, cell.lon - grid.lonStep / 2],
+                [cell.lat + grid.latStep / 2, cell.lon + grid.lonStep / 2]
+            ], { color, weight: 0, fillColor: color, fillOpacity: 0.55 })
+                .bindTooltip(() => cell.region
+                    ? `${cell.icon} ${this.regionName(cell.region, this.regionData?.[cell.region])}`
+                    : I18n.t('area.noData'))
+                .addTo(this.area);
+        }
+        if (!grid) this.map.fitBounds(outline.getBounds(), { padding: [24, 24] });
+    },
+
+    clearRoute() {
+        if (this.drawing?.shape === 'line') this._stopDrawing();
+        this.route?.clearLayers();
+    },
+
+    clearArea() {
+        if (this.drawing?.shape === 'polygon') this._stopDrawing();
+        this.area?.clearLayers();
+    },
+
+    /**
+     * Abandon a drawing without calling its onFinish
+     */
+    _stopDrawing() {
+        this.drawing = null;
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().classList.remove('map-drawing');
+    },
 
-        // Invalidate size after section becomes visible
-        setTimeout(() => {
-            if (this.map) this.map.invalidateSize();
-        }, 300);
+    /**
+     * Redraw the text drawn by the map after the language changes
+     */
+    refresh() {
+        this.renderLegend();
+        if (this.marker?.isPopupOpen()) this.marker.getPopup().update();
+    },
+
+    /**
+     * Remove the session's points (the marker stays where it is)
+     */
+    clearPoints() {
+        this.points?.clearLayers();
+        this.pointKeys.clear();
+    },
+
+    regionName(region, regionData) {
+        return I18n.language === 'ta' && regionData?.tamil ? regionData.tamil : region;
+    },
+
+    /**
+     * Clicking past the antimeridian gives longitudes beyond ±180
+     */
+    wrapLongitude(lon) {
+        return ((lon + 180) % 360 + 360) % 360 - 180;
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     },
 
     /**
@@ -91,7 +440,17 @@ const MapView = {
             this.map.remove();
             this.map = null;
             this.marker = null;
-            this.circle = null;
+            this.points = null;
+            this.legend = null;
+            this.overlay = null;
+            this.route = null;
+            this.area = null;
+            this.drawing = null;
+            this.pointKeys.clear();
         }
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapView;
+}
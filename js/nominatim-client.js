@@ -0,0 +1,125 @@
+/**
+ * Nominatim Client Module
+ * The one place the app talks to Nominatim: forward and reverse geocoding,
+ * the usage-policy headers and rate limit, and cached reverse lookups
+ *
+ * https://operations.osmfoundation.org/policies/nominatim/
+ * Implements the geocoding provider interface used by Geocoding.
+ */
+
+const NominatimClient = {
+    name: 'nominatim',
+    online: true,
+
+    BASE_URL: 'https://nominatim.openstreetmap.org',
+    USER_AGENT: 'Ainthinai-Classifier-App',
+
+    // Contact address sent with every request, as the usage policy asks of
+    // heavier users (e.g. batch runs); null to leave it out
+    email: null,
+
+    // At most one request a second, one at a time, shared by every caller.
+    // Applied to the BASE_URL host through APIClient's request queue.
+    RATE_LIMIT: { concurrency: 1, requests: 1, per: 1000 },
+
+    // Place names are resolved at city level
+    REVERSE_ZOOM: 10,
+
+    /**
+     * Request and cache backends (injectable for headless use)
+     */
+    apiClient: typeof APIClient !== 'undefined' ? APIClient : null,
+    cache: typeof TerrainCache !== 'undefined' ? TerrainCache : null,
+
+    /**
+     * Point at another Nominatim instance or set the contact email
+     */
+    configure({ baseUrl, email, userAgent } = {}) {
+        if (baseUrl) this.BASE_URL = baseUrl.replace(/\/+$/, '');
+        if (email !== undefined) this.email = email || null;
+        if (userAgent) this.USER_AGENT = userAgent;
+        return this;
+    },
+
+    /**
+     * Geocode free text to places, best match first
+     * Returns up to `limit` results as
+     * [{ lat, lon, displayName, country, type, boundingBox }]; throws when
+     * there are none.
+     */
+    async search(query, { limit = 1, signal } = {}) {
+        if (!query || query.trim() === '') {
+            throw new Error('Please enter a location');
+        }
+
+        const data = await this.request('search', { q: query.trim(), limit, addressdetails: 1 }, signal);
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Location not found. Please try a different search term.');
+        }
+
+        return data.map(place => this.normalizePlace(place));
+    },
+
+    /**
+     * Convert a Nominatim result to the app's place shape
+     * boundingBox is [south, north, west, east] in degrees, or null.
+     */
+    normalizePlace(place) {
+        const box = Array.isArray(place.boundingbox) ? place.boundingbox.map(Number) : null;
+        return {
+            lat: parseFloat(place.lat),
+            lon: parseFloat(place.lon),
+            displayName: place.display_name,
+            country: (place.address && place.address.country) || null,
+            type: place.addresstype || place.type || null,
+            boundingBox: box && box.length === 4 && box.every(Number.isFinite) ? box : null
+        };
+    },
+
+    /**
+     * Name of the place at (lat, lon), or null if Nominatim has none
+     * Names are cached per ~1 km cell, so revisiting a place costs no request.
+     */
+    async reverse(lat, lon, { zoom = this.REVERSE_ZOOM, signal } = {}) {
+        const variant = `z${zoom}`;
+        const cached = this.cache && await this.cache.get('placeName', lat, lon, {
+            variant,
+            allowStale: this.apiClient.isOffline()
+        });
+        if (cached) return cached.value;
+
+        const data = await this.request('reverse', { lat, lon, zoom }, signal);
+        const name = (data && data.display_name) || null;
+        if (name && this.cache) {
+            await this.cache.set('placeName', lat, lon, name, { variant });
+        }
+        return name;
+    },
+
+    /**
+     * GET a Nominatim endpoint as JSON
+     * Waits its turn in the host's queue; signal cancels the wait and the request.
+     */
+    async request(endpoint, params, signal) {
+        const limits = this.apiClient.HOST_LIMITS;
+        const host = new URL(this.BASE_URL).hostname;
+        if (!limits[host]) limits[host] = this.RATE_LIMIT;
+
+        const query = new URLSearchParams({ ...params, format: 'json' });
+        if (this.email) query.set('email', this.email);
+
+        const response = await this.apiClient.request(`${this.BASE_URL}/${endpoint}?${query}`, {
+            headers: { 'User-Agent': this.USER_AGENT },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Geocoding service unavailable (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NominatimClient;
+}
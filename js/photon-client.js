@@ -0,0 +1,116 @@
+/**
+ * Photon Client Module
+ * Geocoding provider for Photon (https://photon.komoot.io or a self-hosted
+ * instance), an OpenStreetMap geocoder built for search-as-you-type
+ *
+ * Implements the geocoding provider interface used by Geocoding.
+ */
+
+const PhotonClient = {
+    name: 'photon',
+    online: true,
+
+    BASE_URL: 'https://photon.komoot.io',
+
+    // The public instance asks for moderate use; applied to the BASE_URL
+    // host through APIClient's request queue
+    RATE_LIMIT: { concurrency: 1, requests: 1, per: 1000 },
+
+    /**
+     * Request and cache backends (injectable for headless use)
+     */
+    apiClient: typeof APIClient !== 'undefined' ? APIClient : null,
+    cache: typeof TerrainCache !== 'undefined' ? TerrainCache : null,
+
+    /**
+     * Point at another Photon instance
+     */
+    configure({ baseUrl } = {}) {
+        if (baseUrl) this.BASE_URL = baseUrl.replace(/\/+$/, '');
+        return this;
+    },
+
+    /**
+     * Geocode free text to places, best match first
+     * Returns up to `limit` results in the same shape as NominatimClient.search
+     */
+    async search(query, { limit = 1, signal } = {}) {
+        if (!query || query.trim() === '') {
+            throw new Error('Please enter a location');
+        }
+
+        const data = await this.request('api', { q: query.trim(), limit }, signal);
+        const features = (data && data.features) || [];
+        if (features.length === 0) {
+            throw new Error('Location not found. Please try a different search term.');
+        }
+
+        return features.map(feature => this.normalizeFeature(feature));
+    },
+
+    /**
+     * Convert a Photon GeoJSON feature to the app's place shape
+     * Photon's extent is [west, north, east, south].
+     */
+    normalizeFeature(feature) {
+        const props = feature.properties || {};
+        const [lon, lat] = feature.geometry.coordinates;
+        const parts = [props.name, props.street, props.city, props.county, props.state, props.country]
+            .filter((part, i, all) => part && all.indexOf(part) === i);
+        const extent = props.extent;
+
+        return {
+            lat,
+            lon,
+            displayName: parts.join(', '),
+            country: props.country || null,
+            type: props.type || props.osm_value || null,
+            boundingBox: Array.isArray(extent) && extent.length === 4
+                ? [extent[3], extent[1], extent[0], extent[2]]
+                : null
+        };
+    },
+
+    /**
+     * Name of the place at (lat, lon), or null if Photon has none
+     * Cached like NominatimClient's reverse lookups.
+     */
+    async reverse(lat, lon, { signal } = {}) {
+        const variant = 'photon';
+        const cached = this.cache && await this.cache.get('placeName', lat, lon, {
+            variant,
+            allowStale: this.apiClient.isOffline()
+        });
+        if (cached) return cached.value;
+
+        const data = await this.request('reverse', { lat, lon }, signal);
+        const feature = data && data.features && data.features[0];
+        const name = feature ? this.normalizeFeature(feature).displayName || null : null;
+        if (name && this.cache) {
+            await this.cache.set('placeName', lat, lon, name, { variant });
+        }
+        return name;
+    },
+
+    /**
+     * GET a Photon endpoint as JSON
+     * Waits its turn in the host's queue; signal cancels the wait and the request.
+     */
+    async request(endpoint, params, signal) {
+        const limits = this.apiClient.HOST_LIMITS;
+        const host = new URL(this.BASE_URL).hostname;
+        if (!limits[host]) limits[host] = this.RATE_LIMIT;
+
+        const query = new URLSearchParams(params);
+        const response = await this.apiClient.request(`${this.BASE_URL}/${endpoint}?${query}`, { signal });
+
+        if (!response.ok) {
+            throw new Error(`Geocoding service unavailable (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotonClient;
+}
@@ -0,0 +1,292 @@
+/**
+ * Route Module
+ * Draws a route on the map (or loads a GPX track), classifies it with
+ * Transect and shows its elevation and rainfall profile over the thinai crossed
+ */
+
+const RouteModule = {
+    points: [],
+    samples: [],
+    result: null,
+    length: 0,
+    regionData: null,
+    running: false,
+    controller: null,
+
+    // Profile chart size in SVG units; it scales to the panel width
+    CHART: { width: 640, height: 240, left: 52, right: 60, top: 12, bottom: 30 },
+    ELEVATION_COLOR: '#e2e8f0',
+    RAINFALL_COLOR: '#38bdf8',
+    NO_DATA_COLOR: '#64748b',
+
+    /**
+     * Bind the route controls under the map
+     */
+    init() {
+        SamplingPanel.bind('route', this, { fileInput: 'route-gpx-input', onFile: text => this.loadGpx(text) });
+
+        const stepInput = document.getElementById('route-step-input');
+        if (stepInput && !stepInput.value) stepInput.value = Transect.DEFAULT_STEP_KM;
+
+        TerrainAnalyzer.loadRegionData().then(regionData => {
+            this.regionData = regionData;
+        });
+    },
+
+    /**
+     * Start drawing a route on the map, or finish the one being drawn
+     */
+    toggleDrawing() {
+        if (MapView.drawing?.shape === 'line') {
+            MapView.finishDrawing();
+            return;
+        }
+
+        this.setPoints([]);
+        MapView.startDrawing({
+            onChange: points => this.setPoints(points, { drawing: true }),
+            onFinish: points => {
+                this.setPoints(points);
+                this._setDrawing(false);
+            }
+        });
+        this._setDrawing(true);
+        this._setStatus(I18n.t('route.drawing', { count: I18n.formatNumber(0) }));
+    },
+
+    /**
+     * Use the track (or route) of a GPX file
+     */
+    loadGpx(text) {
+        if (MapView.drawing) MapView.finishDrawing();
+        try {
+            const points = Transect.parseGpx(text);
+            this.setPoints(points);
+            MapView.showRoute(points);
+        } catch (error) {
+            console.warn('GPX error:', error);
+            this._setStatus(I18n.t('route.gpxError'));
+        }
+    },
+
+    /**
+     * Replace the route and describe it
+     */
+    setPoints(points, { drawing = false } = {}) {
+        this.points = points;
+        const runBtn = document.getElementById('route-run-btn');
+        if (runBtn) runBtn.disabled = points.length < 2 || this.running || drawing;
+        document.getElementById('route-clear-btn')?.classList.toggle('hidden', points.length === 0);
+
+        if (drawing) {
+            this._setStatus(I18n.t('route.drawing', { count: I18n.formatNumber(points.length) }));
+        } else if (points.length >= 2) {
+            this._setStatus(I18n.t('route.ready', {
+                length: TerrainAnalyzer.formatDistance(Transect.length(points)),
+                count: I18n.formatNumber(points.length)
+            }));
+        } else {
+            this._setStatus(points.length ? I18n.t('route.tooShort') : '');
+        }
+    },
+
+    /**
+     * Classify the route and draw its profile as the samples come in
+     */
+    async run() {
+        if (this.running || this.points.length < 2) return;
+
+        const stepKm = Number(document.getElementById('route-step-input')?.value) || Transect.DEFAULT_STEP_KM;
+        this.running = true;
+        this.result = null;
+        this.samples = [];
+        this.controller = new AbortController();
+        this._setRunning(true);
+        SamplingPanel.show('route', ['chart', 'totals']);
+
+        this.length = Transect.samplePoints(this.points, stepKm).length;
+        let total = 0;
+        try {
+            this.result = await Transect.classify(this.points, {
+                stepKm,
+                signal: this.controller.signal,
+                onProgress: (done, count, samples) => {
+                    total = count;
+                    this.samples = samples;
+                    this._setProgress(done, count, I18n.t('route.progress', {
+                        done: I18n.formatNumber(done),
+                        total: I18n.formatNumber(count)
+                    }));
+                    this.render();
+                }
+            });
+            this.samples = this.result.samples;
+            MapView.showTransect(this.result.samples);
+        } catch (error) {
+            if (!APIClient.isAbortError(error)) throw error;
+            this._setStatus(I18n.t('route.stopped', {
+                done: I18n.formatNumber(this.samples.length),
+                total: I18n.formatNumber(total)
+            }), 'status');
+            if (this.samples.length) MapView.showTransect(this.samples);
+        } finally {
+            this.running = false;
+            this.controller = null;
+            this._setRunning(false);
+        }
+
+        if (this.result) this.render();
+    },
+
+    /**
+     * Stop any run and remove the route from the map and the page
+     */
+    clear() {
+        if (this.controller) this.controller.abort();
+        MapView.clearRoute();
+        this._setDrawing(false);
+        this.setPoints([]);
+        this.samples = [];
+        this.result = null;
+        this.length = 0;
+        SamplingPanel.hide('route');
+    },
+
+    /**
+     * Redraw the route text after the language changes
+     */
+    refresh() {
+        if (!MapView.drawing && !this.running) this.setPoints(this.points);
+        if (!this.running) this.render();
+        if (this.samples.length) MapView.showTransect(this.samples);
+    },
+
+    /**
+     * Draw the profile, totals and status for the samples so far
+     */
+    render() {
+        if (this.samples.length === 0) return;
+        const { segments, totals } = this.result || Transect.summarize(this.samples, this.samples[this.samples.length - 1].distance);
+
+        const chart = document.getElementById('route-chart');
+        if (chart) chart.innerHTML = this.chartSvg(this.samples, segments, this.length);
+
+        const totalsEl = document.getElementById('route-totals');
+        if (totalsEl) totalsEl.innerHTML = this.totalsHtml(totals, segments);
+
+        if (this.result) {
+            const failed = this.result.samples.filter(sample => sample.error).length;
+            const params = {
+                length: TerrainAnalyzer.formatDistance(this.result.length),
+                step: TerrainAnalyzer.formatDistance(this.result.step),
+                failed: I18n.formatNumber(failed)
+            };
+            this._setProgress(1, 1, I18n.t(failed ? 'route.doneFailed' : 'route.done', params));
+        }
+    },
+
+    /**
+     * SVG profile: thinai bands behind the elevation line (left axis) and
+     * the typical rainfall line (right axis), over distance along the route
+     */
+    chartSvg(samples, segments, length) {
+        const { width, height, left, right, top, bottom } = this.CHART;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const known = (key) => samples.filter(sample => sample[key] !== null && sample[key] !== undefined);
+
+        const elevations = known('elevation');
+        const rainfall = known('precipitation');
+        const maxElevation = this._niceMax(Math.max(100, ...elevations.map(s => s.elevation)));
+        const minElevation = Math.min(0, ...elevations.map(s => s.elevation));
+        const maxRain = this._niceMax(Math.max(100, ...rainfall.map(s => s.precipitation)));
+
+        const x = distance => left + (length > 0 ? distance / length : 0) * plotWidth;
+        const yElevation = value => top + plotHeight * (1 - (value - minElevation) / (maxElevation - minElevation));
+        const yRain = value => top + plotHeight * (1 - value / maxRain);
+        const path = (points, y, key) => points.map(s => `${x(s.distance).toFixed(1)},${y(s[key]).toFixed(1)}`).join(' ');
+
+        const colors = {};
+        samples.forEach(sample => { if (sample.region) colors[sample.region] = sample.color; });
+
+        const bands = segments.map(({ region, from, to }) => `
+            <rect x="${x(from).toFixed(1)}" y="${top}" width="${Math.max(0, x(to) - x(from)).toFixed(1)}" height="${plotHeight}"
+                fill="${region ? colors[region] : this.NO_DATA_COLOR}" fill-opacity="0.28">
+                <title>${this._regionLabel(region)}: ${TerrainAnalyzer.formatDistance(from)} – ${TerrainAnalyzer.formatDistance(to)}</title>
+            </rect>`).join('');
+
+        const ticks = [0, 0.5, 1];
+        const axisText = (tx, ty, anchor, text, color = 'currentColor') =>
+            `<text x="${tx}" y="${ty}" text-anchor="${anchor}" fill="${color}">${text}</text>`;
+        const labels = [
+            ...ticks.map(f => axisText(left - 6, yElevation(minElevation + f * (maxElevation - minElevation)) + 4, 'end',
+                I18n.formatNumber(minElevation + f * (maxElevation - minElevation)), this.ELEVATION_COLOR)),
+            ...ticks.map(f => axisText(width - right + 6, yRain(f * maxRain) + 4, 'start',
+                I18n.formatNumber(f * maxRain), this.RAINFALL_COLOR)),
+            ...[0, 0.25, 0.5, 0.75, 1].map(f => axisText(x(f * length), height - bottom + 16, f === 0 ? 'start' : f === 1 ? 'end' : 'middle',
+                TerrainAnalyzer.formatDistance(f * length)))
+        ].join('');
+
+        return `
+            <svg class="route-chart-svg" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="${I18n.t('route.chartLabel', { length: TerrainAnalyzer.formatDistance(length) })}">
+                ${bands}
+                <rect x="${left}" y="${top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="rgba(255,255,255,0.15)"/>
+                <polyline points="${path(rainfall, yRain, 'precipitation')}" fill="none" stroke="${this.RAINFALL_COLOR}"
+                    stroke-width="2" stroke-dasharray="5 4"/>
+                <polyline points="${path(elevations, yElevation, 'elevation')}" fill="none" stroke="${this.ELEVATION_COLOR}"
+                    stroke-width="2.5" stroke-linejoin="round"/>
+                <g class="route-chart-labels">${labels}</g>
+            </svg>
+            <p class="route-chart-key">
+                <span style="color:${this.ELEVATION_COLOR}">━ ${I18n.t('route.elevation')}</span>
+                <span style="color:${this.RAINFALL_COLOR}">╍ ${I18n.t('route.rainfall')}</span>
+            </p>`;
+    },
+
+    /**
+     * Distance in each thinai, longest first, and the order they are crossed in
+     */
+    totalsHtml(totals, segments) {
+        const rows = totals.map(({ region, distance, share }) => ({
+            label: this._regionLabel(region),
+            color: region ? this.samples.find(s => s.region === region)?.color : this.NO_DATA_COLOR,
+            share,
+            value: `${TerrainAnalyzer.formatDistance(distance)} · ${I18n.formatNumber(share * 100)}%`
+        }));
+
+        const crossed = segments.filter(s => s.region).map(s => this._regionLabel(s.region));
+        const sequence = crossed.filter((name, i) => name !== crossed[i - 1]).join(' → ');
+
+        return `${SamplingPanel.compositionHtml(I18n.t('route.totals'), rows)}
+            ${sequence ? `<p class="route-sequence">${I18n.t('route.sequence', { sequence })}</p>` : ''}`;
+    },
+
+    _regionLabel(region) {
+        return SamplingPanel.regionLabel(region, this.regionData, this.samples, I18n.t('route.noData'));
+    },
+
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     */
+    _niceMax(value) {
+        const power = 10 ** Math.floor(Math.log10(value));
+        return [1, 2, 5, 10].map(m => m * power).find(m => m >= value);
+    },
+
+    _setDrawing(drawing) {
+        SamplingPanel.setDrawing('route', drawing);
+    },
+
+    _setRunning(running) {
+        SamplingPanel.setRunning('route', running, this.points.length >= 2);
+    },
+
+    _setProgress(done, total, message) {
+        SamplingPanel.setProgress('route', done, total, message);
+    },
+
+    _setStatus(message, line = 'hint') {
+        SamplingPanel.setStatus('route', message, line);
+    }
+};
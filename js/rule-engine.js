@@ -0,0 +1,145 @@
+/**
+ * Rule Engine Module
+ * Evaluates declarative classification rule sets (see data/rules.json)
+ *
+ * A rule set is { name, variables, rules: [{ region, label?, when: [predicate] }] }
+ * where each predicate is { variable, op, threshold }. Rules are tried in order
+ * and the first whose predicates all pass decides the region.
+ */
+
+const RuleEngine = {
+    /**
+     * Interface language for traces (injectable for headless use)
+     */
+    i18n: typeof I18n !== 'undefined' ? I18n : null,
+
+    // Message keys naming the built-in variables; other variables show as written
+    VARIABLE_LABELS: {
+        elevation: 'trace.elevation',
+        coastDistance: 'trace.coastDistance',
+        precipitation: 'trace.precipitation'
+    },
+
+    OPERATORS: {
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b
+    },
+
+    /**
+     * Check a rule set's structure; throws an Error describing the first problem
+     */
+    validate(ruleSet, thresholds = {}) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+            throw new Error('Rule set must have a non-empty "rules" array');
+        }
+
+        const variables = ruleSet.variables || [];
+
+        ruleSet.rules.forEach((rule, i) => {
+            const where = `Rule ${i + 1}${rule && rule.region ? ` (${rule.region})` : ''}`;
+            if (!rule || typeof rule.region !== 'string' || !rule.region) {
+                throw new Error(`${where}: missing "region"`);
+            }
+            if (!Array.isArray(rule.when) || rule.when.length === 0) {
+                throw new Error(`${where}: "when" must be a non-empty array of predicates`);
+            }
+            for (const predicate of rule.when) {
+                if (!variables.includes(predicate.variable)) {
+                    throw new Error(`${where}: unknown variable "${predicate.variable}"`);
+                }
+                if (!this.OPERATORS[predicate.op]) {
+                    throw new Error(`${where}: unknown operator "${predicate.op}"`);
+                }
+                if (typeof predicate.threshold === 'string' && !(predicate.threshold in thresholds)) {
+                    throw new Error(`${where}: unknown threshold "${predicate.threshold}"`);
+                }
+                if (typeof predicate.threshold !== 'string' && !Number.isFinite(predicate.threshold)) {
+                    throw new Error(`${where}: threshold must be a number or a threshold name`);
+                }
+            }
+        });
+
+        return ruleSet;
+    },
+
+    /**
+     * Threshold value for a predicate: a named threshold or a literal number
+     */
+    resolveThreshold(threshold, thresholds) {
+        return typeof threshold === 'string' ? thresholds[threshold] : threshold;
+    },
+
+    /**
+     * Evaluate the rules in order against the terrain variables
+     * Returns { region, rule, trace } where region and rule are null when no
+     * rule matched, and trace lists every rule tried with each predicate's outcome.
+     */
+    evaluate(ruleSet, variables, thresholds = {}) {
+        const trace = [];
+
+        for (const rule of ruleSet.rules) {
+            const predicates = rule.when.map(p => {
+                const threshold = this.resolveThreshold(p.threshold, thresholds);
+                const value = variables[p.variable];
+                return {
+                    variable: p.variable,
+                    op: p.op,
+                    threshold,
+                    thresholdName: typeof p.threshold === 'string' ? p.threshold : null,
+                    value,
+                    // Missing values (null) never satisfy a predicate
+                    passed: typeof value === 'number' && this.OPERATORS[p.op](value, threshold)
+                };
+            });
+
+            const matched = predicates.every(p => p.passed);
+            trace.push({ region: rule.region, label: rule.label || '', matched, predicates });
+
+            if (matched) {
+                return { region: rule.region, rule, trace };
+            }
+        }
+
+        return { region: null, rule: null, trace };
+    },
+
+    /**
+     * Conditions of each region's first rule as [variable, op, threshold]
+     * Used for scoring how close each region comes to matching.
+     */
+    conditionsByRegion(ruleSet, thresholds = {}) {
+        const conditions = {};
+        for (const rule of ruleSet.rules) {
+            if (conditions[rule.region]) continue;
+            conditions[rule.region] = rule.when.map(p =>
+                [p.variable, p.op, this.resolveThreshold(p.threshold, thresholds)]);
+        }
+        return conditions;
+    },
+
+    /**
+     * Human-readable lines describing a trace, one per rule tried
+     * regionName(region) names each region in the interface language.
+     */
+    formatTrace(trace, { regionName = region => region } = {}) {
+        const i18n = this.i18n;
+        // Written with as many decimals as it has, so 0.25 stays 0.25
+        const number = (value) => i18n.formatNumber(value, (String(value).split('.')[1] || '').length);
+        return trace.map(entry => {
+            const checks = entry.predicates.map(p => {
+                const label = this.VARIABLE_LABELS[p.variable];
+                const variable = label ? i18n.t(label) : p.variable;
+                const value = typeof p.value === 'number' ? number(Math.round(p.value * 10) / 10) : i18n.t('trace.missing');
+                const threshold = typeof p.threshold === 'number' ? number(p.threshold) : p.threshold;
+                return `${p.passed ? '✓' : '✗'} ${variable} ${value} ${p.op} ${threshold}`;
+            }).join(', ');
+            return `${entry.matched ? '✅' : '❌'} ${regionName(entry.region)}: ${checks}`;
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleEngine;
+}
@@ -0,0 +1,103 @@
+/**
+ * Sampling Panel Helpers
+ * Controls shared by the route and area panels under the map. Their element
+ * ids start with the panel's prefix, e.g. route-run-btn and area-run-btn.
+ */
+
+const SamplingPanel = {
+    /**
+     * Bind a panel's draw, run, clear and stop buttons and its file input
+     * panel provides toggleDrawing(), run(), clear() and a controller to abort;
+     * onFile(text) receives the contents of the chosen file.
+     */
+    bind(prefix, panel, { fileInput, onFile }) {
+        document.getElementById(`${prefix}-draw-btn`)?.addEventListener('click', () => panel.toggleDrawing());
+        document.getElementById(fileInput)?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onFile(await file.text());
+        });
+        document.getElementById(`${prefix}-run-btn`)?.addEventListener('click', () => panel.run());
+        document.getElementById(`${prefix}-clear-btn`)?.addEventListener('click', () => panel.clear());
+        document.getElementById(`${prefix}-stop-btn`)?.addEventListener('click', () => {
+            if (panel.controller) panel.controller.abort();
+        });
+    },
+
+    /**
+     * Icon and name of a region for labels; points supply the icon when the
+     * region data has not loaded yet, and points without a region read noData
+     */
+    regionLabel(region, regionData, points, noData) {
+        if (!region) return noData;
+        const data = regionData?.[region];
+        return `${data?.icon || points.find(p => p.region === region)?.icon || ''} ${MapView.regionName(region, data)}`.trim();
+    },
+
+    /**
+     * Share bars under a heading, one row per { label, color, share, value }
+     */
+    compositionHtml(heading, rows) {
+        const items = rows.map(({ label, color, share, value }) => `
+                <li class="composition-row">
+                    <span class="composition-name">${label}</span>
+                    <span class="composition-bar"><span style="width:${(share * 100).toFixed(1)}%; background:${color}"></span></span>
+                    <span class="composition-value">${value}</span>
+                </li>`).join('');
+
+        return `
+            <h4>${heading}</h4>
+            <ul class="composition-list">${items}</ul>`;
+    },
+
+    /**
+     * Reveal the panel's results section and empty the listed parts of it
+     */
+    show(prefix, parts) {
+        document.getElementById(`${prefix}-section`)?.classList.remove('hidden');
+        for (const part of parts) {
+            const el = document.getElementById(`${prefix}-${part}`);
+            if (el) el.innerHTML = '';
+        }
+    },
+
+    hide(prefix) {
+        document.getElementById(`${prefix}-section`)?.classList.add('hidden');
+    },
+
+    setDrawing(prefix, drawing) {
+        const drawBtn = document.getElementById(`${prefix}-draw-btn`);
+        if (!drawBtn) return;
+        const key = drawing ? `${prefix}.finish` : `${prefix}.draw`;
+        drawBtn.setAttribute('data-i18n', key);
+        drawBtn.textContent = I18n.t(key);
+        drawBtn.classList.toggle('active', drawing);
+    },
+
+    /**
+     * Disable the run button while running or until the panel has a shape
+     */
+    setRunning(prefix, running, ready) {
+        const runBtn = document.getElementById(`${prefix}-run-btn`);
+        if (runBtn) runBtn.disabled = running || !ready;
+        document.getElementById(`${prefix}-stop-btn`)?.classList.toggle('hidden', !running);
+    },
+
+    setProgress(prefix, done, total, message) {
+        const bar = document.getElementById(`${prefix}-progress-bar`);
+        if (bar) bar.style.width = `${Math.round(done / total * 100)}%`;
+        this.setStatus(prefix, message, 'status');
+    },
+
+    /**
+     * Write to the hint under the controls, or to the status line of the results
+     */
+    setStatus(prefix, message, line = 'hint') {
+        const status = document.getElementById(`${prefix}-${line}`);
+        if (status) status.textContent = message;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SamplingPanel;
+}
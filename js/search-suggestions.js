@@ -0,0 +1,230 @@
+/**
+ * Search Suggestions Module
+ * Autocomplete dropdown under #location-input listing candidate places
+ *
+ * Typing only looks places up; nothing is classified until a candidate is
+ * picked with the mouse or the keyboard (↑/↓ then Enter, Escape to close).
+ * Searching while several candidates are listed asks for a pick instead.
+ */
+
+const SearchSuggestions = {
+    /**
+     * Pause after the last keystroke before looking up (Nominatim allows
+     * one request a second, shared with every other lookup)
+     */
+    DEBOUNCE_MS: 750,
+
+    input: null,
+    list: null,
+    onPick: null,
+    suggestions: [],
+    activeIndex: -1,
+    _timer: null,
+    _controller: null,
+
+    /**
+     * Attach the dropdown to the input; onPick(place) is called with the
+     * chosen { lat, lon, displayName, country, type, boundingBox }
+     */
+    init(input, list, onPick) {
+        if (!input || !list) return;
+        this.input = input;
+        this.list = list;
+        this.onPick = onPick;
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', list.id);
+        input.setAttribute('autocomplete', 'off');
+
+        input.addEventListener('input', () => this.schedule());
+        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        input.addEventListener('blur', () => this.close());
+
+        // Keep focus in the input so blur doesn't close the list before the click
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.pick(Number(option.dataset.index));
+        });
+    },
+
+    /**
+     * Look up suggestions once typing pauses
+     */
+    schedule() {
+        this.cancel();
+        const query = this.input.value;
+        if (query.trim().length < Geocoding.MIN_SUGGESTION_LENGTH) {
+            this.close();
+            return;
+        }
+        this._timer = setTimeout(() => this.lookup(query), this.DEBOUNCE_MS);
+    },
+
+    async lookup(query) {
+        this._controller = new AbortController();
+        try {
+            const suggestions = await Geocoding.getSuggestions(query, { signal: this._controller.signal });
+            // Ignore answers to text the user has since changed
+            if (this.input.value !== query) return;
+            this.show(suggestions);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Suggestions unavailable:', error);
+            this.close();
+        }
+    },
+
+    /**
+     * Stop a pending or in-flight lookup
+     */
+    cancel() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this._controller) this._controller.abort();
+        this._controller = null;
+    },
+
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // Cycle through the options and back to the typed text (-1)
+            const positions = this.suggestions.length + 1;
+            this.highlight((this.activeIndex + 1 + step + positions) % positions - 1);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            // Handled here instead of as a plain search
+            e.preventDefault();
+            this.pick(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    },
+
+    /**
+     * Answer Enter or Search while the list is open: a highlighted or only
+     * candidate is picked, and several ask the user to choose one. Returns
+     * true when the search has been handled.
+     */
+    interceptSearch() {
+        if (!this.isOpen()) return false;
+        if (this.activeIndex >= 0) {
+            this.pick(this.activeIndex);
+        } else if (this.suggestions.length === 1) {
+            this.pick(0);
+        } else {
+            this.show(this.suggestions, { prompt: true });
+        }
+        return true;
+    },
+
+    /**
+     * Classify the chosen candidate
+     */
+    pick(index) {
+        const place = this.suggestions[index];
+        if (!place) return;
+        this.input.value = place.displayName;
+        this.cancel();
+        this.close();
+        if (this.onPick) this.onPick(place);
+    },
+
+    /**
+     * List the candidates; prompt heads the list with a request to pick one
+     */
+    show(suggestions, { prompt = false } = {}) {
+        this.suggestions = suggestions;
+        this.activeIndex = -1;
+        if (suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        const heading = prompt
+            ? `<li class="suggestion-prompt" role="presentation">${this._escape(I18n.t('input.pickSuggestion'))}</li>`
+            : '';
+        this.list.innerHTML = heading + suggestions.map((place, i) => {
+            const [name, ...rest] = place.displayName.split(', ');
+            const details = [place.country, this.formatType(place.type), this.formatExtent(place.boundingBox)]
+                .filter(Boolean).join(' · ');
+            return `
+                <li id="${this.list.id}-${i}" class="suggestion" role="option" aria-selected="false" data-index="${i}">
+                    <span class="suggestion-name">${this._escape(name)}</span>
+                    <span class="suggestion-context">${this._escape(rest.join(', '))}</span>
+                    ${details ? `<span class="suggestion-meta">${this._escape(details)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+        if (prompt) this.input.focus();
+    },
+
+    highlight(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-index]').forEach(option => {
+            option.setAttribute('aria-selected', String(Number(option.dataset.index) === index));
+        });
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `${this.list.id}-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    },
+
+    close() {
+        if (!this.list) return;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.list.innerHTML = '';
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    },
+
+    isOpen() {
+        return !!this.list && !this.list.classList.contains('hidden') && this.suggestions.length > 0;
+    },
+
+    /**
+     * Place type in the interface language, e.g. "city_district" → "City district"
+     * Types without a placeType.* message are spelled out in English only.
+     */
+    formatType(type) {
+        if (!type) return '';
+        const key = `placeType.${type}`;
+        if (key in I18n.messages[I18n.DEFAULT_LANGUAGE]) return I18n.t(key);
+        if (I18n.language !== I18n.DEFAULT_LANGUAGE) return '';
+        const words = type.replace(/_/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    },
+
+    /**
+     * Rough size of a bounding box, e.g. "~25 km across"
+     */
+    formatExtent(box) {
+        if (!box) return '';
+        const [south, north, west, east] = box;
+        const kmPerDegree = 111.32;
+        const height = (north - south) * kmPerDegree;
+        const width = (east - west) * kmPerDegree * Math.cos((south + north) / 2 * Math.PI / 180);
+        const across = Math.max(height, width);
+        if (across < 1) return I18n.t('suggestion.extentSmall', { size: I18n.formatNumber(1) });
+        return I18n.t('suggestion.extent', { size: I18n.formatNumber(across, across < 10 ? 1 : 0) });
+    },
+
+    _escape(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchSuggestions;
+}
@@ -0,0 +1,322 @@
+/**
+ * Settings Module
+ * Editable classification thresholds with named presets and share-URL encoding
+ */
+
+const SettingsModule = {
+    STORAGE_KEY: 'ainthinai_presets_v1',
+    URL_PARAM: 't',
+    PRESET_PARAM: 'preset',
+    DEFAULT_PRESET: 'Global default',
+    activePreset: 'Global default',
+
+    // Threshold inputs; label and hint are message keys
+    FIELDS: [
+        { key: 'COASTAL_DISTANCE', label: 'settings.coastDistance', hint: 'settings.coastDistanceHint' },
+        { key: 'HIGH_ELEVATION', label: 'settings.highElevation', hint: 'settings.highElevationHint' },
+        { key: 'MID_ELEVATION_MIN', label: 'settings.midElevation', hint: 'settings.midElevationHint' },
+        { key: 'LOW_ELEVATION', label: 'settings.lowElevation', hint: 'settings.lowElevationHint' },
+        { key: 'LOW_PRECIPITATION', label: 'settings.lowPrecipitation', hint: 'settings.lowPrecipitationHint' }
+    ],
+
+    /**
+     * Presets that ship with the app and cannot be deleted
+     */
+    BUILTIN_PRESETS: {
+        'Global default': {},
+        'Tamil Nadu scholarly': { HIGH_ELEVATION: 600 }
+    },
+
+    /**
+     * Message keys for the built-in preset names and the names given to
+     * edited and shared thresholds; saved presets show the name they were given
+     */
+    PRESET_LABELS: {
+        'Global default': 'settings.presetDefault',
+        'Tamil Nadu scholarly': 'settings.presetScholarly',
+        Custom: 'settings.presetCustom',
+        'Shared link': 'settings.presetShared'
+    },
+
+    /**
+     * Restore the saved preset and bind the settings panel
+     * A saved preset that no longer applies is dropped for the default.
+     */
+    init() {
+        const { presets, active } = this._load();
+        const preset = this.getPresets()[active];
+        if (preset) {
+            try {
+                this.apply(preset, active);
+            } catch (error) {
+                console.warn(`Ignoring invalid saved preset "${active}":`, error.message);
+                delete presets[active];
+                this._save({ presets, active: this.DEFAULT_PRESET });
+                this.apply(this.BUILTIN_PRESETS[this.DEFAULT_PRESET], this.DEFAULT_PRESET);
+            }
+        }
+
+        const form = document.getElementById('settings-form');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._applyFromForm();
+        });
+        document.getElementById('settings-preset')?.addEventListener('change', (e) => {
+            this.selectPreset(e.target.value);
+        });
+        document.getElementById('settings-save-btn')?.addEventListener('click', () => this._saveFromForm());
+        document.getElementById('settings-delete-btn')?.addEventListener('click', () => this.deletePreset(this.activePreset));
+
+        this.render();
+    },
+
+    /**
+     * All presets: built-in ones first, then the user's saved presets
+     * Each preset holds only the thresholds it changes from the defaults.
+     */
+    getPresets() {
+        return { ...this.BUILTIN_PRESETS, ...this._load().presets };
+    },
+
+    /**
+     * Apply thresholds to the classifier; throws if they are invalid
+     */
+    apply(thresholds, presetName) {
+        TerrainAnalyzer.setThresholds(thresholds);
+        this.activePreset = presetName;
+        return TerrainAnalyzer.THRESHOLDS;
+    },
+
+    /**
+     * Switch to a named preset and remember it
+     */
+    selectPreset(name) {
+        const preset = this.getPresets()[name];
+        if (!preset) return;
+
+        this.apply(preset, name);
+        this._save({ active: name });
+        this.render();
+        this._reclassify();
+    },
+
+    /**
+     * Save thresholds as a named preset and make it active
+     */
+    savePreset(name, thresholds) {
+        name = (name || '').trim();
+        if (!name) throw new Error(I18n.t('settings.nameRequired'));
+        if (this.BUILTIN_PRESETS[name]) throw new Error(I18n.t('settings.builtIn', { name: this.presetLabel(name) }));
+
+        this.apply(thresholds, name);
+        const { presets } = this._load();
+        presets[name] = this._changedThresholds();
+        this._save({ presets, active: name });
+    },
+
+    /**
+     * Delete a saved preset, falling back to the default
+     */
+    deletePreset(name) {
+        if (this.BUILTIN_PRESETS[name]) return;
+
+        const { presets } = this._load();
+        delete presets[name];
+        this._save({ presets });
+        this.selectPreset(this.DEFAULT_PRESET);
+    },
+
+    /**
+     * Query parameters describing the active thresholds
+     * They are included at the defaults too, so a recipient with another
+     * preset saved sees the same result as the sender.
+     */
+    getUrlParams() {
+        const T = TerrainAnalyzer.THRESHOLDS;
+        return {
+            [this.URL_PARAM]: this.FIELDS.map(f => T[f.key]).join(','),
+            [this.PRESET_PARAM]: this.activePreset
+        };
+    },
+
+    /**
+     * Apply thresholds from a shared link for this visit only (not saved)
+     * The sender's preset name is only shown when it names one of the
+     * recipient's presets with the same thresholds. Returns true when the
+     * link set the thresholds.
+     */
+    applyFromUrl(params) {
+        const encoded = params.get(this.URL_PARAM);
+        if (!encoded) {
+            // Result links made before thresholds were always included were made at the defaults
+            if (!params.has('lat') && !params.has('q')) return false;
+            this.apply(this.BUILTIN_PRESETS[this.DEFAULT_PRESET], this.DEFAULT_PRESET);
+            this.render();
+            return true;
+        }
+
+        const values = encoded.split(',');
+        if (values.length !== this.FIELDS.length) {
+            console.warn('Ignoring malformed thresholds in URL:', encoded);
+            return false;
+        }
+
+        const thresholds = {};
+        this.FIELDS.forEach((f, i) => { thresholds[f.key] = values[i]; });
+
+        try {
+            this.apply(thresholds, 'Shared link');
+        } catch (error) {
+            console.warn('Ignoring invalid thresholds in URL:', error.message);
+            return false;
+        }
+        const name = params.get(this.PRESET_PARAM);
+        if (name && this._matchesPreset(name)) this.activePreset = name;
+        this.render();
+        return true;
+    },
+
+    /**
+     * Name of a preset as the interface language writes it
+     */
+    presetLabel(name) {
+        return this.PRESET_LABELS[name] ? I18n.t(this.PRESET_LABELS[name]) : name;
+    },
+
+    /**
+     * Render the preset picker and threshold inputs
+     */
+    render() {
+        const select = document.getElementById('settings-preset');
+        const fields = document.getElementById('settings-fields');
+        if (!select || !fields) return;
+
+        const presets = this.getPresets();
+        const names = Object.keys(presets);
+        if (!presets[this.activePreset]) names.push(this.activePreset);
+
+        select.innerHTML = names
+            .map(name => `<option value="${this._escape(name)}"${name === this.activePreset ? ' selected' : ''}>${this._escape(this.presetLabel(name))}</option>`)
+            .join('');
+
+        const T = TerrainAnalyzer.THRESHOLDS;
+        fields.innerHTML = this.FIELDS.map(f => `
+            <label class="settings-field" title="${I18n.t(f.hint)}">
+                <span>${I18n.t(f.label)}</span>
+                <input type="number" class="input-field" name="${f.key}" value="${T[f.key]}" min="1" step="any" required>
+            </label>
+        `).join('');
+
+        const deleteBtn = document.getElementById('settings-delete-btn');
+        if (deleteBtn) deleteBtn.disabled = !!this.BUILTIN_PRESETS[this.activePreset] || !presets[this.activePreset];
+
+        const summary = document.getElementById('settings-active-preset');
+        if (summary) summary.textContent = this.presetLabel(this.activePreset);
+    },
+
+    _applyFromForm() {
+        try {
+            // Edited values no longer match the named preset until saved
+            this.apply(this._readForm(), 'Custom');
+            this.render();
+            this._setStatus(I18n.t('settings.applied'));
+            this._reclassify();
+        } catch (error) {
+            this._setStatus(`⚠️ ${this._errorMessage(error)}`);
+        }
+    },
+
+    _saveFromForm() {
+        const name = document.getElementById('settings-preset-name')?.value;
+        try {
+            this.savePreset(name, this._readForm());
+            this.render();
+            this._setStatus(I18n.t('settings.saved', { name: this.activePreset }));
+            this._reclassify();
+        } catch (error) {
+            this._setStatus(`⚠️ ${this._errorMessage(error)}`);
+        }
+    },
+
+    /**
+     * Rejected thresholds (see TerrainAnalyzer.thresholdError) in the
+     * interface language, naming the field
+     */
+    _errorMessage(error) {
+        if (error.name !== 'ThresholdError') return error.message;
+        if (!error.threshold) return I18n.t('settings.overlap');
+        const field = this.FIELDS.find(f => f.key === error.threshold);
+        return I18n.t('settings.notPositive', { field: field ? I18n.t(field.label) : error.threshold });
+    },
+
+    _readForm() {
+        const thresholds = {};
+        document.querySelectorAll('#settings-fields input').forEach(input => {
+            thresholds[input.name] = input.value;
+        });
+        return thresholds;
+    },
+
+    /**
+     * Re-run the displayed classification under the new thresholds
+     * Terrain data is cached, so this costs no extra API calls.
+     */
+    _reclassify() {
+        if (typeof App === 'undefined' || !App.currentResult) return;
+        const { lat, lon } = App.currentResult.coordinates;
+        App.classifyAndDisplay(lat, lon, ShareModule.currentLocation);
+    },
+
+    /**
+     * Whether the active thresholds are those of the named preset
+     */
+    _matchesPreset(name) {
+        const preset = this.getPresets()[name];
+        if (!preset) return false;
+        const thresholds = { ...TerrainAnalyzer.DEFAULT_THRESHOLDS, ...preset };
+        return Object.entries(TerrainAnalyzer.THRESHOLDS).every(([key, value]) => Number(thresholds[key]) === value);
+    },
+
+    /**
+     * Thresholds that differ from the defaults
+     */
+    _changedThresholds() {
+        const changed = {};
+        for (const [key, value] of Object.entries(TerrainAnalyzer.THRESHOLDS)) {
+            if (value !== TerrainAnalyzer.DEFAULT_THRESHOLDS[key]) changed[key] = value;
+        }
+        return changed;
+    },
+
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            return { presets: saved.presets || {}, active: saved.active || this.DEFAULT_PRESET };
+        } catch (e) {
+            return { presets: {}, active: this.DEFAULT_PRESET };
+        }
+    },
+
+    _save(changes) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...this._load(), ...changes }));
+        } catch (e) {
+            console.warn('Could not save presets:', e);
+        }
+    },
+
+    _setStatus(message) {
+        const status = document.getElementById('settings-status');
+        if (status) status.textContent = message;
+    },
+
+    _escape(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsModule;
+}
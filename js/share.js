@@ -1,6 +1,6 @@
 /**
  * Share Module
- * Tweet, copy link, and download result as image
+ * Tweet, copy link, and download result as image, GeoJSON or KML
  */
 
 const ShareModule = {
@@ -8,15 +8,18 @@ const ShareModule = {
     currentLocation: null,
     currentLat: null,
     currentLon: null,
+    currentResult: null,
 
     /**
      * Set the current result context
+     * result: the full classification, for GeoJSON and KML export
      */
-    setContext(region, location, lat, lon) {
+    setContext(region, location, lat, lon, result = null) {
         this.currentRegion = region;
         this.currentLocation = location;
         this.currentLat = lat;
         this.currentLon = lon;
+        this.currentResult = result;
     },
 
     /**
@@ -24,7 +27,12 @@ const ShareModule = {
      */
     shareOnTwitter() {
         if (!this.currentRegion) return;
-        const text = `I'm in ${this.currentRegion} 🏔️🌲🌾🌊🏜️ according to the ancient Tamil Ainthinai system!\n\nMy location (${this.currentLocation}) is classified as ${this.currentRegion} — ${this._getEmotionText(this.currentRegion)}.\n\nDiscover yours →`;
+        const regionData = this.currentResult?.regionData;
+        const text = I18n.t('share.tweet', {
+            region: I18n.language === 'ta' && regionData?.tamil ? regionData.tamil : this.currentRegion,
+            location: this.currentLocation,
+            emotion: this._getEmotionText(regionData)
+        });
         const url = this._buildShareUrl();
         const tweetUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`;
         window.open(tweetUrl, '_blank', 'noopener,noreferrer');
@@ -37,7 +45,7 @@ const ShareModule = {
         const url = this._buildShareUrl();
         try {
             await navigator.clipboard.writeText(url);
-            this._showFeedback('✅ Link copied to clipboard!');
+            this._showFeedback(I18n.t('share.copied'));
         } catch (err) {
             // Fallback for older browsers
             const inp = document.createElement('input');
@@ -46,7 +54,7 @@ const ShareModule = {
             inp.select();
             document.execCommand('copy');
             document.body.removeChild(inp);
-            this._showFeedback('✅ Link copied!');
+            this._showFeedback(I18n.t('share.copiedFallback'));
         }
     },
 
@@ -55,21 +63,16 @@ const ShareModule = {
      */
     async downloadAsImage() {
         if (typeof html2canvas === 'undefined') {
-            this._showFeedback('⚠️ Image download not available');
+            this._showFeedback(I18n.t('share.imageUnavailable'));
             return;
         }
 
         const card = document.getElementById('result-card');
         if (!card) return;
 
-        this._showFeedback('📷 Generating image...');
+        this._showFeedback(I18n.t('share.generatingImage'));
 
         try {
-            // Temporarily hide the map (canvas from leaflet causes taint issues)
-            const mapWrapper = document.getElementById('map-wrapper');
-            const mapDisplay = mapWrapper ? mapWrapper.style.display : '';
-            if (mapWrapper) mapWrapper.style.display = 'none';
-
             const canvas = await html2canvas(card, {
                 backgroundColor: '#111827',
                 scale: 2,
@@ -77,46 +80,59 @@ const ShareModule = {
                 logging: false
             });
 
-            if (mapWrapper) mapWrapper.style.display = mapDisplay;
-
             const link = document.createElement('a');
             link.download = `ainthinai-${(this.currentRegion || 'result').toLowerCase()}.png`;
             link.href = canvas.toDataURL('image/png');
             link.click();
 
-            this._showFeedback('✅ Image saved!');
+            this._showFeedback(I18n.t('share.imageSaved'));
         } catch (err) {
             console.error('Screenshot error:', err);
-            this._showFeedback('⚠️ Could not generate image');
+            this._showFeedback(I18n.t('share.imageFailed'));
         }
     },
 
+    /**
+     * Download the result as 'geojson' (QGIS) or 'kml' (Google Earth)
+     */
+    async exportResult(format) {
+        if (!this.currentResult) return;
+        const regionData = await TerrainAnalyzer.loadRegionData();
+        const record = GeoExport.fromResult(this.currentResult, this.currentLocation);
+        GeoExport.save([record], format, `ainthinai-${(this.currentRegion || 'result').toLowerCase()}`, {
+            name: `Ainthinai: ${record.name}`,
+            regionData
+        });
+        this._showFeedback(I18n.t(format === 'kml' ? 'share.kmlSaved' : 'share.geojsonSaved'));
+    },
+
     /**
      * Build a shareable URL with ?location= query param
+     * The thresholds are included so the recipient sees the same result.
      */
     _buildShareUrl() {
         const base = window.location.href.split('?')[0];
+        const thresholds = typeof SettingsModule !== 'undefined' ? SettingsModule.getUrlParams() : null;
+        const extra = thresholds
+            ? Object.entries(thresholds).map(([key, value]) => `&${key}=${encodeURIComponent(value)}`).join('')
+            : '';
+
         if (this.currentLat !== null && this.currentLon !== null) {
-            return `${base}?lat=${this.currentLat.toFixed(4)}&lon=${this.currentLon.toFixed(4)}`;
+            return `${base}?lat=${this.currentLat.toFixed(4)}&lon=${this.currentLon.toFixed(4)}${extra}`;
         }
         if (this.currentLocation) {
-            return `${base}?q=${encodeURIComponent(this.currentLocation)}`;
+            return `${base}?q=${encodeURIComponent(this.currentLocation)}${extra}`;
         }
         return base;
     },
 
     /**
-     * Get a short emotion text for the region
+     * The thinai's emotion in the interface language (regions.json keeps
+     * the Tamil in "emotion" and the English in "emotionEnglish")
      */
-    _getEmotionText(region) {
-        const map = {
-            Kurinji: 'Union & Patience',
-            Mullai: 'Waiting & Hope',
-            Marudham: 'Domestic Joy',
-            Neithal: 'Longing & Separation',
-            Paalai: 'Heartache & Journey'
-        };
-        return map[region] || '';
+    _getEmotionText(regionData) {
+        if (!regionData) return '';
+        return (I18n.language === 'ta' ? regionData.emotion : regionData.emotionEnglish) || '';
     },
 
     /**
@@ -133,3 +149,7 @@ const ShareModule = {
         }, 3000);
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareModule;
+}
@@ -15,12 +15,172 @@ const TerrainAnalyzer = {
         LOW_PRECIPITATION: 250 // mm/year
     },
 
+    /**
+     * Built-in thresholds, kept so user-edited values can be reset
+     */
+    DEFAULT_THRESHOLDS: {
+        COASTAL_DISTANCE: 50,
+        HIGH_ELEVATION: 1000,
+        MID_ELEVATION_MIN: 200,
+        LOW_ELEVATION: 200,
+        LOW_PRECIPITATION: 250
+    },
+
+    /**
+     * Replace the classification thresholds
+     * Missing keys keep their default value. Throws if a value is not a positive
+     * number or the elevation bands overlap.
+     */
+    setThresholds(thresholds) {
+        const next = { ...this.DEFAULT_THRESHOLDS };
+
+        for (const key of Object.keys(next)) {
+            if (thresholds[key] === undefined) continue;
+            const value = Number(thresholds[key]);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw this.thresholdError(`${key} must be a positive number`, key);
+            }
+            next[key] = value;
+        }
+
+        if (next.LOW_ELEVATION > next.HIGH_ELEVATION || next.MID_ELEVATION_MIN >= next.HIGH_ELEVATION) {
+            throw this.thresholdError('Low and mid elevation thresholds must be below the high elevation threshold');
+        }
+
+        this.THRESHOLDS = next;
+        return next;
+    },
+
+    /**
+     * Error for thresholds that setThresholds rejects; threshold names the
+     * value that is not a positive number, and is null when the elevation
+     * bands overlap
+     */
+    thresholdError(message, threshold = null) {
+        const error = new Error(message);
+        error.name = 'ThresholdError';
+        error.threshold = threshold;
+        return error;
+    },
+
+    /**
+     * Classifier mode: 'crisp' applies the threshold rules only, 'fuzzy' also
+     * scores a 0–1 membership in every region
+     */
+    mode: 'crisp',
+
+    /**
+     * Softness of the fuzzy membership curves, as a fraction of each threshold
+     */
+    FUZZY_SOFTNESS: 0.15,
+
+    /**
+     * Terrain data source (injectable for headless use)
+     */
+    apiClient: typeof APIClient !== 'undefined' ? APIClient : null,
+
+    /**
+     * Pause between points in classifyPoints (ms), to stay polite to Open-Meteo
+     */
+    POINT_DELAY: 200,
+
+    /**
+     * Rule evaluator (injectable for headless use)
+     */
+    ruleEngine: typeof RuleEngine !== 'undefined' ? RuleEngine : null,
+
+    /**
+     * Interface language for formatted values (injectable for headless use)
+     */
+    i18n: typeof I18n !== 'undefined' ? I18n : null,
+
+    RULES_URL: 'data/rules.json',
+
+    /**
+     * Active rule set; null until data/rules.json loads or setRules is called
+     */
+    rules: null,
+    _rulesPromise: null,
+
+    /**
+     * Built-in copy of data/rules.json, used until the file loads or if it fails
+     */
+    DEFAULT_RULES: {
+        name: 'Classical priority order (built-in)',
+        variables: ['elevation', 'coastDistance', 'precipitation'],
+        rules: [
+            { region: 'Neithal', when: [
+                { variable: 'coastDistance', op: '<=', threshold: 'COASTAL_DISTANCE' },
+                { variable: 'elevation', op: '<', threshold: 'LOW_ELEVATION' }
+            ] },
+            { region: 'Kurinji', when: [
+                { variable: 'elevation', op: '>=', threshold: 'HIGH_ELEVATION' },
+                { variable: 'coastDistance', op: '>', threshold: 'COASTAL_DISTANCE' }
+            ] },
+            { region: 'Paalai', when: [
+                { variable: 'precipitation', op: '<', threshold: 'LOW_PRECIPITATION' },
+                { variable: 'elevation', op: '<', threshold: 'HIGH_ELEVATION' },
+                { variable: 'coastDistance', op: '>', threshold: 'COASTAL_DISTANCE' }
+            ] },
+            { region: 'Mullai', when: [
+                { variable: 'elevation', op: '>=', threshold: 'MID_ELEVATION_MIN' },
+                { variable: 'elevation', op: '<', threshold: 'HIGH_ELEVATION' },
+                { variable: 'precipitation', op: '>=', threshold: 'LOW_PRECIPITATION' },
+                { variable: 'coastDistance', op: '>', threshold: 'COASTAL_DISTANCE' }
+            ] },
+            { region: 'Marudham', when: [
+                { variable: 'elevation', op: '<', threshold: 'LOW_ELEVATION' },
+                { variable: 'precipitation', op: '>=', threshold: 'LOW_PRECIPITATION' },
+                { variable: 'coastDistance', op: '>', threshold: 'COASTAL_DISTANCE' }
+            ] }
+        ]
+    },
+
+    /**
+     * The rule set classification currently uses
+     */
+    getRules() {
+        return this.rules || this.DEFAULT_RULES;
+    },
+
+    /**
+     * Replace the active rule set; throws if it is malformed
+     */
+    setRules(ruleSet) {
+        this.rules = this.ruleEngine.validate(ruleSet, this.DEFAULT_THRESHOLDS);
+        return this.rules;
+    },
+
+    /**
+     * Load data/rules.json unless a rule set is already active
+     * Falls back to the built-in rules if the file cannot be loaded.
+     */
+    async loadRules() {
+        if (this.rules) return this.rules;
+
+        if (!this._rulesPromise) {
+            this._rulesPromise = (async () => {
+                const response = await this.apiClient.request(this.RULES_URL);
+                if (!response.ok) {
+                    throw new Error(`Failed to load rules: ${response.status}`);
+                }
+                return this.setRules(await response.json());
+            })().catch(error => {
+                console.error('Error loading rules, using built-in rules:', error);
+                this._rulesPromise = null;
+                return this.getRules();
+            });
+        }
+
+        return this._rulesPromise;
+    },
+
     /**
      * Load region metadata from JSON file
      */
     async loadRegionData() {
         try {
-            const response = await fetch('data/regions.json');
+            const response = await this.apiClient.request('data/regions.json');
             if (!response.ok) {
                 throw new Error('Failed to load region data');
             }
@@ -42,20 +202,30 @@ const TerrainAnalyzer = {
      * Main classification function
      * Returns the Ainthinai region based on terrain characteristics
      *
-     * Priority order: Neithal → Kurinji → Paalai → Mullai → Marudham
+     * Rules come from data/rules.json; the classical priority order is
+     * Neithal → Kurinji → Paalai → Mullai → Marudham
+     *
+     * options.signal cancels the terrain lookups; the returned promise then
+     * rejects with an AbortError.
      */
-    async classifyLocation(lat, lon) {
+    async classifyLocation(lat, lon, { signal } = {}) {
         console.log('=== CLASSIFICATION START ===');
         console.log('Coordinates:', { lat, lon });
 
         try {
             console.log('Fetching terrain data...');
             // Fetch all terrain data in parallel for efficiency
-            const [elevation, coastDistance, precipitation] = await Promise.all([
-                APIClient.getElevation(lat, lon),
-                APIClient.getCoastDistance(lat, lon),
-                APIClient.getAnnualPrecipitation(lat, lon)
+            const [elevationReading, coastReading, precipitationReading] = await Promise.all([
+                this.apiClient.getElevationReading(lat, lon, { signal }),
+                this.apiClient.getCoastDistanceReading(lat, lon),
+                this.apiClient.getPrecipitationReading(lat, lon, { signal }),
+                this.loadRules()
             ]);
+            const elevation = elevationReading.value;
+            const coastDistance = coastReading.value;
+            // Classify on typical rainfall so one drought year can't flip the region;
+            // null when no source had a value
+            const precipitation = precipitationReading.value;
 
             console.log('Terrain data received:', {
                 elevation,
@@ -69,104 +239,117 @@ const TerrainAnalyzer = {
             });
 
             // Apply classification rules in priority order
-            const region = this.applyClassificationRules(elevation, coastDistance, precipitation);
+            const terrainData = { elevation, coastDistance, precipitation };
+            const { region, usedBestFit, trace } = this.evaluateRules(terrainData);
 
             console.log('Final classification:', region);
             console.log('=== CLASSIFICATION END ===');
 
+            const { confidence, runnerUp } = this.assessClassification(region, terrainData);
+            console.log('Classification confidence:', { confidence, usedBestFit, runnerUp });
+
             // Load detailed region information
             const regionData = await this.loadRegionData();
 
-            return {
+            const result = {
                 region,
                 regionData: regionData[region],
-                terrainData: {
-                    elevation,
-                    coastDistance,
-                    precipitation
+                terrainData,
+                provenance: {
+                    elevation: elevationReading.provenance,
+                    coastDistance: coastReading.provenance,
+                    precipitation: precipitationReading.provenance
                 },
-                coordinates: { lat, lon }
+                climatology: precipitationReading.climatology,
+                confidence,
+                usedBestFit,
+                runnerUp,
+                runnerUpData: regionData[runnerUp],
+                ruleSet: this.getRules().name,
+                thresholds: { ...this.THRESHOLDS },
+                trace,
+                coordinates: { lat, lon },
+                classifiedAt: Date.now()
             };
+
+            if (this.mode === 'fuzzy') {
+                result.memberships = this.getFuzzyMemberships(terrainData);
+                result.fuzzyRegion = this.getStrongestMembership(result.memberships);
+                console.log('Fuzzy memberships:', result.memberships);
+            }
+
+            return result;
         } catch (error) {
+            if (this.apiClient.isAbortError(error)) throw error;
             console.error('CLASSIFICATION ERROR:', error);
             throw new Error('Failed to analyze terrain. Please try again.');
         }
     },
 
+    /**
+     * Classify a list of { lat, lon } points one after another
+     * Each point comes back as a copy with its region, color, icon and terrain
+     * values, or with an error instead if it could not be classified.
+     * options.onProgress(done, total, classified) is called after each point;
+     * options.signal stops the run (the returned promise then rejects).
+     */
+    async classifyPoints(points, { signal, onProgress } = {}) {
+        const classified = [];
+        for (let i = 0; i < points.length; i++) {
+            if (signal && signal.aborted) throw this.apiClient.abortError(signal);
+
+            const point = { ...points[i] };
+            try {
+                const result = await this.classifyLocation(point.lat, point.lon, { signal });
+                Object.assign(point, {
+                    region: result.region,
+                    color: result.regionData?.color || '#818cf8',
+                    icon: result.regionData?.icon || '📍',
+                    ...result.terrainData
+                });
+            } catch (error) {
+                if (this.apiClient.isAbortError(error)) throw error;
+                point.error = error.message;
+            }
+            classified.push(point);
+            if (onProgress) onProgress(classified.length, points.length, classified);
+
+            if (this.POINT_DELAY && i < points.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.POINT_DELAY));
+            }
+        }
+        return classified;
+    },
+
     /**
      * Apply classification rules based on terrain parameters
      */
     applyClassificationRules(elevation, coastDistance, precipitation) {
-        const T = this.THRESHOLDS;
+        return this.evaluateRules({ elevation, coastDistance, precipitation }).region;
+    },
+
+    /**
+     * Run the active rule set over the terrain data
+     * Falls back to getBestFitRegion when no rule matches.
+     * Returns { region, rule, usedBestFit, trace } (see RuleEngine.evaluate)
+     */
+    evaluateRules(terrainData) {
+        const rules = this.getRules();
+        const outcome = this.ruleEngine.evaluate(rules, terrainData, this.THRESHOLDS);
+
+        console.log(`Rule trace (${rules.name}):\n  ${this.ruleEngine.formatTrace(outcome.trace).join('\n  ')}`);
+
+        if (outcome.region) {
+            return { ...outcome, usedBestFit: false };
+        }
 
-        console.log('Applying rules with thresholds:', T);
-        console.log('Input values:', { elevation, coastDistance, precipitation });
-
-        // 1. NEITHAL (Coastal) - Highest Priority
-        // Close to coast and low elevation
-        const neithalCheck = coastDistance <= T.COASTAL_DISTANCE && elevation < T.LOW_ELEVATION;
-        console.log('Neithal check:', {
-            coastDistance,
-            threshold: T.COASTAL_DISTANCE,
-            elevation,
-            elevationThreshold: T.LOW_ELEVATION,
-            passes: neithalCheck,
-            reason: !neithalCheck ?
-                (coastDistance > T.COASTAL_DISTANCE ? `coast distance ${coastDistance.toFixed(1)}km > ${T.COASTAL_DISTANCE}km threshold` : `elevation ${elevation}m >= ${T.LOW_ELEVATION}m threshold`) :
-                'PASSES - NEITHAL'
-        });
-        if (neithalCheck) return 'Neithal';
-
-        // 2. KURINJI (Mountains) - Second Priority
-        // High elevation and not coastal
-        const kurinjiCheck = elevation >= T.HIGH_ELEVATION && coastDistance > T.COASTAL_DISTANCE;
-        console.log('Kurinji check:', {
-            passes: kurinjiCheck,
-            reason: !kurinjiCheck ?
-                (elevation < T.HIGH_ELEVATION ? `elevation ${elevation}m < ${T.HIGH_ELEVATION}m` : 'too coastal') :
-                'PASSES - KURINJI'
-        });
-        if (kurinjiCheck) return 'Kurinji';
-
-        // 3. PAALAI (Arid/Desert) - Third Priority
-        // Low precipitation, not mountainous, not coastal
-        const paalaiCheck = precipitation < T.LOW_PRECIPITATION &&
-            elevation < T.HIGH_ELEVATION &&
-            coastDistance > T.COASTAL_DISTANCE;
-        console.log('Paalai check:', {
-            passes: paalaiCheck,
-            reason: !paalaiCheck ?
-                (precipitation >= T.LOW_PRECIPITATION ? `precipitation ${precipitation}mm >= ${T.LOW_PRECIPITATION}mm` : 'elevation/coast issue') :
-                'PASSES - PAALAI'
-        });
-        if (paalaiCheck) return 'Paalai';
-
-        // 4. MULLAI (Forest/Pastoral) - Fourth Priority
-        // Mid-altitude, adequate rainfall, inland
-        const mullaiCheck = elevation >= T.MID_ELEVATION_MIN &&
-            elevation < T.HIGH_ELEVATION &&
-            precipitation >= T.LOW_PRECIPITATION &&
-            coastDistance > T.COASTAL_DISTANCE;
-        console.log('Mullai check:', {
-            passes: mullaiCheck,
-            reason: !mullaiCheck ? 'elevation/precipitation/coast conditions not met' : 'PASSES - MULLAI'
-        });
-        if (mullaiCheck) return 'Mullai';
-
-        // 5. MARUDHAM (Plains) - Default
-        // Low elevation, adequate rainfall, not coastal
-        const marudhamCheck = elevation < T.LOW_ELEVATION &&
-            precipitation >= T.LOW_PRECIPITATION &&
-            coastDistance > T.COASTAL_DISTANCE;
-        console.log('Marudham check:', {
-            passes: marudhamCheck,
-            reason: !marudhamCheck ? 'conditions not met' : 'PASSES - MARUDHAM'
-        });
-        if (marudhamCheck) return 'Marudham';
-
-        // Fallback: If none of the above match perfectly, use best fit
         console.log('No exact match, using best fit algorithm');
-        return this.getBestFitRegion(elevation, coastDistance, precipitation);
+        const { elevation, coastDistance, precipitation } = terrainData;
+        return {
+            ...outcome,
+            region: this.getBestFitRegion(elevation, coastDistance, precipitation),
+            usedBestFit: true
+        };
     },
 
     /**
@@ -186,8 +369,8 @@ const TerrainAnalyzer = {
             return 'Kurinji';
         }
 
-        // If very dry, it's likely Paalai
-        if (precipitation < T.LOW_PRECIPITATION * 1.2) {
+        // If very dry, it's likely Paalai (unknown rainfall can't count as dry)
+        if (this.isKnown(precipitation) && precipitation < T.LOW_PRECIPITATION * 1.2) {
             return 'Paalai';
         }
 
@@ -200,6 +383,127 @@ const TerrainAnalyzer = {
         return 'Marudham';
     },
 
+    /**
+     * Margin (as a fraction of the threshold) at which a result counts as fully confident
+     */
+    FULL_CONFIDENCE_MARGIN: 0.5,
+
+    /**
+     * Conditions each region's rule requires, as [variable, operator, threshold]
+     * Taken from the first rule for each region in the active rule set
+     */
+    getRegionConditions() {
+        return this.ruleEngine.conditionsByRegion(this.getRules(), this.THRESHOLDS);
+    },
+
+    /**
+     * Measure how far a region's rule is from matching the terrain data
+     * Each condition's gap is the distance to its threshold as a fraction of the
+     * threshold. Returns { passes, shortfall, total } where shortfall is the
+     * largest gap among failing conditions and total their sum (both 0 when the
+     * rule matches).
+     */
+    measureRegionFit(region, terrainData) {
+        const conditions = this.getRegionConditions()[region] || [];
+        let passes = true;
+        let shortfall = 0;
+        let total = 0;
+
+        for (const [variable, operator, threshold] of conditions) {
+            const value = terrainData[variable];
+            // A missing value fails its condition as if it were a whole threshold away
+            const known = this.isKnown(value);
+            const gap = known ? Math.abs(value - threshold) / Math.abs(threshold) : 1;
+            const met = known && (operator === '<' ? value < threshold :
+                operator === '<=' ? value <= threshold :
+                operator === '>' ? value > threshold :
+                value >= threshold);
+
+            if (!met) {
+                passes = false;
+                shortfall = Math.max(shortfall, gap);
+                total += gap;
+            }
+        }
+
+        return { passes, shortfall, total };
+    },
+
+    /**
+     * Assess how clear-cut a classification is
+     * The runner-up is the other region whose rule is closest to matching;
+     * confidence grows with how far the runner-up is from matching compared
+     * with the chosen region, reaching 1 at FULL_CONFIDENCE_MARGIN.
+     * Returns { confidence, usedBestFit, runnerUp }
+     */
+    assessClassification(region, terrainData) {
+        const regionFit = this.measureRegionFit(region, terrainData);
+
+        let runnerUp = null;
+        let runnerUpFit = { shortfall: Infinity, total: Infinity };
+        for (const candidate of Object.keys(this.getRegionConditions())) {
+            if (candidate === region) continue;
+            const fit = this.measureRegionFit(candidate, terrainData);
+            // Ties on the largest gap go to the region needing fewer changes overall
+            if (fit.shortfall < runnerUpFit.shortfall ||
+                (fit.shortfall === runnerUpFit.shortfall && fit.total < runnerUpFit.total)) {
+                runnerUp = candidate;
+                runnerUpFit = fit;
+            }
+        }
+
+        const margin = runnerUpFit.shortfall - regionFit.shortfall;
+        const confidence = Math.max(0, Math.min(1, margin / this.FULL_CONFIDENCE_MARGIN));
+
+        return {
+            confidence,
+            // Only the best-fit fallback can pick a region whose own rule fails
+            usedBestFit: !regionFit.passes,
+            runnerUp
+        };
+    },
+
+    /**
+     * Score a 0–1 membership in every region
+     * Each rule condition becomes a sigmoid centred on its threshold (0.5 at the
+     * threshold itself), and a region is only as strong as its weakest condition.
+     * Returns { Neithal, Kurinji, Paalai, Mullai, Marudham }
+     */
+    getFuzzyMemberships(terrainData) {
+        const conditions = this.getRegionConditions();
+        const memberships = {};
+
+        for (const region of Object.keys(conditions)) {
+            memberships[region] = Math.min(...conditions[region].map(([variable, operator, threshold]) =>
+                this._softCompare(terrainData[variable], operator, threshold)));
+        }
+
+        return memberships;
+    },
+
+    /**
+     * Region with the highest fuzzy membership
+     */
+    getStrongestMembership(memberships) {
+        return Object.keys(memberships).reduce((best, region) =>
+            memberships[region] > memberships[best] ? region : best);
+    },
+
+    _softCompare(value, operator, threshold) {
+        // Nothing is known either way about a missing value
+        if (!this.isKnown(value)) return 0.5;
+        const scale = Math.abs(threshold) * this.FUZZY_SOFTNESS;
+        const above = 1 / (1 + Math.exp(-(value - threshold) / scale));
+        return operator === '>' || operator === '>=' ? above : 1 - above;
+    },
+
+    /**
+     * Whether a terrain value is available (missing values are null)
+     */
+    isKnown(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    },
+
     /**
      * Format terrain data for display
      */
@@ -212,68 +516,65 @@ const TerrainAnalyzer = {
     },
 
     /**
-     * Format elevation for display
+     * Format elevation for display ("850 m", or "௮௫௦ மீ" in Tamil)
      */
     formatElevation(meters) {
-        if (meters < 0) return 'Below sea level';
-        if (meters < 1000) return `${Math.round(meters)} m`;
-        return `${(meters / 1000).toFixed(2)} km`;
+        const i18n = this.i18n;
+        if (meters < 0) return i18n.t('units.belowSeaLevel');
+        if (meters < 1000) return i18n.t('units.m', { value: i18n.formatNumber(meters) });
+        return i18n.t('units.km', { value: i18n.formatNumber(meters / 1000, 2) });
     },
 
     /**
      * Format distance for display
      */
     formatDistance(km) {
-        if (km < 1) return `${Math.round(km * 1000)} m`;
-        if (km < 100) return `${Math.round(km)} km`;
-        return `${Math.round(km / 10) * 10} km`;
+        const i18n = this.i18n;
+        if (km < 1) return i18n.t('units.m', { value: i18n.formatNumber(km * 1000) });
+        if (km < 100) return i18n.t('units.km', { value: i18n.formatNumber(km) });
+        return i18n.t('units.km', { value: i18n.formatNumber(Math.round(km / 10) * 10) });
+    },
+
+    /**
+     * Format an area for display ("2452 km²", or "௨௪௫௨ ச.கி.மீ" in Tamil)
+     */
+    formatArea(km2) {
+        const i18n = this.i18n;
+        return i18n.t('units.km2', { value: i18n.formatNumber(km2, km2 < 10 ? 1 : 0) });
     },
 
     /**
      * Format precipitation for display
      */
     formatPrecipitation(mm) {
-        return `${Math.round(mm)} mm/year`;
+        const i18n = this.i18n;
+        if (!this.isKnown(mm)) return i18n.t('units.unavailable');
+        return i18n.t('units.mmPerYear', { value: i18n.formatNumber(mm) });
     },
 
     /**
      * Get explanation for why a location was classified as a specific region
      */
     getClassificationExplanation(region, terrainData) {
-        const { elevation, coastDistance, precipitation } = terrainData;
-        const T = this.THRESHOLDS;
+        const { elevation, precipitation } = terrainData;
+        const params = {
+            distance: this.formatDistance(this.THRESHOLDS.COASTAL_DISTANCE),
+            elevation: this.formatElevation(elevation),
+            precipitation: this.formatPrecipitation(precipitation)
+        };
 
-        const reasons = [];
-
-        switch (region) {
-            case 'Neithal':
-                reasons.push(`Within ${T.COASTAL_DISTANCE}km of the coast`);
-                reasons.push(`Low elevation (${this.formatElevation(elevation)})`);
-                break;
-
-            case 'Kurinji':
-                reasons.push(`High elevation (${this.formatElevation(elevation)})`);
-                reasons.push('Mountainous terrain');
-                break;
-
-            case 'Paalai':
-                reasons.push(`Low annual rainfall (${this.formatPrecipitation(precipitation)})`);
-                reasons.push('Arid conditions');
-                break;
-
-            case 'Mullai':
-                reasons.push(`Mid-altitude elevation (${this.formatElevation(elevation)})`);
-                reasons.push('Adequate rainfall for vegetation');
-                reasons.push('Inland location');
-                break;
-
-            case 'Marudham':
-                reasons.push(`Low elevation (${this.formatElevation(elevation)})`);
-                reasons.push('Adequate rainfall for agriculture');
-                reasons.push('Fertile plains');
-                break;
-        }
+        const reasons = {
+            Neithal: ['coastal', 'lowElevation'],
+            Kurinji: ['highElevation', 'mountainous'],
+            Paalai: ['lowRainfall', 'arid'],
+            Mullai: ['midElevation', 'vegetation', 'inland'],
+            Marudham: ['lowElevation', 'agriculture', 'plains']
+        }[region] || [];
 
-        return reasons;
+        return reasons.map(reason => this.i18n.t(`explanation.${reason}`, params));
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerrainAnalyzer;
+}
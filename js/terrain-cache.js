@@ -0,0 +1,369 @@
+/**
+ * Terrain Cache Module
+ * Caches terrain values per data type in IndexedDB, with a key-value storage
+ * fallback (localStorage, or the Node.js adapters) where IndexedDB is missing
+ *
+ * Coordinates are snapped to a per-type grid so nearby points share entries.
+ * Each type has its own time-to-live, and the least recently used entries are
+ * evicted once the cache grows past MAX_BYTES.
+ */
+
+const TerrainCache = {
+    DB_NAME: 'ainthinai-cache',
+    STORE_NAME: 'entries',
+    STORAGE_KEY: 'ainthinai_cache_v1',
+
+    // Per data type: freshness, snapping grid in degrees, and a version that
+    // is bumped whenever the way the value is computed changes
+    TYPES: {
+        elevation: { ttl: 30 * 24 * 60 * 60 * 1000, gridStep: 0.001, version: 1 },
+        coastDistance: { ttl: 30 * 24 * 60 * 60 * 1000, gridStep: 0.01, version: 1 },
+        precipitation: { ttl: 90 * 24 * 60 * 60 * 1000, gridStep: 0.05, version: 1 },
+        // Reverse-geocoded place names
+        placeName: { ttl: 30 * 24 * 60 * 60 * 1000, gridStep: 0.01, version: 1 }
+    },
+    MAX_BYTES: 5 * 1024 * 1024,
+
+    // Key-value storage for the fallback backend (localStorage by default)
+    storage: null,
+    backend: null,
+
+    // Approximate size of all entries; null until the first prune
+    _bytes: null,
+
+    /**
+     * Change the cache settings
+     * ttl and gridStep take { type: value } maps; a single gridStep number
+     * applies to every type.
+     */
+    configure({ ttl, gridStep, maxBytes, storage } = {}) {
+        for (const [type, settings] of Object.entries(this.TYPES)) {
+            if (ttl && ttl[type] !== undefined) settings.ttl = ttl[type];
+            const step = typeof gridStep === 'number' ? gridStep : gridStep && gridStep[type];
+            if (step !== undefined && step !== null) {
+                if (!(step > 0)) throw new Error(`Grid step for ${type} must be positive`);
+                settings.gridStep = step;
+            }
+        }
+        if (maxBytes !== undefined) this.MAX_BYTES = maxBytes;
+        if (storage) this.useStorage(storage);
+        return this;
+    },
+
+    /**
+     * Keep the cache in a key-value storage object instead of IndexedDB
+     */
+    useStorage(storage) {
+        this.storage = storage;
+        this.backend = null;
+        this._bytes = null;
+    },
+
+    /**
+     * Snap coordinates to the type's grid
+     */
+    snap(type, lat, lon) {
+        const step = this.settings(type).gridStep;
+        // toFixed trims floating-point noise such as 13.083000000000002
+        const round = (value) => Number((Math.round(value / step) * step).toFixed(10));
+        return { lat: round(lat), lon: round(lon) };
+    },
+
+    /**
+     * Cache key of the grid cell holding (lat, lon)
+     * variant distinguishes values of one type computed differently
+     * (e.g. over a different number of years).
+     */
+    key(type, lat, lon, variant = '') {
+        const cell = this.snap(type, lat, lon);
+        return `${type}:v${this.settings(type).version}:${cell.lat},${cell.lon}${variant ? `:${variant}` : ''}`;
+    },
+
+    settings(type) {
+        const settings = this.TYPES[type];
+        if (!settings) throw new Error(`Unknown cache type "${type}"`);
+        return settings;
+    },
+
+    /**
+     * Look up the value cached for (lat, lon)
+     * Expired entries are deleted and treated as missing unless allowStale.
+     * Returns { value, timestamp, expired } or null.
+     */
+    async get(type, lat, lon, { variant = '', allowStale = false } = {}) {
+        try {
+            const backend = this.getBackend();
+            const record = await backend.get(this.key(type, lat, lon, variant));
+            if (!record) return null;
+
+            const now = Date.now();
+            const expired = this.isExpired(record, now);
+            if (expired && !allowStale) {
+                await backend.remove([record.key]);
+                return null;
+            }
+
+            record.accessedAt = now;
+            await backend.touch(record);
+            return { value: record.value, timestamp: record.storedAt, expired };
+        } catch (error) {
+            console.error('Cache read error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Cache a value for the grid cell holding (lat, lon)
+     */
+    async set(type, lat, lon, value, { variant = '' } = {}) {
+        try {
+            const now = Date.now();
+            const cell = this.snap(type, lat, lon);
+            const record = {
+                key: this.key(type, lat, lon, variant),
+                type,
+                lat: cell.lat,
+                lon: cell.lon,
+                variant,
+                value,
+                storedAt: now,
+                accessedAt: now
+            };
+            record.bytes = JSON.stringify(record).length;
+
+            await this.getBackend().put(record);
+
+            if (this._bytes === null || this._bytes + record.bytes > this.MAX_BYTES) {
+                await this.prune();
+            } else {
+                this._bytes += record.bytes;
+            }
+        } catch (error) {
+            console.error('Cache write error:', error);
+            // Continue without caching if storage is full or unavailable
+        }
+    },
+
+    /**
+     * Delete expired entries, then the least recently used ones until the
+     * cache fits in MAX_BYTES. Expired entries are kept while offline, when a
+     * stale value is better than none.
+     * Returns { expired, evicted, bytes }
+     */
+    async prune() {
+        const backend = this.getBackend();
+        const now = Date.now();
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+        const records = await backend.all();
+        const expired = offline ? [] : records.filter(r => this.isExpired(r, now));
+        const expiredKeys = new Set(expired.map(r => r.key));
+        const kept = records.filter(r => !expiredKeys.has(r.key))
+            .sort((a, b) => b.accessedAt - a.accessedAt);
+
+        let bytes = 0;
+        const evicted = [];
+        for (const record of kept) {
+            if (bytes + record.bytes > this.MAX_BYTES) {
+                evicted.push(record);
+            } else {
+                bytes += record.bytes;
+            }
+        }
+
+        const removed = [...expired, ...evicted].map(r => r.key);
+        if (removed.length) await backend.remove(removed);
+        this._bytes = bytes;
+
+        if (removed.length) {
+            console.log(`🧹 Cache pruned: ${expired.length} expired, ${evicted.length} evicted`);
+        }
+        return { expired: expired.length, evicted: evicted.length, bytes };
+    },
+
+    isExpired(record, now = Date.now()) {
+        const settings = this.TYPES[record.type];
+        return !settings || now - record.storedAt >= settings.ttl;
+    },
+
+    /**
+     * All cached entries, most recently used first
+     */
+    async entries() {
+        const records = await this.getBackend().all();
+        return records.sort((a, b) => b.accessedAt - a.accessedAt);
+    },
+
+    /**
+     * Delete entries by key
+     */
+    async remove(keys) {
+        await this.getBackend().remove(keys);
+        this._bytes = null;
+    },
+
+    /**
+     * Delete every entry, or only those of one type
+     */
+    async clear(type = null) {
+        const backend = this.getBackend();
+        if (type) {
+            const records = await backend.all();
+            await backend.remove(records.filter(r => r.type === type).map(r => r.key));
+        } else {
+            await backend.clear();
+        }
+        this._bytes = null;
+    },
+
+    /**
+     * Entry counts and sizes, overall and per type
+     * Returns { count, bytes, maxBytes, byType: { type: { count, bytes, expired } } }
+     */
+    async stats() {
+        const records = await this.getBackend().all();
+        const now = Date.now();
+        const byType = {};
+        for (const type of Object.keys(this.TYPES)) {
+            byType[type] = { count: 0, bytes: 0, expired: 0 };
+        }
+
+        let bytes = 0;
+        for (const record of records) {
+            const entry = byType[record.type] || (byType[record.type] = { count: 0, bytes: 0, expired: 0 });
+            entry.count++;
+            entry.bytes += record.bytes;
+            if (this.isExpired(record, now)) entry.expired++;
+            bytes += record.bytes;
+        }
+
+        return { count: records.length, bytes, maxBytes: this.MAX_BYTES, byType };
+    },
+
+    /**
+     * The storage backend in use, chosen on first use
+     */
+    getBackend() {
+        if (!this.backend) {
+            if (!this.storage && typeof indexedDB !== 'undefined') {
+                this.backend = this.createIndexedDBBackend();
+                this.removeLegacyKeys();
+            } else {
+                this.backend = this.createStorageBackend(
+                    this.storage || (typeof localStorage !== 'undefined' ? localStorage : null));
+            }
+        }
+        return this.backend;
+    },
+
+    /**
+     * Backend on an IndexedDB object store keyed by cache key
+     * Falls back to the storage backend if the database cannot be opened
+     * (e.g. in some private browsing modes).
+     */
+    createIndexedDBBackend() {
+        const opened = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        let fallback = null;
+        const withStore = (mode, action) => opened.then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = action(transaction.objectStore(this.STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+        const run = (method, mode, action) => (...args) => {
+            if (fallback) return fallback[method](...args);
+            return withStore(mode, store => action(store, ...args)).catch(error => {
+                if (!fallback) {
+                    console.warn('IndexedDB unavailable, caching in localStorage instead:', error);
+                    fallback = this.createStorageBackend(typeof localStorage !== 'undefined' ? localStorage : null);
+                }
+                return fallback[method](...args);
+            });
+        };
+
+        return {
+            get: run('get', 'readonly', (store, key) => store.get(key)),
+            put: run('put', 'readwrite', (store, record) => store.put(record)),
+            touch: run('touch', 'readwrite', (store, record) => store.put(record)),
+            all: run('all', 'readonly', store => store.getAll()),
+            remove: run('remove', 'readwrite', (store, keys) => {
+                let request = null;
+                for (const key of keys) request = store.delete(key);
+                return request;
+            }),
+            clear: run('clear', 'readwrite', store => store.clear())
+        };
+    },
+
+    /**
+     * Backend keeping all entries as one JSON object in a key-value storage
+     * Last-used times are only written out with the next change.
+     */
+    createStorageBackend(storage) {
+        let records = null;
+        const load = () => {
+            if (!records) {
+                try {
+                    records = JSON.parse(storage && storage.getItem(this.STORAGE_KEY)) || {};
+                } catch (error) {
+                    records = {};
+                }
+            }
+            return records;
+        };
+        const save = () => {
+            if (storage) storage.setItem(this.STORAGE_KEY, JSON.stringify(records));
+        };
+
+        return {
+            get: async (key) => load()[key] || null,
+            put: async (record) => {
+                load()[record.key] = record;
+                save();
+            },
+            touch: async (record) => {
+                load()[record.key] = record;
+            },
+            all: async () => Object.values(load()),
+            remove: async (keys) => {
+                const current = load();
+                keys.forEach(key => delete current[key]);
+                save();
+            },
+            clear: async () => {
+                records = {};
+                save();
+            }
+        };
+    },
+
+    /**
+     * Drop the one-key-per-coordinate entries written by earlier versions
+     */
+    removeLegacyKeys() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            const legacy = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (/^(elevation_v\d|coast_v\d|precip_)/.test(key)) legacy.push(key);
+            }
+            legacy.forEach(key => localStorage.removeItem(key));
+            if (legacy.length) console.log(`🧹 Removed ${legacy.length} legacy cache keys`);
+        } catch (error) {
+            // Storage unavailable; nothing to clean up
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerrainCache;
+}
@@ -0,0 +1,159 @@
+/**
+ * Terrain Grid Module
+ * Compact binary raster format with bilinear sampling
+ *
+ * Layout (little-endian):
+ *   0  char[4]  magic "ATGR"
+ *   4  uint8    version (1)
+ *   5  uint8    reserved
+ *   6  uint16   rows
+ *   8  uint16   cols
+ *   10 int16    nodata
+ *   12 float32  lat0   latitude of the first row's cell centres
+ *   16 float32  lon0   longitude of the first column's cell centres
+ *   20 float32  step   cell size in degrees
+ *   24 float32  scale  value = stored * scale + offset
+ *   28 float32  offset
+ *   32 int16[rows * cols] values, row-major, south to north
+ *
+ * Offline tiles (data/grids/tiles) use the same format with cell centres on
+ * the tile edges, so neighbouring tiles share their border rows and columns
+ * and any point inside a tile can be interpolated from that tile alone.
+ */
+
+const TerrainGrid = {
+    MAGIC: 'ATGR',
+    VERSION: 1,
+    HEADER_SIZE: 32,
+
+    /**
+     * Decode a grid from an ArrayBuffer
+     */
+    decode(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+        if (magic !== this.MAGIC) {
+            throw new Error('Not a terrain grid file');
+        }
+        if (view.getUint8(4) !== this.VERSION) {
+            throw new Error(`Unsupported terrain grid version ${view.getUint8(4)}`);
+        }
+
+        const rows = view.getUint16(6, true);
+        const cols = view.getUint16(8, true);
+        if (buffer.byteLength < this.HEADER_SIZE + rows * cols * 2) {
+            throw new Error('Terrain grid file is truncated');
+        }
+
+        const values = new Int16Array(rows * cols);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view.getInt16(this.HEADER_SIZE + i * 2, true);
+        }
+
+        return {
+            rows,
+            cols,
+            nodata: view.getInt16(10, true),
+            lat0: view.getFloat32(12, true),
+            lon0: view.getFloat32(16, true),
+            step: view.getFloat32(20, true),
+            scale: view.getFloat32(24, true),
+            offset: view.getFloat32(28, true),
+            values
+        };
+    },
+
+    /**
+     * Encode a grid as an ArrayBuffer
+     * values are real-world numbers (null for no data); they are quantized
+     * with the grid's scale and offset.
+     */
+    encode({ rows, cols, lat0, lon0, step, scale = 1, offset = 0, nodata = -32768, values }) {
+        const buffer = new ArrayBuffer(this.HEADER_SIZE + rows * cols * 2);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < 4; i++) view.setUint8(i, this.MAGIC.charCodeAt(i));
+        view.setUint8(4, this.VERSION);
+        view.setUint16(6, rows, true);
+        view.setUint16(8, cols, true);
+        view.setInt16(10, nodata, true);
+        view.setFloat32(12, lat0, true);
+        view.setFloat32(16, lon0, true);
+        view.setFloat32(20, step, true);
+        view.setFloat32(24, scale, true);
+        view.setFloat32(28, offset, true);
+
+        for (let i = 0; i < rows * cols; i++) {
+            const value = values[i];
+            const stored = value === null || value === undefined || Number.isNaN(value)
+                ? nodata
+                : Math.max(-32767, Math.min(32767, Math.round((value - offset) / scale)));
+            view.setInt16(this.HEADER_SIZE + i * 2, stored, true);
+        }
+
+        return buffer;
+    },
+
+    /**
+     * Bilinearly interpolate the grid at (lat, lon)
+     * Cells without data are left out and the remaining weights renormalized.
+     * Returns null outside the grid or when all four neighbours lack data.
+     */
+    sample(grid, lat, lon) {
+        const { rows, cols, lat0, lon0, step } = grid;
+        const y = (lat - lat0) / step;
+        // Global grids wrap around the antimeridian
+        const wraps = Math.abs(cols * step - 360) < 1e-6;
+        let x = (lon - lon0) / step;
+        if (wraps) x = ((x % cols) + cols) % cols;
+
+        if (y < -0.5 || y > rows - 0.5 || (!wraps && (x < -0.5 || x > cols - 0.5))) return null;
+
+        const row = Math.floor(y);
+        const col = Math.floor(x);
+        const fy = y - row;
+        const fx = x - col;
+
+        let sum = 0;
+        let weight = 0;
+        for (const [r, c, w] of [
+            [row, col, (1 - fy) * (1 - fx)],
+            [row, col + 1, (1 - fy) * fx],
+            [row + 1, col, fy * (1 - fx)],
+            [row + 1, col + 1, fy * fx]
+        ]) {
+            const value = this.valueAt(grid, Math.min(Math.max(r, 0), rows - 1), wraps ? c % cols : c);
+            if (value === null || w === 0) continue;
+            sum += value * w;
+            weight += w;
+        }
+
+        return weight > 0 ? sum / weight : null;
+    },
+
+    /**
+     * Name of the tile covering (lat, lon) in a set of tileSize° tiles
+     * Tiles are named after their south-west corner, e.g. "N10E070" for
+     * 10–20°N, 70–80°E. Points on the north pole or antimeridian belong to the
+     * tile below / to the west.
+     */
+    tileKey(lat, lon, tileSize) {
+        const south = Math.min(Math.floor(lat / tileSize) * tileSize, 90 - tileSize);
+        const west = Math.min(Math.floor(lon / tileSize) * tileSize, 180 - tileSize);
+        const pad = (value, width) => String(Math.abs(value)).padStart(width, '0');
+        return `${south < 0 ? 'S' : 'N'}${pad(south, 2)}${west < 0 ? 'W' : 'E'}${pad(west, 3)}`;
+    },
+
+    /**
+     * Real-world value of a single cell, or null
+     */
+    valueAt(grid, row, col) {
+        if (row < 0 || row >= grid.rows || col < 0 || col >= grid.cols) return null;
+        const stored = grid.values[row * grid.cols + col];
+        return stored === grid.nodata ? null : stored * grid.scale + grid.offset;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerrainGrid;
+}
@@ -0,0 +1,145 @@
+/**
+ * Transect Module
+ * Classifies the land along a route (drawn on the map or read from a GPX
+ * file) every few kilometres and works out how far it runs through each thinai
+ */
+
+const Transect = {
+    DEFAULT_STEP_KM: 5,
+    // Each sample costs an elevation and a rainfall lookup
+    MAX_SAMPLES: 100,
+    EARTH_RADIUS: 6371, // km
+
+    terrainAnalyzer: typeof TerrainAnalyzer !== 'undefined' ? TerrainAnalyzer : null,
+
+    /**
+     * Read the track points of a GPX file, or its route points if it has no track
+     * Returns [[lat, lon], ...]; throws if there are fewer than two.
+     */
+    parseGpx(text) {
+        const read = (tag) => [...String(text).matchAll(new RegExp(`<${tag}\\b([^>]*)>`, 'g'))]
+            .map(([, attributes]) => {
+                const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(attributes);
+                const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(attributes);
+                return lat && lon ? [Number(lat[1]), Number(lon[1])] : null;
+            })
+            .filter(point => point && Number.isFinite(point[0]) && Number.isFinite(point[1]));
+
+        const track = read('trkpt');
+        const points = track.length ? track : read('rtept');
+        if (points.length < 2) {
+            throw new Error('No track or route with at least two points found in the GPX file');
+        }
+        return points;
+    },
+
+    /**
+     * Great-circle distance in km between two [lat, lon] points
+     */
+    distance([lat1, lon1], [lat2, lon2]) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * this.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+
+    /**
+     * Total length of a route in km
+     */
+    length(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) total += this.distance(points[i - 1], points[i]);
+        return total;
+    },
+
+    /**
+     * Points every stepKm along the route, plus its end
+     * The step is widened when the route would need more than MAX_SAMPLES.
+     * Returns { length, step, samples: [{ distance, lat, lon }] }
+     */
+    samplePoints(points, stepKm = this.DEFAULT_STEP_KM) {
+        if (!Array.isArray(points) || points.length < 2) {
+            throw new Error('A route needs at least two points');
+        }
+        if (!(stepKm > 0)) {
+            throw new Error(`Invalid sample spacing: ${stepKm}`);
+        }
+
+        const length = this.length(points);
+        const step = Math.max(stepKm, length / (this.MAX_SAMPLES - 1));
+
+        const samples = [];
+        const count = Math.ceil(length / step - 1e-9);
+        let segmentStart = 0;
+        let segment = 0;
+        for (let i = 0; i < count; i++) {
+            const distance = i * step;
+            // Walk to the segment containing this distance
+            let segmentLength = this.distance(points[segment], points[segment + 1]);
+            while (segmentStart + segmentLength < distance && segment < points.length - 2) {
+                segmentStart += segmentLength;
+                segment++;
+                segmentLength = this.distance(points[segment], points[segment + 1]);
+            }
+            const t = segmentLength > 0 ? Math.min(1, (distance - segmentStart) / segmentLength) : 0;
+            const [lat1, lon1] = points[segment];
+            const [lat2, lon2] = points[segment + 1];
+            samples.push({ distance, lat: lat1 + (lat2 - lat1) * t, lon: lon1 + (lon2 - lon1) * t });
+        }
+
+        const [lat, lon] = points[points.length - 1];
+        samples.push({ distance: length, lat, lon });
+        return { length, step, samples };
+    },
+
+    /**
+     * Classify every sample along the route with TerrainAnalyzer.classifyPoints
+     * options.onProgress and options.signal are passed on to it.
+     * Returns { length, step, samples, segments, totals } (see summarize)
+     */
+    async classify(points, { stepKm = this.DEFAULT_STEP_KM, signal, onProgress } = {}) {
+        const { length, step, samples } = this.samplePoints(points, stepKm);
+        const classified = await this.terrainAnalyzer.classifyPoints(samples, { signal, onProgress });
+        return { length, step, samples: classified, ...this.summarize(classified, length) };
+    },
+
+    /**
+     * Split the route into stretches of one region
+     * Each sample stands for the route from halfway to the previous sample to
+     * halfway to the next. Samples without a region count as region null.
+     * Returns {
+     *   segments: [{ region, from, to }] in route order,
+     *   totals: [{ region, distance, share }] longest first
+     * }
+     */
+    summarize(samples, length = samples.length ? samples[samples.length - 1].distance : 0) {
+        const segments = [];
+        samples.forEach((sample, i) => {
+            const from = i === 0 ? 0 : (samples[i - 1].distance + sample.distance) / 2;
+            const to = i === samples.length - 1 ? length : (sample.distance + samples[i + 1].distance) / 2;
+            const region = sample.region || null;
+            const last = segments[segments.length - 1];
+            if (last && last.region === region) {
+                last.to = to;
+            } else {
+                segments.push({ region, from, to });
+            }
+        });
+
+        const byRegion = new Map();
+        for (const { region, from, to } of segments) {
+            byRegion.set(region, (byRegion.get(region) || 0) + (to - from));
+        }
+        const totals = [...byRegion]
+            .map(([region, distance]) => ({ region, distance, share: length > 0 ? distance / length : 0 }))
+            .sort((a, b) => b.distance - a.distance);
+
+        return { segments, totals };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transect;
+}
@@ -0,0 +1,98 @@
+/**
+ * Node Adapters
+ * Storage and fetch adapters for running the classifier outside a browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PACKAGE_ROOT = path.join(__dirname, '..');
+
+/**
+ * In-memory storage implementing the localStorage interface
+ */
+function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem(key) {
+            items.delete(key);
+        },
+        clear() {
+            items.clear();
+        }
+    };
+}
+
+/**
+ * JSON-file-backed storage implementing the localStorage interface
+ * The whole file is read once and rewritten on every change.
+ */
+function createFileStorage(filePath) {
+    let items = {};
+    try {
+        items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        // Missing or unreadable file: start with an empty cache
+    }
+
+    const persist = () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(items));
+    };
+
+    return {
+        getItem(key) {
+            return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+        },
+        setItem(key, value) {
+            items[key] = String(value);
+            persist();
+        },
+        removeItem(key) {
+            delete items[key];
+            persist();
+        },
+        clear() {
+            items = {};
+            persist();
+        }
+    };
+}
+
+/**
+ * Fetch adapter that serves relative URLs (e.g. data/regions.json) from the
+ * package directory and passes http(s) URLs through to networkFetch
+ */
+function createLocalFetch(networkFetch = globalThis.fetch, rootDir = PACKAGE_ROOT) {
+    return async (url, options) => {
+        if (/^https?:\/\//.test(url)) {
+            if (!networkFetch) {
+                throw new Error('No fetch implementation available for network requests');
+            }
+            return networkFetch(url, options);
+        }
+
+        try {
+            const body = await fs.promises.readFile(path.join(rootDir, url));
+            return new Response(body, {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (error) {
+            return new Response(null, { status: 404 });
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStorage,
+    createFileStorage,
+    createLocalFetch
+};
@@ -0,0 +1,301 @@
+/**
+ * Command-Line Interface
+ * Classifies coordinates, place names, CSV and GeoJSON files from the terminal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const ainthinai = require('./index');
+const CsvUtils = require('../js/csv');
+
+const USAGE = `Usage: ainthinai [options] [point...]
+
+Classify locations into the five Ainthinai regions.
+
+Points are "lat,lon" pairs (e.g. "13.08,80.27") or place names (e.g. "Madurai").
+
+Options:
+  -f, --file <path>      Read points from a CSV or GeoJSON file
+  -o, --format <format>  Output format: table (default), json, csv,
+                         geojson (QGIS) or kml (Google Earth)
+      --cache <path>     Terrain cache file (default: ~/.cache/ainthinai/cache.json)
+      --no-cache         Keep the terrain cache in memory only
+      --rules <path>     Classify with an alternative rule set (see data/rules.json)
+      --offline          Use the bundled terrain tiles before the live APIs
+      --email <address>  Contact email sent to Nominatim with place-name lookups
+      --geocoder <list>  Place-name providers in failover order
+                         (nominatim, photon, gazetteer; default: nominatim,gazetteer)
+  -v, --verbose          Print classifier debug logs to stderr
+  -h, --help             Show this help
+`;
+
+const FORMATS = ['table', 'json', 'csv', 'geojson', 'kml'];
+
+const OUTPUT_COLUMNS = [
+    { key: 'input', label: 'Input' },
+    { key: 'name', label: 'Name' },
+    { key: 'lat', label: 'Lat' },
+    { key: 'lon', label: 'Lon' },
+    { key: 'region', label: 'Region' },
+    { key: 'elevation', label: 'Elevation (m)' },
+    { key: 'coastDistance', label: 'Coast (km)' },
+    { key: 'precipitation', label: 'Precipitation (mm/yr)' },
+    { key: 'explanation', label: 'Explanation' },
+    { key: 'warnings', label: 'Warnings' },
+    { key: 'error', label: 'Error' }
+];
+
+/**
+ * Turn a GeoJSON Point, Feature or FeatureCollection into points
+ */
+function pointsFromGeoJson(geojson) {
+    const features = geojson.type === 'FeatureCollection'
+        ? geojson.features
+        : [geojson.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+
+    return features
+        .filter(f => f && f.geometry && f.geometry.type === 'Point')
+        .map(f => {
+            const [lon, lat] = f.geometry.coordinates;
+            const name = (f.properties && f.properties.name) || '';
+            return { input: name || `${lat},${lon}`, lat, lon, name };
+        });
+}
+
+/**
+ * Read points from a CSV or GeoJSON file (chosen by extension, then content)
+ */
+function readPointsFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.geojson' || ext === '.json' || (ext !== '.csv' && text.trim().startsWith('{'))) {
+        return pointsFromGeoJson(JSON.parse(text));
+    }
+    return CsvUtils.readPoints(text);
+}
+
+/**
+ * Resolve a point to coordinates (geocoding names) and classify it
+ */
+async function classifyPoint(point) {
+    const row = { input: point.input, name: point.name || '' };
+
+    try {
+        if (point.lat === undefined || point.lon === undefined) {
+            const found = await ainthinai.Geocoding.search(point.input);
+            point = { ...point, lat: found.lat, lon: found.lon };
+            if (!ainthinai.Geocoding.looksLikeCoordinates(point.input)) {
+                row.name = row.name || found.displayName;
+            }
+        }
+        row.lat = point.lat;
+        row.lon = point.lon;
+
+        const result = await ainthinai.TerrainAnalyzer.classifyLocation(point.lat, point.lon);
+        const { elevation, coastDistance, precipitation } = result.terrainData;
+
+        return Object.assign(row, {
+            region: result.region,
+            elevation: Math.round(elevation),
+            coastDistance: Math.round(coastDistance * 10) / 10,
+            precipitation: precipitation === null ? null : Math.round(precipitation),
+            explanation: ainthinai.TerrainAnalyzer.getClassificationExplanation(result.region, result.terrainData),
+            warnings: provenanceWarnings(result.provenance),
+            ruleSet: result.ruleSet,
+            thresholds: result.thresholds,
+            classifiedAt: result.classifiedAt
+        });
+    } catch (error) {
+        row.error = error.userMessage || error.message;
+        return row;
+    }
+}
+
+/**
+ * Warnings for terrain values that were estimated or missing
+ */
+function provenanceWarnings(provenance) {
+    return Object.entries(provenance)
+        .filter(([, p]) => p.estimated || p.missing)
+        .map(([key, p]) => p.missing ? `${key} missing` : `${key} estimated (${p.source})`);
+}
+
+/**
+ * Format classified rows as an aligned text table
+ */
+function formatTable(rows) {
+    // Only show the warning and error columns when some row needs them
+    const hasErrors = rows.some(r => r.error);
+    const hasWarnings = rows.some(r => r.warnings && r.warnings.length);
+    const columns = OUTPUT_COLUMNS.filter(c =>
+        (c.key !== 'error' || hasErrors) && (c.key !== 'warnings' || hasWarnings));
+
+    const cell = (row, key) => {
+        const value = row[key];
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return value.join('; ');
+        // Nominatim display names are long; the first part is the place itself
+        if (key === 'name') return String(value).split(',')[0];
+        return String(value).replace(/\s*\n\s*/g, ' ');
+    };
+
+    const table = [columns.map(c => c.label), ...rows.map(r => columns.map(c => cell(r, c.key)))];
+    const widths = columns.map((_, i) => Math.max(...table.map(line => line[i].length)));
+
+    return table
+        .map((line, index) => {
+            const text = line.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+            return index === 0 ? `${text}\n${widths.map(w => '-'.repeat(w)).join('  ')}` : text;
+        })
+        .join('\n') + '\n';
+}
+
+/**
+ * Format classified rows as CSV
+ */
+function formatCsv(rows) {
+    return CsvUtils.stringify([
+        OUTPUT_COLUMNS.map(c => c.key),
+        ...rows.map(row => OUTPUT_COLUMNS.map(c => {
+            const value = row[c.key];
+            return Array.isArray(value) ? value.join('; ') : value;
+        }))
+    ]);
+}
+
+/**
+ * Format classified rows as table, json, csv, geojson or kml
+ * regionData (data/regions.json) gives the Tamil names in GeoJSON and KML.
+ */
+function formatRows(rows, format, { regionData = null } = {}) {
+    if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+    if (format === 'csv') return formatCsv(rows);
+    if (format === 'geojson' || format === 'kml') {
+        const records = rows.map(row => ({ ...row, name: row.name || row.input }));
+        return format === 'kml'
+            ? ainthinai.GeoExport.toKml(records, { regionData })
+            : JSON.stringify(ainthinai.GeoExport.toGeoJson(records, { regionData }), null, 2) + '\n';
+    }
+    return formatTable(rows);
+}
+
+/**
+ * Route the modules' console output to stderr (verbose) or nowhere for the
+ * rest of the process, so stdout carries only the results. Late retries can
+ * still log after the results are written, so this is never undone.
+ */
+function redirectConsole(verbose) {
+    const write = verbose ? (...args) => process.stderr.write(args.join(' ') + '\n') : () => {};
+    console.log = write;
+    console.warn = write;
+    console.error = write;
+}
+
+/**
+ * Run the CLI with the given arguments; resolves to the process exit code
+ */
+async function main(argv, stdout = process.stdout, stderr = process.stderr) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                file: { type: 'string', short: 'f' },
+                format: { type: 'string', short: 'o', default: 'table' },
+                cache: { type: 'string' },
+                'no-cache': { type: 'boolean' },
+                rules: { type: 'string' },
+                offline: { type: 'boolean' },
+                email: { type: 'string' },
+                geocoder: { type: 'string' },
+                verbose: { type: 'boolean', short: 'v' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+
+    if (values.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    if (!FORMATS.includes(values.format)) {
+        stderr.write(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}\n`);
+        return 2;
+    }
+
+    const points = positionals.map(input => ({ input }));
+    if (values.file) {
+        try {
+            points.push(...readPointsFile(values.file));
+        } catch (error) {
+            stderr.write(`Could not read ${values.file}: ${error.message}\n`);
+            return 2;
+        }
+    }
+
+    if (points.length === 0) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    if (values.rules) {
+        try {
+            ainthinai.TerrainAnalyzer.setRules(JSON.parse(fs.readFileSync(values.rules, 'utf8')));
+        } catch (error) {
+            stderr.write(`Could not load rules from ${values.rules}: ${error.message}\n`);
+            return 2;
+        }
+    }
+
+    if (values.offline) {
+        ainthinai.configure({ offlineMode: 'primary' });
+    }
+
+    if (values.email) {
+        ainthinai.configure({ nominatim: { email: values.email } });
+    }
+
+    if (values.geocoder) {
+        try {
+            ainthinai.configure({ geocoder: { providers: values.geocoder } });
+        } catch (error) {
+            stderr.write(`${error.message}\n`);
+            return 2;
+        }
+    }
+
+    if (!values['no-cache']) {
+        const cacheFile = values.cache || path.join(os.homedir(), '.cache', 'ainthinai', 'cache.json');
+        ainthinai.configure({ storage: ainthinai.createFileStorage(cacheFile) });
+    }
+
+    redirectConsole(values.verbose);
+
+    const rows = [];
+    for (const point of points) {
+        rows.push(await classifyPoint(point));
+    }
+
+    const regionData = ['geojson', 'kml'].includes(values.format)
+        ? await ainthinai.TerrainAnalyzer.loadRegionData()
+        : null;
+    stdout.write(formatRows(rows, values.format, { regionData }));
+    return rows.some(r => r.error) ? 1 : 0;
+}
+
+module.exports = {
+    main,
+    pointsFromGeoJson,
+    formatRows
+};
@@ -0,0 +1,86 @@
+/**
+ * Node.js Entry Point
+ * Exposes the classification core without browser globals
+ */
+
+const I18n = require('../js/i18n');
+const CoastlineIndex = require('../js/coastline-index');
+const TerrainGrid = require('../js/terrain-grid');
+const TerrainCache = require('../js/terrain-cache');
+const APIClient = require('../js/api-client');
+const RuleEngine = require('../js/rule-engine');
+const TerrainAnalyzer = require('../js/terrain-analyzer');
+const NominatimClient = require('../js/nominatim-client');
+const PhotonClient = require('../js/photon-client');
+const Gazetteer = require('../js/gazetteer');
+const CoordinateParser = require('../js/coordinate-parser');
+const Geocoding = require('../js/geocoding');
+const Transect = require('../js/transect');
+const AreaSampler = require('../js/area-sampler');
+const GeoExport = require('../js/geo-export');
+const { createMemoryStorage, createFileStorage, createLocalFetch } = require('./adapters');
+
+// Wire the modules together; in the browser this happens through globals
+APIClient.coastlineIndex = CoastlineIndex;
+APIClient.terrainGrid = TerrainGrid;
+APIClient.cache = TerrainCache;
+TerrainAnalyzer.apiClient = APIClient;
+TerrainAnalyzer.ruleEngine = RuleEngine;
+RuleEngine.i18n = I18n;
+TerrainAnalyzer.i18n = I18n;
+NominatimClient.apiClient = APIClient;
+NominatimClient.cache = TerrainCache;
+PhotonClient.apiClient = APIClient;
+PhotonClient.cache = TerrainCache;
+Gazetteer.apiClient = APIClient;
+Geocoding.providers = { nominatim: NominatimClient, photon: PhotonClient, gazetteer: Gazetteer };
+CoordinateParser.i18n = I18n;
+Geocoding.coordinateParser = CoordinateParser;
+Geocoding.i18n = I18n;
+Transect.terrainAnalyzer = TerrainAnalyzer;
+AreaSampler.terrainAnalyzer = TerrainAnalyzer;
+
+APIClient.configure({
+    fetch: createLocalFetch(),
+    storage: createMemoryStorage()
+});
+
+/**
+ * Replace the fetch and/or storage adapters used for terrain lookups,
+ * or set the offline mode ('fallback', 'primary' or 'off')
+ * nominatim: { baseUrl, email, userAgent } for place-name lookups
+ * geocoder: { providers, nominatim, photon, gazetteer } (see Geocoding.configure)
+ */
+function configure(options = {}) {
+    APIClient.configure(options);
+    if (options.nominatim) NominatimClient.configure(options.nominatim);
+    if (options.geocoder) Geocoding.configure(options.geocoder);
+}
+
+module.exports = {
+    APIClient,
+    TerrainAnalyzer,
+    Geocoding,
+    NominatimClient,
+    PhotonClient,
+    Gazetteer,
+    CoordinateParser,
+    Transect,
+    AreaSampler,
+    GeoExport,
+    I18n,
+    CoastlineIndex,
+    TerrainGrid,
+    TerrainCache,
+    RuleEngine,
+    configure,
+    createMemoryStorage,
+    createFileStorage,
+    createLocalFetch,
+    classifyLocation: (lat, lon, options) => TerrainAnalyzer.classifyLocation(lat, lon, options),
+    applyClassificationRules: (elevation, coastDistance, precipitation) =>
+        TerrainAnalyzer.applyClassificationRules(elevation, coastDistance, precipitation),
+    getBestFitRegion: (elevation, coastDistance, precipitation) =>
+        TerrainAnalyzer.getBestFitRegion(elevation, coastDistance, precipitation),
+    getFuzzyMemberships: (terrainData) => TerrainAnalyzer.getFuzzyMemberships(terrainData)
+};
@@ -0,0 +1,34 @@
+/**
+ * Node.js ES module entry point
+ * Re-exports the CommonJS build so both module systems share one instance
+ */
+
+import ainthinai from './index.js';
+
+export const {
+    APIClient,
+    TerrainAnalyzer,
+    Geocoding,
+    NominatimClient,
+    PhotonClient,
+    Gazetteer,
+    CoordinateParser,
+    Transect,
+    AreaSampler,
+    GeoExport,
+    I18n,
+    CoastlineIndex,
+    TerrainGrid,
+    TerrainCache,
+    RuleEngine,
+    configure,
+    createMemoryStorage,
+    createFileStorage,
+    createLocalFetch,
+    classifyLocation,
+    applyClassificationRules,
+    getBestFitRegion,
+    getFuzzyMemberships
+} = ainthinai;
+
+export default ainthinai;
@@ -0,0 +1,128 @@
+/**
+ * Coastline Builder
+ * Generates data/coastline.json from Natural Earth 1:10m land polygons
+ *
+ * Usage (world-atlas is a devDependency):
+ *   npm install
+ *   npm run build:coastline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { decodeArcs } = require('./lib/topojson');
+
+const SOURCE = require('world-atlas/land-10m.json');
+const OUTPUT = path.join(__dirname, '..', 'data', 'coastline.json');
+
+// Douglas-Peucker tolerance in (latitude-scaled) degrees, ≈ 2 km
+const SIMPLIFY_TOLERANCE = 0.02;
+
+// Output coordinates are stored as integer multiples of 1 / QUANTIZATION degrees
+const QUANTIZATION = 100;
+
+/**
+ * Split arcs wherever they run along the antimeridian or the bottom edge
+ * of Antarctica — those edges close the land polygons but are not coastline
+ */
+function removeSeams(arcs) {
+    const isSeam = (a, b) =>
+        (Math.abs(a[0]) > 179.99 && Math.abs(b[0]) > 179.99) ||
+        (a[1] < -84 && b[1] < -84);
+
+    const lines = [];
+    for (const arc of arcs) {
+        let current = [arc[0]];
+        for (let i = 1; i < arc.length; i++) {
+            if (isSeam(arc[i - 1], arc[i])) {
+                if (current.length > 1) lines.push(current);
+                current = [arc[i]];
+            } else {
+                current.push(arc[i]);
+            }
+        }
+        if (current.length > 1) lines.push(current);
+    }
+    return lines;
+}
+
+/**
+ * Douglas-Peucker line simplification
+ * Longitudes are scaled by cos(latitude) so the tolerance is roughly isotropic
+ */
+function simplify(points, tolerance) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length) {
+        const [start, end] = stack.pop();
+        const cosLat = Math.cos(((points[start][1] + points[end][1]) / 2) * Math.PI / 180);
+        const ax = points[start][0] * cosLat, ay = points[start][1];
+        const dx = points[end][0] * cosLat - ax, dy = points[end][1] - ay;
+        const lengthSq = dx * dx + dy * dy;
+
+        let maxDistSq = 0;
+        let maxIndex = -1;
+        for (let i = start + 1; i < end; i++) {
+            const px = points[i][0] * cosLat, py = points[i][1];
+            let t = lengthSq ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            const ex = ax + t * dx - px, ey = ay + t * dy - py;
+            const distSq = ex * ex + ey * ey;
+            if (distSq > maxDistSq) {
+                maxDistSq = distSq;
+                maxIndex = i;
+            }
+        }
+
+        if (maxIndex >= 0 && Math.sqrt(maxDistSq) > tolerance) {
+            keep[maxIndex] = 1;
+            stack.push([start, maxIndex], [maxIndex, end]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Quantize and delta-encode a line as a flat [x0, y0, dx1, dy1, ...] array
+ */
+function encodeLine(points) {
+    const out = [];
+    let prevX = null;
+    let prevY = null;
+
+    for (const [lon, lat] of points) {
+        const x = Math.round(lon * QUANTIZATION);
+        const y = Math.round(lat * QUANTIZATION);
+        if (x === prevX && y === prevY) continue;
+        out.push(prevX === null ? x : x - prevX, prevY === null ? y : y - prevY);
+        prevX = x;
+        prevY = y;
+    }
+
+    return out;
+}
+
+function build() {
+    const lines = removeSeams(decodeArcs(SOURCE))
+        .map(line => encodeLine(simplify(line, SIMPLIFY_TOLERANCE)))
+        .filter(line => line.length >= 4);
+
+    const pointCount = lines.reduce((sum, line) => sum + line.length / 2, 0);
+
+    const output = {
+        source: 'Natural Earth 1:10m land (world-atlas@2 land-10m.json)',
+        tolerance: SIMPLIFY_TOLERANCE,
+        scale: 1 / QUANTIZATION,
+        lines
+    };
+
+    fs.writeFileSync(OUTPUT, JSON.stringify(output));
+    console.log(`Wrote ${lines.length} lines (${pointCount} points) to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+build();
@@ -0,0 +1,294 @@
+/**
+ * Gazetteer Builder
+ * Generates data/gazetteer.json, the offline place list behind the Gazetteer
+ * geocoding provider, from GeoNames dumps (CC BY 4.0)
+ *
+ * Takes every place in cities15000.txt (~25k places of 15,000+ people) plus
+ * the populated places, districts and taluks of one first-level region from
+ * a country file (Tamil Nadu by default). Download the inputs from
+ * https://download.geonames.org/export/dump/ into one directory:
+ *   cities15000.txt (from cities15000.zip), IN.txt (from IN.zip),
+ *   countryInfo.txt, admin1CodesASCII.txt
+ *
+ * With --post-offices, the region's post offices from the India Post pincode
+ * directory are added as villages (branch offices) and localities (sub and
+ * head offices), skipping any within MERGE_KM of a place of the same name.
+ * Give it the directory's CSV from https://data.gov.in (Government Open Data
+ * License – India) or the pincodes.json.gz copy in the india-pincode npm
+ * package. The directory has no taluks. With --from, the places are read
+ * from an existing gazetteer instead of the GeoNames dumps.
+ *
+ * Usage:
+ *   node scripts/build-gazetteer.js <geonames-dir> [--region IN.25] [--post-offices <file>]
+ * or, adding post offices to the bundled copy:
+ *   node scripts/build-gazetteer.js --from data/gazetteer.json --post-offices <file>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+
+const CsvUtils = require('../js/csv');
+const Gazetteer = require('../js/gazetteer');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'gazetteer.json');
+
+// GeoNames admin1 code of Tamil Nadu
+const DEFAULT_REGION = 'IN.25';
+
+// Administrative divisions kept from the region, by GeoNames feature code
+const DIVISIONS = { ADM2: 'district', ADM3: 'taluk' };
+
+const GEONAMES_SOURCE = 'GeoNames (geonames.org, CC BY 4.0)';
+const POST_OFFICE_SOURCE = 'India Post pincode directory (data.gov.in, GODL-India)';
+
+// A post office this close to a place of the same name is that place
+const MERGE_KM = 10;
+
+// Post offices this far from the middle of their district have bad coordinates
+const MAX_DISTRICT_KM = 100;
+
+/**
+ * Yield the tab-separated fields of each line, skipping comments
+ */
+async function* readTsv(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line && !line.startsWith('#')) yield line.split('\t');
+    }
+}
+
+/**
+ * Parse a row of a GeoNames place dump
+ */
+function parsePlace(fields) {
+    return {
+        id: fields[0],
+        name: fields[1],
+        lat: Number(fields[4]),
+        lon: Number(fields[5]),
+        featureClass: fields[6],
+        featureCode: fields[7],
+        country: fields[8],
+        region: fields[10],
+        population: Number(fields[14]) || 0
+    };
+}
+
+function placeType(place) {
+    if (place.featureClass === 'A') return DIVISIONS[place.featureCode];
+    if (place.featureCode === 'PPLC') return 'capital';
+    if (place.population >= 100000) return 'city';
+    if (place.population >= 10000) return 'town';
+    return 'village';
+}
+
+/**
+ * Read the rows of the India Post pincode directory as
+ * { name, type, state, district, lat, lon }: the data.gov.in CSV, or the
+ * india-pincode package's pincodes.json.gz
+ */
+function readPostOffices(file) {
+    let text = fs.readFileSync(file);
+    if (file.endsWith('.gz')) text = zlib.gunzipSync(text);
+    text = text.toString('utf8');
+
+    if (/\.json(\.gz)?$/.test(file)) {
+        return JSON.parse(text).map(row => ({
+            name: row.o, type: row.t, state: row.s, district: row.i, lat: row.a, lon: row.n
+        }));
+    }
+
+    const [header, ...rows] = CsvUtils.parse(text);
+    const column = name => header.findIndex(field => field.trim().toLowerCase() === name);
+    const columns = ['officename', 'officetype', 'statename', 'district', 'latitude', 'longitude'].map(column);
+    if (columns.includes(-1)) {
+        throw new Error(`${file} is not the pincode directory: it needs officename, officetype, ` +
+            'statename, district, latitude and longitude columns');
+    }
+    return rows.map(row => {
+        const [name, type, state, district, lat, lon] = columns.map(i => row[i]);
+        return { name, type, state, district, lat: parseFloat(lat), lon: parseFloat(lon) };
+    });
+}
+
+/**
+ * The place a post office is named after: "Kuthur S.O", "Kosapet S.O (Vellore)",
+ * "Perur SO Coimbatore" and "Agaram(TPT)" → "Kuthur", "Kosapet", "Perur", "Agaram"
+ */
+function placeName(officeName) {
+    return officeName
+        .replace(/\s*\b(B\.?O|S\.?O|H\.?O|G\.?P\.?O)\b.*$/i, '')
+        .replace(/\s*\([^)]*\)?/g, '')
+        .trim();
+}
+
+function distanceKm(a, b) {
+    const dLat = a.lat - b.lat;
+    const dLon = (a.lon - b.lon) * Math.cos((a.lat + b.lat) / 2 * Math.PI / 180);
+    return Math.sqrt(dLat * dLat + dLon * dLon) * 111.32;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Gazetteer rows for the post offices of one state, minus those that repeat
+ * a place already in rows or whose coordinates are off
+ */
+function postOfficeRows(offices, rows, regionKey, regionName) {
+    const [country, region] = regionKey.split('.');
+    const state = Gazetteer.normalize(regionName).replace(/ /g, '');
+
+    const located = offices.filter(office => Gazetteer.normalize(office.state).replace(/ /g, '') === state &&
+        Number.isFinite(office.lat) && Number.isFinite(office.lon) && (office.lat !== 0 || office.lon !== 0));
+
+    // Drop offices far from the median point of their district
+    const districts = new Map();
+    for (const office of located) {
+        const key = Gazetteer.normalize(office.district);
+        if (!districts.has(key)) districts.set(key, []);
+        districts.get(key).push(office);
+    }
+    const kept = [];
+    for (const members of districts.values()) {
+        const middle = { lat: median(members.map(o => o.lat)), lon: median(members.map(o => o.lon)) };
+        kept.push(...members.filter(office => distanceKm(office, middle) <= MAX_DISTRICT_KM));
+    }
+
+    const byName = new Map();
+    const add = (name, lat, lon) => {
+        const key = Gazetteer.normalize(name);
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push({ lat, lon });
+    };
+    for (const [name, lat, lon] of rows) add(name, lat, lon);
+
+    const added = [];
+    for (const office of kept) {
+        const name = placeName(office.name);
+        const key = Gazetteer.normalize(name);
+        if (!key || (byName.get(key) || []).some(place => distanceKm(place, office) <= MERGE_KM)) continue;
+        add(name, office.lat, office.lon);
+        added.push([
+            name,
+            Number(office.lat.toFixed(4)),
+            Number(office.lon.toFixed(4)),
+            country,
+            region,
+            /^B/i.test(office.type) ? 'village' : 'locality',
+            0
+        ]);
+    }
+    console.log(`${located.length} ${regionName} post offices with coordinates, ` +
+        `${located.length - kept.length} dropped as misplaced, ${added.length} new places`);
+    return added;
+}
+
+/**
+ * Places from the GeoNames dumps in dir, as { source, countries, regions, places }
+ */
+async function readGeoNames(dir, regionKey) {
+    const [regionCountry, regionCode] = regionKey.split('.');
+
+    const countries = {};
+    for await (const fields of readTsv(path.join(dir, 'countryInfo.txt'))) {
+        countries[fields[0]] = fields[4];
+    }
+
+    const regions = {};
+    for await (const [code, name] of readTsv(path.join(dir, 'admin1CodesASCII.txt'))) {
+        regions[code] = name;
+    }
+
+    const places = new Map();
+    for await (const fields of readTsv(path.join(dir, 'cities15000.txt'))) {
+        const place = parsePlace(fields);
+        places.set(place.id, place);
+    }
+    const world = places.size;
+
+    for await (const fields of readTsv(path.join(dir, `${regionCountry}.txt`))) {
+        const place = parsePlace(fields);
+        if (place.region !== regionCode) continue;
+        const keep = place.featureClass === 'P' ||
+            (place.featureClass === 'A' && DIVISIONS[place.featureCode]);
+        if (keep) places.set(place.id, place);
+    }
+    console.log(`${world} world places, ${places.size - world} more in ${regions[regionKey] || regionKey}`);
+
+    // Only keep names for the regions that are used
+    const usedRegions = {};
+    const rows = [...places.values()]
+        .sort((a, b) => b.population - a.population)
+        .map(place => {
+            const key = `${place.country}.${place.region}`;
+            if (regions[key]) usedRegions[key] = regions[key];
+            return [
+                place.name,
+                Number(place.lat.toFixed(4)),
+                Number(place.lon.toFixed(4)),
+                place.country,
+                place.region,
+                placeType(place),
+                place.population
+            ];
+        });
+
+    const usedCountries = {};
+    for (const row of rows) {
+        if (countries[row[3]]) usedCountries[row[3]] = countries[row[3]];
+    }
+
+    return { source: GEONAMES_SOURCE, countries: usedCountries, regions: usedRegions, places: rows };
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            region: { type: 'string', default: DEFAULT_REGION },
+            'post-offices': { type: 'string' },
+            from: { type: 'string' }
+        }
+    });
+
+    const [dir] = positionals;
+    if (!dir && !options.from) {
+        throw new Error('Usage: node scripts/build-gazetteer.js <geonames-dir> [--region IN.25] ' +
+            '[--post-offices <file>] | --from <gazetteer.json> --post-offices <file>');
+    }
+
+    const base = options.from
+        ? JSON.parse(fs.readFileSync(options.from, 'utf8'))
+        : await readGeoNames(dir, options.region);
+    let { source, places: rows } = base;
+
+    if (options['post-offices']) {
+        const regionName = base.regions[options.region];
+        if (!regionName) throw new Error(`The gazetteer has no places in ${options.region}`);
+        rows = rows.concat(postOfficeRows(readPostOffices(options['post-offices']), rows, options.region, regionName));
+        if (!source.includes(POST_OFFICE_SOURCE)) source = `${source}; ${POST_OFFICE_SOURCE}`;
+    }
+
+    const gazetteer = {
+        version: 1,
+        source,
+        countries: base.countries,
+        regions: base.regions,
+        places: rows
+    };
+    fs.writeFileSync(OUTPUT, JSON.stringify(gazetteer) + '\n');
+
+    const size = fs.statSync(OUTPUT).size;
+    console.log(`Wrote ${rows.length} places (${(size / 1024 / 1024).toFixed(1)} MB) to ${OUTPUT}`);
+}
+
+main().catch(error => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exitCode = 1;
+});
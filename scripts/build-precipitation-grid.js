@@ -0,0 +1,160 @@
+/**
+ * Precipitation Grid Builder
+ * Generates data/grids/precipitation-coarse.bin, the coarse mean-annual
+ * precipitation grid used when the Open-Meteo Archive API is unavailable
+ *
+ * Samples the archive API at every cell centre of a global STEP° grid and
+ * averages the last YEARS complete years with the same summary the app uses.
+ * Progress is checkpointed, so an interrupted run resumes where it stopped.
+ * With --from, the grid is instead block-averaged from a mean-annual
+ * precipitation raster in ESRI ASCII grid format (mm/year). Either way,
+ * update APIClient.SOURCES.precipitationGrid to name the new data.
+ *
+ * Usage (needs network access; takes a while at the API's rate limits):
+ *   node scripts/build-precipitation-grid.js
+ * or offline, from a raster:
+ *   node scripts/build-precipitation-grid.js --from precipitation.asc
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const APIClient = require('../js/api-client');
+const TerrainGrid = require('../js/terrain-grid');
+const { readAsciiGrid, blockAverage } = require('./lib/ascii-grid');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'grids', 'precipitation-coarse.bin');
+const CHECKPOINT = path.join(os.tmpdir(), 'ainthinai-precipitation-grid.json');
+
+// Cell size in degrees; cell centres sit half a step inside the poles and the antimeridian
+const STEP = 2.5;
+const YEARS = 10;
+
+// Locations per archive request, and pause between requests (ms)
+const BATCH_SIZE = 50;
+const REQUEST_DELAY = 2000;
+
+// Stored value = mm/year / SCALE, so int16 covers up to ~16 m/year
+const SCALE = 0.5;
+
+async function fetchBatch(cells, startYear, endYear) {
+    const url = 'https://archive-api.open-meteo.com/v1/archive?' +
+        `latitude=${cells.map(c => c.lat).join(',')}&` +
+        `longitude=${cells.map(c => c.lon).join(',')}&` +
+        `start_date=${startYear}-01-01&end_date=${endYear}-12-31&` +
+        'daily=precipitation_sum';
+
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(url);
+        if (response.ok) {
+            const data = await response.json();
+            // A single location comes back as an object, several as an array
+            return Array.isArray(data) ? data : [data];
+        }
+        if (attempt === 4) {
+            throw new Error(`Archive API error ${response.status}: ${await response.text()}`);
+        }
+        const delay = REQUEST_DELAY * 2 ** (attempt + 1);
+        console.log(`  HTTP ${response.status}, retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Mean of the raster around every cell centre
+ */
+async function sampleRaster(file, rows, cols, lat0, lon0) {
+    console.log(`Reading ${file}...`);
+    const source = await readAsciiGrid(file);
+    console.log(`${source.ncols}×${source.nrows} cells at ${source.cellsize}°`);
+
+    const values = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            values.push(blockAverage(source, lat0 + row * STEP, lon0 + col * STEP, STEP));
+        }
+    }
+    return values;
+}
+
+/**
+ * Archive API climatology at every cell centre, resuming from the checkpoint
+ */
+async function sampleArchive(rows, cols, lat0, lon0) {
+    const endYear = new Date().getUTCFullYear() - 1;
+    const startYear = endYear - YEARS + 1;
+
+    let values = new Array(rows * cols).fill(undefined);
+    if (fs.existsSync(CHECKPOINT)) {
+        const saved = JSON.parse(fs.readFileSync(CHECKPOINT, 'utf8'));
+        if (saved.step === STEP && saved.startYear === startYear) {
+            values = saved.values.map(v => (v === 'pending' ? undefined : v));
+            console.log(`Resuming from ${CHECKPOINT}`);
+        }
+    }
+
+    const pending = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const index = row * cols + col;
+            if (values[index] === undefined) {
+                pending.push({ index, lat: lat0 + row * STEP, lon: lon0 + col * STEP });
+            }
+        }
+    }
+
+    console.log(`${rows}×${cols} grid, ${startYear}–${endYear}: ${pending.length} cells to sample`);
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        const results = await fetchBatch(batch, startYear, endYear);
+
+        batch.forEach((cell, j) => {
+            const daily = results[j] && results[j].daily;
+            try {
+                values[cell.index] = APIClient.summarizePrecipitation(daily.time, daily.precipitation_sum).mean;
+            } catch (error) {
+                values[cell.index] = null;
+            }
+        });
+
+        fs.writeFileSync(CHECKPOINT, JSON.stringify({
+            step: STEP,
+            startYear,
+            values: values.map(v => (v === undefined ? 'pending' : v))
+        }));
+        console.log(`  ${Math.min(i + BATCH_SIZE, pending.length)}/${pending.length}`);
+        await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY));
+    }
+    return values;
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            from: { type: 'string' }
+        }
+    });
+
+    const rows = Math.round(180 / STEP);
+    const cols = Math.round(360 / STEP);
+    const lat0 = -90 + STEP / 2;
+    const lon0 = -180 + STEP / 2;
+    const values = options.from
+        ? await sampleRaster(options.from, rows, cols, lat0, lon0)
+        : await sampleArchive(rows, cols, lat0, lon0);
+
+    const buffer = TerrainGrid.encode({ rows, cols, lat0, lon0, step: STEP, scale: SCALE, values });
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, Buffer.from(buffer));
+    if (!options.from) fs.unlinkSync(CHECKPOINT);
+
+    console.log(`Wrote ${OUTPUT} (${(buffer.byteLength / 1024).toFixed(1)} KB)`);
+}
+
+main().catch(error => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * Offline Terrain Tile Builder
+ * Generates data/grids/tiles/<variable>/*.bin and manifest.json, the bundled
+ * elevation and mean-annual precipitation rasters used in offline mode
+ *
+ * Reads a global raster in ESRI ASCII grid format (.asc) and block-averages
+ * it onto STEP° tile nodes. Convert other formats with GDAL first, e.g.
+ *   gdalwarp -tr 0.05 0.05 -r average ETOPO_2022_v1_60s_N90W180_surface.tif etopo.tif
+ *   gdal_translate -of AAIGrid etopo.tif etopo.asc
+ *   gdal_translate -of AAIGrid wc2.1_10m_bio_12.tif precipitation.asc
+ * Keep the input at 0.05° or coarser; the whole raster is held in memory.
+ * --bounds limits the build to the tiles overlapping a south,west,north,east
+ * box, for a regional subset.
+ *
+ * Usage:
+ *   node scripts/build-terrain-tiles.js <elevation|precipitation> <input.asc>
+ *        [--step 0.25] [--tile-size 10] [--bounds 0,70,20,90] [--source "ETOPO 2022"]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const TerrainGrid = require('../js/terrain-grid');
+const { readAsciiGrid, blockAverage } = require('./lib/ascii-grid');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'data', 'grids', 'tiles');
+const VARIABLES = ['elevation', 'precipitation'];
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            step: { type: 'string', default: '0.25' },
+            'tile-size': { type: 'string', default: '10' },
+            bounds: { type: 'string', default: '-90,-180,90,180' },
+            source: { type: 'string' }
+        }
+    });
+
+    const [variable, input] = positionals;
+    if (!VARIABLES.includes(variable) || !input) {
+        throw new Error(`Usage: node scripts/build-terrain-tiles.js <${VARIABLES.join('|')}> <input.asc>`);
+    }
+
+    const step = Number(options.step);
+    const tileSize = Number(options['tile-size']);
+    const nodes = Math.round(tileSize / step);
+    if (!(step > 0) || Math.abs(nodes * step - tileSize) > 1e-9 || 180 % tileSize !== 0) {
+        throw new Error('--tile-size must divide 180 and be a whole number of --step');
+    }
+    const [boundsSouth, boundsWest, boundsNorth, boundsEast] = options.bounds.split(',').map(Number);
+    if (!(boundsSouth < boundsNorth && boundsWest < boundsEast)) {
+        throw new Error('--bounds must be south,west,north,east');
+    }
+
+    console.log(`Reading ${input}...`);
+    const source = await readAsciiGrid(input);
+    console.log(`${source.ncols}×${source.nrows} cells at ${source.cellsize}°`);
+
+    const manifestPath = path.join(OUTPUT_DIR, 'manifest.json');
+    const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : { tileSize, variables: {} };
+    if (manifest.tileSize !== tileSize) {
+        throw new Error(`Existing tiles use ${manifest.tileSize}° tiles; rebuild both variables to change it`);
+    }
+
+    const outputDir = path.join(OUTPUT_DIR, variable);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const tiles = [];
+    let bytes = 0;
+    for (let south = -90; south < 90; south += tileSize) {
+        if (south + tileSize <= boundsSouth || south >= boundsNorth) continue;
+        for (let west = -180; west < 180; west += tileSize) {
+            if (west + tileSize <= boundsWest || west >= boundsEast) continue;
+            // Nodes on both edges, so neighbouring tiles share their borders
+            const values = [];
+            let hasData = false;
+            for (let row = 0; row <= nodes; row++) {
+                for (let col = 0; col <= nodes; col++) {
+                    let value = blockAverage(source, south + row * step, west + col * step, step);
+                    // Bathymetry is not terrain; the sea floor counts as sea level
+                    if (variable === 'elevation' && value !== null) value = Math.max(0, value);
+                    if (value !== null) hasData = true;
+                    values.push(value);
+                }
+            }
+            // Skip tiles with no data at all (open ocean in land-only sources)
+            if (!hasData) continue;
+
+            const key = TerrainGrid.tileKey(south, west, tileSize);
+            const buffer = TerrainGrid.encode({ rows: nodes + 1, cols: nodes + 1, lat0: south, lon0: west, step, values });
+            fs.writeFileSync(path.join(outputDir, `${key}.bin`), Buffer.from(buffer));
+            tiles.push(key);
+            bytes += buffer.byteLength;
+        }
+        process.stdout.write(`\r  ${Math.min(south + tileSize, 90)}°`);
+    }
+
+    manifest.variables[variable] = {
+        source: options.source || `Bundled ${variable} tiles`,
+        step,
+        tiles
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`\nWrote ${tiles.length} ${variable} tiles (${(bytes / 1024 / 1024).toFixed(1)} MB) to ${outputDir}`);
+}
+
+main().catch(error => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,314 @@
+/**
+ * Thinai Overlay Builder
+ * Generates data/grids/thinai/: a Web Mercator PNG tile pyramid
+ * ({z}/{x}/{y}.png) that colors every land cell by its Ainthinai region,
+ * the class grid it was drawn from (classes.bin) and manifest.json, which
+ * names the rules and the elevation and rainfall data used
+ *
+ * The centre of every STEP° land cell is classified with
+ * applyClassificationRules from the bundled data alone: elevation and
+ * precipitation from the offline terrain tiles (precipitation falls back to
+ * the coarse grid) and coast distance from data/coastline.json. Build the
+ * terrain tiles first (scripts/build-terrain-tiles.js). The land mask comes
+ * from the Natural Earth 1:10m land polygons the coastline is made from.
+ * --bounds classifies only the cells in a south,west,north,east box, e.g. the
+ * area the terrain tiles cover, and the manifest limits the overlay to it.
+ *
+ * Usage (requires the world-atlas dev dependency: npm install):
+ *   node scripts/build-thinai-tiles.js [--step 0.25] [--max-zoom 5] [--bounds 0,70,20,90]
+ *        [--rules my-rules.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+
+const ainthinai = require('../node');
+const { decodeArcs } = require('./lib/topojson');
+
+const { APIClient, TerrainAnalyzer, CoastlineIndex, TerrainGrid } = ainthinai;
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'data', 'grids', 'thinai');
+const REGION_DATA = require('../data/regions.json');
+const REGIONS = Object.keys(REGION_DATA);
+const TILE_SIZE = 256;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Rasterize the land polygons onto the cell grid (rows north to south)
+ * Even-odd scanline fill through each row's cell centres, so lakes stay holes.
+ */
+function landMask(topology, rows, cols, step) {
+    const arcs = decodeArcs(topology);
+    const crossings = Array.from({ length: rows }, () => []);
+
+    const addEdge = ([x1, y1], [x2, y2]) => {
+        if (y1 === y2) return;
+        const rowFrom = Math.max(0, Math.ceil((90 - Math.max(y1, y2)) / step - 0.5));
+        const rowTo = Math.min(rows - 1, Math.floor((90 - Math.min(y1, y2)) / step - 0.5));
+        for (let row = rowFrom; row <= rowTo; row++) {
+            const y = 90 - (row + 0.5) * step;
+            if ((y1 > y) === (y2 > y)) continue;
+            crossings[row].push(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+        }
+    };
+
+    for (const geometry of topology.objects.land.geometries) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+        for (const ring of polygons.flat()) {
+            for (const index of ring) {
+                const arc = arcs[index < 0 ? ~index : index];
+                for (let i = 1; i < arc.length; i++) addEdge(arc[i - 1], arc[i]);
+            }
+        }
+    }
+
+    const mask = new Uint8Array(rows * cols);
+    crossings.forEach((xs, row) => {
+        xs.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+            const colFrom = Math.max(0, Math.ceil((xs[i] + 180) / step - 0.5));
+            const colTo = Math.min(cols - 1, Math.ceil((xs[i + 1] + 180) / step - 0.5) - 1);
+            mask.fill(1, row * cols + colFrom, row * cols + colTo + 1);
+        }
+    });
+    return mask;
+}
+
+/**
+ * Classify every land cell; 0 is sea or no data, 1–5 the regions in
+ * data/regions.json order
+ */
+async function classifyCells(mask, rows, cols, step) {
+    const coastline = await APIClient.loadCoastline();
+    const classes = new Uint8Array(rows * cols);
+    let missing = 0;
+
+    // The per-point lookup and rule trace logging would drown the progress
+    const log = console.log;
+    console.log = () => {};
+    try {
+        for (let row = 0; row < rows; row++) {
+            const lat = 90 - (row + 0.5) * step;
+            for (let col = 0; col < cols; col++) {
+                if (!mask[row * cols + col]) continue;
+                const lon = -180 + (col + 0.5) * step;
+
+                const elevation = await APIClient.readTiles('elevation', lat, lon);
+                if (!elevation) {
+                    missing++;
+                    continue;
+                }
+                const coastDistance = CoastlineIndex.nearest(coastline, lat, lon).distance;
+                const precipitation = await APIClient.estimatePrecipitation(lat, lon);
+
+                const region = ainthinai.applyClassificationRules(elevation.value, coastDistance, precipitation.value);
+                classes[row * cols + col] = REGIONS.indexOf(region) + 1;
+            }
+            if (row % 10 === 0) process.stdout.write(`\r  ${lat.toFixed(1)}°`);
+        }
+    } finally {
+        console.log = log;
+    }
+
+    return { classes, missing };
+}
+
+/**
+ * Render one 256 px tile; returns null when it has no land
+ */
+function renderTile(classes, rows, cols, step, z, x, y) {
+    const worldSize = TILE_SIZE * 2 ** z;
+    const pixels = new Uint8Array(TILE_SIZE * TILE_SIZE);
+    let hasLand = false;
+
+    const colOf = new Int32Array(TILE_SIZE);
+    for (let px = 0; px < TILE_SIZE; px++) {
+        const lon = (x * TILE_SIZE + px + 0.5) / worldSize * 360 - 180;
+        colOf[px] = Math.min(cols - 1, Math.floor((lon + 180) / step));
+    }
+
+    for (let py = 0; py < TILE_SIZE; py++) {
+        const mercatorY = Math.PI * (1 - 2 * (y * TILE_SIZE + py + 0.5) / worldSize);
+        const lat = Math.atan(Math.sinh(mercatorY)) * 180 / Math.PI;
+        const row = Math.min(rows - 1, Math.floor((90 - lat) / step));
+        for (let px = 0; px < TILE_SIZE; px++) {
+            const value = classes[row * cols + colOf[px]];
+            if (value) hasLand = true;
+            pixels[py * TILE_SIZE + px] = value;
+        }
+    }
+
+    return hasLand ? pixels : null;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+/**
+ * Encode palette indices as an 8-bit indexed PNG; index 0 is transparent
+ * palette: ['#rrggbb', ...] for indices 1 and up
+ */
+function encodePng(pixels, width, height, palette) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 3, 0, 0, 0], 8); // bit depth 8, indexed color
+
+    const colors = ['#000000', ...palette].map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const alpha = Buffer.from(colors.map((_, i) => (i === 0 ? 0 : 255)));
+
+    // Each row starts with filter type 0 (none)
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let row = 0; row < height; row++) {
+        raw.set(pixels.subarray(row * width, (row + 1) * width), row * (width + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('PLTE', Buffer.from(colors.flat())),
+        pngChunk('tRNS', alpha),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            step: { type: 'string', default: '0.25' },
+            'max-zoom': { type: 'string', default: '5' },
+            bounds: { type: 'string', default: '-90,-180,90,180' },
+            rules: { type: 'string' }
+        }
+    });
+
+    const step = Number(options.step);
+    const maxZoom = Number(options['max-zoom']);
+    if (!(step > 0) || Math.abs(Math.round(180 / step) * step - 180) > 1e-9) {
+        throw new Error('--step must divide 180');
+    }
+    if (!Number.isInteger(maxZoom) || maxZoom < 0 || maxZoom > 8) {
+        throw new Error('--max-zoom must be a whole number from 0 to 8');
+    }
+    const [south, west, north, east] = options.bounds.split(',').map(Number);
+    if (!(south < north && west < east)) {
+        throw new Error('--bounds must be south,west,north,east');
+    }
+
+    const manifest = await APIClient.loadTileManifest().catch(() => null);
+    if (!manifest || !manifest.variables.elevation) {
+        throw new Error('Offline elevation tiles are not installed; run npm run build:terrain-tiles first');
+    }
+    if (!manifest.variables.precipitation) {
+        await APIClient.loadPrecipitationGrid().catch(() => {
+            throw new Error('No bundled precipitation data; build the precipitation tiles or run npm run build:precipitation-grid first');
+        });
+    }
+    const sources = {
+        elevation: manifest.variables.elevation.source,
+        precipitation: manifest.variables.precipitation?.source || APIClient.SOURCES.precipitationGrid
+    };
+    console.log(`Elevation: ${sources.elevation}\nRainfall: ${sources.precipitation}`);
+
+    const ruleSet = options.rules
+        ? TerrainAnalyzer.setRules(JSON.parse(fs.readFileSync(options.rules, 'utf8')))
+        : await TerrainAnalyzer.loadRules();
+    console.log(`Classifying with "${ruleSet.name}"`);
+
+    const rows = Math.round(180 / step);
+    const cols = Math.round(360 / step);
+    const topology = require('world-atlas/land-10m.json');
+    const mask = landMask(topology, rows, cols, step);
+
+    // Rows (north to south) and columns whose cell centres are in --bounds
+    const rowFrom = Math.max(0, Math.ceil((90 - north) / step - 0.5));
+    const rowTo = Math.min(rows - 1, Math.floor((90 - south) / step - 0.5));
+    const colFrom = Math.max(0, Math.ceil((west + 180) / step - 0.5));
+    const colTo = Math.min(cols - 1, Math.floor((east + 180) / step - 0.5));
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (row < rowFrom || row > rowTo || col < colFrom || col > colTo) mask[row * cols + col] = 0;
+        }
+    }
+    console.log(`${mask.reduce((sum, land) => sum + land, 0)} land cells of ${rows * cols} at ${step}°`);
+
+    const { classes, missing } = await classifyCells(mask, rows, cols, step);
+    if (missing > 0) console.log(`\n  ${missing} land cells have no elevation tile and are left blank`);
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    // The class grid itself within --bounds, south to north like the other terrain grids
+    const values = [];
+    for (let row = rowTo; row >= rowFrom; row--) {
+        for (let col = colFrom; col <= colTo; col++) values.push(classes[row * cols + col] || null);
+    }
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'classes.bin'), Buffer.from(TerrainGrid.encode({
+        rows: rowTo - rowFrom + 1,
+        cols: colTo - colFrom + 1,
+        lat0: 90 - (rowTo + 0.5) * step,
+        lon0: -180 + (colFrom + 0.5) * step,
+        step,
+        values
+    })));
+
+    const palette = REGIONS.map(region => REGION_DATA[region].color);
+    let tiles = 0;
+    let bytes = 0;
+    for (let z = 0; z <= maxZoom; z++) {
+        for (let x = 0; x < 2 ** z; x++) {
+            for (let y = 0; y < 2 ** z; y++) {
+                const pixels = renderTile(classes, rows, cols, step, z, x, y);
+                if (!pixels) continue;
+                const png = encodePng(pixels, TILE_SIZE, TILE_SIZE, palette);
+                fs.mkdirSync(path.join(OUTPUT_DIR, String(z), String(x)), { recursive: true });
+                fs.writeFileSync(path.join(OUTPUT_DIR, String(z), String(x), `${y}.png`), png);
+                tiles++;
+                bytes += png.length;
+            }
+        }
+        process.stdout.write(`\r  zoom ${z}`);
+    }
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify({
+        generated: new Date().toISOString().slice(0, 10),
+        rules: ruleSet.name,
+        thresholds: TerrainAnalyzer.THRESHOLDS,
+        sources,
+        step,
+        minZoom: 0,
+        maxZoom,
+        bounds: [[Math.max(south, -MAX_LATITUDE), west], [Math.min(north, MAX_LATITUDE), east]],
+        regions: REGIONS.map(region => ({ region, color: REGION_DATA[region].color }))
+    }, null, 2) + '\n');
+
+    console.log(`\nWrote ${tiles} overlay tiles (${(bytes / 1024 / 1024).toFixed(1)} MB) to ${OUTPUT_DIR}`);
+}
+
+main().catch(error => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exitCode = 1;
+});
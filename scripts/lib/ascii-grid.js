@@ -0,0 +1,75 @@
+/**
+ * ESRI ASCII grid (.asc) helpers shared by the raster build scripts
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Read an ESRI ASCII grid into { ncols, nrows, west, north, cellsize, data }
+ * data is a Float32Array, row-major from north to south, NaN for no data.
+ */
+async function readAsciiGrid(file) {
+    const header = {};
+    let data = null;
+    let index = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        if (!data && /^[a-z]/i.test(trimmed)) {
+            const [key, value] = trimmed.split(/\s+/);
+            header[key.toLowerCase()] = Number(value);
+            continue;
+        }
+
+        if (!data) {
+            data = new Float32Array(header.ncols * header.nrows);
+        }
+        for (const token of trimmed.split(/\s+/)) {
+            const value = Number(token);
+            data[index++] = value === header.nodata_value ? NaN : value;
+        }
+    }
+
+    if (!data || index !== data.length) {
+        throw new Error(`${file}: expected ${header.ncols * header.nrows} values, read ${index}`);
+    }
+
+    const { ncols, nrows, cellsize } = header;
+    // Corners may be given as the outer edge or the centre of the corner cell
+    const west = 'xllcorner' in header ? header.xllcorner : header.xllcenter - cellsize / 2;
+    const south = 'yllcorner' in header ? header.yllcorner : header.yllcenter - cellsize / 2;
+    return { ncols, nrows, west, north: south + nrows * cellsize, cellsize, data };
+}
+
+/**
+ * Mean of the source cells whose centres fall within half a step of (lat, lon)
+ * Falls back to the nearest cell when the source is coarser than the step.
+ */
+function blockAverage(source, lat, lon, step) {
+    const { ncols, nrows, west, north, cellsize, data } = source;
+    const half = Math.max(step, cellsize) / 2;
+    const rowFrom = Math.max(0, Math.ceil((north - (lat + half)) / cellsize - 0.5));
+    const rowTo = Math.min(nrows - 1, Math.floor((north - (lat - half)) / cellsize - 0.5));
+
+    let sum = 0;
+    let count = 0;
+    for (let row = rowFrom; row <= rowTo; row++) {
+        const colFrom = Math.ceil((lon - half - west) / cellsize - 0.5);
+        const colTo = Math.floor((lon + half - west) / cellsize - 0.5);
+        for (let c = colFrom; c <= colTo; c++) {
+            // Wrap across the antimeridian
+            const col = ((c % ncols) + ncols) % ncols;
+            const value = data[row * ncols + col];
+            if (Number.isNaN(value)) continue;
+            sum += value;
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : null;
+}
+
+module.exports = { readAsciiGrid, blockAverage };
@@ -0,0 +1,23 @@
+/**
+ * TopoJSON helpers shared by the build scripts
+ */
+
+/**
+ * Decode TopoJSON delta-encoded arcs into [lon, lat] point lists
+ */
+function decodeArcs(topology) {
+    const [sx, sy] = topology.transform.scale;
+    const [tx, ty] = topology.transform.translate;
+
+    return topology.arcs.map(arc => {
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [x * sx + tx, y * sy + ty];
+        });
+    });
+}
+
+module.exports = { decodeArcs };
@@ -0,0 +1,144 @@
+/**
+ * Service Worker
+ * Precaches the app shell, the coarse rainfall grid and any offline terrain
+ * tiles so the classifier opens and classifies offline
+ *
+ * Same-origin files are fetched network-first, so a deploy is picked up on
+ * the next online visit, and fall back to the cache when offline. Libraries
+ * and fonts from CDNs are served from the cache and refreshed in the
+ * background. Terrain and geocoding API calls are not intercepted; APIClient
+ * keeps its own cache of terrain values.
+ */
+
+// Bump when PRECACHE_URLS or a precached data file changes so old caches are dropped
+const CACHE_NAME = 'ainthinai-v14';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/i18n.js',
+    'js/coastline-index.js',
+    'js/terrain-grid.js',
+    'js/terrain-cache.js',
+    'js/api-client.js',
+    'js/nominatim-client.js',
+    'js/photon-client.js',
+    'js/gazetteer.js',
+    'js/rule-engine.js',
+    'js/terrain-analyzer.js',
+    'js/geolocation.js',
+    'js/coordinate-parser.js',
+    'js/geocoding.js',
+    'js/search-suggestions.js',
+    'js/map.js',
+    'js/settings.js',
+    'js/share.js',
+    'js/history.js',
+    'js/lookup-queue.js',
+    'js/csv.js',
+    'js/geo-export.js',
+    'js/batch.js',
+    'js/sampling-panel.js',
+    'js/transect.js',
+    'js/route.js',
+    'js/area-sampler.js',
+    'js/area.js',
+    'js/app.js',
+    'data/regions.json',
+    'data/rules.json',
+    'data/coastline.json',
+    'data/gazetteer.json',
+    'data/grids/precipitation-coarse.bin',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Offline terrain tiles are built per deployment, so they are precached
+// from their manifest when there is one (see scripts/build-terrain-tiles.js)
+const TILES_URL = 'data/grids/tiles';
+
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com', 'html2canvas.hertzen.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS).then(() => precacheTiles(cache)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Cache the tile manifest and every tile it lists, if tiles are installed
+ */
+async function precacheTiles(cache) {
+    const manifestUrl = `${TILES_URL}/manifest.json`;
+    const response = await fetch(manifestUrl);
+    if (!response.ok) return;
+
+    const manifest = await response.clone().json();
+    const tiles = Object.entries(manifest.variables || {})
+        .flatMap(([variable, layer]) => layer.tiles.map(key => `${TILES_URL}/${variable}/${key}.bin`));
+    await cache.addAll(tiles);
+    await cache.put(manifestUrl, response);
+}
+
+/**
+ * Fetch from the network and cache the response; fall back to the cache
+ * Pages opened with ?lat=…&lon= or ?q=… fall back to the cached index.html.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+            (request.mode === 'navigate' && await cache.match('index.html'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache at once and update it from the network
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            // Opaque responses (status 0) from no-cors requests are cacheable too
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
@@ -185,3 +185,8 @@ if (typeof window !== 'undefined') {
     console.log('🧪 Test locations loaded!');
     console.log('Run tests by calling: runAinthinaiTests()');
 }
+
+// Export for Node.js test runners (see test/locations.test.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testLocations, runTests };
+}
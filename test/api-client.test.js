@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { APIClient } = require('../node');
+
+const HOST = 'api.test';
+
+/**
+ * Route APIClient requests through fetchFn with test limits for HOST,
+ * restoring the client afterwards
+ */
+function stubClient(t, fetchFn, limits = { concurrency: 4, requests: 100, per: 1000 }) {
+    const { fetchAdapter, RETRY_DELAY } = APIClient;
+    APIClient.HOST_LIMITS[HOST] = limits;
+    APIClient.fetchAdapter = fetchFn;
+    t.after(() => {
+        delete APIClient.HOST_LIMITS[HOST];
+        APIClient._hosts.delete(HOST);
+        APIClient._inflight.clear();
+        APIClient.fetchAdapter = fetchAdapter;
+        APIClient.RETRY_DELAY = RETRY_DELAY;
+    });
+}
+
+/**
+ * A response that resolves after ms, or rejects when the request is aborted
+ */
+function delayed(ms, body, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(Response.json(body)), ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        });
+    });
+}
+
+test('identical in-flight requests share one fetch', async (t) => {
+    let calls = 0;
+    stubClient(t, (url, { signal }) => {
+        calls++;
+        return delayed(20, { value: 1 }, signal);
+    });
+
+    const url = `https://${HOST}/elevation?latitude=1`;
+    const [a, b] = await Promise.all([APIClient.fetchWithRetry(url), APIClient.fetchWithRetry(url)]);
+    assert.deepStrictEqual(a, { value: 1 });
+    assert.deepStrictEqual(b, { value: 1 });
+    assert.strictEqual(calls, 1);
+
+    // Finished requests are not reused
+    await APIClient.fetchWithRetry(url);
+    assert.strictEqual(calls, 2);
+});
+
+test('requests to a host are capped by its concurrency limit', async (t) => {
+    let active = 0;
+    let peak = 0;
+    stubClient(t, async (url, { signal }) => {
+        active++;
+        peak = Math.max(peak, active);
+        try {
+            return await delayed(10, {}, signal);
+        } finally {
+            active--;
+        }
+    }, { concurrency: 2, requests: 100, per: 1000 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(i => APIClient.fetchWithRetry(`https://${HOST}/?i=${i}`)));
+    assert.strictEqual(peak, 2);
+});
+
+test('requests beyond the rate budget wait for the window to pass', async (t) => {
+    const started = [];
+    stubClient(t, async () => {
+        started.push(Date.now());
+        return Response.json({});
+    }, { concurrency: 5, requests: 2, per: 100 });
+
+    await Promise.all([1, 2, 3].map(i => APIClient.fetchWithRetry(`https://${HOST}/?i=${i}`)));
+    assert.ok(started[1] - started[0] < 50);
+    assert.ok(started[2] - started[0] >= 95, `third request started after ${started[2] - started[0]}ms`);
+});
+
+test('Retry-After on a 429 sets the retry delay', async (t) => {
+    const started = [];
+    stubClient(t, async () => {
+        started.push(Date.now());
+        return started.length === 1
+            ? new Response('', { status: 429, headers: { 'Retry-After': '1' } })
+            : Response.json({ ok: true });
+    });
+    // Far longer than the server asked for, so only Retry-After can explain the wait
+    APIClient.RETRY_DELAY = 30 * 1000;
+
+    assert.deepStrictEqual(await APIClient.fetchWithRetry(`https://${HOST}/limited`), { ok: true });
+    const waited = started[1] - started[0];
+    assert.ok(waited >= 990 && waited < 5000, `retried after ${waited}ms`);
+});
+
+test('a Retry-After beyond MAX_RETRY_AFTER fails without waiting', async (t) => {
+    let calls = 0;
+    stubClient(t, async () => {
+        calls++;
+        return new Response('', { status: 503, headers: { 'Retry-After': '3600' } });
+    });
+
+    await assert.rejects(APIClient.fetchWithRetry(`https://${HOST}/down`), /status: 503/);
+    assert.strictEqual(calls, 1);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.strictEqual(APIClient.parseRetryAfter('120'), 120000);
+    assert.strictEqual(APIClient.parseRetryAfter(new Date(0).toUTCString()), 0);
+    const inAMinute = APIClient.parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inAMinute > 58000 && inAMinute <= 60000);
+    assert.strictEqual(APIClient.parseRetryAfter(null), null);
+    assert.strictEqual(APIClient.parseRetryAfter('soon'), null);
+});
+
+test('aborting one caller leaves a shared request running for the others', async (t) => {
+    let aborted = false;
+    stubClient(t, (url, { signal }) => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        return delayed(30, { value: 2 }, signal);
+    });
+
+    const url = `https://${HOST}/shared`;
+    const controller = new AbortController();
+    const cancelled = APIClient.fetchWithRetry(url, { signal: controller.signal });
+    const kept = APIClient.fetchWithRetry(url);
+    controller.abort();
+
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    assert.deepStrictEqual(await kept, { value: 2 });
+    assert.strictEqual(aborted, false);
+});
+
+test('a request is aborted once every caller has cancelled', async (t) => {
+    let aborted = false;
+    stubClient(t, (url, { signal }) => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        return delayed(1000, {}, signal);
+    });
+
+    const controller = new AbortController();
+    const pending = APIClient.fetchWithRetry(`https://${HOST}/slow`, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+
+    await new Promise(resolve => setTimeout(resolve, APIClient.INFLIGHT_GRACE + 50));
+    assert.strictEqual(aborted, true);
+    assert.strictEqual(APIClient._inflight.size, 0);
+});
+
+test('a request waiting for a slot can be cancelled', async (t) => {
+    let calls = 0;
+    stubClient(t, async () => {
+        calls++;
+        return Response.json({});
+    }, { concurrency: 1, requests: 1, per: 60 * 1000 });
+
+    await APIClient.fetchWithRetry(`https://${HOST}/first`);
+    const controller = new AbortController();
+    const queued = APIClient.request(`https://${HOST}/second`, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(queued, { name: 'AbortError' });
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(APIClient.hostState(HOST).queue.length, 0);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AreaSampler, TerrainAnalyzer, APIClient } = require('../node');
+
+// A box of about 55 × 55 km over the Nilgiris, with a hole in its south-west corner
+const NILGIRIS = {
+    type: 'Feature',
+    properties: { NAME_2: 'The Nilgiris' },
+    geometry: {
+        type: 'Polygon',
+        coordinates: [
+            [[76.4, 11.2], [76.9, 11.2], [76.9, 11.7], [76.4, 11.7], [76.4, 11.2]],
+            [[76.4, 11.2], [76.5, 11.2], [76.5, 11.3], [76.4, 11.3], [76.4, 11.2]]
+        ]
+    }
+};
+
+/**
+ * Swap in a fake classifier for one test
+ */
+function fakeAnalyzer(t, classifyLocation) {
+    const saved = AreaSampler.terrainAnalyzer;
+    AreaSampler.terrainAnalyzer = Object.assign(Object.create(TerrainAnalyzer), { classifyLocation, POINT_DELAY: 0 });
+    t.after(() => { AreaSampler.terrainAnalyzer = saved; });
+}
+
+test('parse reads GeoJSON polygons as [lat, lon] rings and names the area', () => {
+    const { name, polygons } = AreaSampler.parse(JSON.stringify({ type: 'FeatureCollection', features: [NILGIRIS] }));
+    assert.strictEqual(name, 'The Nilgiris');
+    assert.strictEqual(polygons.length, 1);
+    assert.strictEqual(polygons[0].length, 2);
+    assert.deepStrictEqual(polygons[0][0][1], [11.2, 76.9]);
+
+    const multi = AreaSampler.parse(JSON.stringify({
+        type: 'MultiPolygon',
+        coordinates: [
+            [[[79.8, 11.9], [79.9, 11.9], [79.9, 12.0], [79.8, 11.9]]],
+            [[[80.1, 13.0], [80.3, 13.0], [80.3, 13.2], [80.1, 13.0]]]
+        ]
+    }));
+    assert.strictEqual(multi.name, null);
+    assert.strictEqual(multi.polygons.length, 2);
+
+    assert.throws(() => AreaSampler.parse('{"type": "Point", "coordinates": [80.27, 13.08]}'), /No polygon found in the GeoJSON/);
+    assert.throws(() => AreaSampler.parse('{not json'), /Invalid GeoJSON/);
+});
+
+test('parse reads KML polygons with their holes', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+        <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+            <Placemark><name>Ooty</name><Polygon>
+                <outerBoundaryIs><LinearRing><coordinates>
+                    76.6,11.3,0 76.8,11.3,0 76.8,11.5,0 76.6,11.5,0 76.6,11.3,0
+                </coordinates></LinearRing></outerBoundaryIs>
+                <innerBoundaryIs><LinearRing><coordinates>76.65,11.35 76.7,11.35 76.7,11.4 76.65,11.35</coordinates></LinearRing></innerBoundaryIs>
+            </Polygon></Placemark>
+        </Document></kml>`;
+    const { name, polygons } = AreaSampler.parse(kml);
+    assert.strictEqual(name, 'Ooty');
+    assert.strictEqual(polygons[0].length, 2);
+    assert.deepStrictEqual(polygons[0][0][0], [11.3, 76.6]);
+
+    assert.throws(() => AreaSampler.parse('<kml><Placemark><Point><coordinates>80,13</coordinates></Point></Placemark></kml>'),
+        /No polygon found in the KML/);
+});
+
+test('contains and area leave out holes', () => {
+    const { polygons } = AreaSampler.parseGeoJson(NILGIRIS);
+    assert.ok(AreaSampler.contains(polygons, 11.5, 76.7));
+    assert.ok(!AreaSampler.contains(polygons, 11.25, 76.45), 'inside the hole');
+    assert.ok(!AreaSampler.contains(polygons, 11.0, 76.7), 'outside');
+
+    // 0.5° × 0.5° less 0.1° × 0.1° near 11.45° N
+    const expected = (0.25 - 0.01) * 111.32 ** 2 * Math.cos(11.45 * Math.PI / 180);
+    assert.ok(Math.abs(AreaSampler.area(polygons) - expected) / expected < 0.01);
+});
+
+test('sampleGrid keeps the cells inside the area and widens the step for large areas', () => {
+    const { polygons } = AreaSampler.parseGeoJson(NILGIRIS);
+    const grid = AreaSampler.sampleGrid(polygons, 10);
+    assert.strictEqual(grid.step, 10);
+    assert.ok(grid.cells.length > 20 && grid.cells.length <= 36, `${grid.cells.length} cells`);
+    assert.ok(grid.cells.every(({ lat, lon }) => AreaSampler.contains(polygons, lat, lon)));
+
+    // Tamil Nadu-sized box at a 1 km step
+    const large = AreaSampler.sampleGrid([[[[8, 76], [8, 80], [13, 80], [13, 76]]]], 1);
+    assert.ok(large.cells.length <= AreaSampler.MAX_CELLS && large.cells.length > AreaSampler.MAX_CELLS / 2);
+    assert.ok(large.step > 30);
+
+    // Smaller than one cell: sampled once
+    const small = AreaSampler.sampleGrid([[[[11.40, 76.70], [11.40, 76.71], [11.41, 76.70]]]], 5);
+    assert.strictEqual(small.cells.length, 1);
+
+    assert.throws(() => AreaSampler.sampleGrid([]), /at least one polygon/);
+    assert.throws(() => AreaSampler.sampleGrid(polygons, -1), /Invalid grid spacing/);
+});
+
+test('classify samples the grid through classifyLocation and totals the share per region', async (t) => {
+    // Hills in the west of the box, plains in the east
+    fakeAnalyzer(t, async (lat, lon) => {
+        if (lat > 11.6 && lon > 76.8) throw new Error('Failed to get elevation data');
+        const region = lon < 76.65 ? 'Kurinji' : 'Mullai';
+        return {
+            region,
+            regionData: { color: region === 'Kurinji' ? '#a855f7' : '#22c55e', icon: region === 'Kurinji' ? '⛰️' : '🌲' },
+            terrainData: { elevation: 2000, coastDistance: 90, precipitation: 1500 }
+        };
+    });
+
+    const { polygons } = AreaSampler.parseGeoJson(NILGIRIS);
+    const progress = [];
+    const result = await AreaSampler.classify(polygons, { stepKm: 10, onProgress: (done, total) => progress.push(done / total) });
+
+    assert.strictEqual(progress[progress.length - 1], 1);
+    assert.strictEqual(result.cells.length, AreaSampler.sampleGrid(polygons, 10).cells.length);
+    assert.deepStrictEqual(result.totals.map(r => r.region).sort(), ['Kurinji', 'Mullai', null].sort());
+    assert.ok(result.cells.filter(c => c.error).every(c => c.region === undefined));
+    assert.ok(result.cells.find(c => c.region === 'Kurinji').icon === '⛰️');
+    const shares = result.totals.reduce((sum, r) => sum + r.share, 0);
+    assert.ok(Math.abs(shares - 1) < 1e-9);
+    assert.strictEqual(result.totals.reduce((sum, r) => sum + r.cells, 0), result.cells.length);
+});
+
+test('summarize weights cells by latitude', () => {
+    const totals = AreaSampler.summarize([
+        { lat: 0, lon: 0, region: 'Neithal' },
+        { lat: 60, lon: 0, region: 'Paalai' }
+    ]);
+    assert.deepStrictEqual(totals.map(r => r.region), ['Neithal', 'Paalai']);
+    assert.ok(Math.abs(totals[0].share - 2 / 3) < 1e-9);
+});
+
+test('classify stops when its signal is aborted', async (t) => {
+    const controller = new AbortController();
+    let calls = 0;
+    fakeAnalyzer(t, async () => {
+        if (++calls === 2) controller.abort();
+        return { region: 'Mullai', regionData: {}, terrainData: {} };
+    });
+
+    const { polygons } = AreaSampler.parseGeoJson(NILGIRIS);
+    await assert.rejects(AreaSampler.classify(polygons, { stepKm: 10, signal: controller.signal }),
+        error => APIClient.isAbortError(error));
+    assert.strictEqual(calls, 2);
+});
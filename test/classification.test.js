@@ -0,0 +1,263 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ainthinai = require('../node');
+const { archiveResponse } = require('./helpers');
+const { applyClassificationRules, getBestFitRegion, getFuzzyMemberships, classifyLocation } = ainthinai;
+
+test('applyClassificationRules follows the priority order', () => {
+    assert.strictEqual(applyClassificationRules(6, 2, 1400), 'Neithal');
+    assert.strictEqual(applyClassificationRules(1600, 1200, 400), 'Kurinji');
+    assert.strictEqual(applyClassificationRules(330, 500, 180), 'Paalai');
+    assert.strictEqual(applyClassificationRules(900, 300, 900), 'Mullai');
+    assert.strictEqual(applyClassificationRules(120, 800, 700), 'Marudham');
+});
+
+test('getBestFitRegion handles coastal uplands', () => {
+    // Too high for Neithal, too low for Kurinji, but right on the coast
+    assert.strictEqual(applyClassificationRules(450, 20, 1200), 'Neithal');
+    assert.strictEqual(getBestFitRegion(450, 20, 1200), 'Neithal');
+});
+
+test('assessClassification scores clear and borderline results', () => {
+    const { TerrainAnalyzer } = ainthinai;
+
+    // Chennai: squarely coastal
+    const chennai = TerrainAnalyzer.assessClassification('Neithal', { elevation: 7, coastDistance: 2, precipitation: 1400 });
+    assert.strictEqual(chennai.confidence, 1);
+    assert.strictEqual(chennai.usedBestFit, false);
+    assert.strictEqual(chennai.runnerUp, 'Marudham');
+
+    // Delhi at 215 m is only just above the plains threshold
+    const delhi = TerrainAnalyzer.assessClassification('Mullai', { elevation: 215, coastDistance: 1000, precipitation: 700 });
+    assert.ok(Math.abs(delhi.confidence - 0.15) < 1e-9);
+    assert.strictEqual(delhi.usedBestFit, false);
+    assert.strictEqual(delhi.runnerUp, 'Marudham');
+
+    // Coastal upland matches no rule
+    const upland = TerrainAnalyzer.assessClassification('Neithal', { elevation: 450, coastDistance: 20, precipitation: 1200 });
+    assert.strictEqual(upland.confidence, 0);
+    assert.strictEqual(upland.usedBestFit, true);
+    assert.strictEqual(upland.runnerUp, 'Mullai');
+});
+
+test('getFuzzyMemberships blends regions near a threshold', () => {
+    const chennai = getFuzzyMemberships({ elevation: 7, coastDistance: 2, precipitation: 1400 });
+    assert.ok(chennai.Neithal > 0.99);
+    assert.ok(chennai.Marudham < 0.01);
+
+    // Delhi at 215 m sits between the plains and the forest uplands
+    const delhi = getFuzzyMemberships({ elevation: 215, coastDistance: 1000, precipitation: 700 });
+    assert.ok(delhi.Mullai > 0.5 && delhi.Mullai < 0.7);
+    assert.ok(delhi.Marudham > 0.3 && delhi.Marudham < 0.5);
+    assert.ok(delhi.Paalai < 0.01);
+
+    // Exactly on a threshold the membership is one half
+    const edge = getFuzzyMemberships({ elevation: 1000, coastDistance: 500, precipitation: 800 });
+    assert.strictEqual(edge.Kurinji, 0.5);
+    assert.strictEqual(ainthinai.TerrainAnalyzer.getStrongestMembership(delhi), 'Mullai');
+});
+
+test('setThresholds changes the cutoffs and rejects invalid values', (t) => {
+    const { TerrainAnalyzer } = ainthinai;
+    t.after(() => TerrainAnalyzer.setThresholds({}));
+
+    // Tamil Nadu scholarly preset: Kurinji from 600 m
+    TerrainAnalyzer.setThresholds({ HIGH_ELEVATION: '600' });
+    assert.strictEqual(TerrainAnalyzer.THRESHOLDS.HIGH_ELEVATION, 600);
+    assert.strictEqual(TerrainAnalyzer.THRESHOLDS.COASTAL_DISTANCE, 50);
+    assert.strictEqual(applyClassificationRules(700, 300, 900), 'Kurinji');
+
+    assert.throws(() => TerrainAnalyzer.setThresholds({ COASTAL_DISTANCE: -5 }), /positive number/);
+    assert.throws(() => TerrainAnalyzer.setThresholds({ HIGH_ELEVATION: 150 }), /below the high elevation/);
+    assert.strictEqual(TerrainAnalyzer.THRESHOLDS.HIGH_ELEVATION, 600);
+
+    TerrainAnalyzer.setThresholds({});
+    assert.strictEqual(applyClassificationRules(700, 300, 900), 'Mullai');
+});
+
+test('classifyLocation runs headless through the fetch and storage adapters', async () => {
+    const requested = [];
+    const localFetch = ainthinai.createLocalFetch(async (url) => {
+        requested.push(url);
+        if (url.includes('/v1/elevation')) {
+            return Response.json({ elevation: [7] });
+        }
+        // 4 mm a day, every day
+        return archiveResponse(url, () => 4);
+    });
+    const storage = ainthinai.createMemoryStorage();
+    ainthinai.configure({ fetch: localFetch, storage });
+
+    const result = await classifyLocation(13.0827, 80.2707);
+
+    assert.strictEqual(result.region, 'Neithal');
+    assert.strictEqual(result.regionData.tamil, 'நெய்தல்');
+    assert.strictEqual(result.terrainData.elevation, 7);
+    assert.ok(Math.abs(result.terrainData.precipitation - 4 * 365.25) < 1);
+    assert.strictEqual(result.climatology.years.length, 10);
+    assert.strictEqual(result.confidence, 1);
+    assert.strictEqual(result.usedBestFit, false);
+    assert.strictEqual(result.runnerUp, 'Marudham');
+    assert.strictEqual(result.runnerUpData.tamil, 'மருதம்');
+    // One elevation request and two five-year archive chunks
+    assert.strictEqual(requested.length, 3);
+    assert.ok(requested[0].includes('latitude=13.083&longitude=80.271'));
+    assert.ok(JSON.parse(storage.getItem('ainthinai_cache_v1'))['elevation:v1:13.083,80.271']);
+
+    // Second lookup, a few metres away, is served from the storage adapter
+    await classifyLocation(13.0829, 80.2712);
+    assert.strictEqual(requested.length, 3);
+});
+
+test('summarizePrecipitation averages complete years and breaks them down by month', () => {
+    const { APIClient } = ainthinai;
+    const time = [];
+    const values = [];
+    for (let day = new Date('2020-01-01T00:00:00Z'); day.getUTCFullYear() < 2023; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = day.toISOString().slice(0, 10);
+        time.push(date);
+        // A wet 2021; 2022 has a two-month gap in the record
+        if (date.startsWith('2022-0') && date < '2022-03') values.push(null);
+        else values.push(date.startsWith('2021') ? 2 : 1);
+    }
+
+    const summary = APIClient.summarizePrecipitation(time, values);
+    assert.deepStrictEqual(summary.years, [{ year: 2020, total: 366 }, { year: 2021, total: 730 }]);
+    assert.strictEqual(summary.mean, 548);
+    assert.strictEqual(summary.spread, 182);
+    assert.deepStrictEqual(summary.lastYear, { year: 2021, total: 730 });
+    assert.strictEqual(summary.monthly[0], 46.5);
+    assert.strictEqual(summary.monthly.reduce((a, b) => a + b, 0), 548);
+});
+
+test('failed rainfall lookups fall back to the bundled grid, then to missing', async (t) => {
+    const { APIClient, TerrainGrid } = ainthinai;
+    t.after(() => {
+        APIClient._precipitationGridPromise = null;
+        APIClient._tileManifestPromise = null;
+        APIClient.RETRY_DELAY = 1000;
+    });
+    APIClient.RETRY_DELAY = 0;
+    APIClient._tileManifestPromise = null;
+
+    // 2-cell-wide grid: 200 mm/yr in the west, 1000 mm/yr in the east
+    const grid = TerrainGrid.encode({ rows: 2, cols: 2, lat0: 0, lon0: 70, step: 20, values: [200, 1000, 200, 1000] });
+    let gridAvailable = true;
+    ainthinai.configure({
+        storage: ainthinai.createMemoryStorage(),
+        fetch: async (url) => {
+            if (url.includes('/v1/elevation')) return Response.json({ elevation: [300] });
+            if (url.includes('archive-api')) return new Response(null, { status: 503 });
+            if (url.endsWith('precipitation-coarse.bin')) return new Response(gridAvailable ? grid : null, { status: gridAvailable ? 200 : 404 });
+            // No offline tiles, so rainfall goes straight to the grid
+            if (url.startsWith('data/grids/tiles/')) return new Response(null, { status: 404 });
+            return ainthinai.createLocalFetch(() => new Response(null, { status: 404 }))(url);
+        }
+    });
+
+    // Inland Deccan plateau, 40% of the way east across the grid
+    const estimated = await classifyLocation(18, 78);
+    assert.ok(Math.abs(estimated.terrainData.precipitation - 520) < 1e-6);
+    assert.strictEqual(estimated.region, 'Mullai');
+    assert.strictEqual(estimated.provenance.precipitation.estimated, true);
+    assert.strictEqual(estimated.provenance.precipitation.fallback, true);
+    assert.match(estimated.provenance.precipitation.source, /2016.*single year/);
+    assert.strictEqual(estimated.provenance.elevation.estimated, false);
+    assert.strictEqual(estimated.provenance.elevation.cached, false);
+    assert.strictEqual(estimated.climatology, null);
+
+    // Cached elevation is reported as such
+    APIClient._precipitationGridPromise = null;
+    gridAvailable = false;
+    const missing = await classifyLocation(18, 78);
+    assert.strictEqual(missing.terrainData.precipitation, null);
+    assert.strictEqual(missing.provenance.precipitation.missing, true);
+    assert.strictEqual(missing.provenance.elevation.cached, true);
+    // Rainfall-dependent rules can't match, so a dry-land guess is never made
+    assert.strictEqual(missing.region, 'Mullai');
+    assert.strictEqual(missing.usedBestFit, true);
+});
+
+test('tileKey names tiles after their south-west corner', () => {
+    const { TerrainGrid } = ainthinai;
+    assert.strictEqual(TerrainGrid.tileKey(13.08, 80.27, 10), 'N10E080');
+    assert.strictEqual(TerrainGrid.tileKey(-33.9, -70.6, 10), 'S40W080');
+    assert.strictEqual(TerrainGrid.tileKey(90, 180, 10), 'N80E170');
+});
+
+test('offline tiles stand in for the live APIs, as a fallback or first', async (t) => {
+    const { APIClient, TerrainGrid } = ainthinai;
+    t.after(() => {
+        APIClient._tileManifestPromise = null;
+        APIClient._tilePromises.clear();
+        APIClient.RETRY_DELAY = 1000;
+        APIClient.setOfflineMode('fallback');
+    });
+    APIClient.RETRY_DELAY = 0;
+
+    // One 10° tile of 1° nodes over the Deccan: elevation rises 10 m per degree east,
+    // rainfall is a flat 900 mm
+    const tile = (valueAt) => {
+        const values = [];
+        for (let row = 0; row <= 10; row++) {
+            for (let col = 0; col <= 10; col++) values.push(valueAt(row, col));
+        }
+        return TerrainGrid.encode({ rows: 11, cols: 11, lat0: 10, lon0: 70, step: 1, values });
+    };
+    const files = {
+        'data/grids/tiles/manifest.json': JSON.stringify({
+            tileSize: 10,
+            variables: {
+                elevation: { source: 'Test DEM', tiles: ['N10E070'] },
+                precipitation: { source: 'Test rainfall', tiles: ['N10E070'] }
+            }
+        }),
+        'data/grids/tiles/elevation/N10E070.bin': tile((row, col) => 300 + col * 10),
+        'data/grids/tiles/precipitation/N10E070.bin': tile(() => 900)
+    };
+
+    let online = false;
+    const requests = [];
+    ainthinai.configure({
+        storage: ainthinai.createMemoryStorage(),
+        fetch: async (url) => {
+            requests.push(url);
+            if (files[url]) return new Response(files[url]);
+            if (/^https?:/.test(url)) {
+                if (!online) throw new TypeError('fetch failed');
+                return url.includes('/v1/elevation')
+                    ? Response.json({ elevation: [250] })
+                    : archiveResponse(url, () => 2);
+            }
+            return ainthinai.createLocalFetch(() => new Response(null, { status: 404 }))(url);
+        }
+    });
+
+    // No network: both values come from the tiles instead of failing
+    const offline = await classifyLocation(18, 78.5);
+    assert.strictEqual(offline.terrainData.elevation, 385);
+    assert.strictEqual(offline.terrainData.precipitation, 900);
+    assert.strictEqual(offline.region, 'Mullai');
+    assert.strictEqual(offline.provenance.elevation.source, 'Test DEM');
+    assert.strictEqual(offline.provenance.elevation.fallback, true);
+    assert.strictEqual(offline.provenance.precipitation.estimated, true);
+    assert.strictEqual(offline.provenance.precipitation.tile, 'N10E070');
+
+    // Primary: the tiles answer without touching the network, even when it is up
+    online = true;
+    requests.length = 0;
+    ainthinai.configure({ offlineMode: 'primary' });
+    const primary = await classifyLocation(18, 78.5);
+    assert.strictEqual(primary.terrainData.elevation, 385);
+    assert.strictEqual(primary.provenance.elevation.fallback, false);
+    assert.ok(requests.every(url => !/^https?:/.test(url)));
+
+    // Off: the tiles are never read
+    APIClient.setOfflineMode('off');
+    const live = await classifyLocation(18, 78.5);
+    assert.strictEqual(live.terrainData.elevation, 250);
+    assert.strictEqual(live.provenance.elevation.estimated, false);
+
+    assert.throws(() => APIClient.setOfflineMode('sometimes'), /Unknown offline mode/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ainthinai = require('../node');
+const { main, pointsFromGeoJson } = require('../node/cli');
+const { archiveResponse } = require('./helpers');
+
+test('pointsFromGeoJson reads Point features', () => {
+    const points = pointsFromGeoJson({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Oslo' }, geometry: { type: 'Point', coordinates: [10.75, 59.91] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+        ]
+    });
+    assert.deepStrictEqual(points, [{ input: 'Oslo', lat: 59.91, lon: 10.75, name: 'Oslo' }]);
+});
+
+test('main classifies a file and a coordinate argument as CSV', async () => {
+    ainthinai.configure({
+        storage: ainthinai.createMemoryStorage(),
+        fetch: ainthinai.createLocalFetch(async (url) => {
+            if (url.includes('/v1/elevation')) return Response.json({ elevation: [12] });
+            return archiveResponse(url, () => 2.5);
+        })
+    });
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ainthinai-')), 'points.geojson');
+    fs.writeFileSync(file, JSON.stringify({
+        type: 'Feature',
+        properties: { name: 'Delhi' },
+        geometry: { type: 'Point', coordinates: [77.1025, 28.7041] }
+    }));
+
+    let output = '';
+    const stdout = { write: (chunk) => { output += chunk; } };
+    const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+
+    try {
+        const code = await main(['13.0827,80.2707', '--file', file, '--format', 'csv', '--no-cache'], stdout);
+        assert.strictEqual(code, 0);
+    } finally {
+        Object.assign(console, originalConsole);
+    }
+
+    const lines = output.trim().split('\n');
+    assert.strictEqual(lines[0], 'input,name,lat,lon,region,elevation,coastDistance,precipitation,explanation,warnings,error');
+    assert.match(lines[1], /^"13\.0827,80\.2707",,13\.0827,80\.2707,Neithal,12,/);
+    assert.match(lines[2], /^Delhi,Delhi,28\.7041,77\.1025,Marudham,12,/);
+});
+
+test('main writes GeoJSON with the thresholds used', async () => {
+    ainthinai.configure({
+        storage: ainthinai.createMemoryStorage(),
+        fetch: ainthinai.createLocalFetch(async (url) => {
+            if (url.includes('/v1/elevation')) return Response.json({ elevation: [12] });
+            return archiveResponse(url, () => 2.5);
+        })
+    });
+
+    let output = '';
+    const stdout = { write: (chunk) => { output += chunk; } };
+    const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+
+    try {
+        const code = await main(['13.0827,80.2707', '--format', 'geojson', '--no-cache'], stdout);
+        assert.strictEqual(code, 0);
+    } finally {
+        Object.assign(console, originalConsole);
+    }
+
+    const [feature] = JSON.parse(output).features;
+    assert.deepStrictEqual(feature.geometry.coordinates, [80.2707, 13.0827]);
+    assert.strictEqual(feature.properties.name, '13.0827,80.2707');
+    assert.strictEqual(feature.properties.region, 'Neithal');
+    assert.strictEqual(feature.properties.region_tamil, 'நெய்தல்');
+    assert.strictEqual(feature.properties.threshold_coastal_distance_km, 50);
+    assert.match(feature.properties.classified_at, /^\d{4}-\d{2}-\d{2}T/);
+});
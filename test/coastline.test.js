@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { APIClient, CoastlineIndex } = require('../node');
+
+// True distances measured against the full-resolution Natural Earth 1:10m
+// coastline; the bundled simplified dataset must stay within 5 km of them
+const REGRESSION_CASES = [
+    { name: 'Chennai', lat: 13.0827, lon: 80.2707, trueDistance: 2.17 },
+    { name: 'Mumbai', lat: 19.0760, lon: 72.8777, trueDistance: 5.37 },
+    { name: 'Honolulu', lat: 21.3099, lon: -157.8581, trueDistance: 2.21 },
+    { name: 'Oslo', lat: 59.9139, lon: 10.7522, trueDistance: 2.24 }
+];
+
+for (const { name, lat, lon, trueDistance } of REGRESSION_CASES) {
+    test(`${name} is within 5 km of its true coastline distance`, async () => {
+        const distance = await APIClient.getCoastDistance(lat, lon);
+        assert.ok(
+            Math.abs(distance - trueDistance) <= 5,
+            `got ${distance.toFixed(2)} km, expected ${trueDistance} km ± 5 km`
+        );
+    });
+}
+
+test('inland cities are far from the coast', async () => {
+    assert.ok(await APIClient.getCoastDistance(28.7041, 77.1025) > 500); // Delhi
+    assert.ok(await APIClient.getCoastDistance(39.7392, -104.9903) > 1000); // Denver
+});
+
+test('index query matches a linear scan over every segment', async () => {
+    const index = await APIClient.loadCoastline();
+    const points = [[13.08, 80.27], [-33.9, 18.4], [64.1, -21.9], [-17.7, 178.0], [0, -179.99], [-89, 0]];
+
+    for (const [lat, lon] of points) {
+        let expected = Infinity;
+        for (let s = 0; s < index.lat1.length; s++) {
+            const candidate = CoastlineIndex.nearestPointOnSegment(
+                lat, lon, index.lat1[s], index.lon1[s], index.lat2[s], index.lon2[s]
+            );
+            expected = Math.min(expected, candidate.distance);
+        }
+        assert.strictEqual(CoastlineIndex.nearest(index, lat, lon).distance, expected);
+    }
+});
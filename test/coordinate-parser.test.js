@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CoordinateParser, Geocoding, APIClient, Gazetteer, createMemoryStorage, configure } = require('../node');
+
+/**
+ * Parse and round to 4 decimals for comparison
+ */
+function point(input) {
+    const { lat, lon, format, swapped } = CoordinateParser.parse(input);
+    return { lat: Number(lat.toFixed(4)), lon: Number(lon.toFixed(4)), format, swapped };
+}
+
+test('decimal, hemisphere and DMS notations are read', () => {
+    const chennai = { lat: 13.0825, lon: 80.2706, swapped: false };
+
+    assert.deepStrictEqual(point('13.0825, 80.2706'), { ...chennai, format: 'decimal' });
+    assert.deepStrictEqual(point('13.0825 80.2706'), { ...chennai, format: 'decimal' });
+    assert.deepStrictEqual(point('13.0825N 80.2706E'), { ...chennai, format: 'hemisphere' });
+    assert.deepStrictEqual(point('N 13.0825, E 80.2706'), { ...chennai, format: 'hemisphere' });
+    assert.deepStrictEqual(point('80.2706E 13.0825N'), { ...chennai, format: 'hemisphere' });
+    assert.deepStrictEqual(point('13°04\'57"N 80°16\'14"E'), { ...chennai, format: 'dms' });
+    assert.deepStrictEqual(point('13°04′57″N 80°16′14″E'), { ...chennai, format: 'dms' });
+    assert.deepStrictEqual(point('13 04 57 N 80 16 14 E'), { ...chennai, format: 'dms' });
+    assert.deepStrictEqual(point('13°04.95\'N 80°16.236\'E'), { ...chennai, format: 'dms' });
+
+    assert.deepStrictEqual(point('33°52\'S 151°12\'E'), { lat: -33.8667, lon: 151.2, format: 'dms', swapped: false });
+});
+
+test('a longitude-first pair is swapped when only that order fits', () => {
+    assert.deepStrictEqual(point('151.21, -33.87'), { lat: -33.87, lon: 151.21, format: 'decimal', swapped: true });
+    assert.deepStrictEqual(point('80.27, 13.08'), { lat: 80.27, lon: 13.08, format: 'decimal', swapped: false });
+});
+
+test('geo: links and map URLs are read', () => {
+    assert.deepStrictEqual(point('geo:13.08,80.27;u=35'), { lat: 13.08, lon: 80.27, format: 'geo', swapped: false });
+    assert.deepStrictEqual(point('geo:0,0?q=13.08,80.27(Chennai)'), { lat: 13.08, lon: 80.27, format: 'geo', swapped: false });
+
+    assert.deepStrictEqual(point('https://www.google.com/maps/@13.0827,80.2707,15z'),
+        { lat: 13.0827, lon: 80.2707, format: 'google', swapped: false });
+    // The place pin wins over the map centre
+    assert.deepStrictEqual(point('https://www.google.com/maps/place/Chennai/@13.04,80.1,11z/data=!4m6!3m5!8m2!3d13.0843!4d80.2705'),
+        { lat: 13.0843, lon: 80.2705, format: 'google', swapped: false });
+    assert.deepStrictEqual(point('https://www.google.com/maps/search/?api=1&query=13.08%2C80.27'),
+        { lat: 13.08, lon: 80.27, format: 'google', swapped: false });
+    assert.deepStrictEqual(point('https://www.openstreetmap.org/#map=12/13.08/80.27'),
+        { lat: 13.08, lon: 80.27, format: 'osm', swapped: false });
+});
+
+test('plus codes decode to the centre of their area', () => {
+    assert.deepStrictEqual(point('8FVC9G8F+6X'), { lat: 47.3656, lon: 8.5249, format: 'pluscode', swapped: false });
+    assert.deepStrictEqual(CoordinateParser.parse('9g8f+6x Zurich'), { format: 'pluscode', code: '9G8F+6X', reference: 'Zurich' });
+    // Short codes can be all digits before the +
+    assert.deepStrictEqual(CoordinateParser.parse('3734+2V Chennai'), { format: 'pluscode', code: '3734+2V', reference: 'Chennai' });
+    assert.strictEqual(Geocoding.looksLikeCoordinates('3734+2V Chennai'), true);
+
+    const recovered = CoordinateParser.recoverPlusCode('9G8F+6X', 47.4, 8.6);
+    assert.deepStrictEqual([recovered.lat.toFixed(7), recovered.lon.toFixed(7)], ['47.3655625', '8.5249375']);
+});
+
+test('place names are left for the geocoder', () => {
+    for (const input of ['Chennai', 'Salem 636001', 'Route 66', '600001', 'Kolli Hills', 'AB+ blood']) {
+        assert.strictEqual(CoordinateParser.parse(input), null, input);
+        assert.strictEqual(Geocoding.looksLikeCoordinates(input), false, input);
+    }
+});
+
+test('malformed coordinates get an error naming the problem', () => {
+    const cases = [
+        ['13°75\'N 80°16\'E', 'dms', /Minutes must be below 60/],
+        ['13.5°04\'N 80E', 'dms', /Only the last number may have decimals/],
+        ['13N 80N', 'hemisphere', /Both values are marked N\/S/],
+        ['-13S 80E', 'hemisphere', /either a minus sign or S/],
+        ['100, 200', 'decimal', /Latitude 100 is out of range/],
+        ['geo:13.08', 'geo', /needs latitude,longitude/],
+        ['geo:13.08,80.27;crs=utm', 'geo', /Only WGS-84/],
+        ['https://maps.app.goo.gl/abc', 'google', /Shortened Google Maps links/],
+        ['https://www.google.com/maps?q=Chennai', 'google', /searches for "Chennai"/],
+        ['9G8F+6X', 'pluscode', /needs a nearby town/],
+        ['8FVC9G8F+6', 'pluscode', /at least 2 characters after the \+/]
+    ];
+    for (const [input, format, message] of cases) {
+        assert.throws(() => CoordinateParser.parse(input), { name: 'CoordinateError', format, message }, input);
+        assert.strictEqual(Geocoding.looksLikeCoordinates(input), true, input);
+    }
+});
+
+test('search resolves short plus codes near the named place', async (t) => {
+    const { fetchAdapter } = APIClient;
+    const { providerOrder } = Geocoding;
+    Geocoding.configure({ providers: ['gazetteer'] });
+    Gazetteer._promise = null;
+    configure({ storage: createMemoryStorage() });
+    APIClient.fetchAdapter = async () => Response.json({
+        version: 1, countries: { CH: 'Switzerland' }, regions: {}, places: [['Zurich', 47.3667, 8.55, 'CH', '25', 'city', 341730]]
+    });
+    t.after(() => {
+        APIClient.fetchAdapter = fetchAdapter;
+        Geocoding.providerOrder = providerOrder;
+        Gazetteer._promise = null;
+    });
+
+    const result = await Geocoding.search('9G8F+6X Zurich');
+    assert.ok(Math.abs(result.lat - 47.3655625) < 1e-6 && Math.abs(result.lon - 8.5249375) < 1e-6,
+        `found ${result.lat}, ${result.lon}`);
+    assert.strictEqual(result.displayName, `9G8F+6X (${result.lat}, ${result.lon})`);
+});
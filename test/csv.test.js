@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CsvUtils = require('../js/csv');
+
+test('parse handles quoted fields and CRLF line endings', () => {
+    assert.deepStrictEqual(
+        CsvUtils.parse('name,lat\r\n"Delhi, India",28.7\r\n"say ""hi""",1\r\n'),
+        [['name', 'lat'], ['Delhi, India', '28.7'], ['say "hi"', '1']]
+    );
+});
+
+test('stringify round-trips through parse', () => {
+    const rows = [['input', 'region'], ['Delhi, India', 'Marudham'], ['say "hi"', '']];
+    assert.deepStrictEqual(CsvUtils.parse(CsvUtils.stringify(rows)), rows);
+});
+
+test('readPoints reads coordinate and name columns', () => {
+    assert.deepStrictEqual(CsvUtils.readPoints('Name,Latitude,Longitude\nChennai,13.08,80.27\nMadurai,,\n'), [
+        { input: 'Chennai', lat: 13.08, lon: 80.27, name: 'Chennai' },
+        { input: 'Madurai' }
+    ]);
+});
+
+test('readPoints accepts header-less coordinate and name rows', () => {
+    assert.deepStrictEqual(CsvUtils.readPoints('13.08,80.27\nSalem\n'), [
+        { input: '13.08,80.27', lat: 13.08, lon: 80.27 },
+        { input: 'Salem' }
+    ]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { GeoExport } = require('../node');
+
+const REGION_DATA = {
+    Neithal: { tamil: 'நெய்தல்', color: '#0ea5e9' },
+    Kurinji: { tamil: 'குறிஞ்சி', color: '#a855f7' }
+};
+
+const THRESHOLDS = {
+    COASTAL_DISTANCE: 50,
+    HIGH_ELEVATION: 1000,
+    MID_ELEVATION_MIN: 200,
+    LOW_ELEVATION: 200,
+    LOW_PRECIPITATION: 250
+};
+
+// A result as TerrainAnalyzer.classifyLocation returns it (the parts export reads)
+const CHENNAI = {
+    region: 'Neithal',
+    regionData: REGION_DATA.Neithal,
+    terrainData: { elevation: 6.4, coastDistance: 1.234, precipitation: 1402.6 },
+    ruleSet: 'Classical',
+    thresholds: THRESHOLDS,
+    coordinates: { lat: 13.0827, lon: 80.2707 },
+    classifiedAt: Date.UTC(2026, 0, 15, 6, 30)
+};
+
+test('toGeoJson writes a Point feature with flat classification properties', () => {
+    const collection = GeoExport.toGeoJson([GeoExport.fromResult(CHENNAI, 'Chennai, India')], { regionData: REGION_DATA });
+
+    assert.strictEqual(collection.type, 'FeatureCollection');
+    assert.deepStrictEqual(collection.features[0].geometry, { type: 'Point', coordinates: [80.2707, 13.0827] });
+    assert.deepStrictEqual(collection.features[0].properties, {
+        name: 'Chennai, India',
+        region: 'Neithal',
+        region_tamil: 'நெய்தல்',
+        elevation_m: 6,
+        coast_distance_km: 1.2,
+        precipitation_mm: 1403,
+        rule_set: 'Classical',
+        threshold_coastal_distance_km: 50,
+        threshold_high_elevation_m: 1000,
+        threshold_mid_elevation_min_m: 200,
+        threshold_low_elevation_m: 200,
+        threshold_low_precipitation_mm: 250,
+        classified_at: '2026-01-15T06:30:00.000Z'
+    });
+});
+
+test('toGeoJson leaves out records without a point and keeps unknown values as null', () => {
+    const collection = GeoExport.toGeoJson([
+        { name: 'Atlantis', error: 'Location not found' },
+        { name: 'Dry spell', lat: 10, lon: 78, region: 'Paalai', elevation: 120, coastDistance: 80, precipitation: null }
+    ]);
+    assert.strictEqual(collection.features.length, 1);
+    const { properties } = collection.features[0];
+    assert.strictEqual(properties.precipitation_mm, null);
+    assert.strictEqual(properties.region_tamil, null);
+    assert.strictEqual(properties.threshold_high_elevation_m, null);
+    assert.strictEqual(properties.classified_at, null);
+});
+
+test('fromHistory reads saved results and older region-only entries', () => {
+    const saved = GeoExport.fromHistory({
+        locationName: 'Chennai', region: 'Neithal', color: '#0ea5e9', lat: 13.08, lon: 80.27, ts: 1,
+        result: { ...CHENNAI, regionData: undefined }
+    });
+    assert.strictEqual(saved.name, 'Chennai');
+    assert.strictEqual(saved.elevation, 6.4);
+    assert.strictEqual(saved.color, '#0ea5e9');
+    assert.strictEqual(saved.classifiedAt, CHENNAI.classifiedAt);
+
+    const old = GeoExport.fromHistory({ locationName: 'Ooty', region: 'Kurinji', color: '#a855f7', lat: 11.41, lon: 76.7, ts: 1700000000000 });
+    assert.deepStrictEqual(GeoExport.properties(old).classified_at, '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(GeoExport.properties(old).elevation_m, null);
+});
+
+test('toKml writes styled placemarks with extended data', () => {
+    const kml = GeoExport.toKml([
+        GeoExport.fromResult(CHENNAI, 'Chennai & <Egmore>'),
+        { name: 'Ooty', lat: 11.41, lon: 76.7, region: 'Kurinji' }
+    ], { name: 'Test export', regionData: REGION_DATA });
+
+    assert.match(kml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+    assert.match(kml, /<Document>\s*<name>Test export<\/name>/);
+    // #0ea5e9 as aabbggrr
+    assert.match(kml, /<Style id="thinai-Neithal">\s*<IconStyle><color>ffe9a50e<\/color>/);
+    assert.match(kml, /<name>Chennai &amp; &lt;Egmore&gt;<\/name>/);
+    assert.match(kml, /<description>Neithal — நெய்தல்<\/description>/);
+    assert.match(kml, /<TimeStamp><when>2026-01-15T06:30:00.000Z<\/when><\/TimeStamp>/);
+    assert.match(kml, /<styleUrl>#thinai-Neithal<\/styleUrl>/);
+    assert.match(kml, /<Data name="threshold_coastal_distance_km"><value>50<\/value><\/Data>/);
+    assert.match(kml, /<Point><coordinates>80.2707,13.0827<\/coordinates><\/Point>/);
+    assert.strictEqual((kml.match(/<Placemark>/g) || []).length, 2);
+    // Unknown values are left out rather than written as "null"
+    assert.doesNotMatch(kml, /<value>null<\/value>/);
+});
+
+test('kmlColor reverses the color channels and adds full opacity', () => {
+    assert.strictEqual(GeoExport.kmlColor('#a855f7'), 'fff755a8');
+    assert.strictEqual(GeoExport.kmlColor('not a color'), 'ffffffff');
+});
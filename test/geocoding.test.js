@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    APIClient, Geocoding, NominatimClient, PhotonClient, Gazetteer, createMemoryStorage, configure
+} = require('../node');
+
+const BASE_URL = 'https://nominatim.test';
+
+/**
+ * Answer Nominatim requests with fetchFn on a test host, restoring the
+ * client afterwards. Returns the list of requests made.
+ */
+function stubNominatim(t, fetchFn) {
+    const { fetchAdapter } = APIClient;
+    const { BASE_URL: baseUrl, email } = NominatimClient;
+    const { providerOrder } = Geocoding;
+    const requests = [];
+
+    NominatimClient.configure({ baseUrl: BASE_URL });
+    Geocoding.configure({ providers: ['nominatim'] });
+    configure({ storage: createMemoryStorage() });
+    APIClient.fetchAdapter = async (url, options) => {
+        requests.push({ url: new URL(url), options, at: Date.now() });
+        return fetchFn(new URL(url));
+    };
+    t.after(() => {
+        APIClient.fetchAdapter = fetchAdapter;
+        delete APIClient.HOST_LIMITS['nominatim.test'];
+        APIClient._hosts.delete('nominatim.test');
+        NominatimClient.configure({ baseUrl, email });
+        Geocoding.providerOrder = providerOrder;
+    });
+    return requests;
+}
+
+const CHENNAI = [{ lat: '13.0836939', lon: '80.270186', display_name: 'Chennai, Tamil Nadu, India' }];
+
+test('a place-name search is sent at once with the policy headers', async (t) => {
+    const requests = stubNominatim(t, () => Response.json(CHENNAI));
+    NominatimClient.configure({ email: 'maps@example.org' });
+
+    const start = Date.now();
+    const result = await Geocoding.search('Chennai');
+
+    assert.deepStrictEqual([result.lat, result.lon, result.displayName], [13.0836939, 80.270186, 'Chennai, Tamil Nadu, India']);
+    assert.ok(Date.now() - start < 500, `search took ${Date.now() - start}ms`);
+    assert.strictEqual(requests.length, 1);
+
+    const { url, options } = requests[0];
+    assert.strictEqual(url.pathname, '/search');
+    assert.strictEqual(url.searchParams.get('q'), 'Chennai');
+    assert.strictEqual(url.searchParams.get('email'), 'maps@example.org');
+    assert.strictEqual(options.headers['User-Agent'], NominatimClient.USER_AGENT);
+});
+
+test('searches and reverse lookups share one limit of a request per second', async (t) => {
+    const requests = stubNominatim(t, (url) => url.pathname === '/reverse'
+        ? Response.json({ display_name: 'Madurai, Tamil Nadu, India' })
+        : Response.json(CHENNAI));
+
+    await Promise.all([
+        Geocoding.geocode('Chennai'),
+        NominatimClient.reverse(9.925, 78.12),
+        Geocoding.geocode('Chennai Central')
+    ]);
+
+    const gaps = requests.slice(1).map((request, i) => request.at - requests[i].at);
+    assert.ok(gaps.every(gap => gap >= 990 && gap < 1500), `gaps between requests: ${gaps.join(', ')}ms`);
+});
+
+test('reverse-geocoded names are cached for nearby points', async (t) => {
+    const requests = stubNominatim(t, () => Response.json({ display_name: 'Madurai, Tamil Nadu, India' }));
+
+    assert.strictEqual(await NominatimClient.reverse(9.925, 78.12), 'Madurai, Tamil Nadu, India');
+    assert.strictEqual(await NominatimClient.reverse(9.9251, 78.1203), 'Madurai, Tamil Nadu, India');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url.searchParams.get('zoom'), String(NominatimClient.REVERSE_ZOOM));
+});
+
+test('geocoding failures carry a user-facing message', async (t) => {
+    stubNominatim(t, (url) => url.searchParams.get('q') === 'Nowhere'
+        ? Response.json([])
+        : new Response('', { status: 500 }));
+
+    await assert.rejects(Geocoding.geocode('Nowhere'), { userMessage: /Location not found/ });
+    await assert.rejects(Geocoding.geocode('Chennai'), { userMessage: /temporarily unavailable/ });
+});
+
+test('suggestions list several candidates with country, type and extent', async (t) => {
+    const requests = stubNominatim(t, () => Response.json([
+        {
+            lat: '11.6538', lon: '78.1554', display_name: 'Salem, Tamil Nadu, India',
+            addresstype: 'city', boundingbox: ['11.49', '11.81', '77.99', '78.31'], address: { country: 'India' }
+        },
+        {
+            lat: '42.5195', lon: '-70.8967', display_name: 'Salem, Essex County, Massachusetts, United States',
+            addresstype: 'city', boundingbox: ['42.48', '42.55', '-70.95', '-70.86'], address: { country: 'United States' }
+        }
+    ]));
+    Geocoding._suggestionCache.clear();
+
+    assert.deepStrictEqual(await Geocoding.getSuggestions('Sa'), []);
+    assert.deepStrictEqual(await Geocoding.getSuggestions('13.08, 80.27'), []);
+    assert.strictEqual(requests.length, 0);
+
+    const suggestions = await Geocoding.getSuggestions('Salem');
+    assert.deepStrictEqual(suggestions.map(s => s.country), ['India', 'United States']);
+    assert.deepStrictEqual(suggestions[0], {
+        lat: 11.6538,
+        lon: 78.1554,
+        displayName: 'Salem, Tamil Nadu, India',
+        country: 'India',
+        type: 'city',
+        boundingBox: [11.49, 11.81, 77.99, 78.31]
+    });
+    assert.strictEqual(requests[0].url.searchParams.get('limit'), String(Geocoding.MAX_SUGGESTIONS));
+
+    // The same query, however it is spaced or cased, is answered from memory
+    await Geocoding.getSuggestions('  salem ');
+    assert.strictEqual(requests.length, 1);
+});
+
+test('suggestions are empty for unknown places', async (t) => {
+    stubNominatim(t, () => Response.json([]));
+    Geocoding._suggestionCache.clear();
+
+    assert.deepStrictEqual(await Geocoding.getSuggestions('Qwxzv'), []);
+});
+
+const GAZETTEER = {
+    version: 1,
+    countries: { IN: 'India', US: 'United States', BR: 'Brazil' },
+    regions: { 'IN.25': 'Tamil Nadu', 'US.MA': 'Massachusetts', 'BR.27': 'São Paulo' },
+    places: [
+        ['São Paulo', -23.5475, -46.6361, 'BR', '27', 'city', 10021295],
+        ['Salem', 11.6512, 78.1582, 'IN', '25', 'city', 829267],
+        ['Salem', 42.5195, -70.8967, 'US', 'MA', 'town', 43226],
+        ['Salempur', 26.3, 83.9167, 'IN', '36', 'town', 22000],
+        ['Kolli Hills', 11.3, 78.35, 'IN', '25', 'taluk', 0]
+    ]
+};
+
+/**
+ * Serve the gazetteer fixture and answer online providers with onlineFn
+ */
+function stubProviders(t, providers, onlineFn = () => new Response('', { status: 503 })) {
+    const { fetchAdapter } = APIClient;
+    const { providerOrder } = Geocoding;
+    const { BASE_URL: nominatimUrl } = NominatimClient;
+    const { BASE_URL: photonUrl } = PhotonClient;
+
+    NominatimClient.configure({ baseUrl: BASE_URL });
+    PhotonClient.configure({ baseUrl: 'https://photon.test' });
+    Geocoding.configure({ providers });
+    Geocoding._suggestionCache.clear();
+    Gazetteer._promise = null;
+    configure({ storage: createMemoryStorage() });
+    APIClient.fetchAdapter = async (url) => url === Gazetteer.URL
+        ? Response.json(GAZETTEER)
+        : onlineFn(new URL(url));
+
+    t.after(() => {
+        APIClient.fetchAdapter = fetchAdapter;
+        for (const host of ['nominatim.test', 'photon.test']) {
+            delete APIClient.HOST_LIMITS[host];
+            APIClient._hosts.delete(host);
+        }
+        Geocoding.providerOrder = providerOrder;
+        NominatimClient.configure({ baseUrl: nominatimUrl });
+        PhotonClient.configure({ baseUrl: photonUrl });
+        Gazetteer._promise = null;
+    });
+}
+
+test('the gazetteer ranks exact names and bigger places first', async (t) => {
+    stubProviders(t, ['gazetteer']);
+
+    const salems = await Gazetteer.search('salem', { limit: 5 });
+    assert.deepStrictEqual(salems.map(place => place.displayName), [
+        'Salem, Tamil Nadu, India',
+        'Salem, Massachusetts, United States',
+        'Salempur, India'
+    ]);
+    assert.deepStrictEqual(salems[0], {
+        lat: 11.6512,
+        lon: 78.1582,
+        displayName: 'Salem, Tamil Nadu, India',
+        country: 'India',
+        type: 'city',
+        boundingBox: null
+    });
+
+    // Text after a comma narrows by region or country; accents are optional
+    assert.strictEqual((await Gazetteer.search('Salem, Massachusetts'))[0].country, 'United States');
+    assert.strictEqual((await Gazetteer.search('Salem, US'))[0].lat, 42.5195);
+    assert.strictEqual((await Gazetteer.search('sao paulo'))[0].displayName, 'São Paulo, São Paulo, Brazil');
+    await assert.rejects(Gazetteer.search('Salem, Brazil'), /not found/);
+});
+
+test('the gazetteer names the nearest place within range', async (t) => {
+    stubProviders(t, ['gazetteer']);
+
+    assert.strictEqual(await Gazetteer.reverse(11.4, 78.3), 'Kolli Hills, Tamil Nadu, India');
+    assert.strictEqual(await Gazetteer.reverse(0, 0), null);
+});
+
+test('the bundled gazetteer has Tamil Nadu villages from the post office directory', async (t) => {
+    Gazetteer._promise = null;
+    t.mock.method(console, 'log', () => {});
+    t.after(() => { Gazetteer._promise = null; });
+
+    const places = await Gazetteer.load();
+    const tamilNadu = places.filter(place => place.region === 'Tamil Nadu');
+    assert.ok(tamilNadu.filter(place => place.type === 'village').length > 8000);
+
+    const [village] = await Gazetteer.search('Arukkampatti, Tamil Nadu');
+    assert.strictEqual(village.displayName, 'Arukkampatti, Tamil Nadu, India');
+    assert.strictEqual(village.type, 'village');
+    // Post offices named after a place already listed don't repeat it
+    assert.strictEqual((await Gazetteer.search('Salem, Tamil Nadu', { limit: 5 }))
+        .filter(place => place.displayName === 'Salem, Tamil Nadu, India').length, 1);
+});
+
+test('a missing gazetteer is reported as such rather than as an outage', async (t) => {
+    stubProviders(t, ['gazetteer']);
+    APIClient.fetchAdapter = async () => new Response('Not found', { status: 404 });
+
+    await assert.rejects(Gazetteer.search('Madurai'), { name: 'GazetteerError', message: /data\/gazetteer\.json: HTTP 404/ });
+    await assert.rejects(Geocoding.geocode('Madurai'), { userMessage: /offline place list .* could not be loaded/ });
+
+    // A corrupt file fails the same way
+    APIClient.fetchAdapter = async () => new Response('{"places": [', { status: 200 });
+    await assert.rejects(Geocoding.geocode('Madurai'), { userMessage: /offline place list/ });
+});
+
+test('searches fail over to the next provider', async (t) => {
+    stubProviders(t, ['nominatim', 'gazetteer']);
+
+    const result = await Geocoding.geocode('Kolli Hills');
+    assert.strictEqual(result.displayName, 'Kolli Hills, Tamil Nadu, India');
+    assert.strictEqual(await Geocoding.reverse(11.4, 78.3), 'Kolli Hills, Tamil Nadu, India');
+
+    // When no provider finds the place, the first provider's error is reported
+    await assert.rejects(Geocoding.geocode('Atlantis'), { userMessage: /temporarily unavailable/ });
+});
+
+test('online providers are skipped while offline', async (t) => {
+    let online = 0;
+    stubProviders(t, ['nominatim', 'gazetteer'], () => {
+        online++;
+        return Response.json([]);
+    });
+    t.mock.method(Geocoding, 'isOffline', () => true);
+
+    assert.strictEqual((await Geocoding.search('Salem')).country, 'India');
+    assert.strictEqual(online, 0);
+});
+
+test('Photon results are normalised to the common place shape', async (t) => {
+    stubProviders(t, ['photon'], (url) => {
+        assert.strictEqual(url.pathname, '/api');
+        return Response.json({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [78.1582, 11.6512] },
+                properties: {
+                    name: 'Salem', state: 'Tamil Nadu', country: 'India',
+                    osm_value: 'city', type: 'city', extent: [77.99, 11.81, 78.31, 11.49]
+                }
+            }]
+        });
+    });
+
+    const [place] = await Geocoding.getSuggestions('Salem');
+    assert.deepStrictEqual(place, {
+        lat: 11.6512,
+        lon: 78.1582,
+        displayName: 'Salem, Tamil Nadu, India',
+        country: 'India',
+        type: 'city',
+        boundingBox: [11.49, 11.81, 77.99, 78.31]
+    });
+});
+
+test('unknown providers are rejected', () => {
+    assert.throws(() => Geocoding.configure({ providers: 'nominatim,google' }), /Unknown geocoding provider "google"/);
+});
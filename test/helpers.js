@@ -0,0 +1,25 @@
+/**
+ * Test Helpers
+ * Canned Open-Meteo responses for stubbed fetch adapters
+ */
+
+/**
+ * Build an archive API response covering the start_date..end_date of the URL
+ * dailyMm(date) gives the precipitation for each ISO date (null for missing)
+ */
+function archiveResponse(url, dailyMm) {
+    const params = new URL(url).searchParams;
+    const time = [];
+    const precipitation = [];
+
+    const end = new Date(`${params.get('end_date')}T00:00:00Z`);
+    for (let day = new Date(`${params.get('start_date')}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = day.toISOString().slice(0, 10);
+        time.push(date);
+        precipitation.push(dailyMm(date));
+    }
+
+    return Response.json({ daily: { time, precipitation_sum: precipitation } });
+}
+
+module.exports = { archiveResponse };
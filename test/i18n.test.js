@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { I18n, TerrainAnalyzer, Geocoding } = require('../node');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run fn in Tamil, switching back to English afterwards
+ */
+function inTamil(t, fn) {
+    I18n.setLanguage('ta');
+    t.after(() => I18n.setLanguage('en'));
+    return fn();
+}
+
+test('the Tamil catalog covers every English message and parameter', () => {
+    const { en, ta } = I18n.messages;
+    assert.deepStrictEqual(Object.keys(ta).sort(), Object.keys(en).sort());
+
+    const params = message => (message.match(/\{\w+\}/g) || []).sort();
+    for (const key of Object.keys(en)) {
+        assert.deepStrictEqual(params(ta[key]), params(en[key]), key);
+    }
+});
+
+test('every data-i18n key in index.html has a message', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const keys = [...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]);
+    assert.ok(keys.length > 50);
+    for (const key of keys) {
+        assert.ok(key in I18n.messages.en, `missing message "${key}"`);
+    }
+});
+
+test('terrain values are written in Tamil numerals and units', (t) => {
+    assert.strictEqual(TerrainAnalyzer.formatElevation(1234), '1.23 km');
+    assert.strictEqual(TerrainAnalyzer.formatDistance(0.42), '420 m');
+    assert.strictEqual(TerrainAnalyzer.formatArea(2452.3), '2452 km²');
+    assert.strictEqual(TerrainAnalyzer.formatArea(0.84), '0.8 km²');
+
+    inTamil(t, () => {
+        assert.strictEqual(TerrainAnalyzer.formatElevation(850.4), '௮௫௦ மீ');
+        assert.strictEqual(TerrainAnalyzer.formatElevation(1234), '௧.௨௩ கி.மீ');
+        assert.strictEqual(TerrainAnalyzer.formatElevation(-3), 'கடல் மட்டத்துக்குக் கீழ்');
+        assert.strictEqual(TerrainAnalyzer.formatDistance(0.42), '௪௨௦ மீ');
+        assert.strictEqual(TerrainAnalyzer.formatDistance(347), '௩௫௦ கி.மீ');
+        assert.strictEqual(TerrainAnalyzer.formatArea(2452.3), '௨௪௫௨ ச.கி.மீ');
+        assert.strictEqual(TerrainAnalyzer.formatPrecipitation(1402.6), 'ஆண்டுக்கு ௧௪௦௩ மி.மீ');
+        assert.strictEqual(TerrainAnalyzer.formatPrecipitation(null), 'கிடைக்கவில்லை');
+    });
+});
+
+test('geocoding errors are reported in the interface language', (t) => {
+    assert.match(Geocoding.handleGeocodingError(new Error('Location not found')).userMessage, /^Location not found/);
+
+    inTamil(t, () => {
+        const error = Geocoding.handleGeocodingError(new Error('Location not found'));
+        assert.match(error.userMessage, /^இடம் கிடைக்கவில்லை/);
+        // The technical message stays in English for logs
+        assert.strictEqual(error.message, 'Location not found');
+    });
+});
+
+test('region fields fall back to English without a Tamil version', (t) => {
+    const regions = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'regions.json'), 'utf8'));
+    assert.strictEqual(I18n.field(regions.Kurinji, 'description'), regions.Kurinji.description);
+
+    inTamil(t, () => {
+        for (const [name, region] of Object.entries(regions)) {
+            assert.strictEqual(I18n.field(region, 'description'), region.descriptionTamil, name);
+            assert.strictEqual(I18n.field(region, 'characteristics').length, region.characteristics.length, name);
+        }
+        assert.strictEqual(I18n.field({ description: 'Only English' }, 'description'), 'Only English');
+    });
+});
+
+test('messages fill in parameters and unknown languages are rejected', () => {
+    assert.strictEqual(I18n.t('confidence.runnerUp', { region: 'Mullai' }), 'Runner-up: Mullai');
+    assert.throws(() => I18n.setLanguage('fr'), /Unknown language "fr"/);
+    assert.strictEqual(I18n.language, 'en');
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyLocation } = require('../node');
+const { testLocations } = require('../test-locations');
+
+// These cases call the live Open-Meteo APIs; opt in with AINTHINAI_LIVE_TESTS=1
+const skip = !process.env.AINTHINAI_LIVE_TESTS && 'set AINTHINAI_LIVE_TESTS=1 to run live API tests';
+
+for (const [expectedRegion, locations] of Object.entries(testLocations)) {
+    for (const location of locations) {
+        test(`${location.name} is ${expectedRegion}`, { skip }, async () => {
+            const result = await classifyLocation(location.lat, location.lon);
+            assert.strictEqual(result.region.toLowerCase(), expectedRegion);
+        });
+    }
+}
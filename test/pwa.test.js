@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { I18n } = require('../node');
+const { createMemoryStorage } = require('../node/adapters');
+
+const ROOT = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+const precacheUrls = () => JSON.parse(read('sw.js').match(/PRECACHE_URLS = (\[[\s\S]*?\]);/)[1].replace(/'/g, '"'));
+
+test('the service worker precaches every local script and stylesheet of index.html and the offline data', () => {
+    const html = read('index.html');
+    const precache = precacheUrls();
+    const local = [...html.matchAll(/(?:src|href)="((?:js|css)\/[^"]+)"/g)].map(m => m[1]);
+
+    assert.ok(local.length > 10);
+    const data = ['data/regions.json', 'data/gazetteer.json', 'data/grids/precipitation-coarse.bin'];
+    for (const file of [...local, ...data, 'manifest.webmanifest']) {
+        assert.ok(precache.includes(file), `${file} is not precached`);
+    }
+    for (const file of precache.filter(f => f !== './')) {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} does not exist`);
+    }
+});
+
+/**
+ * Run the service worker's install step against a fake cache and network
+ * serving files. Resolves to the URLs cached.
+ */
+async function installServiceWorker(files) {
+    const listeners = {};
+    const cached = new Map();
+    const cache = {
+        async addAll(urls) {
+            for (const url of urls) cached.set(url, await context.fetch(url));
+        },
+        async put(url, response) { cached.set(url, response); }
+    };
+    const context = {
+        self: { addEventListener: (type, listener) => { listeners[type] = listener; }, skipWaiting() {} },
+        caches: { open: async () => cache },
+        fetch: async (url) => url in files ? new Response(files[url]) : new Response(null, { status: 404 }),
+        URL
+    };
+    vm.runInNewContext(read('sw.js'), context);
+
+    let installing;
+    listeners.install({ waitUntil: (promise) => { installing = promise; } });
+    await installing;
+    return [...cached.keys()];
+}
+
+test('the service worker precaches the offline terrain tiles a deployment has built', async () => {
+    const precache = precacheUrls();
+    const shell = Object.fromEntries(precache.map(url => [url, '']));
+
+    // Without tiles only the precache list is cached
+    assert.deepStrictEqual(await installServiceWorker(shell), precache);
+
+    const cached = await installServiceWorker({
+        ...shell,
+        'data/grids/tiles/manifest.json': JSON.stringify({
+            tileSize: 10,
+            variables: {
+                elevation: { step: 0.25, tiles: ['N00E070', 'N10E070'] },
+                precipitation: { step: 0.25, tiles: ['N10E070'] }
+            }
+        }),
+        'data/grids/tiles/elevation/N00E070.bin': '',
+        'data/grids/tiles/elevation/N10E070.bin': '',
+        'data/grids/tiles/precipitation/N10E070.bin': ''
+    });
+    assert.deepStrictEqual(cached.slice(precache.length), [
+        'data/grids/tiles/elevation/N00E070.bin',
+        'data/grids/tiles/elevation/N10E070.bin',
+        'data/grids/tiles/precipitation/N10E070.bin',
+        'data/grids/tiles/manifest.json'
+    ]);
+});
+
+test('the web app manifest names existing icons', () => {
+    const manifest = JSON.parse(read('manifest.webmanifest'));
+    assert.strictEqual(manifest.display, 'standalone');
+    assert.ok(manifest.icons.some(icon => icon.sizes === '512x512'));
+    for (const icon of manifest.icons) {
+        assert.ok(fs.existsSync(path.join(ROOT, icon.src)), `${icon.src} does not exist`);
+    }
+});
+
+test('LookupQueue keeps lookups until they have run', async (t) => {
+    global.localStorage = createMemoryStorage();
+    global.I18n = I18n;
+    t.after(() => {
+        delete global.localStorage;
+        delete global.I18n;
+    });
+    const LookupQueue = require('../js/lookup-queue');
+
+    LookupQueue.add({ query: 'Madurai' });
+    LookupQueue.add({ query: ' madurai ' });
+    LookupQueue.add({ lat: 10.79, lon: 78.7049, name: null });
+    assert.deepStrictEqual(LookupQueue.load().map(l => LookupQueue.label(l)), ['Madurai', '10.7900, 78.7049']);
+
+    const ran = [];
+    const outcome = await LookupQueue.process(async (lookup) => {
+        ran.push(LookupQueue.label(lookup));
+        if (lookup.query) throw new Error('Location not found');
+    });
+
+    assert.deepStrictEqual(ran, ['Madurai', '10.7900, 78.7049']);
+    assert.deepStrictEqual(outcome, { completed: 1, failed: 1 });
+    assert.deepStrictEqual(LookupQueue.load(), []);
+    assert.match(LookupQueue.status, /1 queued lookup finished.*1 could not be classified/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ainthinai = require('../node');
+const { RuleEngine, TerrainAnalyzer } = ainthinai;
+
+const rulesFile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'rules.json'), 'utf8'));
+
+test('the built-in rules match data/rules.json', () => {
+    const strip = (ruleSet) => ruleSet.rules.map(({ region, when }) => ({ region, when }));
+    assert.deepStrictEqual(strip(TerrainAnalyzer.DEFAULT_RULES), strip(rulesFile));
+    assert.deepStrictEqual(TerrainAnalyzer.DEFAULT_RULES.variables, rulesFile.variables);
+    RuleEngine.validate(rulesFile, TerrainAnalyzer.DEFAULT_THRESHOLDS);
+});
+
+test('evaluate stops at the first matching rule and traces every rule tried', () => {
+    const outcome = RuleEngine.evaluate(rulesFile, { elevation: 215, coastDistance: 1000, precipitation: 700 },
+        TerrainAnalyzer.DEFAULT_THRESHOLDS);
+
+    assert.strictEqual(outcome.region, 'Mullai');
+    assert.strictEqual(outcome.rule.region, 'Mullai');
+    assert.deepStrictEqual(outcome.trace.map(t => [t.region, t.matched]),
+        [['Neithal', false], ['Kurinji', false], ['Paalai', false], ['Mullai', true]]);
+
+    const failed = outcome.trace[1].predicates.find(p => !p.passed);
+    assert.deepStrictEqual(failed, {
+        variable: 'elevation', op: '>=', threshold: 1000, thresholdName: 'HIGH_ELEVATION', value: 215, passed: false
+    });
+
+    assert.match(RuleEngine.formatTrace(outcome.trace)[3], /^✅ Mullai: ✓ elevation 215 >= 200/);
+});
+
+test('evaluate returns no region when nothing matches', () => {
+    const outcome = RuleEngine.evaluate(rulesFile, { elevation: 450, coastDistance: 20, precipitation: 1200 },
+        TerrainAnalyzer.DEFAULT_THRESHOLDS);
+    assert.strictEqual(outcome.region, null);
+    assert.strictEqual(outcome.trace.length, 5);
+});
+
+test('validate reports malformed rule sets', () => {
+    const thresholds = TerrainAnalyzer.DEFAULT_THRESHOLDS;
+    const rule = (predicate) => ({ variables: ['elevation'], rules: [{ region: 'Kurinji', when: [predicate] }] });
+
+    assert.throws(() => RuleEngine.validate({ rules: [] }, thresholds), /non-empty "rules"/);
+    assert.throws(() => RuleEngine.validate(rule({ variable: 'slope', op: '>', threshold: 5 }), thresholds), /unknown variable "slope"/);
+    assert.throws(() => RuleEngine.validate(rule({ variable: 'elevation', op: '=>', threshold: 5 }), thresholds), /unknown operator/);
+    assert.throws(() => RuleEngine.validate(rule({ variable: 'elevation', op: '>', threshold: 'PEAK' }), thresholds), /unknown threshold "PEAK"/);
+    assert.doesNotThrow(() => RuleEngine.validate(rule({ variable: 'elevation', op: '>', threshold: 600 }), thresholds));
+});
+
+test('setRules swaps in an alternative rule set', (t) => {
+    t.after(() => { TerrainAnalyzer.rules = null; });
+
+    // Hills from 600 m take precedence over the coast
+    TerrainAnalyzer.setRules({
+        name: 'Hills first',
+        variables: ['elevation', 'coastDistance', 'precipitation'],
+        rules: [
+            { region: 'Kurinji', when: [{ variable: 'elevation', op: '>=', threshold: 600 }] },
+            ...rulesFile.rules
+        ]
+    });
+
+    const result = TerrainAnalyzer.evaluateRules({ elevation: 700, coastDistance: 30, precipitation: 1500 });
+    assert.strictEqual(result.region, 'Kurinji');
+    assert.strictEqual(result.usedBestFit, false);
+    assert.strictEqual(TerrainAnalyzer.getRegionConditions().Kurinji[0][2], 600);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { I18n } = require('../node');
+
+const SALEMS = [
+    { lat: 11.6512, lon: 78.1582, displayName: 'Salem, Tamil Nadu, India', country: 'India', type: 'city', boundingBox: null },
+    { lat: 42.5195, lon: -70.8967, displayName: 'Salem, Massachusetts, United States', country: 'United States', type: 'city', boundingBox: null }
+];
+
+/**
+ * Attach SearchSuggestions to a stand-in input and list; returns the places picked
+ */
+function attach(t) {
+    global.I18n = I18n;
+    t.after(() => { delete global.I18n; });
+    const SearchSuggestions = require('../js/search-suggestions');
+
+    const element = (id) => {
+        const classes = new Set(['hidden']);
+        return {
+            id,
+            attributes: {},
+            innerHTML: '',
+            focused: false,
+            classList: {
+                add: (name) => classes.add(name),
+                remove: (name) => classes.delete(name),
+                contains: (name) => classes.has(name)
+            },
+            setAttribute(name, value) { this.attributes[name] = value; },
+            removeAttribute(name) { delete this.attributes[name]; },
+            addEventListener() {},
+            querySelectorAll: () => [],
+            focus() { this.focused = true; }
+        };
+    };
+    const input = element('location-input');
+    const list = element('location-suggestions');
+
+    const picked = [];
+    SearchSuggestions.init(input, list, place => picked.push(place));
+    t.after(() => SearchSuggestions.close());
+    return { SearchSuggestions, input, list, picked };
+}
+
+test('searching with several candidates listed asks for a pick', (t) => {
+    const { SearchSuggestions, input, list, picked } = attach(t);
+
+    // Nothing listed: the search goes ahead
+    assert.strictEqual(SearchSuggestions.interceptSearch(), false);
+
+    SearchSuggestions.show(SALEMS);
+    const enter = { key: 'Enter', defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+    SearchSuggestions.handleKeydown(enter);
+    assert.strictEqual(enter.defaultPrevented, false);
+
+    assert.strictEqual(SearchSuggestions.interceptSearch(), true);
+    assert.deepStrictEqual(picked, []);
+    assert.ok(SearchSuggestions.isOpen());
+    assert.match(list.innerHTML, /suggestion-prompt.*Pick one/s);
+    assert.ok(input.focused);
+
+    // The pick classifies the candidate chosen
+    SearchSuggestions.highlight(1);
+    assert.strictEqual(SearchSuggestions.interceptSearch(), true);
+    assert.deepStrictEqual(picked, [SALEMS[1]]);
+    assert.strictEqual(SearchSuggestions.isOpen(), false);
+});
+
+test('searching with one candidate listed picks it', (t) => {
+    const { SearchSuggestions, picked } = attach(t);
+
+    SearchSuggestions.show(SALEMS.slice(0, 1));
+    assert.strictEqual(SearchSuggestions.interceptSearch(), true);
+    assert.deepStrictEqual(picked, [SALEMS[0]]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TerrainAnalyzer } = require('../node');
+const { createMemoryStorage } = require('../node/adapters');
+
+const STORAGE_KEY = 'ainthinai_presets_v1';
+
+/**
+ * Load SettingsModule against in-memory storage holding saved, with no page to bind
+ */
+function withStorage(t, saved) {
+    global.localStorage = createMemoryStorage();
+    if (saved !== undefined) global.localStorage.setItem(STORAGE_KEY, saved);
+    global.TerrainAnalyzer = TerrainAnalyzer;
+    global.document = { getElementById: () => null };
+    t.mock.method(console, 'warn', () => {});
+    t.after(() => {
+        delete global.localStorage;
+        delete global.TerrainAnalyzer;
+        delete global.document;
+        TerrainAnalyzer.setThresholds({});
+    });
+    return require('../js/settings');
+}
+
+test('init restores a valid saved preset', (t) => {
+    const SettingsModule = withStorage(t, JSON.stringify({
+        presets: { Deccan: { HIGH_ELEVATION: 800 } },
+        active: 'Deccan'
+    }));
+    SettingsModule.init();
+    assert.strictEqual(SettingsModule.activePreset, 'Deccan');
+    assert.strictEqual(TerrainAnalyzer.THRESHOLDS.HIGH_ELEVATION, 800);
+});
+
+test('init falls back to the default preset and drops an invalid saved one', (t) => {
+    const SettingsModule = withStorage(t, JSON.stringify({
+        // Out of range: the low elevation threshold must stay below the high one
+        presets: { Broken: { LOW_ELEVATION: 900, HIGH_ELEVATION: 600 }, Kept: { COASTAL_DISTANCE: 30 } },
+        active: 'Broken'
+    }));
+    assert.doesNotThrow(() => SettingsModule.init());
+    assert.strictEqual(SettingsModule.activePreset, SettingsModule.DEFAULT_PRESET);
+    assert.deepStrictEqual(TerrainAnalyzer.THRESHOLDS, TerrainAnalyzer.DEFAULT_THRESHOLDS);
+
+    const stored = JSON.parse(global.localStorage.getItem(STORAGE_KEY));
+    assert.deepStrictEqual(stored, { presets: { Kept: { COASTAL_DISTANCE: 30 } }, active: SettingsModule.DEFAULT_PRESET });
+});
+
+test('init falls back to the default preset when storage is not JSON', (t) => {
+    const SettingsModule = withStorage(t, '{not json');
+    SettingsModule.activePreset = 'Custom';
+    assert.doesNotThrow(() => SettingsModule.init());
+    assert.strictEqual(SettingsModule.activePreset, SettingsModule.DEFAULT_PRESET);
+});
+
+test('shared links carry the thresholds even at the defaults', (t) => {
+    const SettingsModule = withStorage(t);
+    SettingsModule.init();
+    assert.deepStrictEqual(SettingsModule.getUrlParams(), { t: '50,1000,200,200,250', preset: 'Global default' });
+});
+
+test('a shared link overrides the recipient\'s saved preset', (t) => {
+    const SettingsModule = withStorage(t, JSON.stringify({
+        presets: { Deccan: { HIGH_ELEVATION: 800 } },
+        active: 'Deccan'
+    }));
+    SettingsModule.init();
+
+    assert.strictEqual(SettingsModule.applyFromUrl(new URLSearchParams('lat=10.2&lon=77.5&t=50,1000,200,200,250&preset=Global+default')), true);
+    assert.deepStrictEqual(TerrainAnalyzer.THRESHOLDS, TerrainAnalyzer.DEFAULT_THRESHOLDS);
+    assert.strictEqual(SettingsModule.activePreset, 'Global default');
+
+    // Links from before thresholds were always included were made at the defaults
+    SettingsModule.init();
+    assert.strictEqual(SettingsModule.applyFromUrl(new URLSearchParams('q=Kodaikanal')), true);
+    assert.deepStrictEqual(TerrainAnalyzer.THRESHOLDS, TerrainAnalyzer.DEFAULT_THRESHOLDS);
+
+    // A page opened without a result keeps the saved preset
+    SettingsModule.init();
+    assert.strictEqual(SettingsModule.applyFromUrl(new URLSearchParams('')), false);
+    assert.strictEqual(SettingsModule.activePreset, 'Deccan');
+});
+
+test('a shared preset name is only shown when it matches the thresholds', (t) => {
+    const SettingsModule = withStorage(t);
+    const shared = (query) => {
+        SettingsModule.applyFromUrl(new URLSearchParams(`lat=10.2&lon=77.5&${query}`));
+        return SettingsModule.activePreset;
+    };
+
+    assert.strictEqual(shared('t=50,600,200,200,250&preset=Tamil+Nadu+scholarly'), 'Tamil Nadu scholarly');
+    assert.strictEqual(shared('t=50,1000,200,200,250&preset=Tamil+Nadu+scholarly'), 'Shared link');
+    assert.strictEqual(shared('t=50,1000,200,200,250&preset=Official+government+thresholds'), 'Shared link');
+});
@@ -0,0 +1,364 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { I18n, TerrainAnalyzer, APIClient, GeoExport, RuleEngine, CoordinateParser } = require('../node');
+const { createMemoryStorage } = require('../node/adapters');
+
+const REGION_DATA = {
+    Neithal: {
+        tamil: 'நெய்தல்',
+        icon: '🌊',
+        color: '#0ea5e9',
+        emotion: 'ஏக்கமும் பிரிவும்',
+        emotionEnglish: 'Longing & Separation'
+    },
+    Kurinji: { tamil: 'குறிஞ்சி', icon: '🏔️', color: '#a855f7' }
+};
+
+// Format names and file types are written the same in both languages
+const UNTRANSLATED = /GeoJSON|KML|CSV/g;
+
+/**
+ * A stand-in for the page: elements are made on first lookup and keep what
+ * the modules write into them. querySelectorAll answers from children.
+ */
+function fakeDocument() {
+    const elements = new Map();
+    const element = () => ({
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        style: {},
+        dataset: {},
+        attributes: {},
+        listeners: {},
+        children: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener(type, listener) { this.listeners[type] = listener; },
+        querySelectorAll(selector) { return this.children[selector] || []; },
+        setAttribute(name, value) { this.attributes[name] = value; },
+        scrollIntoView() {},
+        select() {},
+        click() {}
+    });
+    return {
+        elements,
+        documentElement: {},
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, element());
+            return elements.get(id);
+        },
+        querySelectorAll: () => [],
+        createElement: element,
+        execCommand() {},
+        body: { appendChild() {}, removeChild() {} }
+    };
+}
+
+/**
+ * Text a reader sees in an element: its text, the text between the tags of
+ * its markup and the titles, labels and placeholders in either
+ */
+function visibleStrings(el) {
+    const markup = el.innerHTML;
+    const attributes = [...markup.matchAll(/\s(?:title|aria-label|placeholder)="([^"]*)"/g)].map(m => m[1]);
+    const text = markup.replace(/<[^>]*>/g, ' ');
+    return [el.textContent, text, ...attributes, ...Object.values(el.attributes)];
+}
+
+function assertNoEnglish(strings, where) {
+    for (const string of strings) {
+        const left = String(string).replace(UNTRANSLATED, '');
+        assert.doesNotMatch(left, /[A-Za-z]{2,}/, `English in ${where}: ${string}`);
+    }
+}
+
+/**
+ * Load the page modules in Tamil against a fake page
+ */
+function tamilPage(t) {
+    const document = fakeDocument();
+    const globals = {
+        document,
+        localStorage: createMemoryStorage(),
+        window: { location: { href: 'https://ainthinai.test/' }, open() {} },
+        I18n,
+        TerrainAnalyzer,
+        APIClient,
+        GeoExport,
+        CsvUtils: require('../js/csv'),
+        MapView: require('../js/map'),
+        Geocoding: { search: async () => { throw { userMessage: I18n.t('geocoding.failed') }; } }
+    };
+    for (const [name, value] of Object.entries(globals)) global[name] = value;
+    globals.SettingsModule = global.SettingsModule = require('../js/settings');
+
+    I18n.setLanguage('ta');
+    t.mock.method(console, 'warn', () => {});
+    t.after(() => {
+        I18n.setLanguage('en');
+        TerrainAnalyzer.setThresholds({});
+        for (const name of Object.keys(globals)) delete global[name];
+    });
+    return document;
+}
+
+test('the batch table and its status are written in Tamil', async (t) => {
+    const document = tamilPage(t);
+    const BatchModule = require('../js/batch');
+    const { ROW_DELAY } = BatchModule;
+    BatchModule.ROW_DELAY = 0;
+    t.after(() => { BatchModule.ROW_DELAY = ROW_DELAY; });
+
+    const loading = [];
+    global.App = { showLoading: message => loading.push(message), classifyAndDisplay() {} };
+    t.after(() => { delete global.App; });
+
+    const status = document.getElementById('batch-status');
+    await BatchModule.run('name');
+    assertNoEnglish([status.textContent], 'the empty file status');
+
+    const classified = [];
+    t.mock.method(TerrainAnalyzer, 'classifyLocation', async (lat, lon) => ({
+        region: lat > 11 ? 'Neithal' : 'Kurinji',
+        regionData: lat > 11 ? REGION_DATA.Neithal : REGION_DATA.Kurinji,
+        terrainData: { elevation: 2100, coastDistance: 140.5, precipitation: lat > 11 ? null : 1650 },
+        provenance: { precipitation: { estimated: true } }
+    }));
+    const original = BatchModule._setStatus;
+    t.mock.method(BatchModule, '_setStatus', function (...args) {
+        original.apply(this, args);
+        classified.push(status.textContent);
+    });
+
+    // Place names are the reader's own input, so the fixtures use Tamil ones
+    await BatchModule.run('name,lat,lon\nசென்னை,13.08,80.27\nஊட்டி,10.4,76.7\nஅட்லாண்டிஸ்,,');
+    assert.strictEqual(BatchModule.rows.length, 3);
+    assertNoEnglish(classified, 'the batch progress');
+
+    const table = document.getElementById('batch-table');
+    const row = { dataset: { index: '0' }, listeners: {}, addEventListener(type, listener) { this.listeners[type] = listener; } };
+    table.children['.batch-row'] = [row];
+    BatchModule.render();
+    row.listeners.click();
+
+    assert.match(table.innerHTML, /நெய்தல்/);
+    assertNoEnglish(visibleStrings(table), 'the batch table');
+    assertNoEnglish(loading, 'the loading message');
+});
+
+test('the threshold settings and their messages are written in Tamil', (t) => {
+    const document = tamilPage(t);
+    const SettingsModule = global.SettingsModule;
+
+    SettingsModule.init();
+    SettingsModule.render();
+    const strings = [
+        ...visibleStrings(document.getElementById('settings-fields')),
+        ...visibleStrings(document.getElementById('settings-preset')),
+        document.getElementById('settings-active-preset').textContent
+    ];
+
+    const status = document.getElementById('settings-status');
+    const form = (values) => t.mock.method(SettingsModule, '_readForm', () => values);
+    form({ HIGH_ELEVATION: 800 });
+    SettingsModule._applyFromForm();
+    strings.push(status.textContent);
+    form({ COASTAL_DISTANCE: -5 });
+    SettingsModule._applyFromForm();
+    strings.push(status.textContent);
+    form({ LOW_ELEVATION: 900, HIGH_ELEVATION: 600 });
+    SettingsModule._applyFromForm();
+    strings.push(status.textContent);
+
+    form({ HIGH_ELEVATION: 700 });
+    document.getElementById('settings-preset-name').value = 'மலைநாடு';
+    SettingsModule._saveFromForm();
+    strings.push(status.textContent);
+    document.getElementById('settings-preset-name').value = 'Global default';
+    SettingsModule._saveFromForm();
+    strings.push(status.textContent);
+
+    assert.match(strings.join('\n'), /குறிஞ்சி உயரம்/);
+    assertNoEnglish(strings, 'the settings panel');
+});
+
+test('the lookup queue is written in Tamil', async (t) => {
+    const document = tamilPage(t);
+    const LookupQueue = require('../js/lookup-queue');
+
+    LookupQueue.add({ query: 'மதுரை' });
+    LookupQueue.add({ query: 'அட்லாண்டிஸ்' });
+    const section = document.getElementById('queue-section');
+    const strings = visibleStrings(section);
+
+    await LookupQueue.process(async (lookup) => {
+        if (lookup.query === 'அட்லாண்டிஸ்') throw new Error('Location not found');
+    });
+    strings.push(...visibleStrings(section));
+
+    assert.match(LookupQueue.status, /௧/);
+    assertNoEnglish(strings, 'the lookup queue');
+});
+
+test('sharing feedback is written in Tamil', async (t) => {
+    const document = tamilPage(t);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const ShareModule = require('../js/share');
+    const feedback = document.getElementById('share-feedback');
+    const strings = [];
+    const shown = () => strings.push(feedback.textContent);
+
+    ShareModule.setContext('Neithal', 'சென்னை', 13.08, 80.27, {
+        region: 'Neithal',
+        regionData: REGION_DATA.Neithal,
+        terrainData: { elevation: 6, coastDistance: 1.2, precipitation: 1400 },
+        coordinates: { lat: 13.08, lon: 80.27 }
+    });
+    t.mock.method(GeoExport, 'save', () => {});
+
+    for (const clipboard of [{ writeText: async () => {} }, null]) {
+        Object.defineProperty(globalThis, 'navigator', { value: { clipboard }, configurable: true, writable: true });
+        await ShareModule.copyLink();
+        shown();
+    }
+    await ShareModule.downloadAsImage();
+    shown();
+    global.html2canvas = async () => ({ toDataURL: () => 'data:image/png;base64,' });
+    t.after(() => { delete global.html2canvas; });
+    await ShareModule.downloadAsImage();
+    shown();
+    await ShareModule.exportResult('kml');
+    shown();
+    await ShareModule.exportResult('geojson');
+    shown();
+
+    assert.strictEqual(new Set(strings).size, 5);
+    assertNoEnglish(strings, 'the share feedback');
+
+    const opened = [];
+    global.window.open = url => opened.push(url);
+    ShareModule.shareOnTwitter();
+    const tweet = new URL(opened[0]).searchParams.get('text');
+    assert.match(tweet, /நெய்தல்.*ஏக்கமும் பிரிவும்/s);
+    assertNoEnglish([tweet], 'the tweet');
+});
+
+test('classification explanations are written in Tamil', (t) => {
+    tamilPage(t);
+    const terrainData = { elevation: 1200, coastDistance: 20, precipitation: 150 };
+    const reasons = ['Neithal', 'Kurinji', 'Paalai', 'Mullai', 'Marudham']
+        .flatMap(region => TerrainAnalyzer.getClassificationExplanation(region, terrainData));
+
+    assert.ok(reasons.length >= 10);
+    assertNoEnglish(reasons, 'the explanations');
+});
+
+test('the overlay attribution names the data it was built from', async (t) => {
+    tamilPage(t);
+    const MapView = global.MapView;
+    global.L = { tileLayer: (url, options) => ({ options, addTo() {} }) };
+    MapView.map = {};
+    t.after(() => {
+        delete global.L;
+        MapView.map = null;
+        MapView.overlay = null;
+        MapView._overlayManifestPromise = null;
+    });
+    t.mock.method(APIClient, 'request', async () => Response.json({
+        rules: 'Classical priority order',
+        step: 0.25,
+        maxZoom: 5,
+        bounds: [[0, 70], [20, 90]],
+        sources: { elevation: 'ETOPO 2022', precipitation: 'WorldClim 2.1 bio_12' }
+    }));
+
+    assert.strictEqual(await MapView.setOverlay(true), true);
+    const { attribution } = MapView.overlay.options;
+    assert.match(attribution, /^திணை மேலடுக்கு: .*உயரம்: ETOPO 2022; மழை: WorldClim 2\.1 bio_12$/);
+});
+
+test('coordinate errors are written in Tamil', (t) => {
+    tamilPage(t);
+    const inputs = [
+        '13.08, 80.27, 5', '13 04 57 80 16 14', '13.08N 80.27E 5N', '13.08N, 80.27E 5', '13.08N 80.27S',
+        '80.27E 13.08W', '-13.08N 80.27E', '13°65\'N 80°16\'E', '13°04\'65"N 80°16\'E', '13.5°04\'N 80°16\'E',
+        'geo:abc', 'geo:13,80;crs=utm', 'geo:0,0?q=Chennai', 'https://goo.gl/maps/abc',
+        'https://www.google.com/maps?q=Chennai', 'https://www.google.com/maps/place/Chennai',
+        'https://www.openstreetmap.org/search?query=x', '7J4VXHX+22', '7J4VXHXC+2', 'XHXC+22', '7J40XHXC+',
+        'X24VXHXC+22', '95, 200', '13, 200'
+    ];
+    const messages = inputs.map(input => {
+        try {
+            CoordinateParser.parse(input);
+        } catch (error) {
+            assert.strictEqual(error.name, 'CoordinateError', input);
+            return error.message;
+        }
+        assert.fail(`"${input}" should not parse`);
+    });
+
+    assert.strictEqual(new Set(messages).size, inputs.length);
+    // What the user typed is quoted back as typed; link and datum names stay as written
+    assertNoEnglish(messages.map(message => message
+        .replace(/"[^"]*"/g, '')
+        .replace(/geo:|Google Maps|OpenStreetMap|WGS|crs=\w+/g, '')), 'the coordinate errors');
+});
+
+test('rule traces name the variables and regions in Tamil', async (t) => {
+    tamilPage(t);
+    const regions = await TerrainAnalyzer.loadRegionData();
+    const rules = await TerrainAnalyzer.loadRules();
+    const outcome = RuleEngine.evaluate(rules, { elevation: 450.25, coastDistance: 20, precipitation: null },
+        TerrainAnalyzer.DEFAULT_THRESHOLDS);
+
+    const lines = RuleEngine.formatTrace(outcome.trace, { regionName: region => regions[region].tamil });
+    assert.strictEqual(lines.length, outcome.trace.length);
+    assert.ok(lines.some(line => line.includes('௪௫௦.௩')));
+    assert.ok(lines.some(line => line.includes(I18n.t('trace.missing'))));
+    assertNoEnglish(lines, 'the rule trace');
+});
+
+test('suggestion details are written in Tamil', (t) => {
+    tamilPage(t);
+    const SearchSuggestions = require('../js/search-suggestions');
+    const details = [
+        ...['city', 'town', 'village', 'locality', 'taluk', 'capital', 'city_district', 'administrative']
+            .map(type => SearchSuggestions.formatType(type)),
+        SearchSuggestions.formatExtent([13.0, 13.3, 80.1, 80.3]),
+        SearchSuggestions.formatExtent([13.0, 13.001, 80.1, 80.101])
+    ];
+
+    assert.ok(details.every(Boolean));
+    assert.strictEqual(SearchSuggestions.formatType('amenity_unknown'), '');
+    assertNoEnglish(details, 'the suggestion details');
+
+    I18n.setLanguage('en');
+    assert.strictEqual(SearchSuggestions.formatType('city_district'), 'City district');
+    assert.strictEqual(SearchSuggestions.formatType('amenity_unknown'), 'Amenity unknown');
+    assert.strictEqual(SearchSuggestions.formatExtent([13.0, 13.3, 80.1, 80.3]), '~33 km across');
+});
+
+test('the membership chart titles each thinai in Tamil', async (t) => {
+    const document = tamilPage(t);
+    document.readyState = 'loading';
+    document.addEventListener = () => {};
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'app.js'), 'utf8');
+    const App = vm.runInNewContext(`${source}\nApp`, { document, I18n, TerrainAnalyzer, console });
+    const mode = TerrainAnalyzer.mode;
+    TerrainAnalyzer.mode = 'fuzzy';
+    t.after(() => { TerrainAnalyzer.mode = mode; });
+
+    await App.renderMemberships({
+        region: 'Neithal',
+        memberships: { Kurinji: 0, Mullai: 0.1, Marudham: 0.2, Neithal: 0.7, Paalai: 0 }
+    });
+    const chart = document.getElementById('membership-chart');
+    const titles = [...chart.innerHTML.matchAll(/title="([^"]*)"/g)].map(m => m[1]);
+    assert.strictEqual(titles.length, 5);
+    assertNoEnglish(visibleStrings(chart), 'the membership chart');
+});
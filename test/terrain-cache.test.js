@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TerrainCache, createMemoryStorage } = require('../node');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run fn with Date.now() reporting the given time
+ */
+async function at(time, fn) {
+    const realNow = Date.now;
+    Date.now = () => time;
+    try {
+        return await fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('snap rounds coordinates to each type\'s grid', () => {
+    assert.deepStrictEqual(TerrainCache.snap('elevation', 13.0827, 80.2707), { lat: 13.083, lon: 80.271 });
+    assert.deepStrictEqual(TerrainCache.snap('precipitation', 13.0827, 80.2707), { lat: 13.1, lon: 80.25 });
+    assert.strictEqual(TerrainCache.key('precipitation', 13.09, 80.26, '10y'), 'precipitation:v1:13.1,80.25:10y');
+    assert.throws(() => TerrainCache.snap('slope', 0, 0), /Unknown cache type/);
+});
+
+test('entries expire after their type\'s time-to-live', async () => {
+    TerrainCache.useStorage(createMemoryStorage());
+    const start = Date.now();
+
+    await at(start, () => TerrainCache.set('elevation', 10, 78, 250));
+    await at(start, () => TerrainCache.set('precipitation', 10, 78, { mean: 900 }));
+
+    const later = start + 45 * DAY;
+    assert.strictEqual(await at(later, () => TerrainCache.get('elevation', 10, 78, { allowStale: true })).then(e => e.expired), true);
+    assert.strictEqual(await at(later, () => TerrainCache.get('elevation', 10, 78)), null);
+    assert.deepStrictEqual((await at(later, () => TerrainCache.get('precipitation', 10.01, 78.02))).value, { mean: 900 });
+
+    // The expired entry was deleted when read
+    assert.strictEqual(await at(later, () => TerrainCache.get('elevation', 10, 78, { allowStale: true })), null);
+});
+
+test('the least recently used entries are evicted past the byte budget', async (t) => {
+    const maxBytes = TerrainCache.MAX_BYTES;
+    t.after(() => { TerrainCache.MAX_BYTES = maxBytes; });
+    TerrainCache.useStorage(createMemoryStorage());
+    const start = Date.now();
+
+    await at(start, () => TerrainCache.set('elevation', 1, 1, 100));
+    const { bytes } = await TerrainCache.stats();
+    TerrainCache.configure({ maxBytes: bytes * 2 });
+
+    await at(start + 1, () => TerrainCache.set('elevation', 2, 2, 200));
+    // Reading the first entry makes the second the least recently used
+    await at(start + 2, () => TerrainCache.get('elevation', 1, 1));
+    await at(start + 3, () => TerrainCache.set('elevation', 3, 3, 300));
+
+    const entries = await TerrainCache.entries();
+    assert.deepStrictEqual(entries.map(e => e.value), [300, 100]);
+
+    const stats = await TerrainCache.stats();
+    assert.strictEqual(stats.count, 2);
+    assert.ok(stats.bytes <= stats.maxBytes);
+    assert.strictEqual(stats.byType.elevation.count, 2);
+});
+
+test('clear removes one type or everything', async () => {
+    TerrainCache.useStorage(createMemoryStorage());
+    await TerrainCache.set('elevation', 10, 78, 250);
+    await TerrainCache.set('coastDistance', 10, 78, 120);
+
+    await TerrainCache.clear('elevation');
+    assert.deepStrictEqual((await TerrainCache.entries()).map(e => e.type), ['coastDistance']);
+
+    await TerrainCache.clear();
+    assert.strictEqual((await TerrainCache.stats()).count, 0);
+});
+
+test('configure changes the snapping grid and validates it', (t) => {
+    const step = TerrainCache.TYPES.coastDistance.gridStep;
+    t.after(() => { TerrainCache.TYPES.coastDistance.gridStep = step; });
+
+    TerrainCache.configure({ gridStep: { coastDistance: 0.5 } });
+    assert.deepStrictEqual(TerrainCache.snap('coastDistance', 13.3, 80.2), { lat: 13.5, lon: 80 });
+    assert.throws(() => TerrainCache.configure({ gridStep: { coastDistance: 0 } }), /must be positive/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Transect, TerrainAnalyzer, APIClient } = require('../node');
+
+// Madurai to Kodaikanal, roughly along the ghat road
+const MADURAI_TO_KODAIKANAL = [[9.9252, 78.1198], [10.1, 77.75], [10.2381, 77.4892]];
+
+/**
+ * Swap in a fake classifier for one test
+ */
+function fakeAnalyzer(t, classifyLocation) {
+    const saved = Transect.terrainAnalyzer;
+    Transect.terrainAnalyzer = Object.assign(Object.create(TerrainAnalyzer), { classifyLocation, POINT_DELAY: 0 });
+    t.after(() => { Transect.terrainAnalyzer = saved; });
+}
+
+test('parseGpx reads track points, or route points when there is no track', () => {
+    const track = `<?xml version="1.0"?>
+        <gpx version="1.1"><trk><trkseg>
+            <trkpt lat="9.9252" lon="78.1198"><ele>134</ele></trkpt>
+            <trkpt lon='77.4892' lat='10.2381'/>
+        </trkseg></trk></gpx>`;
+    assert.deepStrictEqual(Transect.parseGpx(track), [[9.9252, 78.1198], [10.2381, 77.4892]]);
+
+    const route = '<gpx><rte><rtept lat="13.08" lon="80.27"/><rtept lat="12.97" lon="77.59"/></rte></gpx>';
+    assert.deepStrictEqual(Transect.parseGpx(route), [[13.08, 80.27], [12.97, 77.59]]);
+
+    assert.throws(() => Transect.parseGpx('<gpx><wpt lat="1" lon="2"/></gpx>'), /at least two points/);
+});
+
+test('samplePoints spaces samples evenly and ends on the last point', () => {
+    const length = Transect.length(MADURAI_TO_KODAIKANAL);
+    assert.ok(length > 75 && length < 80, `length ${length}`);
+
+    const { step, samples } = Transect.samplePoints(MADURAI_TO_KODAIKANAL, 10);
+    assert.strictEqual(step, 10);
+    assert.strictEqual(samples.length, 9);
+    assert.deepStrictEqual(samples.map(s => s.distance).slice(0, 3), [0, 10, 20]);
+    assert.deepStrictEqual([samples[0].lat, samples[0].lon], MADURAI_TO_KODAIKANAL[0]);
+    assert.deepStrictEqual([samples[8].lat, samples[8].lon], MADURAI_TO_KODAIKANAL[2]);
+    // Each sample lies on the route, the given distance from its start
+    const fourth = samples[4];
+    assert.ok(Math.abs(Transect.distance(MADURAI_TO_KODAIKANAL[0], [fourth.lat, fourth.lon]) - 40) < 0.5);
+
+    // Long routes get a wider step instead of hundreds of lookups
+    const long = Transect.samplePoints([[8.08, 77.55], [28.61, 77.21]], 1);
+    assert.strictEqual(long.samples.length, Transect.MAX_SAMPLES);
+    assert.ok(long.step > 20);
+
+    assert.throws(() => Transect.samplePoints([[9.9, 78.1]]), /at least two points/);
+    assert.throws(() => Transect.samplePoints(MADURAI_TO_KODAIKANAL, 0), /Invalid sample spacing/);
+});
+
+test('summarize splits the route into stretches and totals the distance per region', () => {
+    const regions = ['Kurinji', 'Kurinji', 'Paalai', 'Paalai', 'Paalai', 'Marudham'];
+    const samples = regions.map((region, i) => ({ distance: i * 10, region }));
+
+    const { segments, totals } = Transect.summarize(samples);
+    assert.deepStrictEqual(segments, [
+        { region: 'Kurinji', from: 0, to: 15 },
+        { region: 'Paalai', from: 15, to: 45 },
+        { region: 'Marudham', from: 45, to: 50 }
+    ]);
+    assert.deepStrictEqual(totals, [
+        { region: 'Paalai', distance: 30, share: 0.6 },
+        { region: 'Kurinji', distance: 15, share: 0.3 },
+        { region: 'Marudham', distance: 5, share: 0.1 }
+    ]);
+});
+
+test('classify samples the route through classifyLocation and keeps failed samples', async (t) => {
+    // Plains at Madurai rising into the Palani hills
+    fakeAnalyzer(t, async (lat, lon) => {
+        if (lon < 77.7 && lon > 77.6) throw new Error('Failed to get elevation data');
+        const region = lon < 77.6 ? 'Kurinji' : 'Marudham';
+        return {
+            region,
+            regionData: { color: region === 'Kurinji' ? '#a855f7' : '#f59e0b', icon: '⛰️' },
+            terrainData: { elevation: (78.2 - lon) * 2000, coastDistance: 120, precipitation: 900 }
+        };
+    });
+
+    const progress = [];
+    const result = await Transect.classify(MADURAI_TO_KODAIKANAL, {
+        stepKm: 10,
+        onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+
+    assert.strictEqual(result.samples.length, 9);
+    assert.deepStrictEqual(progress.slice(-2), ['8/9', '9/9']);
+    assert.strictEqual(result.samples[0].region, 'Marudham');
+    assert.strictEqual(result.samples[8].region, 'Kurinji');
+    assert.ok(result.samples[8].elevation > result.samples[0].elevation);
+
+    const failed = result.samples.filter(s => s.error);
+    assert.ok(failed.length > 0);
+    assert.ok(failed.every(s => s.region === undefined && /elevation/.test(s.error)));
+    assert.deepStrictEqual(result.segments.map(s => s.region), ['Marudham', null, 'Kurinji']);
+    const total = result.totals.reduce((sum, r) => sum + r.distance, 0);
+    assert.ok(Math.abs(total - result.length) < 1e-9);
+});
+
+test('classify stops when its signal is aborted', async (t) => {
+    const controller = new AbortController();
+    let calls = 0;
+    fakeAnalyzer(t, async () => {
+        if (++calls === 3) controller.abort();
+        return { region: 'Marudham', regionData: {}, terrainData: { elevation: 100, coastDistance: 80, precipitation: 800 } };
+    });
+
+    await assert.rejects(Transect.classify(MADURAI_TO_KODAIKANAL, { stepKm: 10, signal: controller.signal }),
+        error => APIClient.isAbortError(error));
+    assert.strictEqual(calls, 3);
+});